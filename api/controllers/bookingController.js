@@ -3,7 +3,17 @@ const { getUserDataFromToken } = require("../middleware/auth");
 const BookingService = require("../services/bookingService");
 const OptimizedBookingService = require("../services/optimizedBookingService");
 const BookingValidationService = require("../services/bookingValidationService");
-const { cleanupExpiredBookings } = require("../utils/bookingUtils");
+const BookingPricingService = require("../services/bookingPricingService");
+const RefundService = require("../services/refundService");
+const PaymentService = require("../services/paymentService");
+const PaymentWebhookService = require("../services/paymentWebhookService");
+const ExchangeRateLockService = require("../services/exchangeRateLockService");
+const ReceiptService = require("../services/receiptService");
+const BookingDocumentService = require("../services/bookingDocumentService");
+const BookingSeriesService = require("../services/bookingSeriesService");
+const BookingGroupService = require("../services/bookingGroupService");
+const BookingHoldService = require("../services/bookingHoldService");
+const { cleanupExpiredBookings, findActiveBookingHolds } = require("../utils/bookingUtils");
 const { 
   getCurrentDateInUzbekistan,
   getUzbekistanAwareAvailableSlots,
@@ -37,11 +47,64 @@ const createBooking = async (req, res) => {
     if (error.conflictingSlot) {
       response.conflictingSlot = error.conflictingSlot;
     }
+    if (error.priceMismatch) {
+      response.priceMismatch = error.priceMismatch;
+    }
+    if (error.addOnStock) {
+      response.addOnStock = error.addOnStock;
+    }
+    if (error.promoCodeInvalid) {
+      response.promoCodeInvalid = true;
+    }
     
     res.status(statusCode).json(response);
   }
 };
 
+/**
+ * Calculate an authoritative price quote for selected time slots
+ * This endpoint allows unauthenticated users to see the price before booking
+ */
+const getBookingQuote = async (req, res) => {
+  try {
+    const { place, selectedTimeSlots, selectedAddOns, numOfGuests, promoCode } = req.body;
+
+    if (!place) {
+      return res.status(400).json({ error: "Place ID is required" });
+    }
+
+    BookingValidationService.validateTimeSlots(selectedTimeSlots);
+
+    const baseQuote = await BookingPricingService.getQuote(place, selectedTimeSlots, {
+      addOns: selectedAddOns,
+      numOfGuests
+    });
+
+    // Signed-in clients get their per-user promo limits checked up front
+    const quote = await BookingPricingService.applyPromoCode(baseQuote, promoCode, {
+      placeId: place,
+      userId: req.user?.id || null
+    });
+
+    res.json(quote);
+  } catch (error) {
+    const statusCode = error.statusCode || 422;
+    const response = { error: error.message };
+
+    if (error.conflictingSlot) {
+      response.conflictingSlot = error.conflictingSlot;
+    }
+    if (error.addOnStock) {
+      response.addOnStock = error.addOnStock;
+    }
+    if (error.promoCodeInvalid) {
+      response.promoCodeInvalid = true;
+    }
+
+    res.status(statusCode).json(response);
+  }
+};
+
 /**
  * Get bookings based on user role and filters
  * Optimized for US-LOCK-004: Uses shallow queries and caching for better performance
@@ -158,6 +221,29 @@ const getBookingCounts = async (req, res) => {
   }
 };
 
+/**
+ * Time slots on a place currently held at checkout, optionally for one date
+ */
+const getHeldTimeSlots = async (placeId, date) => {
+  const holds = await findActiveBookingHolds(placeId);
+  const heldTimeSlots = [];
+
+  holds.forEach(hold => {
+    (hold.timeSlots || []).forEach(slot => {
+      if (!date || slot.date === date) {
+        heldTimeSlots.push({
+          ...slot,
+          bookingId: hold.bookingId,
+          status: 'held',
+          heldUntil: hold.expiresAt
+        });
+      }
+    });
+  });
+
+  return heldTimeSlots;
+};
+
 /**
  * Check availability of time slots for a place
  * This endpoint allows unauthenticated users to check availability
@@ -205,12 +291,16 @@ const checkAvailability = async (req, res) => {
         });
       }
     });
+
+    // Slots held by a client at checkout are unavailable to everyone else
+    const heldTimeSlots = await getHeldTimeSlots(placeId, date);
     
     // Build response
     const response = {
       placeId,
       placeName: place.title,
       bookedTimeSlots,
+      heldTimeSlots,
       operatingHours: {
         checkIn: place.checkIn || "09:00",
         checkOut: place.checkOut || "17:00",
@@ -276,6 +366,9 @@ const checkTimezoneAwareAvailability = async (req, res) => {
       }
     });
 
+    // Slots held by a client at checkout are unavailable to everyone else
+    const heldTimeSlots = await getHeldTimeSlots(placeId, date);
+
     // Get available dates excluding past dates in Uzbekistan timezone
     const startDate = place.startDate || currentDateUzbekistan;
     
@@ -315,9 +408,9 @@ const checkTimezoneAwareAvailability = async (req, res) => {
             place.cooldown || 30
           );
 
-          // Filter out booked time slots
+          // Filter out booked and held time slots
           availableTimeSlots = availableTimeSlots.filter(timeSlot => {
-            return !bookedTimeSlots.some(bookedSlot => 
+            return ![...bookedTimeSlots, ...heldTimeSlots].some(bookedSlot => 
               bookedSlot.date === date && bookedSlot.startTime === timeSlot
             );
           });
@@ -333,6 +426,7 @@ const checkTimezoneAwareAvailability = async (req, res) => {
       availableDates,
       availableTimeSlots: date ? availableTimeSlots : [],
       bookedTimeSlots,
+      heldTimeSlots,
       operatingHours: {
         checkIn: place.checkIn || "09:00",
         checkOut: place.checkOut || "17:00",
@@ -465,6 +559,78 @@ const markPaidToHost = async (req, res) => {
   }
 };
 
+/**
+ * Reschedule booking to new time slots (client-only, reschedule_only policy)
+ */
+const rescheduleBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { selectedTimeSlots } = req.body;
+    const userData = await getUserDataFromToken(req);
+
+    BookingValidationService.validateTimeSlots(selectedTimeSlots);
+
+    const result = await BookingService.rescheduleBooking(id, userData, { selectedTimeSlots });
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error rescheduling booking:", error);
+    const statusCode = error.statusCode || 422;
+    const response = { error: error.message };
+
+    if (error.conflictingSlot) {
+      response.conflictingSlot = error.conflictingSlot;
+    }
+    if (error.priceMismatch) {
+      response.priceMismatch = error.priceMismatch;
+    }
+
+    res.status(statusCode).json(response);
+  }
+};
+
+/**
+ * Hold a selected booking's time slots while the client is at checkout (Client only)
+ */
+const holdBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userData = await getUserDataFromToken(req);
+
+    const hold = await BookingHoldService.holdBooking(id, userData);
+
+    res.json({ success: true, hold });
+  } catch (error) {
+    console.error("Error holding booking:", error);
+    const statusCode = error.statusCode || 422;
+    const response = { error: error.message };
+
+    if (error.heldUntil) {
+      response.heldUntil = error.heldUntil;
+    }
+
+    res.status(statusCode).json(response);
+  }
+};
+
+/**
+ * Release a checkout hold when the client leaves checkout without paying
+ */
+const releaseBookingHold = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userData = await getUserDataFromToken(req);
+
+    const result = await BookingHoldService.releaseHold(id, userData);
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error releasing booking hold:", error);
+    const statusCode = error.statusCode || 422;
+    res.status(statusCode).json({ error: error.message });
+  }
+};
+
 /**
  * Check payment status for a booking (single check for polling)
  */
@@ -472,38 +638,22 @@ const checkPaymentStatus = async (req, res) => {
   try {
     const { id } = req.params;
     const userData = await getUserDataFromToken(req);
-    
-    // Check if user has access to this booking
-    const booking = await BookingService.getBookingById(id, userData);
-    if (!booking) {
-      return res.status(404).json({ error: "Booking not found" });
-    }
-    
-    // Use optimized payment poller for better API efficiency
-    const OptimizedPaymentPoller = require("../services/optimizedPaymentPoller");
-    const poller = new OptimizedPaymentPoller();
-    
-    // Single check (immediate=true, maxAttempts=1)
-    const result = await poller.smartCheckPaymentStatus(id, {
-      maxAttempts: 1,
-      immediate: true
-    });
-    
-    if (result.success && result.isPaid) {
-      // Get updated booking data
-      const updatedBooking = await BookingService.getBookingById(id, userData);
-      res.json({ 
-        success: true, 
-        isPaid: true, 
-        booking: updatedBooking,
+
+    const result = await PaymentService.checkStatus(id, userData);
+
+    if (result.isPaid) {
+      res.json({
+        success: true,
+        isPaid: true,
+        booking: result.booking,
         paymentId: result.paymentId,
-        alreadyProcessed: result.alreadyProcessed || false
+        alreadyProcessed: result.message === "Payment already confirmed"
       });
     } else {
-      res.json({ 
-        success: true, 
-        isPaid: false, 
-        status: booking.status,
+      res.json({
+        success: true,
+        isPaid: false,
+        status: result.booking.status,
         message: result.message || 'Payment not completed yet'
       });
     }
@@ -515,316 +665,21 @@ const checkPaymentStatus = async (req, res) => {
 };
 
 /**
- * Smart payment status check with unified support for Click.uz and Payme
+ * Smart payment status check across all payment providers
  * Returns actual payment provider status for optimized frontend polling
  */
 const checkPaymentStatusSmart = async (req, res) => {
   try {
     const { id } = req.params;
     const userData = await getUserDataFromToken(req);
-    
-    // Check if user has access to this booking
-    const booking = await BookingService.getBookingById(id, userData);
-    if (!booking) {
-      return res.status(404).json({ error: "Booking not found" });
-    }
-
-    // Check for manual approval by agent (booking approved and paid without payment system)
-    if (booking.status === 'approved' && booking.paidAt) {
-      return res.json({
-        success: true,
-        isPaid: true,
-        paymentStatus: 2, // Successful status
-        errorCode: 0,
-        paymentId: booking.clickPaymentId || 'payme-payment',
-        booking: booking,
-        manuallyApproved: !booking.clickPaymentId && !booking.paymentResponse?.provider,
-        provider: booking.paymentResponse?.provider || 'manual',
-        message: "Payment already confirmed"
-      });
-    }
-
-  // First check for Payme payment (since it updates via webhook immediately)
-  const TransactionService = require("../services/transactionService");
-  const paymeTransaction = await TransactionService.getPaymeTransactionByBooking(id);
-    
-    if (paymeTransaction) {
-      
-      switch (paymeTransaction.state) {
-        case 2: // Paid
-          // Update booking if not already updated
-          if (booking.status !== 'approved' || !booking.paidAt) {
-            await booking.update({
-              status: 'approved',
-              paidAt: paymeTransaction.performDate || new Date(),
-              approvedAt: paymeTransaction.performDate || new Date()
-            });
-          }
-          
-          const updatedBooking = await BookingService.getBookingById(id, userData);
-          return res.json({
-            success: true,
-            isPaid: true,
-            paymentStatus: 2, // Successful status
-            errorCode: 0,
-            paymentId: paymeTransaction.providerTransactionId,
-            booking: updatedBooking,
-            provider: 'payme',
-            message: "Payment confirmed via Payme"
-          });
-          
-        case 1: // Pending
-          return res.json({
-            success: true,
-            isPaid: false,
-            paymentStatus: 1, // Processing status
-            errorCode: 0,
-            paymentId: paymeTransaction.providerTransactionId,
-            booking: booking,
-            provider: 'payme',
-            message: "Payme payment is pending"
-          });
-          
-        case -1: // Cancelled from pending
-        case -2: // Cancelled after payment
-          return res.json({
-            success: true,
-            isPaid: false,
-            paymentStatus: -1, // Cancelled status
-            errorCode: -1,
-            paymentId: paymeTransaction.providerTransactionId,
-            booking: booking,
-            provider: 'payme',
-            message: "Payme payment was cancelled"
-          });
-          
-        default:
-          console.warn(`Unknown Payme transaction state: ${paymeTransaction.state}`);
-          // Continue to check Click.uz payment as fallback
-      }
-    }
-
-    // Then check for Octo payment (webhook also updates immediately)
-    const octoTransaction = await TransactionService.getOctoTransactionByBooking(id);
-    if (octoTransaction) {
-      switch (octoTransaction.state) {
-        case 2: { // Paid
-          if (booking.status !== 'approved' || !booking.paidAt || !booking.paymentResponse) {
-            const pd = octoTransaction.providerData || {};
-            const api = pd.apiResponse || {};
-            const data = api.data || api || {};
-            const payed_time = pd.payed_time || data.payed_time || undefined;
-            const paymentResponse = {
-              provider: 'octo',
-              octo_payment_UUID: octoTransaction.providerTransactionId,
-              shop_transaction_id: pd.shopTransactionId || data.shop_transaction_id,
-              total_sum: data.total_sum || api.total_sum,
-              transfer_sum: data.transfer_sum || api.transfer_sum,
-              refunded_sum: data.refunded_sum || api.refunded_sum || 0,
-              status: data.status || api.status || 'succeeded',
-              payed_time
-            };
-
-            await booking.update({
-              status: 'approved',
-              paidAt: octoTransaction.performDate || (payed_time ? new Date(payed_time) : new Date()),
-              approvedAt: octoTransaction.performDate || (payed_time ? new Date(payed_time) : new Date()),
-              paymentResponse
-            });
-          }
-          const updatedBooking = await BookingService.getBookingById(id, userData);
-          return res.json({
-            success: true,
-            isPaid: true,
-            paymentStatus: 2,
-            errorCode: 0,
-            paymentId: octoTransaction.providerTransactionId,
-            booking: updatedBooking,
-            provider: 'octo',
-            message: 'Payment confirmed via Octo'
-          });
-        }
-        case 1: {
-          // Proactive status re-check with Octo by reusing prepare_payment (idempotent by shop_transaction_id)
-          try {
-            const OctoService = require('../services/octoService');
-            const octo = new OctoService();
-            const { User } = require('../models');
-            const user = await User.findByPk(booking.userId);
-            const returnUrlBase = process.env.FRONTEND_URL?.replace(/\/$/, '') || '';
-            const returnUrl = `${returnUrlBase}/account/bookings/${id}`;
-            const result = await octo.preparePayment({ booking, user, returnUrl, test: true, language: 'uz' });
-
-            // Map status
-            const mapStatus = (s) => {
-              const v = (s || '').toLowerCase();
-              if (v === 'succeeded') return 2;
-              if (v === 'created' || v === 'processing') return 1;
-              return -1;
-            };
-            const newState = mapStatus(result.status);
-
-            // Update transaction provider id (if changed) and state
-            const updatedTxn = await TransactionService.updateById(octoTransaction.id, {
-              providerTransactionId: result.octoPaymentUUID || octoTransaction.providerTransactionId,
-              state: newState,
-              providerData: {
-                ...(octoTransaction.providerData || {}),
-                shopTransactionId: result.shopTransactionId || (octoTransaction.providerData || {}).shopTransactionId,
-                payUrl: result.payUrl || (octoTransaction.providerData || {}).payUrl,
-                apiResponse: result.raw || (octoTransaction.providerData || {}).apiResponse,
-                recheckedAt: new Date()
-              },
-              performDate: newState === 2 ? new Date(result.raw?.payed_time || Date.now()) : octoTransaction.performDate
-            });
-
-            if (newState === 2) {
-              // Mark booking as paid
-              const pd = updatedTxn.providerData || {};
-              const api = pd.apiResponse || {};
-              const data = api.data || api || {};
-              const payed_time = data.payed_time || api.payed_time;
-              const paymentResponse = {
-                provider: 'octo',
-                octo_payment_UUID: result.octoPaymentUUID,
-                shop_transaction_id: pd.shopTransactionId || data.shop_transaction_id,
-                total_sum: data.total_sum || api.total_sum,
-                transfer_sum: data.transfer_sum || api.transfer_sum,
-                refunded_sum: data.refunded_sum || api.refunded_sum || 0,
-                status: data.status || api.status || 'succeeded',
-                payed_time
-              };
-
-              await booking.update({
-                status: 'approved',
-                paidAt: updatedTxn.performDate || (payed_time ? new Date(payed_time) : new Date()),
-                approvedAt: updatedTxn.performDate || (payed_time ? new Date(payed_time) : new Date()),
-                paymentResponse
-              });
-
-              const updatedBooking = await BookingService.getBookingById(id, userData);
-              return res.json({
-                success: true,
-                isPaid: true,
-                paymentStatus: 2,
-                errorCode: 0,
-                paymentId: result.octoPaymentUUID,
-                booking: updatedBooking,
-                provider: 'octo',
-                message: 'Payment confirmed via Octo (verified)'
-              });
-            }
-
-            // Still pending
-            return res.json({
-              success: true,
-              isPaid: false,
-              paymentStatus: 1,
-              errorCode: 0,
-              paymentId: result.octoPaymentUUID || octoTransaction.providerTransactionId,
-              booking,
-              provider: 'octo',
-              message: 'Octo payment is pending'
-            });
-          } catch (recheckErr) {
-            console.warn('Octo recheck failed:', recheckErr?.message || recheckErr);
-            return res.json({
-              success: true,
-              isPaid: false,
-              paymentStatus: 1,
-              errorCode: 0,
-              paymentId: octoTransaction.providerTransactionId,
-              booking,
-              provider: 'octo',
-              message: 'Octo payment is pending'
-            });
-          }
-        }
-        case -1:
-        case -2:
-          return res.json({
-            success: true,
-            isPaid: false,
-            paymentStatus: -1,
-            errorCode: -1,
-            paymentId: octoTransaction.providerTransactionId,
-            booking, provider: 'octo',
-            message: 'Octo payment was cancelled'
-          });
-        default:
-          // Continue to Click fallback
-          break;
-      }
-    }
-
-    // Fallback to Click.uz payment check if no Payme transaction or unknown state
-    
-    // If no Click invoice created yet, can't check
-    if (!booking.clickInvoiceId) {
-      return res.json({
-        success: false,
-        isPaid: false,
-        paymentStatus: null,
-        errorCode: -1,
-        errorNote: "No payment invoice found",
-        booking: booking,
-        provider: null,
-        message: "No payment method initiated"
-      });
-    }
 
-    // Use enhanced Click service to get raw API response
-    const EnhancedClickService = require("../services/enhancedClickService");
-    const clickService = new EnhancedClickService();
-    
-    try {
-      // Get payment status from Click.uz directly
-      const statusResult = await clickService.getDetailedPaymentStatus(id);
-      
-      if (statusResult.success && statusResult.isPaid) {
-        // Payment found and completed
-        const updatedBooking = await BookingService.getBookingById(id, userData);
-        
-        return res.json({
-          success: true,
-          isPaid: true,
-          paymentStatus: 2, // Click.uz successful
-          errorCode: 0,
-          paymentId: statusResult.paymentId,
-          booking: updatedBooking,
-          provider: 'click',
-          message: "Payment confirmed via Click.uz"
-        });
-      } else {
-        // Payment not found or not completed
-        return res.json({
-          success: true,
-          isPaid: false,
-          paymentStatus: statusResult.paymentStatus || 0, // Click.uz status
-          errorCode: statusResult.errorCode || (statusResult.paymentStatus === null ? -16 : 0),
-          errorNote: statusResult.errorNote || "Payment not completed",
-          booking: booking,
-          provider: 'click',
-          message: statusResult.message || "Payment not found or incomplete"
-        });
-      }
-    } catch (clickError) {
-      console.error("❌ Click.uz API error:", clickError);
-      
-      return res.json({
-        success: false,
-        isPaid: false,
-        paymentStatus: null,
-        errorCode: -1,
-        errorNote: clickError.message || "Click.uz API error",
-        booking: booking,
-        provider: 'click',
-        message: "Unable to check payment status"
-      });
-    }
-    
+    const result = await PaymentService.checkStatus(id, userData);
+    res.json(result);
   } catch (error) {
     console.error("💥 Smart payment status check exception:", error);
+    if (error.statusCode === 404) {
+      return res.status(404).json({ error: error.message });
+    }
     res.status(500).json({ 
       error: "Failed to check payment status",
       details: error.message,
@@ -835,6 +690,53 @@ const checkPaymentStatusSmart = async (req, res) => {
   }
 };
 
+/**
+ * Start a payment for a selected booking with the chosen provider
+ * Body: { provider, returnUrl, language, phoneNumber }
+ */
+const createBookingPayment = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const { provider, returnUrl, language, phoneNumber } = req.body;
+
+    const result = await PaymentService.createPayment(req.params.id, provider, userData, {
+      returnUrl,
+      language,
+      phoneNumber,
+      baseUrl: PaymentService.getCallbackBaseUrl(req)
+    });
+    res.json(result);
+  } catch (error) {
+    console.error("Error creating booking payment:", error);
+
+    // Provider failures without a status get the translated generic message
+    if (!error.statusCode) {
+      return res.status(500).json({ error: req.t('failed', { ns: 'payment' }), code: 'PAYMENT_FAILED' });
+    }
+
+    res.status(error.statusCode).json({
+      error: error.code === 'PHONE_REQUIRED' ? req.t('phoneRequired', { ns: 'payment' }) : error.message,
+      ...(error.code && { code: error.code }),
+      ...(error.heldUntil && { heldUntil: error.heldUntil }),
+      ...(error.details && { details: error.details })
+    });
+  }
+};
+
+/**
+ * Cancel the unfinished payments of a booking
+ */
+const cancelBookingPayment = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const result = await PaymentService.cancel(req.params.id, userData);
+    res.json(result);
+  } catch (error) {
+    console.error("Error cancelling booking payment:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
 /**
  * Manual cleanup of expired bookings (Agent only)
  * Deletes all expired "pending" and "selected" bookings
@@ -1020,6 +922,19 @@ const selectCashPayment = async (req, res) => {
       });
     }
 
+    // Choosing cash starts payment, so it converts the checkout hold like an online payment
+    if (booking.status === 'selected') {
+      try {
+        await BookingHoldService.convertHoldForPayment(booking);
+      } catch (holdError) {
+        return res.status(holdError.statusCode || 409).json({
+          success: false,
+          message: holdError.message,
+          heldUntil: holdError.heldUntil
+        });
+      }
+    }
+
     // Import the notification service
     const BookingNotificationService = require('../services/bookingNotificationService');
 
@@ -1159,8 +1074,302 @@ const deleteBookingFromDatabase = async (req, res) => {
   }
 };
 
+/**
+ * Get refunds recorded for a booking
+ */
+const getBookingRefunds = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const refunds = await RefundService.getBookingRefunds(req.params.id, userData);
+
+    res.json(refunds);
+  } catch (error) {
+    console.error("Error fetching booking refunds:", error);
+    const statusCode = error.statusCode || 422;
+    res.status(statusCode).json({ error: error.message });
+  }
+};
+
+/**
+ * Retry a failed refund through its payment provider (agent-only)
+ */
+const retryRefund = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const refund = await RefundService.retryRefund(req.params.id, req.params.refundId, userData);
+
+    res.json({ success: true, refund });
+  } catch (error) {
+    console.error("Error retrying refund:", error);
+    const statusCode = error.statusCode || 422;
+    res.status(statusCode).json({ error: error.message });
+  }
+};
+
+/**
+ * Mark a manual or failed refund as completed (agent-only)
+ */
+const completeRefund = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const refund = await RefundService.markRefundCompleted(
+      req.params.id,
+      req.params.refundId,
+      userData,
+      req.body?.reference
+    );
+
+    res.json({ success: true, refund });
+  } catch (error) {
+    console.error("Error completing refund:", error);
+    const statusCode = error.statusCode || 422;
+    res.status(statusCode).json({ error: error.message });
+  }
+};
+
+/**
+ * Exchange rate quote for paying a booking; locks the rate for its client
+ */
+const getPaymentQuote = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const quote = await ExchangeRateLockService.getQuote(req.params.id, userData, {
+      displayCurrency: req.query.currency
+    });
+
+    res.json(quote);
+  } catch (error) {
+    console.error("Error quoting payment:", error);
+    const statusCode = error.statusCode || 422;
+    res.status(statusCode).json({ error: error.message });
+  }
+};
+
+/**
+ * Payment provider callbacks received for a booking (agent-only)
+ */
+const getBookingPaymentEvents = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const events = await PaymentWebhookService.getBookingTimeline(req.params.id, userData);
+
+    res.json(events);
+  } catch (error) {
+    console.error("Error fetching payment events:", error);
+    const statusCode = error.statusCode || 422;
+    res.status(statusCode).json({ error: error.message });
+  }
+};
+
+/**
+ * Replay a failed payment provider callback of a booking (agent-only)
+ */
+const replayPaymentEvent = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const event = await PaymentWebhookService.replay(req.params.id, req.params.eventId, userData);
+
+    res.json({ success: event.status === 'processed', event });
+  } catch (error) {
+    console.error("Error replaying payment event:", error);
+    const statusCode = error.statusCode || 422;
+    res.status(statusCode).json({ error: error.message });
+  }
+};
+
+/**
+ * Download the receipt of a paid booking
+ */
+const downloadReceipt = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const { filename, html } = await ReceiptService.getReceiptDocument(req.params.id, userData, req.language);
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(html);
+  } catch (error) {
+    console.error("Error generating booking receipt:", error);
+    const statusCode = error.statusCode || 422;
+    res.status(statusCode).json({ error: error.message });
+  }
+};
+
+/**
+ * Download a PDF invoice or confirmation voucher of a booking
+ */
+const downloadBookingDocument = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const { filename, content } = await BookingDocumentService.getDocument(
+      req.params.id,
+      req.params.type,
+      userData,
+      req.language
+    );
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    console.error("Error generating booking document:", error);
+    const statusCode = error.statusCode || 422;
+    res.status(statusCode).json({ error: error.message });
+  }
+};
+
+/**
+ * Preview occurrences of a recurring booking series and their conflicts
+ */
+const previewBookingSeries = async (req, res) => {
+  try {
+    const { place } = req.body;
+
+    if (!place) {
+      return res.status(400).json({ error: "Place ID is required" });
+    }
+
+    const preview = await BookingSeriesService.previewSeries(place, req.body);
+
+    res.json(preview);
+  } catch (error) {
+    console.error("Error previewing booking series:", error);
+    const statusCode = error.statusCode || 422;
+    res.status(statusCode).json({ error: error.message });
+  }
+};
+
+/**
+ * Create a recurring booking series (client-only)
+ */
+const createBookingSeries = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+
+    BookingValidationService.validateSeriesCreation(req.body);
+
+    const series = await BookingSeriesService.createSeries(userData, req.body);
+
+    res.json(series);
+  } catch (error) {
+    console.error("Error creating booking series:", error);
+    const statusCode = error.statusCode || 422;
+    const response = { error: error.message };
+
+    if (error.occurrences) {
+      response.occurrences = error.occurrences;
+    }
+
+    res.status(statusCode).json(response);
+  }
+};
+
+/**
+ * Get a recurring booking series with its bookings
+ */
+const getBookingSeries = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const series = await BookingSeriesService.getSeries(req.params.seriesId, userData);
+
+    res.json(series);
+  } catch (error) {
+    console.error("Error fetching booking series:", error);
+    const statusCode = error.statusCode || 422;
+    res.status(statusCode).json({ error: error.message });
+  }
+};
+
+/**
+ * Approve, reject or cancel a recurring booking series as a unit
+ */
+const updateBookingSeriesStatus = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const result = await BookingSeriesService.updateSeriesStatus(
+      req.params.seriesId,
+      userData,
+      req.body.status
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error updating booking series:", error);
+    const statusCode = error.statusCode || 422;
+    res.status(statusCode).json({ error: error.message });
+  }
+};
+
+/**
+ * Create a booking group - several places of one host booked together (client-only)
+ */
+const createBookingGroup = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+
+    BookingValidationService.validateGroupCreation(req.body);
+
+    const group = await BookingGroupService.createGroup(userData, req.body);
+
+    res.json(group);
+  } catch (error) {
+    console.error("Error creating booking group:", error);
+    const statusCode = error.statusCode || 422;
+    const response = { error: error.message };
+
+    if (error.unavailableRooms) {
+      response.unavailableRooms = error.unavailableRooms;
+    }
+
+    res.status(statusCode).json(response);
+  }
+};
+
+/**
+ * Get a booking group with its bookings
+ */
+const getBookingGroup = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const group = await BookingGroupService.getGroup(req.params.groupId, userData);
+
+    res.json(group);
+  } catch (error) {
+    console.error("Error fetching booking group:", error);
+    const statusCode = error.statusCode || 422;
+    res.status(statusCode).json({ error: error.message });
+  }
+};
+
+/**
+ * Select, reject or cancel a booking group as a unit
+ */
+const updateBookingGroupStatus = async (req, res) => {
+  try {
+    const userData = await getUserDataFromToken(req);
+    const result = await BookingGroupService.updateGroupStatus(
+      req.params.groupId,
+      userData,
+      req.body.status
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error updating booking group:", error);
+    const statusCode = error.statusCode || 422;
+    const response = { error: error.message };
+
+    if (error.unavailableRooms) {
+      response.unavailableRooms = error.unavailableRooms;
+    }
+
+    res.status(statusCode).json(response);
+  }
+};
+
 module.exports = {
   createBooking,
+  getBookingQuote,
   getBookings,
   updateBookingStatus,
   getBookingCounts,
@@ -1169,11 +1378,31 @@ module.exports = {
   getCompetingBookings,
   getBookingById,
   markPaidToHost,
+  rescheduleBooking,
+  holdBooking,
+  releaseBookingHold,
   checkPaymentStatus,
   checkPaymentStatusSmart,
+  createBookingPayment,
+  cancelBookingPayment,
   selectCashPayment,
   deleteBookingFromDatabase,
   manualCleanupExpiredBookings,
+  getBookingRefunds,
+  retryRefund,
+  completeRefund,
+  getPaymentQuote,
+  getBookingPaymentEvents,
+  replayPaymentEvent,
+  downloadReceipt,
+  downloadBookingDocument,
+  previewBookingSeries,
+  createBookingSeries,
+  getBookingSeries,
+  updateBookingSeriesStatus,
+  createBookingGroup,
+  getBookingGroup,
+  updateBookingGroupStatus,
   // US-LOCK-004 Optimized endpoints
   getBookingLockMonitoringReport,
   clearBookingOptimizationCache
@@ -1,90 +1,28 @@
 const ClickMerchantApiService = require("../services/clickMerchantApiService");
 const EnhancedClickService = require("../services/enhancedClickService");
+const PaymentService = require("../services/paymentService");
 const { getUserDataFromToken } = require("../middleware/auth");
 const { User, Booking } = require("../models");
 
 /**
- * Creates a Click invoice for the booking using Enhanced Click Service.
+ * Creates a Click invoice for the booking through PaymentService.
  * This is the main payment endpoint that replaces the old checkout method.
  */
 const createPaymentInvoice = async (req, res) => {
   try {
     const userData = await getUserDataFromToken(req);
     const { bookingId, clickPhoneNumber } = req.body;
-    
-    if (!bookingId) {
-      return res.status(400).json({ 
-        error: "Booking ID is required" 
-      });
-    }
-
-    const userId = userData.id;
-
-    // Verify user exists
-    const user = await User.findByPk(userId);
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
-
-    // Verify booking exists and belongs to user
-    const booking = await Booking.findByPk(bookingId);
-    if (!booking) {
-      return res.status(404).json({ error: "Booking not found" });
-    }
-
-    if (booking.userId !== userId) {
-      return res.status(403).json({ 
-        error: "Access denied. You can only create payment invoices for your own bookings" 
-      });
-    }
-
-    // Use the provided Click phone number or fall back to saved Click phone or user's phone number
-    const phoneForPayment = clickPhoneNumber || user.clickPhoneNumber || user.phoneNumber || user.telegramPhone;
-    
-    if (!phoneForPayment) {
-      return res.status(400).json({
-        error: "Phone number is required for Click payments. Please provide your Click account phone number."
-      });
-    }
-
-    // If user provided a different Click phone number, save it for future use
-    if (clickPhoneNumber && clickPhoneNumber !== user.clickPhoneNumber) {
-      await User.update(
-        { clickPhoneNumber: clickPhoneNumber },
-        { where: { id: userId } }
-      );
-    }
-
-    // Use Enhanced Click Service to create invoice
-    const enhancedClickService = new EnhancedClickService();
-    const result = await enhancedClickService.createPaymentInvoice({
-      bookingId: bookingId,
-      userPhone: phoneForPayment
-    });
-
-    if (!result.success) {
-      return res.status(400).json({
-        error: "Failed to create payment invoice",
-        details: result.error
-      });
-    }
 
-    res.json({ 
-      success: true,
-      url: result.paymentUrl, // Frontend expects 'url'
-      invoiceId: result.invoiceId,
-      paymentUrl: result.paymentUrl, // Keep backward compatibility
-      amount: result.amount,
-      bookingId: bookingId,
-      merchantTransId: result.merchantTransId,
-      alreadyExists: result.alreadyExists || false
+    const result = await PaymentService.createPayment(bookingId, 'click', userData, {
+      phoneNumber: clickPhoneNumber
     });
-    
+    res.json(result);
   } catch (error) {
     console.error("💥 Create payment invoice exception:", error);
-    res.status(500).json({ 
-      error: "Failed to create payment invoice",
-      details: error.message
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to create payment invoice",
+      ...(error.heldUntil && { heldUntil: error.heldUntil }),
+      ...((error.details || !error.statusCode) && { details: error.details || error.message })
     });
   }
 };
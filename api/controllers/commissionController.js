@@ -0,0 +1,60 @@
+const CommissionService = require("../services/commissionService");
+
+/**
+ * Global default commission and host/place overrides (agent only)
+ */
+const getCommissionRules = async (req, res) => {
+  try {
+    const rules = await CommissionService.listRules();
+    res.json(rules);
+  } catch (error) {
+    console.error("Error fetching commission rules:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Set the global default or a host/place override (agent only)
+ */
+const saveCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionService.saveRule(req.user, req.body);
+    res.json(rule);
+  } catch (error) {
+    console.error("Error saving commission rule:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Update a commission rule (agent only)
+ */
+const updateCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionService.updateRule(req.params.id, req.user, req.body);
+    res.json(rule);
+  } catch (error) {
+    console.error("Error updating commission rule:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Delete a commission rule (agent only)
+ */
+const deleteCommissionRule = async (req, res) => {
+  try {
+    const result = await CommissionService.deleteRule(req.params.id);
+    res.json(result);
+  } catch (error) {
+    console.error("Error deleting commission rule:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getCommissionRules,
+  saveCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule
+};
@@ -56,20 +56,69 @@ const getAllCurrencies = async (req, res) => {
 
 /**
  * Get exchange rates for a specific base currency
+ * With ?date=YYYY-MM-DD the rates stored for that day (or the latest before it) are returned
  */
 const getExchangeRates = async (req, res) => {
   const { baseCurrency } = req.params;
+  const { date } = req.query;
   
   if (!baseCurrency) {
     return res.status(400).json({ error: "Base currency is required" });
   }
 
   try {
-    const rates = await currencyExchangeService.getExchangeRates(baseCurrency);
-    res.json({ baseCurrency, rates });
+    if (date) {
+      const stored = await currencyExchangeService.getHistoricalRates(baseCurrency, date);
+      if (!stored) {
+        return res.status(404).json({ error: `No exchange rates stored for ${baseCurrency} on or before ${date}` });
+      }
+      return res.json(stored);
+    }
+
+    const snapshot = await currencyExchangeService.getRateSnapshot(baseCurrency);
+    res.json(snapshot);
   } catch (error) {
     console.error("Error fetching exchange rates:", error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * List manual exchange rates (agent only)
+ */
+const getManualRates = async (req, res) => {
+  try {
+    const rates = await currencyExchangeService.listManualRates(req.user, { date: req.query.date });
+    res.json(rates);
+  } catch (error) {
+    console.error("Error fetching manual exchange rates:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Enter or correct a manual exchange rate for a day (agent only)
+ */
+const setManualRate = async (req, res) => {
+  try {
+    const rate = await currencyExchangeService.setManualRate(req.body, req.user);
+    res.json(rate);
+  } catch (error) {
+    console.error("Error saving manual exchange rate:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Delete a manual exchange rate (agent only)
+ */
+const deleteManualRate = async (req, res) => {
+  try {
+    await currencyExchangeService.deleteManualRate(req.params.id, req.user);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting manual exchange rate:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 };
 
@@ -107,5 +156,8 @@ module.exports = {
   updateCurrency,
   getAllCurrencies,
   getExchangeRates,
+  getManualRates,
+  setManualRate,
+  deleteManualRate,
   convertCurrency
 };
\ No newline at end of file
@@ -1,86 +1,15 @@
-const paymeService = require("../services/paymeService");
+const PaymentService = require("../services/paymentService");
+const BookingPaymentService = require("../services/bookingPaymentService");
 const { getUserDataFromToken } = require("../middleware/auth");
-const { PaymeMethod } = require('../enum/transaction.enum')
-const base64 = require('base-64');
 const { User, Booking } = require("../models");
 
 /**
  * PAY
+ * Payme merchant API JSON-RPC endpoint
  */
 const pay = async (req, res) => {
-  let requestId = null; // Define outside try-catch for error handling
-
-  try {
-    const { method, params, id } = req.body;
-    requestId = id; // Store for error handling
-
-    switch (method) {
-      case PaymeMethod.CheckPerformTransaction: {
-        await paymeService.checkPerformTransaction(params, id);
-        return res.json({ result: { allow: true } });
-      }
-      case PaymeMethod.CheckTransaction: {
-        const result = await paymeService.checkTransaction(params, id);
-        return res.json({ result, id });
-      }
-      case PaymeMethod.CreateTransaction: {
-        const result = await paymeService.createTransaction(params, id);
-        return res.json({ result, id });
-      }
-      case PaymeMethod.PerformTransaction: {
-        const result = await paymeService.performTransaction(params, id);
-        return res.json({ result, id });
-      }
-      case PaymeMethod.CancelTransaction: {
-        const result = await paymeService.cancelTransaction(params, id);
-        return res.json({ result, id });
-      }
-      case PaymeMethod.GetStatement: {
-        const result = await paymeService.getStatement(params, id);
-        // result already shaped as { transactions: [...] }
-        return res.json({ result });
-      }
-    }
-  } catch (error) {
-    console.error('Payme webhook error:', error);
-
-    // Handle PaymeTransactionError with proper JSON-RPC format
-    if (error.isTransactionError) {
-      const response = {
-        error: {
-          code: error.transactionErrorCode,
-          message: error.transactionErrorMessage,
-          data: error.transactionData || null
-        },
-        id: error.transactionId || requestId
-      };
-      return res.status(200).json(response); // Payme always expects 200 status
-    }
-
-    // Handle other errors
-    console.error('Error details:', {
-      name: error.name,
-      message: error.message,
-      stack: error.stack,
-      statusCode: error.statusCode
-    });
-
-    // Generic error response in JSON-RPC format
-    const response = {
-      error: {
-        code: -32000, // Server error
-        message: {
-          en: "Internal server error",
-          ru: "Внутренняя ошибка сервера",
-          uz: "Ichki server xatosi"
-        },
-        data: null
-      },
-      id: requestId || null
-    };
-
-    res.status(200).json(response); // Payme always expects 200 status
-  }
+  const { statusCode, body } = await PaymentService.handleWebhook('payme', req);
+  res.status(statusCode).json(body);
 };
 
 /**
@@ -151,10 +80,9 @@ const checkPaymentStatus = async (req, res) => {
 
         // Update booking if not already updated
         if (booking.status !== 'approved' || !booking.paidAt) {
-          await booking.update({
-            status: 'approved',
-            paidAt: paymeTransaction.performDate || new Date(),
-            approvedAt: paymeTransaction.performDate || new Date()
+          await BookingPaymentService.recordPayment(booking, {
+            transaction: paymeTransaction,
+            paidAt: paymeTransaction.performDate
           });
         }
         break;
@@ -216,73 +144,14 @@ const checkout = async (req, res) => {
     const userData = await getUserDataFromToken(req);
     const { bookingId, returnUrl } = req.body;
 
-    const MERCHANT_ID = process.env.PAYME_MERCHANT_ID;
-    if (!MERCHANT_ID) {
-      console.error('PAYME_MERCHANT_ID not configured');
-      return res.status(500).json({ error: "Payment system not configured" });
-    }
-
-    const user = await User.findByPk(userData.id);
-    if (!user) {
-      console.error('User not found:', userData.id);
-      return res.status(404).json({ error: "User not found" });
-    }
-
-    const booking = await Booking.findByPk(bookingId);
-    if (!booking) {
-      console.error('Booking not found:', bookingId);
-      return res.status(404).json({ error: "Booking not found" });
-    }
-
-    // Verify booking belongs to user
-    if (booking.userId !== userData.id) {
-      console.error('Booking access denied:', { bookingId, userId: userData.id, bookingUserId: booking.userId });
-      return res.status(403).json({ error: "Access denied" });
-    }
-
-    // Amount in tiyin (multiply by 100)
-    const amount = Math.round(booking.totalPrice * 100);
-
-    // Create the account parameter for Payme (use order_id for consistency)
-    const account = `order_id=${bookingId}`;
-
-    // Create the base64 encoded parameter
-    const params = `m=${MERCHANT_ID};ac.${account};a=${amount};c=${returnUrl}`;
-    const encodedParams = base64.encode(params);
-
-    // Determine checkout URL based on environment
-    // Production: https://checkout.paycom.uz/
-    // Development/Test: https://checkout.test.paycom.uz/
-    const isProduction = process.env.NODE_ENV === 'production';
-
-    const checkoutBaseUrl = isProduction
-      ? 'https://checkout.paycom.uz'
-      : 'https://checkout.test.paycom.uz';
-
-    const paymentUrl = `${checkoutBaseUrl}/${encodedParams}`;
-
-    console.log('Payme checkout URL generated:', {
-      environment: process.env.NODE_ENV,
-      isProduction,
-      checkoutBaseUrl,
-      merchantId: MERCHANT_ID,
-      bookingId,
-      amount: booking.totalPrice
-    });
-
-    return res.json({
-      success: true,
-      url: paymentUrl,
-      bookingId,
-      amount: booking.totalPrice,
-      isTestMode: !isProduction
-    });
-
+    const result = await PaymentService.createPayment(bookingId, 'payme', userData, { returnUrl });
+    return res.json(result);
   } catch (error) {
     console.error('Payme checkout error:', error);
-    return res.status(500).json({
-      error: "Failed to generate payment link",
-      details: error.message
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to generate payment link",
+      ...(error.heldUntil && { heldUntil: error.heldUntil }),
+      ...(!error.statusCode && { details: error.message })
     });
   }
 };
@@ -0,0 +1,104 @@
+const PayoutService = require("../services/payoutService");
+
+/**
+ * Outstanding payout balances per host and currency (agents: all hosts, hosts: own)
+ */
+const getBalances = async (req, res) => {
+  try {
+    const balances = await PayoutService.getHostBalances(req.user);
+    res.json(balances);
+  } catch (error) {
+    console.error("Error fetching payout balances:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * List payout batches
+ */
+const getBatches = async (req, res) => {
+  try {
+    const batches = await PayoutService.listBatches(req.user);
+    res.json(batches);
+  } catch (error) {
+    console.error("Error fetching payout batches:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Get a payout batch with its items
+ */
+const getBatch = async (req, res) => {
+  try {
+    const batch = await PayoutService.getBatch(req.params.id, req.user);
+    res.json(batch);
+  } catch (error) {
+    console.error("Error fetching payout batch:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Create a settlement batch for a period (agent only)
+ */
+const createBatch = async (req, res) => {
+  try {
+    const batch = await PayoutService.createBatch(req.user, req.body);
+    res.status(201).json(batch);
+  } catch (error) {
+    console.error("Error creating payout batch:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Settle a payout batch, marking its bookings paid to host (agent only)
+ */
+const settleBatch = async (req, res) => {
+  try {
+    const batch = await PayoutService.settleBatch(req.params.id, req.user);
+    res.json(batch);
+  } catch (error) {
+    console.error("Error settling payout batch:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Cancel a pending payout batch (agent only)
+ */
+const cancelBatch = async (req, res) => {
+  try {
+    const batch = await PayoutService.cancelBatch(req.params.id, req.user);
+    res.json(batch);
+  } catch (error) {
+    console.error("Error cancelling payout batch:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Download the CSV payout statement of one host in a batch
+ */
+const downloadHostStatement = async (req, res) => {
+  try {
+    const { filename, content } = await PayoutService.getHostStatement(req.params.id, req.params.hostId, req.user);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    console.error("Error generating payout statement:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getBalances,
+  getBatches,
+  getBatch,
+  createBatch,
+  settleBatch,
+  cancelBatch,
+  downloadHostStatement
+};
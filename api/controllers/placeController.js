@@ -1,10 +1,15 @@
-const { Place, Booking, User } = require('../models');
+const { Place, Booking, User, HostMetric } = require('../models');
 const { getUserDataFromToken } = require('../middleware/auth');
 const Currency = require('../models/currency');
 const { validateRefundOptions, processRefundOptions } = require('../services/refundOptionsService');
+const { validatePricingRules, processPricingRules } = require('../services/pricingRulesService');
+const { validateAddOns, processAddOns } = require('../services/addOnsService');
+const BookingPaymentService = require('../services/bookingPaymentService');
 const PlaceAvailabilityService = require('../services/placeAvailabilityService');
 const PlaceRatingService = require('../services/placeRatingService');
 const OptimizedPlaceService = require('../services/optimizedPlaceService');
+const BookingGroupService = require('../services/bookingGroupService');
+const { HOST_METRIC_ATTRIBUTES } = require('../services/hostMetricsService');
 
 // Create optimized place service instance for US-LOCK-002
 const optimizedPlaceService = new OptimizedPlaceService();
@@ -21,7 +26,8 @@ const createPlace = async (req, res) => {
     youtubeLink, matterportLink, lat, lng, currencyId, cooldown,
     fullDayHours, fullDayDiscountPrice, minimumHours,
     blockedWeekdays, blockedDates, weekdayTimeSlots,
-    squareMeters, isHotel, hostId, refundOptions
+    squareMeters, isHotel, hostId, refundOptions, pricingRules, addOns,
+    depositPercentage, balanceDueHours
   } = req.body;
 
   try {
@@ -36,6 +42,24 @@ const createPlace = async (req, res) => {
       return res.status(422).json({ error: refundValidation.error });
     }
 
+    // Validate dynamic pricing rules using service
+    const pricingRulesValidation = validatePricingRules(pricingRules);
+    if (!pricingRulesValidation.isValid) {
+      return res.status(422).json({ error: pricingRulesValidation.error });
+    }
+
+    // Validate add-on catalog using service
+    const addOnsValidation = validateAddOns(addOns);
+    if (!addOnsValidation.isValid) {
+      return res.status(422).json({ error: addOnsValidation.error });
+    }
+
+    // Validate deposit terms using service
+    const depositValidation = BookingPaymentService.validateDepositTerms({ depositPercentage, balanceDueHours });
+    if (!depositValidation.isValid) {
+      return res.status(422).json({ error: depositValidation.error });
+    }
+
     // Get userData from middleware (set by isAuthenticated middleware)
     const userData = req.userData || req.user;
     
@@ -173,6 +197,10 @@ const createPlace = async (req, res) => {
       squareMeters: squareMeters ? parseFloat(squareMeters) : null,
       isHotel: Boolean(isHotel),
       refundOptions: processedRefundOptions,
+      pricingRules: processPricingRules(pricingRules),
+      addOns: processAddOns(addOns),
+      depositPercentage: depositValidation.depositPercentage,
+      balanceDueHours: depositValidation.balanceDueHours,
       blockedWeekdays: processedBlockedWeekdays,
       blockedDates: processedBlockedDates,
       weekdayTimeSlots: processedWeekdayTimeSlots
@@ -244,6 +272,19 @@ const getPlaceById = async (req, res) => {
   }
 };
 
+/**
+ * Get other places of the same host that can be booked together with a place
+ */
+const getGroupRooms = async (req, res) => {
+  try {
+    const rooms = await BookingGroupService.getGroupableRooms(parseInt(req.params.id, 10));
+    res.json(rooms);
+  } catch (error) {
+    console.error("Error fetching group rooms:", error);
+    res.status(error.statusCode || 422).json({ error: error.message });
+  }
+};
+
 /**
  * Get a specific booking for a place
  */
@@ -268,7 +309,8 @@ const updatePlace = async (req, res) => {
     price, startDate, endDate, youtubeLink, matterportLink, lat, lng,
     currencyId, cooldown, fullDayHours, fullDayDiscountPrice,
     minimumHours, blockedWeekdays, blockedDates, weekdayTimeSlots,
-    squareMeters, isHotel, refundOptions
+    squareMeters, isHotel, refundOptions, pricingRules, addOns,
+    depositPercentage, balanceDueHours
   } = req.body;
   
   try {
@@ -280,6 +322,28 @@ const updatePlace = async (req, res) => {
       }
     }
 
+    // Validate dynamic pricing rules if provided
+    if (pricingRules !== undefined) {
+      const pricingRulesValidation = validatePricingRules(pricingRules);
+      if (!pricingRulesValidation.isValid) {
+        return res.status(422).json({ error: pricingRulesValidation.error });
+      }
+    }
+
+    // Validate add-on catalog if provided
+    if (addOns !== undefined) {
+      const addOnsValidation = validateAddOns(addOns);
+      if (!addOnsValidation.isValid) {
+        return res.status(422).json({ error: addOnsValidation.error });
+      }
+    }
+
+    // Validate deposit terms if provided
+    const depositValidation = BookingPaymentService.validateDepositTerms({ depositPercentage, balanceDueHours });
+    if (!depositValidation.isValid) {
+      return res.status(422).json({ error: depositValidation.error });
+    }
+
     // Get userData from middleware (set by isAuthenticated middleware)
     const userData = req.userData || req.user;
     
@@ -409,6 +473,24 @@ const updatePlace = async (req, res) => {
       place.refundOptions = processRefundOptions(refundOptions);
     }
     
+    // Update dynamic pricing rules if provided (null clears them)
+    if (pricingRules !== undefined) {
+      place.pricingRules = processPricingRules(pricingRules);
+    }
+
+    // Update add-on catalog if provided (null clears it)
+    if (addOns !== undefined) {
+      place.addOns = processAddOns(addOns);
+    }
+
+    // Update deposit terms if provided (empty percentage turns the deposit off)
+    if (depositPercentage !== undefined) {
+      place.depositPercentage = depositValidation.depositPercentage;
+    }
+    if (balanceDueHours !== undefined) {
+      place.balanceDueHours = depositValidation.balanceDueHours;
+    }
+    
     // Validate currencyId exists in the database before updating
     if (currencyId) {
       // Try to parse as an integer
@@ -817,7 +899,12 @@ const getAllPlaces = async (req, res) => {
         {
           model: User,
           as: 'owner',
-          attributes: ['id', 'name', 'email']
+          attributes: ['id', 'name', 'email'],
+          include: [{
+            model: HostMetric,
+            as: 'hostMetrics',
+            attributes: HOST_METRIC_ATTRIBUTES
+          }]
         },
         {
           model: Currency,
@@ -889,6 +976,7 @@ module.exports = {
   getUserPlaces,
   getPlaceById,
   getBookingForPlace,
+  getGroupRooms,
   updatePlace,
   getHomePlaces,
   deletePlace,
@@ -0,0 +1,60 @@
+const PromoCodeService = require("../services/promoCodeService");
+
+/**
+ * List promo codes with usage counts (agent only)
+ */
+const getPromoCodes = async (req, res) => {
+  try {
+    const promoCodes = await PromoCodeService.listPromoCodes();
+    res.json(promoCodes);
+  } catch (error) {
+    console.error("Error fetching promo codes:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Create a promo code (agent only)
+ */
+const createPromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCodeService.createPromoCode(req.user, req.body);
+    res.status(201).json(promoCode);
+  } catch (error) {
+    console.error("Error creating promo code:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Update a promo code (agent only)
+ */
+const updatePromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCodeService.updatePromoCode(req.params.id, req.body);
+    res.json(promoCode);
+  } catch (error) {
+    console.error("Error updating promo code:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Delete a promo code (agent only)
+ */
+const deletePromoCode = async (req, res) => {
+  try {
+    const result = await PromoCodeService.deletePromoCode(req.params.id);
+    res.json(result);
+  } catch (error) {
+    console.error("Error deleting promo code:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+};
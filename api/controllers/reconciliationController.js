@@ -0,0 +1,68 @@
+const ReconciliationService = require("../services/reconciliationService");
+
+/**
+ * List reconciliation runs (agent only)
+ */
+const getRuns = async (req, res) => {
+  try {
+    const runs = await ReconciliationService.listRuns(req.user);
+    res.json(runs);
+  } catch (error) {
+    console.error("Error fetching reconciliation runs:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Get a reconciliation run with its items (agent only)
+ */
+const getRun = async (req, res) => {
+  try {
+    const run = await ReconciliationService.getRun(req.params.id, req.user);
+    res.json(run);
+  } catch (error) {
+    console.error("Error fetching reconciliation run:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Import a provider statement CSV (multipart field "statement") and reconcile it (agent only)
+ */
+const importStatement = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "Statement file is required" });
+    }
+
+    const run = await ReconciliationService.importStatement(req.user, {
+      ...req.body,
+      filename: req.file.originalname,
+      content: req.file.buffer.toString("utf8")
+    });
+    res.status(201).json(run);
+  } catch (error) {
+    console.error("Error importing provider statement:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Resolve a flagged reconciliation item with an audit note (agent only)
+ */
+const resolveItem = async (req, res) => {
+  try {
+    const result = await ReconciliationService.resolveItem(req.params.id, req.user, req.body);
+    res.json(result);
+  } catch (error) {
+    console.error("Error resolving reconciliation item:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getRuns,
+  getRun,
+  importStatement,
+  resolveItem
+};
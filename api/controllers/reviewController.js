@@ -1,18 +1,47 @@
-const { Op } = require("sequelize");
+const { Op, Sequelize } = require("sequelize");
 const { Review, ReviewReply, ReviewHelpful, ReviewReport, User, Place, Booking } = require("../models");
 const PlaceRatingService = require("../services/placeRatingService");
 const ReviewNotificationService = require("../services/reviewNotificationService");
 const ReviewEligibilityService = require("../services/reviewEligibilityService");
+const ReviewModerationService = require("../services/reviewModerationService");
+const { uploadFiles, deleteUploadedFiles } = require("../middleware/uploads");
 const {
   validateReviewCreation,
+  validateCategoryRatings,
+  normalizeCategoryRatings,
   validateReviewReply,
   validateReviewReport,
   validateReviewStatus,
   validateUserAuthorization,
   isUserAdmin,
-  isPlaceOwner
+  isPlaceOwner,
+  VALIDATION_RULES
 } = require("../services/reviewValidationService");
 
+const REVIEW_PHOTO_FOLDER = "conferencehub/reviews";
+const GUEST_PHOTOS_LIMIT = 24;
+
+// Multipart submissions send nested fields as JSON strings
+const parseJsonField = (value) => {
+  if (typeof value !== "string") {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Photos follow the review moderation status: only approved reviews show them
+const withModeratedPhotos = (review) => {
+  const data = review.toJSON();
+  if (data.status !== "approved") {
+    data.photos = [];
+  }
+  return data;
+};
+
 /**
  * Review Controller
  * Implements SOLID principles with single responsibility for each method
@@ -23,15 +52,22 @@ const {
 /**
  * Create new review
  * POST /api/reviews
- * Requires authentication and completed booking with one review per booking
+ * Requires authentication and completed booking with one review per booking.
+ * Accepts JSON, or multipart with up to VALIDATION_RULES.PHOTOS.MAX_COUNT files in
+ * "photos". ReviewModerationService decides whether the review is approved, waits
+ * for an agent, or is hidden; a review with photos always waits for an agent.
  */
 const createReview = async (req, res) => {
+  // Photos uploaded for a review that is not saved yet
+  let uploadedPhotos = [];
   try {
     const { placeId, bookingId, rating, comment } = req.body;
+    const categoryRatings = parseJsonField(req.body.categoryRatings);
+    const photoFiles = req.files || [];
     const userId = req.user.id;
 
     // Validate review data using validation service
-    const validation = validateReviewCreation({ placeId, rating, comment });
+    const validation = validateReviewCreation({ placeId, rating, comment, categoryRatings });
     if (!validation.isValid) {
       return res.status(400).json({
         ok: false,
@@ -39,6 +75,16 @@ const createReview = async (req, res) => {
       });
     }
 
+    // Authors suspended after upheld reports cannot post until the suspension ends
+    const author = await User.findByPk(userId, { attributes: ["id", "reviewsSuspendedUntil"] });
+    if (author?.reviewsSuspendedUntil && new Date(author.reviewsSuspendedUntil) > new Date()) {
+      return res.status(403).json({
+        ok: false,
+        error: "You cannot post reviews until your suspension ends",
+        suspendedUntil: author.reviewsSuspendedUntil
+      });
+    }
+
     // Validate that bookingId is provided
     if (!bookingId) {
       return res.status(400).json({
@@ -88,15 +134,41 @@ const createReview = async (req, res) => {
       });
     }
 
+    // Score the review before anything is uploaded or stored
+    const assessment = await ReviewModerationService.assessReview({
+      userId,
+      placeId,
+      comment,
+      photos: photoFiles
+    });
+
+    // Scoring only sets the status and visibility, it never rejects; photos are uploaded
+    // for every review before its row is stored and removed again if storing fails
+    if (photoFiles.length > 0) {
+      try {
+        const uploaded = await uploadFiles(photoFiles, { folder: REVIEW_PHOTO_FOLDER });
+        uploadedPhotos = uploaded.map(({ url, publicId }) => ({ url, publicId }));
+      } catch (error) {
+        console.error("Error uploading review photos:", error);
+        return res.status(500).json({
+          ok: false,
+          error: "Failed to upload photos"
+        });
+      }
+    }
+
     // Create review with validated data and booking reference
     const review = await Review.create({
       userId,
       placeId,
       bookingId,
       rating,
+      categoryRatings: normalizeCategoryRatings(categoryRatings),
       comment: comment ? comment.trim() : null,
-      status: "approved" // Auto-approve all reviews
+      photos: uploadedPhotos,
+      ...ReviewModerationService.toModerationFields(assessment)
     });
+    uploadedPhotos = [];
 
     // Fetch created review with user data
     const createdReview = await Review.findByPk(review.id, {
@@ -116,9 +188,11 @@ const createReview = async (req, res) => {
       console.error("Error updating place rating:", error);
     }
 
-    // Create notification for place owner
+    // Create notification for place owner, unless the review was hidden
     try {
-      await ReviewNotificationService.createReviewNotification(createdReview);
+      if (createdReview.isVisible) {
+        await ReviewNotificationService.createReviewNotification(createdReview);
+      }
     } catch (error) {
       console.error("Error creating review notification:", error);
       // Don't fail the request if notification creation fails
@@ -131,6 +205,7 @@ const createReview = async (req, res) => {
 
   } catch (error) {
     console.error("Error creating review:", error);
+    await deleteUploadedFiles(uploadedPhotos.map(photo => photo.publicId));
     res.status(500).json({
       ok: false,
       error: "Failed to create review"
@@ -200,6 +275,8 @@ const getReviewsForPlace = async (req, res) => {
         {
           model: ReviewReply,
           as: "Reply",
+          where: { isVisible: true },
+          required: false,
           include: [
             {
               model: User,
@@ -224,7 +301,7 @@ const getReviewsForPlace = async (req, res) => {
         },
         isVisible: true
       },
-      attributes: ["rating"]
+      attributes: ["rating", "categoryRatings"]
     });
 
     const totalReviews = allReviews.length;
@@ -248,10 +325,11 @@ const getReviewsForPlace = async (req, res) => {
 
     res.json({
       ok: true,
-      reviews,
+      reviews: reviews.map(withModeratedPhotos),
       totalReviews,
       averageRating: parseFloat(averageRating.toFixed(1)),
       ratingBreakdown,
+      categoryRatings: PlaceRatingService.calculateCategoryRatings(allReviews),
       pagination: {
         currentPage: page,
         totalPages,
@@ -270,6 +348,65 @@ const getReviewsForPlace = async (req, res) => {
   }
 };
 
+/**
+ * Get guest photos for a place
+ * GET /api/reviews/place/:placeId/photos
+ * Public endpoint; photos of approved, visible reviews, newest first
+ */
+const getPlacePhotos = async (req, res) => {
+  try {
+    const { placeId } = req.params;
+
+    const place = await Place.findByPk(placeId, { attributes: ["id"] });
+    if (!place) {
+      return res.status(404).json({
+        ok: false,
+        error: "Place not found"
+      });
+    }
+
+    const reviews = await Review.findAll({
+      where: {
+        placeId,
+        status: "approved",
+        isVisible: true,
+        [Op.and]: Sequelize.literal(`JSONB_ARRAY_LENGTH("Review"."photos") > 0`)
+      },
+      attributes: ["id", "rating", "photos", "created_at"],
+      include: [
+        {
+          model: User,
+          as: "User",
+          attributes: ["id", "name"]
+        }
+      ],
+      order: [["created_at", "DESC"]]
+    });
+
+    const photos = reviews
+      .flatMap(review => review.photos.map(photo => ({
+        url: photo.url,
+        reviewId: review.id,
+        rating: review.rating,
+        authorName: review.User?.name || null,
+        createdAt: review.created_at
+      })))
+      .slice(0, GUEST_PHOTOS_LIMIT);
+
+    res.json({
+      ok: true,
+      photos
+    });
+
+  } catch (error) {
+    console.error("Error getting place photos:", error);
+    res.status(500).json({
+      ok: false,
+      error: "Failed to get photos"
+    });
+  }
+};
+
 /**
  * Get user's reviews
  * GET /api/reviews/user/:userId
@@ -299,6 +436,8 @@ const getUserReviews = async (req, res) => {
         {
           model: ReviewReply,
           as: "Reply",
+          where: { isVisible: true },
+          required: false,
           include: [
             {
               model: User,
@@ -333,7 +472,7 @@ const getUserReviews = async (req, res) => {
 const updateReview = async (req, res) => {
   try {
     const { reviewId } = req.params;
-    const { status, isVisible, adminNotes, rating, comment } = req.body;
+    const { status, isVisible, adminNotes, rating, comment, categoryRatings } = req.body;
 
     // Validate status using validation service (US-R003 compliant)
     if (status) {
@@ -356,6 +495,14 @@ const updateReview = async (req, res) => {
       }
     }
 
+    const categoryErrors = validateCategoryRatings(categoryRatings);
+    if (categoryErrors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: categoryErrors.join(", ")
+      });
+    }
+
     const review = await Review.findByPk(reviewId);
     if (!review) {
       return res.status(404).json({
@@ -370,6 +517,7 @@ const updateReview = async (req, res) => {
       ...(typeof isVisible === "boolean" && { isVisible }),
       ...(adminNotes !== undefined && { adminNotes }),
       ...(rating !== undefined && { rating }),
+      ...(categoryRatings !== undefined && { categoryRatings: normalizeCategoryRatings(categoryRatings) }),
       ...(comment !== undefined && { comment: comment.trim() }),
       updatedAt: new Date()
     });
@@ -385,7 +533,7 @@ const updateReview = async (req, res) => {
     });
 
     // Update place rating if rating or status/visibility changed (US-R010 requirement)
-    if (rating !== undefined || status || typeof isVisible === "boolean") {
+    if (rating !== undefined || categoryRatings !== undefined || status || typeof isVisible === "boolean") {
       try {
         await PlaceRatingService.calculateAndUpdateRating(review.placeId);
       } catch (error) {
@@ -557,6 +705,17 @@ const reportReview = async (req, res) => {
     // Increment report count on review
     await review.increment("reportCount");
 
+    // Re-score with the open reports; enough of them hide the review
+    try {
+      const { hidden } = await ReviewModerationService.applyReports(review);
+      if (hidden) {
+        await PlaceRatingService.calculateAndUpdateRating(review.placeId);
+      }
+    } catch (error) {
+      console.error("Error applying review reports to moderation:", error);
+      // Don't fail the request; the report is stored for an agent either way
+    }
+
     res.status(201).json({
       ok: true,
       message: "Review reported successfully",
@@ -630,11 +789,13 @@ const replyToReview = async (req, res) => {
       });
     }
 
-    // Create reply
+    // Create reply with the result of the automated checks
+    const assessment = await ReviewModerationService.assessReply({ userId, replyText });
     const reply = await ReviewReply.create({
       reviewId,
       userId,
-      replyText: replyText.trim()
+      replyText: replyText.trim(),
+      ...ReviewModerationService.toModerationFields(assessment)
     });
 
     // Fetch created reply with user data
@@ -648,9 +809,11 @@ const replyToReview = async (req, res) => {
       ]
     });
 
-    // Create notification for original reviewer (US-R011 requirement)
+    // Create notification for original reviewer (US-R011 requirement), unless the reply was hidden
     try {
-      await ReviewNotificationService.createReplyNotification(createdReply);
+      if (createdReply.isVisible) {
+        await ReviewNotificationService.createReplyNotification(createdReply);
+      }
     } catch (error) {
       console.error("Error creating reply notification:", error);
       // Don't fail the request if notification creation fails
@@ -680,7 +843,7 @@ const getReviewReplies = async (req, res) => {
     const { reviewId } = req.params;
 
     const replies = await ReviewReply.findAll({
-      where: { reviewId },
+      where: { reviewId, isVisible: true },
       include: [
         {
           model: User,
@@ -749,6 +912,7 @@ const getAllReviewsForAdmin = async (req, res) => {
       startDate,
       endDate,
       search,
+      status,
       sortBy = "newest"
     } = req.query;
     // Validate pagination parameters
@@ -770,6 +934,10 @@ const getAllReviewsForAdmin = async (req, res) => {
       case "lowest": // Keep backward compatibility
         orderBy = [["rating", "ASC"], ["created_at", "DESC"]];
         break;
+      case "risk":
+        // Highest automated moderation score first
+        orderBy = [["moderationScore", "DESC"], ["created_at", "DESC"]];
+        break;
       case "newest":
       default:
         orderBy = [["created_at", "DESC"]];
@@ -782,8 +950,16 @@ const getAllReviewsForAdmin = async (req, res) => {
     const whereConditions = {};
     const includeConditions = [];
 
-    // Only show approved reviews (all reviews are auto-approved)
-    whereConditions.status = "approved";
+    // Status filter - reviews with photos wait as pending until an agent approves them
+    if (status && status !== "all") {
+      if (!VALIDATION_RULES.REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({
+          ok: false,
+          error: `Invalid status. Must be one of: ${VALIDATION_RULES.REVIEW_STATUSES.join(", ")}`
+        });
+      }
+      whereConditions.status = status;
+    }
 
     // Rating filter
     if (rating && rating !== "all") {
@@ -866,6 +1042,12 @@ const getAllReviewsForAdmin = async (req, res) => {
             as: "Place",
             attributes: ["id", "title", "photos"]
           },
+          {
+            // Hidden replies included, agents moderate them here
+            model: ReviewReply,
+            as: "Reply",
+            required: false
+          },
           reportsInclude
         ],
         order: orderBy,
@@ -889,6 +1071,12 @@ const getAllReviewsForAdmin = async (req, res) => {
             as: "Place",
             attributes: ["id", "title", "photos"]
           },
+          {
+            // Hidden replies included, agents moderate them here
+            model: ReviewReply,
+            as: "Reply",
+            required: false
+          },
           reportsInclude
         ],
         order: orderBy,
@@ -1009,9 +1197,13 @@ const updateReply = async (req, res) => {
       });
     }
 
-    // Update reply
+    // Update reply and check the new text; a reply an agent rejected stays rejected
+    const assessment = await ReviewModerationService.assessReply({ userId, replyText });
+    const { status, isVisible, ...scoreFields } = ReviewModerationService.toModerationFields(assessment);
     await existingReply.update({
       replyText: replyText.trim(),
+      ...scoreFields,
+      ...(existingReply.status !== "rejected" && { status, isVisible }),
       updatedAt: new Date()
     });
 
@@ -1105,9 +1297,57 @@ const getEligibleBookings = async (req, res) => {
   }
 };
 
+/**
+ * Moderate a host reply
+ * PUT /api/reviews/:reviewId/reply/status
+ * Admin only; approve, reject, show or hide a reply the automated checks held back
+ */
+const moderateReply = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const { status, isVisible } = req.body;
+
+    if (status) {
+      const validation = validateReviewStatus(status);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          ok: false,
+          error: validation.errors.join(", ")
+        });
+      }
+    }
+
+    const reply = await ReviewReply.findOne({ where: { reviewId } });
+    if (!reply) {
+      return res.status(404).json({
+        ok: false,
+        error: "Reply not found"
+      });
+    }
+
+    await reply.update({
+      ...(status && { status }),
+      ...(typeof isVisible === "boolean" && { isVisible })
+    });
+
+    res.json({
+      ok: true,
+      reply
+    });
+
+  } catch (error) {
+    console.error("Error moderating reply:", error);
+    res.status(500).json({
+      ok: false,
+      error: "Failed to update reply"
+    });
+  }
+};
+
 module.exports = {
   createReview,
   getReviewsForPlace,
+  getPlacePhotos,
   getUserReviews,
   updateReview,
   deleteReview,
@@ -1118,6 +1358,7 @@ module.exports = {
   getHelpfulStatus,
   getAllReviewsForAdmin,
   updateReply,
+  moderateReply,
   checkReviewEligibility,
   getEligibleBookings
 };
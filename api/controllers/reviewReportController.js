@@ -0,0 +1,36 @@
+const ReviewReportService = require("../services/reviewReportService");
+
+/**
+ * Reported reviews grouped by review, filtered by report status (agent only)
+ * GET /api/reviews/reports?status=pending&page=1&limit=20
+ */
+const getReportQueue = async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const result = await ReviewReportService.getReportQueue(req.user, { status, page, limit });
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error("Error fetching review report queue:", error);
+    res.status(error.statusCode || 500).json({ ok: false, error: error.message });
+  }
+};
+
+/**
+ * Dismiss the open reports of a review, or uphold them by hiding the review
+ * and optionally warning or suspending its author (agent only)
+ * POST /api/reviews/:reviewId/reports/resolve
+ */
+const resolveReports = async (req, res) => {
+  try {
+    const result = await ReviewReportService.resolveReports(req.params.reviewId, req.user, req.body);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error("Error resolving review reports:", error);
+    res.status(error.statusCode || 500).json({ ok: false, error: error.message });
+  }
+};
+
+module.exports = {
+  getReportQueue,
+  resolveReports
+};
@@ -6,6 +6,8 @@ const jwt = require("jsonwebtoken");
 const authConfig = require("../config/auth");
 const { getUserDataFromToken } = require("../middleware/auth");
 const phoneVerificationService = require("../services/phoneVerificationService");
+const PayoutService = require("../services/payoutService");
+const HostMetricsService = require("../services/hostMetricsService");
 
 /**
  * Get the current user's profile
@@ -588,6 +590,20 @@ const getStatistics = async (req, res) => {
         percentage: totalApprovedReviews > 0 ? Math.round((parseInt(item.dataValues.count) / totalApprovedReviews) * 100) : 0
       }));
 
+      // Average of each rating category over the approved reviews that rated it
+      const categoryRatings = await sequelize.query(`
+        SELECT 
+          cr.key as category,
+          AVG(cr.value::numeric) as average,
+          COUNT(*) as count
+        FROM reviews r
+        CROSS JOIN LATERAL jsonb_each_text(r.category_ratings) cr
+        WHERE r.status = 'approved' AND r.category_ratings IS NOT NULL
+        GROUP BY cr.key
+      `, {
+        type: sequelize.QueryTypes.SELECT
+      });
+
       // Review moderation statistics
       const moderationStats = await Review.findAll({
         attributes: [
@@ -644,6 +660,11 @@ const getStatistics = async (req, res) => {
           mostActiveReviewers,
           averageHostReplyTime: avgReplyTime[0]?.avg_hours ? parseFloat(avgReplyTime[0].avg_hours).toFixed(1) : null,
           ratingDistribution: ratingDistributionWithPercentages,
+          categoryRatings: categoryRatings.map(item => ({
+            category: item.category,
+            average: parseFloat(item.average).toFixed(2),
+            count: parseInt(item.count)
+          })),
           moderationStats: moderationStats.map(item => ({
             status: item.status,
             count: parseInt(item.dataValues.count)
@@ -671,6 +692,7 @@ const getStatistics = async (req, res) => {
           mostActiveReviewers: [],
           averageHostReplyTime: null,
           ratingDistribution: [],
+          categoryRatings: [],
           moderationStats: [],
           reviewReplyStats: [],
           recentActivity: 0
@@ -1379,6 +1401,12 @@ const getHostStatistics = async (req, res) => {
       };
     }));
 
+    // Gross, platform commission and net earnings per currency
+    const earnings = await PayoutService.getHostEarnings(userData.id);
+
+    // Reputation figures from the last scheduled refresh
+    const reputation = await HostMetricsService.getSummary(userData.id);
+
     res.json({
       places: placesStats,
       bookings: bookingStats,
@@ -1386,12 +1414,14 @@ const getHostStatistics = async (req, res) => {
         total: totalRevenue,
         monthly: monthlyRevenue
       },
+      earnings: earnings,
       reviews: reviewStats,
       occupancyRate: occupancyRate,
       totalBookingDays: totalBookingDays,
       recentBookings: recentBookings,
       hostPlaces: hostPlaces,
-      spacePerformance: spacePerformance
+      spacePerformance: spacePerformance,
+      reputation: reputation
     });
 
   } catch (error) {
@@ -0,0 +1,60 @@
+const WaitlistService = require("../services/waitlistService");
+
+/**
+ * Join the waitlist for a taken date/time range of a place (client only)
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistService.joinWaitlist(req.user, req.body);
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error("Error joining waitlist:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * List the client's open waitlist entries, optionally for one place
+ */
+const getMyWaitlistEntries = async (req, res) => {
+  try {
+    const entries = await WaitlistService.getUserEntries(req.user, { placeId: req.query.placeId });
+    res.json(entries);
+  } catch (error) {
+    console.error("Error fetching waitlist entries:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Look up an open claim from a waitlist claim link
+ */
+const getWaitlistClaim = async (req, res) => {
+  try {
+    const entry = await WaitlistService.getClaim(req.params.token, req.user);
+    res.json(entry);
+  } catch (error) {
+    console.error("Error fetching waitlist claim:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Leave the waitlist
+ */
+const leaveWaitlist = async (req, res) => {
+  try {
+    const result = await WaitlistService.leaveWaitlist(req.params.id, req.user);
+    res.json(result);
+  } catch (error) {
+    console.error("Error leaving waitlist:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlistEntries,
+  getWaitlistClaim,
+  leaveWaitlist
+};
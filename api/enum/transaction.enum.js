@@ -33,6 +33,7 @@ exports.PaymeMethod = {
 	PerformTransaction: 'PerformTransaction',
 	CancelTransaction: 'CancelTransaction',
 	GetStatement: 'GetStatement',
+	SetFiscalData: 'SetFiscalData',
 };
 
 exports.PaymeError = {
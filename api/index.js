@@ -15,7 +15,23 @@ const {
   ReviewHelpful,
   ReviewReport,
   Notification,
-  UserFavorite 
+  UserFavorite,
+  Refund,
+  BookingSeries,
+  BookingHold,
+  PromoCode,
+  BookingGroup,
+  WaitlistEntry,
+  PayoutBatch,
+  PayoutItem,
+  CommissionRule,
+  FiscalReceipt,
+  ReconciliationRun,
+  ReconciliationItem,
+  PaymentWebhookEvent,
+  ExchangeRate,
+  ReviewReportDecision,
+  HostMetric
 } = require('./models');
 const cookieParser = require("cookie-parser");
 const bodyParser = require("body-parser");
@@ -44,6 +60,11 @@ const reviewRoutes = require('./routes/reviews');
 const octoRoutes = require('./routes/octo');
 const notificationRoutes = require('./routes/notifications');
 const favoritesRoutes = require('./routes/favorites');
+const promoCodeRoutes = require('./routes/promoCodes');
+const waitlistRoutes = require('./routes/waitlist');
+const payoutRoutes = require('./routes/payouts');
+const commissionRoutes = require('./routes/commissions');
+const reconciliationRoutes = require('./routes/reconciliation');
 
 // Import i18n configuration
 const { languageMiddleware } = require('./i18n/config');
@@ -88,6 +109,8 @@ const bcryptSalt = authConfig.bcrypt.generateSalt();
 
 // Import optimized startup manager for US-LOCK-001
 const StartupManager = require('./services/startupManager');
+const HostMetricsService = require('./services/hostMetricsService');
+const BookingPaymentService = require('./services/bookingPaymentService');
 
 // Replace problematic sequelize.sync with optimized sequential initialization
 const startupManager = new StartupManager(sequelize, { 
@@ -101,13 +124,31 @@ const startupManager = new StartupManager(sequelize, {
   ReviewHelpful,
   ReviewReport,
   Notification,
-  UserFavorite
+  UserFavorite,
+  Refund,
+  BookingSeries,
+  BookingHold,
+  PromoCode,
+  BookingGroup,
+  WaitlistEntry,
+  PayoutBatch,
+  PayoutItem,
+  CommissionRule,
+  FiscalReceipt,
+  ReconciliationRun,
+  ReconciliationItem,
+  PaymentWebhookEvent,
+  ExchangeRate,
+  ReviewReportDecision,
+  HostMetric
 });
 
 // Initialize application with optimized approach to prevent lock exhaustion
 startupManager.initializeApplication()
   .then((result) => {
     console.log('✅ Application startup completed:', result);
+    HostMetricsService.startScheduledRefresh();
+    BookingPaymentService.startScheduledBalanceCollection();
   })
   .catch(err => {
     console.error('❌ Application startup failed:', err);
@@ -180,6 +221,11 @@ app.use('/api/octo', octoRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/favorites', favoritesRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/commissions', commissionRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
 
 // Serve static files from the client build folder
 // Note: We serve static files even in development mode when deployed to production domain
@@ -69,6 +69,9 @@ const errorHandler = (err, req, res, next) => {
     // Handle unique constraint errors
     err.statusCode = 409;
     err.message = 'This record already exists';
+  } else if (err.name === 'MulterError') {
+    // Too many or too large files in an upload
+    err.statusCode = 400;
   } else if (err.name === 'JsonWebTokenError') {
     err.statusCode = 401;
     err.message = 'Invalid authentication token';
@@ -17,30 +17,42 @@ console.log('Payme middleware initialized:', {
   selectedKey: PAYME_MERCHANT_KEY ? '[PRESENT]' : '[MISSING]'
 });
 
+/**
+ * Whether a Payme callback carries our merchant key in its Basic authorization
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const isPaymeAuthorized = (req) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.split(" ")[1];
+
+  if (!token) {
+    console.error('No authorization token provided');
+    return false;
+  }
+
+  if (!PAYME_MERCHANT_KEY || !base64.decode(token).includes(PAYME_MERCHANT_KEY)) {
+    console.error('Invalid merchant key in authorization');
+    return false;
+  }
+
+  return true;
+};
+
+exports.isPaymeAuthorized = isPaymeAuthorized;
+
 exports.paymeCheckToken = (req, res, next) => {
   try {
     const { id } = req.body;
-    const authHeader = req.headers.authorization;
     
     console.log('Payme webhook auth check:', {
-      hasAuth: !!authHeader,
+      hasAuth: !!req.headers.authorization,
       hasMerchantKey: !!PAYME_MERCHANT_KEY,
       method: req.body.method,
       id: id
     });
 
-    const token = authHeader && authHeader.split(" ")[1];
-
-    if (!token) {
-      console.error('No authorization token provided');
-      throw new PaymeTransactionError(PaymeError.InvalidAuthorization, id);
-    }
-
-    const data = base64.decode(token);
-    console.log('Decoded auth data:', data);
-
-    if (!data.includes(PAYME_MERCHANT_KEY)) {
-      console.error('Invalid merchant key in authorization');
+    if (!isPaymeAuthorized(req)) {
       throw new PaymeTransactionError(PaymeError.InvalidAuthorization, id);
     }
 
@@ -48,6 +60,12 @@ exports.paymeCheckToken = (req, res, next) => {
     next();
   } catch (err) {
     console.error('Payme auth error:', err);
+
+    // Rejected callbacks are kept in the webhook event store too.
+    // Required here: the store reaches this middleware through the Payme adapter
+    const PaymentWebhookService = require("../services/paymentWebhookService");
+    PaymentWebhookService.recordRejected('payme', req, err.message)
+      .catch(storeError => console.error('Error storing rejected Payme callback:', storeError));
     
     // Handle PaymeTransactionError with proper JSON-RPC format
     if (err.isTransactionError) {
@@ -14,6 +14,110 @@ const photoUpload = multer({
   },
 });
 
+/**
+ * Multer configuration for provider statement (CSV) imports, kept in memory and
+ * parsed by the reconciliation service
+ */
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB file size limit
+    files: 1
+  },
+});
+
+/**
+ * Multer configuration for review photos, kept in memory until the review is
+ * validated and only then uploaded with uploadFiles. The route sets how many
+ * photos a review takes.
+ */
+const reviewPhotoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB file size limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype || !file.mimetype.startsWith('image/')) {
+      const error = new Error('Only image files can be attached');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Upload multer files to Cloudinary
+ * All or nothing: when one file fails, the files that did upload are removed
+ * again before the error is rethrown, so no orphans are left in Cloudinary.
+ * @param {Array} files - Files from multer memory storage
+ * @param {Object} options - { folder } to upload into (default 'conferencehub')
+ * @returns {Promise<Array>} - [{ url, publicId, originalname, optimized }]
+ */
+const uploadFiles = async (files, { folder = 'conferencehub' } = {}) => {
+  const uploadPromises = files.map(file => {
+    return new Promise((resolve, reject) => {
+      // Check file size and apply optimization for files over 10MB
+      const isLargeFile = file.size > 10 * 1024 * 1024; // 10MB
+      
+      // Configure upload options based on file size
+      const uploadOptions = {
+        folder,
+        // Apply automatic format delivery and quality optimization for large files
+        ...(isLargeFile && {
+          format: 'auto', // f_auto - automatic format selection
+          quality: 'auto', // q_auto - automatic quality optimization
+          fetch_format: 'auto' // Additional format optimization
+        })
+      };
+      
+      // Create upload stream to Cloudinary
+      const uploadStream = cloudinary.uploader.upload_stream(uploadOptions, (error, result) => {
+        if (error) return reject(error);
+        resolve({ 
+          url: result.secure_url, 
+          publicId: result.public_id,
+          originalname: file.originalname,
+          optimized: isLargeFile // Flag to indicate if file was optimized
+        });
+      });
+      
+      // Pipe the file buffer to the upload stream
+      streamifier.createReadStream(file.buffer).pipe(uploadStream);
+    });
+  });
+
+  const results = await Promise.allSettled(uploadPromises);
+  const failed = results.find(result => result.status === 'rejected');
+
+  if (failed) {
+    await deleteUploadedFiles(
+      results
+        .filter(result => result.status === 'fulfilled')
+        .map(result => result.value.publicId)
+    );
+    throw failed.reason;
+  }
+
+  return results.map(result => result.value);
+};
+
+/**
+ * Remove uploaded files from Cloudinary
+ * Removal is best effort: a failed file is logged and the others are still removed.
+ * @param {Array<string>} publicIds - Cloudinary public IDs
+ * @returns {Promise<void>}
+ */
+const deleteUploadedFiles = async (publicIds = []) => {
+  await Promise.all(publicIds.filter(Boolean).map(async (publicId) => {
+    try {
+      await cloudinary.uploader.destroy(publicId);
+    } catch (error) {
+      console.error(`Error deleting ${publicId} from Cloudinary:`, error.message);
+    }
+  }));
+};
+
 /**
  * Process and upload files to Cloudinary
  * @param {Object} req - Express request object with files from multer
@@ -26,41 +130,9 @@ const uploadToCloudinary = async (req, res, next) => {
       // No files to process, continue to next middleware
       return next();
     }
-    
-    const uploadPromises = req.files.map(file => {
-      return new Promise((resolve, reject) => {
-        // Check file size and apply optimization for files over 10MB
-        const isLargeFile = file.size > 10 * 1024 * 1024; // 10MB
-        
-        // Configure upload options based on file size
-        const uploadOptions = {
-          folder: 'conferencehub',
-          // Apply automatic format delivery and quality optimization for large files
-          ...(isLargeFile && {
-            format: 'auto', // f_auto - automatic format selection
-            quality: 'auto', // q_auto - automatic quality optimization
-            fetch_format: 'auto' // Additional format optimization
-          })
-        };
-        
-        // Create upload stream to Cloudinary
-        const uploadStream = cloudinary.uploader.upload_stream(uploadOptions, (error, result) => {
-          if (error) return reject(error);
-          resolve({ 
-            url: result.secure_url, 
-            publicId: result.public_id,
-            originalname: file.originalname,
-            optimized: isLargeFile // Flag to indicate if file was optimized
-          });
-        });
-        
-        // Pipe the file buffer to the upload stream
-        streamifier.createReadStream(file.buffer).pipe(uploadStream);
-      });
-    });
-    
+
     // Wait for all uploads to complete
-    req.uploadedFiles = await Promise.all(uploadPromises);
+    req.uploadedFiles = await uploadFiles(req.files);
     next();
   } catch (error) {
     console.error('Error uploading files to Cloudinary:', error);
@@ -89,5 +161,9 @@ const photoMiddleware = {
 module.exports = {
   photoMiddleware,
   photoUpload,
+  statementUpload,
+  reviewPhotoUpload,
+  uploadFiles,
+  deleteUploadedFiles,
   uploadToCloudinary
 };
@@ -0,0 +1,114 @@
+/**
+ * Migration: Create refunds table
+ * Purpose: Track refunds issued for cancelled paid bookings, including the
+ * policy calculation that produced the amount and the provider call outcome
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("refunds", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    booking_id: {
+      type: "integer",
+      notNull: true,
+      references: "Bookings(id)",
+      onDelete: "CASCADE",
+      comment: "Cancelled booking being refunded"
+    },
+    user_id: {
+      type: "integer",
+      notNull: true,
+      references: "Users(id)",
+      onDelete: "CASCADE",
+      comment: "Client receiving the refund"
+    },
+    transaction_id: {
+      type: "integer",
+      references: '"Transaction"(id)',
+      onDelete: "SET NULL",
+      comment: "Paid transaction the refund is issued against"
+    },
+    provider: {
+      type: "varchar(20)",
+      notNull: true,
+      check: "provider IN ('payme', 'click', 'octo', 'cash')",
+      comment: "Payment provider used to return the money"
+    },
+    policy: {
+      type: "varchar(50)",
+      comment: "Refund policy from the booking snapshot that was applied"
+    },
+    hours_before_check_in: {
+      type: "float",
+      notNull: true,
+      default: 0,
+      comment: "Hours between cancellation and the first booked time slot"
+    },
+    paid_amount: {
+      type: "float",
+      notNull: true,
+      default: 0
+    },
+    refund_percent: {
+      type: "integer",
+      notNull: true,
+      default: 0
+    },
+    refund_amount: {
+      type: "float",
+      notNull: true,
+      default: 0
+    },
+    currency: {
+      type: "varchar(3)",
+      notNull: true,
+      default: "UZS"
+    },
+    status: {
+      type: "varchar(20)",
+      notNull: true,
+      default: "pending",
+      check: "status IN ('pending', 'processing', 'completed', 'failed', 'manual_required', 'not_refundable')",
+      comment: "Refund lifecycle status"
+    },
+    provider_refund_id: {
+      type: "varchar(255)",
+      comment: "Identifier returned by the provider for the refund operation"
+    },
+    provider_response: {
+      type: "jsonb",
+      comment: "Raw provider response for auditing"
+    },
+    failure_reason: {
+      type: "text"
+    },
+    processed_at: {
+      type: "timestamp with time zone",
+      comment: "When the refund reached a final status"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.createIndex("refunds", "booking_id", {
+    name: "idx_refunds_booking_id"
+  });
+
+  pgm.createIndex("refunds", "status", {
+    name: "idx_refunds_status"
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropTable("refunds", { cascade: true });
+};
@@ -0,0 +1,16 @@
+/**
+ * Migration: Add booking_rescheduled notification type
+ * Hosts are notified when a client moves a booking to new time slots
+ */
+
+exports.up = (pgm) => {
+  pgm.sql(`
+    ALTER TYPE enum_notifications_type 
+    ADD VALUE IF NOT EXISTS 'booking_rescheduled';
+  `);
+};
+
+exports.down = (pgm) => {
+  // Note: PostgreSQL doesn't support removing enum values directly
+  pgm.sql('-- Cannot remove enum values in PostgreSQL. Manual intervention required for rollback.');
+};
@@ -0,0 +1,33 @@
+/**
+ * Migration: Add reschedule tracking fields to bookings table
+ * Supports moving bookings under the reschedule_only refund policy
+ */
+
+exports.up = async (pgm) => {
+  pgm.addColumns('bookings', {
+    rescheduled_at: {
+      type: 'timestamp',
+      notNull: false,
+      comment: 'Timestamp of the most recent reschedule by the client'
+    },
+    reschedule_count: {
+      type: 'integer',
+      notNull: true,
+      default: 0,
+      comment: 'How many times the client has rescheduled this booking'
+    },
+    original_time_slots: {
+      type: 'jsonb',
+      notNull: false,
+      comment: 'Time slots the booking was originally made for, kept after rescheduling'
+    }
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropColumns('bookings', [
+    'rescheduled_at',
+    'reschedule_count',
+    'original_time_slots'
+  ]);
+};
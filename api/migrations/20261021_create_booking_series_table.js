@@ -0,0 +1,104 @@
+/**
+ * Migration: Create booking_series table and link bookings to it
+ * Purpose: Recurring bookings (weekly, bi-weekly, monthly) where each occurrence
+ * is a regular booking that can be approved or rejected together with its series
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("booking_series", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    user_id: {
+      type: "integer",
+      notNull: true,
+      references: "Users(id)",
+      onDelete: "CASCADE",
+      comment: "Client who requested the series"
+    },
+    place_id: {
+      type: "integer",
+      notNull: true,
+      references: "Places(id)",
+      onDelete: "CASCADE"
+    },
+    frequency: {
+      type: "varchar(20)",
+      notNull: true,
+      check: "frequency IN ('weekly', 'biweekly', 'monthly')"
+    },
+    recurrence_rule: {
+      type: "varchar(255)",
+      notNull: true,
+      comment: "RRULE-style description, e.g. FREQ=WEEKLY;INTERVAL=1;COUNT=10"
+    },
+    start_date: {
+      type: "date",
+      notNull: true
+    },
+    until_date: {
+      type: "date"
+    },
+    occurrence_count: {
+      type: "integer"
+    },
+    start_time: {
+      type: "varchar(5)",
+      notNull: true
+    },
+    end_time: {
+      type: "varchar(5)",
+      notNull: true
+    },
+    status: {
+      type: "varchar(20)",
+      notNull: true,
+      default: "pending",
+      check: "status IN ('pending', 'approved', 'rejected', 'cancelled')"
+    },
+    conflicts: {
+      type: "jsonb",
+      notNull: true,
+      default: "[]",
+      comment: "Occurrences skipped at creation with the reason"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.createIndex("booking_series", "place_id", {
+    name: "idx_booking_series_place_id"
+  });
+
+  pgm.createIndex("booking_series", "user_id", {
+    name: "idx_booking_series_user_id"
+  });
+
+  pgm.addColumns("bookings", {
+    series_id: {
+      type: "integer",
+      references: "booking_series(id)",
+      onDelete: "SET NULL",
+      comment: "Recurring series this booking is an occurrence of"
+    }
+  });
+
+  pgm.createIndex("bookings", "series_id", {
+    name: "idx_bookings_series_id"
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropIndex("bookings", "series_id", { name: "idx_bookings_series_id" });
+  pgm.dropColumns("bookings", ["series_id"]);
+  pgm.dropTable("booking_series", { cascade: true });
+};
@@ -0,0 +1,75 @@
+/**
+ * Migration: Create booking_holds table
+ * Purpose: Short-lived slot holds taken when a client opens checkout so two
+ * clients with competing selected bookings cannot pay for the same time slot
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("booking_holds", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    booking_id: {
+      type: "integer",
+      notNull: true,
+      references: "Bookings(id)",
+      onDelete: "CASCADE"
+    },
+    user_id: {
+      type: "integer",
+      notNull: true,
+      references: "Users(id)",
+      onDelete: "CASCADE",
+      comment: "Client who opened checkout"
+    },
+    place_id: {
+      type: "integer",
+      notNull: true,
+      references: "Places(id)",
+      onDelete: "CASCADE"
+    },
+    time_slots: {
+      type: "jsonb",
+      notNull: true,
+      default: "[]",
+      comment: "Copy of the booking time slots at the moment the hold was taken"
+    },
+    status: {
+      type: "varchar(20)",
+      notNull: true,
+      default: "active",
+      check: "status IN ('active', 'converted', 'released', 'expired')"
+    },
+    expires_at: {
+      type: "timestamp with time zone",
+      notNull: true
+    },
+    converted_at: {
+      type: "timestamp with time zone",
+      comment: "When payment was started against this hold"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.createIndex("booking_holds", ["place_id", "status"], {
+    name: "idx_booking_holds_place_status"
+  });
+
+  pgm.createIndex("booking_holds", "booking_id", {
+    name: "idx_booking_holds_booking_id"
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropTable("booking_holds", { cascade: true });
+};
@@ -0,0 +1,19 @@
+/**
+ * Migration: Add pricing_rules to places
+ * Purpose: Host-defined dynamic pricing (time-of-day multipliers, weekday prices,
+ * seasonal prices and last-minute discounts) applied on top of the hourly price
+ */
+
+exports.up = async (pgm) => {
+  pgm.addColumns("Places", {
+    pricing_rules: {
+      type: "jsonb",
+      notNull: false,
+      comment: "Dynamic pricing: time-of-day multipliers, weekday prices, seasons, last-minute discount"
+    }
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropColumns("Places", ["pricing_rules"]);
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration: Add add-on catalog to places and selected add-ons to bookings
+ * Purpose: Hosts offer priced extras (per booking, per hour, per guest) with stock
+ * limits; bookings keep a priced snapshot of the add-ons the client chose
+ */
+
+exports.up = async (pgm) => {
+  pgm.addColumns("Places", {
+    add_ons: {
+      type: "jsonb",
+      notNull: false,
+      comment: "Priced extras offered with the place: [{ id, name, description, unit, price, stock }]"
+    }
+  });
+
+  pgm.addColumns("bookings", {
+    selected_add_ons: {
+      type: "jsonb",
+      notNull: false,
+      comment: "Add-ons chosen by the client, priced at booking time"
+    },
+    add_ons_total: {
+      type: "float",
+      notNull: true,
+      default: 0,
+      comment: "Sum of selected add-on prices, included in finalTotal"
+    }
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropColumns("bookings", ["selected_add_ons", "add_ons_total"]);
+  pgm.dropColumns("Places", ["add_ons"]);
+};
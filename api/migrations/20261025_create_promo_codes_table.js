@@ -0,0 +1,112 @@
+/**
+ * Migration: Create promo_codes table and promo fields on bookings
+ * Purpose: Agent-managed discount codes (percentage or fixed, per-place or
+ * platform-wide) that clients apply when booking; the discount is stored on
+ * the booking and subtracted from finalTotal
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("promo_codes", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    code: {
+      type: "varchar(50)",
+      notNull: true,
+      unique: true,
+      comment: "Code entered by clients, stored uppercase"
+    },
+    description: {
+      type: "varchar(255)"
+    },
+    discount_type: {
+      type: "varchar(20)",
+      notNull: true,
+      check: "discount_type IN ('percentage', 'fixed')"
+    },
+    discount_value: {
+      type: "float",
+      notNull: true,
+      comment: "Percent off (1-100) or a fixed amount in the place currency"
+    },
+    place_id: {
+      type: "integer",
+      references: "Places(id)",
+      onDelete: "CASCADE",
+      comment: "Place the code is limited to; null means platform-wide"
+    },
+    max_uses: {
+      type: "integer",
+      comment: "Total redemptions allowed; null means unlimited"
+    },
+    max_uses_per_user: {
+      type: "integer",
+      comment: "Redemptions allowed per client; null means unlimited"
+    },
+    valid_from: {
+      type: "timestamp with time zone"
+    },
+    valid_until: {
+      type: "timestamp with time zone"
+    },
+    first_booking_only: {
+      type: "boolean",
+      notNull: true,
+      default: false
+    },
+    is_active: {
+      type: "boolean",
+      notNull: true,
+      default: true
+    },
+    created_by: {
+      type: "integer",
+      references: "Users(id)",
+      onDelete: "SET NULL",
+      comment: "Agent who created the code"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.createIndex("promo_codes", "place_id", {
+    name: "idx_promo_codes_place_id"
+  });
+
+  pgm.addColumns("bookings", {
+    promo_code_id: {
+      type: "integer",
+      references: "promo_codes(id)",
+      onDelete: "SET NULL",
+      comment: "Promo code applied to this booking"
+    },
+    promo_code: {
+      type: "varchar(50)",
+      comment: "Code text as entered, kept if the promo code is later deleted"
+    },
+    discount_amount: {
+      type: "float",
+      notNull: true,
+      default: 0,
+      comment: "Promo code discount subtracted from finalTotal"
+    }
+  });
+
+  pgm.createIndex("bookings", "promo_code_id", {
+    name: "idx_bookings_promo_code_id"
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropColumns("bookings", ["promo_code_id", "promo_code", "discount_amount"]);
+  pgm.dropTable("promo_codes", { cascade: true });
+};
@@ -0,0 +1,89 @@
+/**
+ * Migration: Create booking_groups table and link bookings to it
+ * Purpose: Multi-room bookings - several places of one host reserved together,
+ * approved as one request and paid with a single invoice on the primary booking
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("booking_groups", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    user_id: {
+      type: "integer",
+      notNull: true,
+      references: "Users(id)",
+      onDelete: "CASCADE",
+      comment: "Client who requested the group"
+    },
+    host_id: {
+      type: "integer",
+      notNull: true,
+      references: "Users(id)",
+      onDelete: "CASCADE",
+      comment: "Owner of every place in the group"
+    },
+    primary_booking_id: {
+      type: "integer",
+      references: "Bookings(id)",
+      onDelete: "SET NULL",
+      comment: "Booking that carries the group invoice"
+    },
+    status: {
+      type: "varchar(20)",
+      notNull: true,
+      default: "pending",
+      check: "status IN ('pending', 'selected', 'approved', 'rejected', 'cancelled')"
+    },
+    total_price: {
+      type: "float",
+      notNull: true,
+      default: 0,
+      comment: "Sum of the room prices of all bookings in the group"
+    },
+    final_total: {
+      type: "float",
+      notNull: true,
+      default: 0,
+      comment: "Amount invoiced for the whole group"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.createIndex("booking_groups", "user_id", {
+    name: "idx_booking_groups_user_id"
+  });
+
+  pgm.createIndex("booking_groups", "host_id", {
+    name: "idx_booking_groups_host_id"
+  });
+
+  pgm.addColumns("bookings", {
+    group_id: {
+      type: "integer",
+      references: "booking_groups(id)",
+      onDelete: "SET NULL",
+      comment: "Booking group (multi-room booking) this booking belongs to"
+    }
+  });
+
+  pgm.createIndex("bookings", "group_id", {
+    name: "idx_bookings_group_id"
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropIndex("bookings", "group_id", { name: "idx_bookings_group_id" });
+  pgm.dropColumns("bookings", ["group_id"]);
+  pgm.dropTable("booking_groups", { cascade: true });
+};
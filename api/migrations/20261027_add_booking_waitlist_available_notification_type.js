@@ -0,0 +1,16 @@
+/**
+ * Migration: Add booking_waitlist_available notification type
+ * Waitlisted clients are notified when the slot they wait for is freed
+ */
+
+exports.up = (pgm) => {
+  pgm.sql(`
+    ALTER TYPE enum_notifications_type
+    ADD VALUE IF NOT EXISTS 'booking_waitlist_available';
+  `);
+};
+
+exports.down = (pgm) => {
+  // Note: PostgreSQL doesn't support removing enum values directly
+  pgm.sql('-- Cannot remove enum values in PostgreSQL. Manual intervention required for rollback.');
+};
@@ -0,0 +1,83 @@
+/**
+ * Migration: Create booking_waitlist_entries table
+ * Purpose: Clients wait for a taken date/time range of a place and get a
+ * time-limited claim link when a conflicting booking frees it
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("booking_waitlist_entries", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    user_id: {
+      type: "integer",
+      notNull: true,
+      references: "Users(id)",
+      onDelete: "CASCADE",
+      comment: "Client waiting for the slot"
+    },
+    place_id: {
+      type: "integer",
+      notNull: true,
+      references: "Places(id)",
+      onDelete: "CASCADE"
+    },
+    date: {
+      type: "date",
+      notNull: true
+    },
+    start_time: {
+      type: "varchar(5)",
+      notNull: true
+    },
+    end_time: {
+      type: "varchar(5)",
+      notNull: true
+    },
+    status: {
+      type: "varchar(20)",
+      notNull: true,
+      default: "waiting",
+      check: "status IN ('waiting', 'notified', 'claimed', 'expired', 'cancelled')"
+    },
+    claim_token: {
+      type: "varchar(64)",
+      unique: true
+    },
+    notified_at: {
+      type: "timestamp with time zone"
+    },
+    claim_expires_at: {
+      type: "timestamp with time zone"
+    },
+    booking_id: {
+      type: "integer",
+      references: "Bookings(id)",
+      onDelete: "SET NULL",
+      comment: "Booking request created from the claim link"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.createIndex("booking_waitlist_entries", ["place_id", "date", "status"], {
+    name: "idx_booking_waitlist_place_date_status"
+  });
+
+  pgm.createIndex("booking_waitlist_entries", "user_id", {
+    name: "idx_booking_waitlist_user_id"
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropTable("booking_waitlist_entries", { cascade: true });
+};
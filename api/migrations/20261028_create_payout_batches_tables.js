@@ -0,0 +1,138 @@
+/**
+ * Migration: Create payout_batches and payout_items tables
+ * Purpose: Host payout ledger - agents settle approved bookings with hosts in
+ * batches per period, with the platform commission deducted per booking
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("payout_batches", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    period_start: {
+      type: "date",
+      notNull: true
+    },
+    period_end: {
+      type: "date",
+      notNull: true
+    },
+    status: {
+      type: "varchar(20)",
+      notNull: true,
+      default: "pending",
+      check: "status IN ('pending', 'settled', 'cancelled')"
+    },
+    note: {
+      type: "varchar(255)"
+    },
+    created_by: {
+      type: "integer",
+      references: "Users(id)",
+      onDelete: "SET NULL",
+      comment: "Agent who created the batch"
+    },
+    settled_by: {
+      type: "integer",
+      references: "Users(id)",
+      onDelete: "SET NULL",
+      comment: "Agent who marked the batch as paid out"
+    },
+    settled_at: {
+      type: "timestamp with time zone"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.createIndex("payout_batches", "status", {
+    name: "idx_payout_batches_status"
+  });
+
+  pgm.createTable("payout_items", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    batch_id: {
+      type: "integer",
+      notNull: true,
+      references: "payout_batches(id)",
+      onDelete: "CASCADE"
+    },
+    booking_id: {
+      type: "integer",
+      notNull: true,
+      references: "Bookings(id)",
+      onDelete: "CASCADE"
+    },
+    host_id: {
+      type: "integer",
+      notNull: true,
+      references: "Users(id)",
+      onDelete: "CASCADE"
+    },
+    place_id: {
+      type: "integer",
+      notNull: true,
+      references: "Places(id)",
+      onDelete: "CASCADE"
+    },
+    currency_id: {
+      type: "integer",
+      references: "Currencies(id)",
+      comment: "Currency of the place the booking was paid in"
+    },
+    gross_amount: {
+      type: "float",
+      notNull: true,
+      default: 0
+    },
+    commission_amount: {
+      type: "float",
+      notNull: true,
+      default: 0
+    },
+    net_amount: {
+      type: "float",
+      notNull: true,
+      default: 0
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.createIndex("payout_items", "batch_id", {
+    name: "idx_payout_items_batch_id"
+  });
+
+  pgm.createIndex("payout_items", "booking_id", {
+    name: "idx_payout_items_booking_id"
+  });
+
+  pgm.createIndex("payout_items", "host_id", {
+    name: "idx_payout_items_host_id"
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropTable("payout_items", { cascade: true });
+  pgm.dropTable("payout_batches", { cascade: true });
+};
@@ -0,0 +1,105 @@
+/**
+ * Migration: Create commission_rules table and commission fields on bookings
+ * and transactions
+ * Purpose: Configurable platform commission (global default with per-host and
+ * per-place overrides, percentage or fixed) recorded when a booking is paid
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("commission_rules", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    scope: {
+      type: "varchar(20)",
+      notNull: true,
+      check: "scope IN ('global', 'host', 'place')"
+    },
+    host_id: {
+      type: "integer",
+      references: "Users(id)",
+      onDelete: "CASCADE",
+      comment: "Host the override applies to (scope 'host')"
+    },
+    place_id: {
+      type: "integer",
+      references: "Places(id)",
+      onDelete: "CASCADE",
+      comment: "Place the override applies to (scope 'place')"
+    },
+    mode: {
+      type: "varchar(20)",
+      notNull: true,
+      default: "percentage",
+      check: "mode IN ('percentage', 'fixed')"
+    },
+    value: {
+      type: "float",
+      notNull: true,
+      check: "value >= 0",
+      comment: "Percent of the booking amount (0-100) or a fixed amount per booking in the place currency"
+    },
+    updated_by: {
+      type: "integer",
+      references: "Users(id)",
+      onDelete: "SET NULL",
+      comment: "Agent who last changed the rule"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  // One global default, one override per host and one per place
+  pgm.createIndex("commission_rules", "scope", {
+    name: "idx_commission_rules_global_unique",
+    unique: true,
+    where: "scope = 'global'"
+  });
+  pgm.createIndex("commission_rules", "host_id", {
+    name: "idx_commission_rules_host_id",
+    unique: true,
+    where: "scope = 'host'"
+  });
+  pgm.createIndex("commission_rules", "place_id", {
+    name: "idx_commission_rules_place_id",
+    unique: true,
+    where: "scope = 'place'"
+  });
+
+  pgm.addColumns("bookings", {
+    commission_mode: {
+      type: "varchar(20)",
+      comment: "Commission mode in effect when the booking was paid"
+    },
+    commission_value: {
+      type: "float",
+      comment: "Commission percent or fixed amount in effect when the booking was paid"
+    },
+    commission_amount: {
+      type: "float",
+      comment: "Platform commission taken from this booking; null until paid"
+    }
+  });
+
+  pgm.addColumns("Transaction", {
+    commissionAmount: {
+      type: "float",
+      comment: "Platform commission included in this payment"
+    }
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropColumns("Transaction", ["commissionAmount"]);
+  pgm.dropColumns("bookings", ["commission_mode", "commission_value", "commission_amount"]);
+  pgm.dropTable("commission_rules", { cascade: true });
+};
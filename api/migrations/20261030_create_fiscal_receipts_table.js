@@ -0,0 +1,99 @@
+/**
+ * Migration: Create fiscal_receipts table
+ * Purpose: Itemized fiscal receipt (OFD) data for paid bookings - the lines sent
+ * to Payme/Octo with IKPU/MXIK codes, package codes and VAT, and the fiscal sign
+ * returned by the provider
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("fiscal_receipts", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    booking_id: {
+      type: "integer",
+      notNull: true,
+      references: "Bookings(id)",
+      onDelete: "CASCADE",
+      comment: "Paid booking; for booking groups the primary booking that was paid"
+    },
+    transaction_id: {
+      type: "integer",
+      references: '"Transaction"(id)',
+      onDelete: "SET NULL"
+    },
+    provider: {
+      type: "varchar(20)",
+      comment: "Payment provider that fiscalizes the receipt (payme, click, octo)"
+    },
+    type: {
+      type: "varchar(20)",
+      notNull: true,
+      default: "sale",
+      check: "type IN ('sale', 'refund')"
+    },
+    items: {
+      type: "jsonb",
+      notNull: true,
+      default: "[]"
+    },
+    total_amount: {
+      type: "float",
+      notNull: true
+    },
+    vat_amount: {
+      type: "float",
+      notNull: true,
+      default: 0
+    },
+    status: {
+      type: "varchar(20)",
+      notNull: true,
+      default: "pending",
+      check: "status IN ('pending', 'fiscalized', 'failed')"
+    },
+    fiscal_sign: {
+      type: "varchar(100)"
+    },
+    fiscal_receipt_id: {
+      type: "varchar(100)",
+      comment: "Receipt number assigned by the fiscal module"
+    },
+    terminal_id: {
+      type: "varchar(100)"
+    },
+    qr_code_url: {
+      type: "varchar(500)",
+      comment: "Link to the receipt on the tax authority site"
+    },
+    fiscalized_at: {
+      type: "timestamp with time zone"
+    },
+    provider_data: {
+      type: "jsonb",
+      comment: "Fiscal data as returned by the provider"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.createIndex("fiscal_receipts", "booking_id", {
+    name: "idx_fiscal_receipts_booking_id"
+  });
+  pgm.createIndex("fiscal_receipts", "transaction_id", {
+    name: "idx_fiscal_receipts_transaction_id"
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropTable("fiscal_receipts");
+};
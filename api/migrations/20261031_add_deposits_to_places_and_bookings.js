@@ -0,0 +1,107 @@
+/**
+ * Migration: Add deposit terms to places and partial payment tracking to bookings
+ * Purpose: Hosts can take a percentage upfront; the balance is due a set number of
+ * hours before the booking starts and unpaid bookings are cancelled at that cutoff
+ */
+
+exports.up = async (pgm) => {
+  pgm.addColumns("Places", {
+    deposit_percentage: {
+      type: "integer",
+      notNull: false,
+      comment: "Share of the booking total paid upfront (1-99); null means full payment"
+    },
+    balance_due_hours: {
+      type: "integer",
+      notNull: true,
+      default: 48,
+      comment: "Hours before the booking starts by which the balance must be paid"
+    }
+  });
+
+  pgm.addColumns("bookings", {
+    deposit_amount: {
+      type: "float",
+      notNull: false,
+      comment: "Deposit due upfront; null when the booking is paid in full"
+    },
+    amount_paid: {
+      type: "float",
+      notNull: true,
+      default: 0,
+      comment: "Sum of completed payments for this booking"
+    },
+    amount_due: {
+      type: "float",
+      notNull: false,
+      comment: "Part of finalTotal still to be paid"
+    },
+    balance_due_at: {
+      type: "timestamptz",
+      notNull: false,
+      comment: "Cutoff for paying the balance; the booking is cancelled after it"
+    },
+    deposit_paid_at: {
+      type: "timestamptz",
+      notNull: false,
+      comment: "When the deposit was paid"
+    },
+    balance_reminders_sent: {
+      type: "integer",
+      notNull: true,
+      default: 0,
+      comment: "Balance-due reminders already sent"
+    }
+  });
+
+  pgm.createIndex("bookings", "balance_due_at", {
+    name: "idx_bookings_balance_due_at",
+    where: "balance_due_at IS NOT NULL AND paid_at IS NULL"
+  });
+
+  // Bookings paid before deposits existed were paid in full
+  pgm.sql(`
+    UPDATE bookings
+    SET amount_paid = COALESCE("finalTotal", "totalPrice", 0),
+        amount_due = 0
+    WHERE paid_at IS NOT NULL;
+  `);
+  pgm.sql(`
+    UPDATE bookings
+    SET amount_due = COALESCE("finalTotal", "totalPrice", 0)
+    WHERE paid_at IS NULL;
+  `);
+
+  pgm.addColumns("Transaction", {
+    paymentType: {
+      type: "varchar(20)",
+      notNull: true,
+      default: "full",
+      comment: "What the payment covers: full, deposit or balance"
+    }
+  });
+
+  pgm.sql(`
+    ALTER TYPE enum_notifications_type
+    ADD VALUE IF NOT EXISTS 'booking_balance_due';
+  `);
+  pgm.sql(`
+    ALTER TYPE enum_notifications_type
+    ADD VALUE IF NOT EXISTS 'booking_balance_cancelled';
+  `);
+};
+
+exports.down = async (pgm) => {
+  // Note: PostgreSQL doesn't support removing enum values directly
+  pgm.dropColumns("Transaction", ["paymentType"]);
+  pgm.dropIndex("bookings", "balance_due_at", { name: "idx_bookings_balance_due_at" });
+  pgm.dropColumns("bookings", [
+    "deposit_amount",
+    "amount_paid",
+    "amount_due",
+    "balance_due_at",
+    "deposit_paid_at",
+    "balance_reminders_sent"
+  ]);
+  pgm.dropColumns("Places", ["deposit_percentage", "balance_due_hours"]);
+};
@@ -0,0 +1,152 @@
+/**
+ * Migration: Create reconciliation_runs and reconciliation_items tables
+ * Purpose: Payment reconciliation - agents import a provider statement (CSV from
+ * the Payme/Click/Octo cabinet), each line is matched to a Transaction and
+ * missing, duplicate and amount-mismatched entries are resolved with a note
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("reconciliation_runs", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    provider: {
+      type: "varchar(20)",
+      notNull: true,
+      check: "provider IN ('payme', 'click', 'octo')"
+    },
+    filename: {
+      type: "varchar(255)"
+    },
+    period_start: {
+      type: "date",
+      comment: "First day covered by the statement; paid transactions in the period must appear in it"
+    },
+    period_end: {
+      type: "date"
+    },
+    status: {
+      type: "varchar(20)",
+      notNull: true,
+      default: "open",
+      check: "status IN ('open', 'resolved')"
+    },
+    line_count: {
+      type: "integer",
+      notNull: true,
+      default: 0
+    },
+    matched_count: {
+      type: "integer",
+      notNull: true,
+      default: 0
+    },
+    issue_count: {
+      type: "integer",
+      notNull: true,
+      default: 0
+    },
+    created_by: {
+      type: "integer",
+      references: "Users(id)",
+      onDelete: "SET NULL",
+      comment: "Agent who imported the statement"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.createIndex("reconciliation_runs", "created_at", {
+    name: "idx_reconciliation_runs_created_at"
+  });
+
+  pgm.createTable("reconciliation_items", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    run_id: {
+      type: "integer",
+      notNull: true,
+      references: "reconciliation_runs(id)",
+      onDelete: "CASCADE"
+    },
+    transaction_id: {
+      type: "integer",
+      references: '"Transaction"(id)',
+      onDelete: "SET NULL"
+    },
+    line_number: {
+      type: "integer",
+      comment: "Line of the statement file; null for transactions missing from the statement"
+    },
+    provider_transaction_id: {
+      type: "varchar(255)"
+    },
+    statement_amount: {
+      type: "float"
+    },
+    transaction_amount: {
+      type: "float"
+    },
+    statement_date: {
+      type: "timestamp with time zone"
+    },
+    result: {
+      type: "varchar(30)",
+      notNull: true,
+      check: "result IN ('matched', 'missing_transaction', 'missing_from_statement', 'duplicate', 'amount_mismatch')"
+    },
+    resolution_status: {
+      type: "varchar(20)",
+      comment: "open or resolved for flagged lines; null for matched lines"
+    },
+    resolution_note: {
+      type: "text"
+    },
+    resolved_by: {
+      type: "integer",
+      references: "Users(id)",
+      onDelete: "SET NULL"
+    },
+    resolved_at: {
+      type: "timestamp with time zone"
+    },
+    raw_line: {
+      type: "jsonb",
+      comment: "Statement line as imported, keyed by column header"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.createIndex("reconciliation_items", "run_id", {
+    name: "idx_reconciliation_items_run_id"
+  });
+
+  pgm.createIndex("reconciliation_items", "provider_transaction_id", {
+    name: "idx_reconciliation_items_provider_transaction_id"
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropTable("reconciliation_items", { cascade: true });
+  pgm.dropTable("reconciliation_runs", { cascade: true });
+};
@@ -0,0 +1,105 @@
+/**
+ * Migration: Create payment_webhook_events table
+ * Purpose: Append-only store of every inbound payment provider callback - raw
+ * body, headers, signature check and processing outcome - so a booking's payment
+ * timeline can be inspected and failed callbacks replayed after a fix
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("payment_webhook_events", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    provider: {
+      type: "varchar(20)",
+      notNull: true
+    },
+    event_type: {
+      type: "varchar(100)",
+      comment: "Payme JSON-RPC method or Octo payment status"
+    },
+    booking_id: {
+      type: "integer",
+      references: "Bookings(id)",
+      onDelete: "SET NULL"
+    },
+    transaction_id: {
+      type: "integer",
+      references: '"Transaction"(id)',
+      onDelete: "SET NULL"
+    },
+    provider_transaction_id: {
+      type: "varchar(255)"
+    },
+    headers: {
+      type: "jsonb",
+      notNull: true,
+      default: "{}",
+      comment: "Request headers without credentials"
+    },
+    body: {
+      type: "jsonb",
+      comment: "Raw callback body"
+    },
+    signature_valid: {
+      type: "boolean",
+      comment: "Result of the provider signature/authorization check; null when not checked"
+    },
+    status: {
+      type: "varchar(20)",
+      notNull: true,
+      default: "received",
+      check: "status IN ('received', 'processed', 'failed', 'rejected')"
+    },
+    response_status: {
+      type: "integer"
+    },
+    response_body: {
+      type: "jsonb"
+    },
+    error: {
+      type: "text"
+    },
+    replay_of: {
+      type: "integer",
+      references: "payment_webhook_events(id)",
+      onDelete: "SET NULL",
+      comment: "Original event when this event is an agent replay"
+    },
+    replayed_by: {
+      type: "integer",
+      references: "Users(id)",
+      onDelete: "SET NULL"
+    },
+    processed_at: {
+      type: "timestamp with time zone"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.createIndex("payment_webhook_events", "booking_id", {
+    name: "idx_payment_webhook_events_booking_id"
+  });
+
+  pgm.createIndex("payment_webhook_events", "provider_transaction_id", {
+    name: "idx_payment_webhook_events_provider_transaction_id"
+  });
+
+  pgm.createIndex("payment_webhook_events", "replay_of", {
+    name: "idx_payment_webhook_events_replay_of"
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropTable("payment_webhook_events", { cascade: true });
+};
@@ -0,0 +1,67 @@
+/**
+ * Migration: Add locked exchange rates to bookings and transactions
+ * Purpose: Payments are charged in UZS while places may be priced in another
+ * currency; the rate quoted at checkout is stored on the booking and honored for
+ * its validity window, and each transaction keeps the rate it was charged at
+ */
+
+exports.up = async (pgm) => {
+  pgm.addColumns("bookings", {
+    currency: {
+      type: "varchar(3)",
+      notNull: false,
+      comment: "Currency the booking totals are in (the place currency when the rate was locked)"
+    },
+    fx_rate: {
+      type: "decimal(18,6)",
+      notNull: false,
+      comment: "Locked rate from the booking currency to UZS, the currency payments are charged in"
+    },
+    fx_rate_source: {
+      type: "varchar(50)",
+      notNull: false,
+      comment: "Where the locked rate came from"
+    },
+    fx_rate_locked_at: {
+      type: "timestamptz",
+      notNull: false,
+      comment: "When the rate was quoted to the client"
+    },
+    fx_rate_expires_at: {
+      type: "timestamptz",
+      notNull: false,
+      comment: "End of the quote validity window; a later payment gets a new quote"
+    },
+    display_currency: {
+      type: "varchar(3)",
+      notNull: false,
+      comment: "Currency the client saw the price in at checkout"
+    },
+    display_fx_rate: {
+      type: "decimal(18,6)",
+      notNull: false,
+      comment: "Locked rate from the booking currency to the display currency"
+    }
+  });
+
+  pgm.addColumns("Transaction", {
+    exchangeRate: {
+      type: "decimal(18,6)",
+      notNull: false,
+      comment: "Booking currency to UZS rate the amount was charged at; null for UZS bookings"
+    }
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropColumns("Transaction", ["exchangeRate"]);
+  pgm.dropColumns("bookings", [
+    "currency",
+    "fx_rate",
+    "fx_rate_source",
+    "fx_rate_locked_at",
+    "fx_rate_expires_at",
+    "display_currency",
+    "display_fx_rate"
+  ]);
+};
@@ -0,0 +1,72 @@
+/**
+ * Migration: Create exchange_rates table
+ * Purpose: Daily snapshots of the rates each source published, plus rates agents
+ * enter by hand, so conversions survive a rate API outage across restarts and
+ * past dates can be converted at the rate of that day
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("exchange_rates", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    base_currency: {
+      type: "varchar(3)",
+      notNull: true
+    },
+    quote_currency: {
+      type: "varchar(3)",
+      notNull: true
+    },
+    rate: {
+      type: "decimal(18,6)",
+      notNull: true,
+      comment: "Units of the quote currency for one unit of the base currency"
+    },
+    rate_date: {
+      type: "date",
+      notNull: true,
+      comment: "Day the rate applies to"
+    },
+    source: {
+      type: "varchar(50)",
+      notNull: true,
+      comment: "Rate source name: cbu, open-er-api or manual"
+    },
+    fetched_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp"),
+      comment: "When the source published or the agent entered the rate"
+    },
+    updated_by: {
+      type: "integer",
+      references: "Users(id)",
+      onDelete: "SET NULL",
+      comment: "Agent who entered a manual rate"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.addConstraint("exchange_rates", "exchange_rates_snapshot_unique", {
+    unique: ["base_currency", "quote_currency", "rate_date", "source"]
+  });
+
+  pgm.createIndex("exchange_rates", ["base_currency", "rate_date"], {
+    name: "idx_exchange_rates_base_date"
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropTable("exchange_rates", { cascade: true });
+};
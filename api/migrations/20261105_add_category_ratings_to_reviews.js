@@ -0,0 +1,29 @@
+/**
+ * Migration: Add per-category ratings to reviews and places
+ * Purpose: Guests rate cleanliness, equipment, location, value and the host
+ * separately from the overall stars; places keep the aggregated category scores
+ * so listings can be filtered and sorted by them
+ */
+
+exports.up = async (pgm) => {
+  pgm.addColumns("reviews", {
+    category_ratings: {
+      type: "jsonb",
+      notNull: false,
+      comment: "Optional 1-5 scores by category {cleanliness, equipment, location, value, host}"
+    }
+  });
+
+  pgm.addColumns("Places", {
+    category_ratings: {
+      type: "jsonb",
+      notNull: false,
+      comment: "Aggregated category scores {category: {average, count}} of approved visible reviews"
+    }
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropColumns("Places", ["category_ratings"]);
+  pgm.dropColumns("reviews", ["category_ratings"]);
+};
@@ -0,0 +1,21 @@
+/**
+ * Migration: Add guest photos to reviews
+ * Purpose: Guests attach up to a few photos to a review. Photos are stored in
+ * Cloudinary and follow the review moderation status: they are shown once the
+ * review is approved and removed from Cloudinary with the review.
+ */
+
+exports.up = async (pgm) => {
+  pgm.addColumns("reviews", {
+    photos: {
+      type: "jsonb",
+      notNull: true,
+      default: "[]",
+      comment: "Attached photos [{url, publicId}] in upload order"
+    }
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropColumns("reviews", ["photos"]);
+};
@@ -0,0 +1,71 @@
+/**
+ * Migration: Add automated moderation results to reviews and replies
+ * Purpose: New reviews and host replies are scored by rule-based checks
+ * (profanity, links and phone numbers, duplicate text, burst posting, reports)
+ * before an agent looks at them. Clean ones are approved, risky ones wait as
+ * pending and high-risk ones are hidden; the score and reasons are kept for the
+ * agent. Replies get the same status and visibility flags reviews have.
+ */
+
+exports.up = async (pgm) => {
+  pgm.addColumns("reviews", {
+    moderation_score: {
+      type: "integer",
+      notNull: true,
+      default: 0,
+      comment: "Risk score of the last automated check"
+    },
+    moderation_reasons: {
+      type: "jsonb",
+      notNull: true,
+      default: "[]",
+      comment: "Rules that added to the score [{rule, score, detail}]"
+    },
+    moderated_at: {
+      type: "timestamp with time zone",
+      notNull: false,
+      comment: "When the automated check last ran"
+    }
+  });
+
+  pgm.addColumns("review_replies", {
+    status: {
+      type: "varchar(20)",
+      notNull: true,
+      default: "approved",
+      comment: "pending, approved or rejected"
+    },
+    is_visible: {
+      type: "boolean",
+      notNull: true,
+      default: true
+    },
+    moderation_score: {
+      type: "integer",
+      notNull: true,
+      default: 0,
+      comment: "Risk score of the last automated check"
+    },
+    moderation_reasons: {
+      type: "jsonb",
+      notNull: true,
+      default: "[]",
+      comment: "Rules that added to the score [{rule, score, detail}]"
+    },
+    moderated_at: {
+      type: "timestamp with time zone",
+      notNull: false,
+      comment: "When the automated check last ran"
+    }
+  });
+
+  pgm.createIndex("reviews", ["user_id", "created_at"], {
+    name: "idx_reviews_user_created"
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropIndex("reviews", ["user_id", "created_at"], { name: "idx_reviews_user_created" });
+  pgm.dropColumns("review_replies", ["status", "is_visible", "moderation_score", "moderation_reasons", "moderated_at"]);
+  pgm.dropColumns("reviews", ["moderation_score", "moderation_reasons", "moderated_at"]);
+};
@@ -0,0 +1,19 @@
+/**
+ * Migration: Add review report outcome notification types
+ * Reporters learn what happened to their report; authors are told when their
+ * review is hidden or they are warned or suspended
+ */
+
+exports.up = (pgm) => {
+  pgm.sql(`
+    ALTER TYPE enum_notifications_type ADD VALUE IF NOT EXISTS 'review_report_resolved';
+    ALTER TYPE enum_notifications_type ADD VALUE IF NOT EXISTS 'review_hidden';
+    ALTER TYPE enum_notifications_type ADD VALUE IF NOT EXISTS 'review_author_warned';
+    ALTER TYPE enum_notifications_type ADD VALUE IF NOT EXISTS 'review_author_suspended';
+  `);
+};
+
+exports.down = (pgm) => {
+  // Note: PostgreSQL doesn't support removing enum values directly
+  pgm.sql('-- Cannot remove enum values in PostgreSQL. Manual intervention required for rollback.');
+};
@@ -0,0 +1,87 @@
+/**
+ * Migration: Create review_report_decisions table
+ * Purpose: Agents work through reported reviews one review at a time. Each
+ * decision (dismiss the reports, hide the review, warn or suspend its author)
+ * is kept with the acting agent and the reports it closed; authors can be
+ * barred from posting reviews until a date.
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("review_report_decisions", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    review_id: {
+      type: "integer",
+      references: "reviews(id)",
+      onDelete: "SET NULL",
+      comment: "Reported review; kept empty once the review is deleted"
+    },
+    agent_id: {
+      type: "integer",
+      references: "Users(id)",
+      onDelete: "SET NULL",
+      comment: "Agent who made the decision"
+    },
+    author_id: {
+      type: "integer",
+      references: "Users(id)",
+      onDelete: "SET NULL",
+      comment: "Author of the review at the time of the decision"
+    },
+    action: {
+      type: "varchar(20)",
+      notNull: true,
+      check: "action IN ('dismiss', 'hide_review', 'warn_author', 'suspend_author')"
+    },
+    note: {
+      type: "text",
+      comment: "Agent note, shown to the author when warned or suspended"
+    },
+    report_ids: {
+      type: "jsonb",
+      notNull: true,
+      default: "[]",
+      comment: "Reports closed by the decision"
+    },
+    suspended_until: {
+      type: "timestamp with time zone",
+      comment: "End of the review posting suspension for suspend_author"
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+
+  pgm.createIndex("review_report_decisions", "review_id", {
+    name: "idx_review_report_decisions_review_id"
+  });
+  pgm.createIndex("review_report_decisions", "author_id", {
+    name: "idx_review_report_decisions_author_id"
+  });
+
+  pgm.addColumns("review_reports", {
+    decision_id: {
+      type: "integer",
+      references: "review_report_decisions(id)",
+      onDelete: "SET NULL",
+      comment: "Decision that closed the report"
+    }
+  });
+
+  pgm.addColumns("Users", {
+    reviewsSuspendedUntil: {
+      type: "timestamp with time zone",
+      comment: "User cannot post reviews until then"
+    }
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropColumns("Users", ["reviewsSuspendedUntil"]);
+  pgm.dropColumns("review_reports", ["decision_id"]);
+  pgm.dropTable("review_report_decisions", { cascade: true });
+};
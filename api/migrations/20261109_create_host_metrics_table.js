@@ -0,0 +1,81 @@
+/**
+ * Migration: Create host_metrics table
+ * Purpose: Reputation figures per host, recomputed on a schedule from bookings
+ * and reviews of the last year: median time to the first answer on a booking
+ * request, acceptance rate, rate of approved bookings the host later rejected,
+ * and the share of reviews the host replied to. Badges earned from them are
+ * stored with the figures for place cards and the place page.
+ */
+
+exports.up = async (pgm) => {
+  pgm.createTable("host_metrics", {
+    id: {
+      type: "serial",
+      primaryKey: true
+    },
+    host_id: {
+      type: "integer",
+      notNull: true,
+      unique: true,
+      references: "Users(id)",
+      onDelete: "CASCADE"
+    },
+    median_response_minutes: {
+      type: "integer",
+      comment: "Median minutes from booking request to the first answer; empty below the minimum sample"
+    },
+    responded_count: {
+      type: "integer",
+      notNull: true,
+      default: 0,
+      comment: "Booking requests the host answered"
+    },
+    acceptance_rate: {
+      type: "decimal(5,2)",
+      comment: "Percent of answered requests the host accepted"
+    },
+    accepted_count: {
+      type: "integer",
+      notNull: true,
+      default: 0
+    },
+    host_cancellation_rate: {
+      type: "decimal(5,2)",
+      comment: "Percent of approved bookings the host rejected afterwards"
+    },
+    review_reply_rate: {
+      type: "decimal(5,2)",
+      comment: "Percent of approved reviews with a host reply"
+    },
+    review_count: {
+      type: "integer",
+      notNull: true,
+      default: 0
+    },
+    badges: {
+      type: "jsonb",
+      notNull: true,
+      default: "[]",
+      comment: "Badge keys earned with these figures"
+    },
+    computed_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    created_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    },
+    updated_at: {
+      type: "timestamp with time zone",
+      notNull: true,
+      default: pgm.func("current_timestamp")
+    }
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropTable("host_metrics", { cascade: true });
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration: Add currency to fixed-amount promo codes
+ * Purpose: A fixed discount was a bare number taken off in whatever currency the
+ * place is priced in, which is meaningless for platform-wide codes. Fixed codes
+ * now name their currency and the discount is converted to the place currency.
+ * Existing fixed codes get their place's currency, or UZS when platform-wide.
+ */
+
+exports.up = async (pgm) => {
+  pgm.addColumns("promo_codes", {
+    currency: {
+      type: "varchar(3)",
+      comment: "Currency code of a fixed discount; null for percentage codes"
+    }
+  });
+
+  pgm.sql(`
+    UPDATE promo_codes pc
+    SET currency = COALESCE(
+      (SELECT c."charCode" FROM "Places" p JOIN "Currencies" c ON c.id = p."currencyId" WHERE p.id = pc.place_id),
+      'UZS'
+    )
+    WHERE pc.discount_type = 'fixed'
+  `);
+
+  pgm.addConstraint("promo_codes", "promo_codes_fixed_currency_check", {
+    check: "discount_type <> 'fixed' OR currency IS NOT NULL"
+  });
+};
+
+exports.down = async (pgm) => {
+  pgm.dropConstraint("promo_codes", "promo_codes_fixed_currency_check", { ifExists: true });
+  pgm.dropColumns("promo_codes", ["currency"]);
+};
@@ -0,0 +1,87 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * BookingGroup Model
+ * A multi-room booking: several places of the same host reserved together
+ * (e.g. a main hall plus breakout rooms). Each room is a regular Booking linked
+ * through groupId. The group is paid with a single invoice on its primary
+ * booking, whose finalTotal carries the group total
+ */
+const BookingGroup = sequelize.define(
+  "BookingGroup",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "user_id",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    hostId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "host_id",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "CASCADE",
+      comment: "Owner of every place in the group"
+    },
+    primaryBookingId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "primary_booking_id",
+      comment: "Booking that carries the group invoice (set right after the bookings are created)"
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "pending",
+      validate: {
+        isIn: [["pending", "selected", "approved", "rejected", "cancelled"]]
+      }
+    },
+    totalPrice: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      field: "total_price",
+      comment: "Sum of the room prices of all bookings in the group"
+    },
+    finalTotal: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      field: "final_total",
+      comment: "Amount invoiced for the whole group"
+    }
+  },
+  {
+    tableName: "booking_groups",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["user_id"],
+        name: "idx_booking_groups_user_id"
+      },
+      {
+        fields: ["host_id"],
+        name: "idx_booking_groups_host_id"
+      }
+    ]
+  }
+);
+
+module.exports = BookingGroup;
@@ -0,0 +1,93 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * BookingHold Model
+ * A short-lived claim on a booking's time slots taken when the client opens
+ * checkout. While active (or converted, i.e. payment started) and not past
+ * expiresAt, no other client can pay for an overlapping slot.
+ */
+const BookingHold = sequelize.define(
+  "BookingHold",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    bookingId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "booking_id",
+      references: {
+        model: "Bookings",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "user_id",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    placeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "place_id",
+      references: {
+        model: "Places",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    timeSlots: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      field: "time_slots",
+      comment: "Copy of the booking time slots at the moment the hold was taken"
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "active",
+      validate: {
+        isIn: [["active", "converted", "released", "expired"]]
+      }
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: "expires_at"
+    },
+    convertedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "converted_at",
+      comment: "When payment was started against this hold"
+    }
+  },
+  {
+    tableName: "booking_holds",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["place_id", "status"],
+        name: "idx_booking_holds_place_status"
+      },
+      {
+        fields: ["booking_id"],
+        name: "idx_booking_holds_booking_id"
+      }
+    ]
+  }
+);
+
+module.exports = BookingHold;
@@ -0,0 +1,109 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * BookingSeries Model
+ * A recurring booking request (e.g. every Tuesday 10:00-12:00). Each available
+ * occurrence is stored as a regular Booking linked through seriesId; occurrences
+ * that could not be booked are kept in `conflicts`
+ */
+const BookingSeries = sequelize.define(
+  "BookingSeries",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "user_id",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    placeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "place_id",
+      references: {
+        model: "Places",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    frequency: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [["weekly", "biweekly", "monthly"]]
+      }
+    },
+    recurrenceRule: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      field: "recurrence_rule",
+      comment: "RRULE-style description, e.g. FREQ=WEEKLY;INTERVAL=1;COUNT=10"
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: "start_date"
+    },
+    untilDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      field: "until_date"
+    },
+    occurrenceCount: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "occurrence_count"
+    },
+    startTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      field: "start_time"
+    },
+    endTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      field: "end_time"
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "pending",
+      validate: {
+        isIn: [["pending", "approved", "rejected", "cancelled"]]
+      }
+    },
+    conflicts: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: "Occurrences skipped at creation: [{ date, startTime, endTime, reason }]"
+    }
+  },
+  {
+    tableName: "booking_series",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["place_id"],
+        name: "idx_booking_series_place_id"
+      },
+      {
+        fields: ["user_id"],
+        name: "idx_booking_series_user_id"
+      }
+    ]
+  }
+);
+
+module.exports = BookingSeries;
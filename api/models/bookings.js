@@ -27,6 +27,38 @@ const Booking = sequelize.define('Booking', {
   totalPrice: {
     type: DataTypes.FLOAT
   },
+  selectedAddOns: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'selected_add_ons',
+    comment: 'Add-ons chosen by the client, priced at booking time: [{ id, name, unit, unitPrice, quantity, hours, price }]'
+  },
+  addOnsTotal: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'add_ons_total',
+    comment: 'Sum of selected add-on prices, included in finalTotal'
+  },
+  promoCodeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'promo_code_id',
+    comment: 'Promo code applied to this booking'
+  },
+  promoCode: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'promo_code',
+    comment: 'Code text as entered, kept if the promo code is later deleted'
+  },
+  discountAmount: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'discount_amount',
+    comment: 'Promo code discount subtracted from finalTotal'
+  },
   finalTotal: {
     type: DataTypes.FLOAT,
     allowNull: true,
@@ -72,6 +104,24 @@ const Booking = sequelize.define('Booking', {
     field: 'paid_to_host_at',
     comment: 'Timestamp when agent marked payment to host as complete'
   },
+  commissionMode: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'commission_mode',
+    comment: 'Commission mode in effect when the booking was paid'
+  },
+  commissionValue: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    field: 'commission_value',
+    comment: 'Commission percent or fixed amount in effect when the booking was paid'
+  },
+  commissionAmount: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    field: 'commission_amount',
+    comment: 'Platform commission taken from this booking; null until paid'
+  },
   selectedAt: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -151,6 +201,116 @@ const Booking = sequelize.define('Booking', {
     allowNull: true,
     field: 'cash_notification_sent_at',
     comment: 'Timestamp when cash payment notification was sent to agents'
+  },
+  rescheduledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'rescheduled_at',
+    comment: 'Timestamp of the most recent reschedule by the client'
+  },
+  rescheduleCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'reschedule_count',
+    comment: 'How many times the client has rescheduled this booking'
+  },
+  originalTimeSlots: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'original_time_slots',
+    comment: 'Time slots the booking was originally made for, kept after rescheduling'
+  },
+  seriesId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'series_id',
+    comment: 'Recurring series this booking is an occurrence of'
+  },
+  groupId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'group_id',
+    comment: 'Booking group (multi-room booking) this booking belongs to'
+  },
+  depositAmount: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    field: 'deposit_amount',
+    comment: 'Deposit due upfront; null when the booking is paid in full'
+  },
+  amountPaid: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'amount_paid',
+    comment: 'Sum of completed payments for this booking'
+  },
+  amountDue: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    field: 'amount_due',
+    comment: 'Part of finalTotal still to be paid'
+  },
+  balanceDueAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'balance_due_at',
+    comment: 'Cutoff for paying the balance; the booking is cancelled after it'
+  },
+  depositPaidAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'deposit_paid_at',
+    comment: 'When the deposit was paid'
+  },
+  balanceRemindersSent: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'balance_reminders_sent',
+    comment: 'Balance-due reminders already sent'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: true,
+    comment: 'Currency the booking totals are in (the place currency when the rate was locked)'
+  },
+  fxRate: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: true,
+    field: 'fx_rate',
+    comment: 'Locked rate from the booking currency to UZS, the currency payments are charged in'
+  },
+  fxRateSource: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'fx_rate_source',
+    comment: 'Where the locked rate came from'
+  },
+  fxRateLockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'fx_rate_locked_at',
+    comment: 'When the rate was quoted to the client'
+  },
+  fxRateExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'fx_rate_expires_at',
+    comment: 'End of the quote validity window; a later payment gets a new quote'
+  },
+  displayCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: true,
+    field: 'display_currency',
+    comment: 'Currency the client saw the price in at checkout'
+  },
+  displayFxRate: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: true,
+    field: 'display_fx_rate',
+    comment: 'Locked rate from the booking currency to the display currency'
   }
 }, {
   timestamps: true
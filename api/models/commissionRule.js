@@ -0,0 +1,103 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * CommissionRule Model
+ * Platform commission taken from bookings when they are paid. There is at most
+ * one global default, one override per host and one per place; the most specific
+ * rule wins (place, then host, then global).
+ */
+const CommissionRule = sequelize.define(
+  "CommissionRule",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    scope: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [["global", "host", "place"]]
+      }
+    },
+    hostId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "host_id",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "CASCADE",
+      comment: "Host the override applies to (scope 'host')"
+    },
+    placeId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "place_id",
+      references: {
+        model: "Places",
+        key: "id"
+      },
+      onDelete: "CASCADE",
+      comment: "Place the override applies to (scope 'place')"
+    },
+    mode: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "percentage",
+      validate: {
+        isIn: [["percentage", "fixed"]]
+      }
+    },
+    value: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      validate: {
+        min: 0
+      },
+      comment: "Percent of the booking amount (0-100) or a fixed amount per booking in the place currency"
+    },
+    updatedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "updated_by",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "SET NULL",
+      comment: "Agent who last changed the rule"
+    }
+  },
+  {
+    tableName: "commission_rules",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["scope"],
+        where: { scope: "global" },
+        name: "idx_commission_rules_global_unique"
+      },
+      {
+        unique: true,
+        fields: ["host_id"],
+        where: { scope: "host" },
+        name: "idx_commission_rules_host_id"
+      },
+      {
+        unique: true,
+        fields: ["place_id"],
+        where: { scope: "place" },
+        name: "idx_commission_rules_place_id"
+      }
+    ]
+  }
+);
+
+module.exports = CommissionRule;
@@ -0,0 +1,85 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * ExchangeRate Model
+ * Rate between two currencies on a day, as published by one source. Each source
+ * keeps one snapshot per currency pair and day, updated when it is fetched again;
+ * manual rates are entered by agents.
+ */
+const ExchangeRate = sequelize.define(
+  "ExchangeRate",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    baseCurrency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      field: "base_currency"
+    },
+    quoteCurrency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      field: "quote_currency"
+    },
+    rate: {
+      type: DataTypes.DECIMAL(18, 6),
+      allowNull: false,
+      comment: "Units of the quote currency for one unit of the base currency",
+      validate: {
+        min: 0.000001
+      }
+    },
+    rateDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: "rate_date",
+      comment: "Day the rate applies to"
+    },
+    source: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: "Rate source name: cbu, open-er-api or manual"
+    },
+    fetchedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: "fetched_at",
+      comment: "When the source published or the agent entered the rate"
+    },
+    updatedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "updated_by",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "SET NULL",
+      comment: "Agent who entered a manual rate"
+    }
+  },
+  {
+    tableName: "exchange_rates",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["base_currency", "quote_currency", "rate_date", "source"],
+        name: "exchange_rates_snapshot_unique"
+      },
+      {
+        fields: ["base_currency", "rate_date"],
+        name: "idx_exchange_rates_base_date"
+      }
+    ]
+  }
+);
+
+module.exports = ExchangeRate;
@@ -0,0 +1,129 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * FiscalReceipt Model
+ * Itemized receipt (OFD) data of a paid booking: the lines sent to the payment
+ * provider with their IKPU/MXIK and package codes and VAT, and the fiscal sign
+ * returned once the provider has registered the receipt with the tax authority.
+ */
+const FiscalReceipt = sequelize.define(
+  "FiscalReceipt",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    bookingId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "booking_id",
+      references: {
+        model: "Bookings",
+        key: "id"
+      },
+      onDelete: "CASCADE",
+      comment: "Paid booking; for booking groups the primary booking that was paid"
+    },
+    transactionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "transaction_id",
+      references: {
+        model: "Transaction",
+        key: "id"
+      },
+      onDelete: "SET NULL"
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: "Payment provider that fiscalizes the receipt (payme, click, octo)"
+    },
+    type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "sale",
+      validate: {
+        isIn: [["sale", "refund"]]
+      }
+    },
+    items: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: "[{ title, quantity, unitPrice, discount, total, ikpuCode, packageCode, vatPercent, vatAmount }]"
+    },
+    totalAmount: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      field: "total_amount"
+    },
+    vatAmount: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      field: "vat_amount"
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "pending",
+      validate: {
+        isIn: [["pending", "fiscalized", "failed"]]
+      }
+    },
+    fiscalSign: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: "fiscal_sign"
+    },
+    fiscalReceiptId: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: "fiscal_receipt_id",
+      comment: "Receipt number assigned by the fiscal module"
+    },
+    terminalId: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: "terminal_id"
+    },
+    qrCodeUrl: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      field: "qr_code_url",
+      comment: "Link to the receipt on the tax authority site"
+    },
+    fiscalizedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "fiscalized_at"
+    },
+    providerData: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: "provider_data",
+      comment: "Fiscal data as returned by the provider"
+    }
+  },
+  {
+    tableName: "fiscal_receipts",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["booking_id"],
+        name: "idx_fiscal_receipts_booking_id"
+      },
+      {
+        fields: ["transaction_id"],
+        name: "idx_fiscal_receipts_transaction_id"
+      }
+    ]
+  }
+);
+
+module.exports = FiscalReceipt;
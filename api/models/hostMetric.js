@@ -0,0 +1,92 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * HostMetric Model
+ * Reputation figures of one host, recomputed on a schedule by HostMetricsService.
+ * Rates are percentages; a figure stays empty until its sample is large enough.
+ */
+const HostMetric = sequelize.define(
+  "HostMetric",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hostId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      field: "host_id",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    medianResponseMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "median_response_minutes",
+      comment: "Median minutes from booking request to the first answer; empty below the minimum sample"
+    },
+    respondedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: "responded_count",
+      comment: "Booking requests the host answered"
+    },
+    acceptanceRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      field: "acceptance_rate",
+      comment: "Percent of answered requests the host accepted"
+    },
+    acceptedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: "accepted_count"
+    },
+    hostCancellationRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      field: "host_cancellation_rate",
+      comment: "Percent of approved bookings the host rejected afterwards"
+    },
+    reviewReplyRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      field: "review_reply_rate",
+      comment: "Percent of approved reviews with a host reply"
+    },
+    reviewCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: "review_count"
+    },
+    badges: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: "Badge keys earned with these figures"
+    },
+    computedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: "computed_at"
+    }
+  },
+  {
+    tableName: "host_metrics",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at"
+  }
+);
+
+module.exports = HostMetric;
@@ -8,8 +8,24 @@ const Review = require('./review');
 const ReviewReply = require('./reviewReply');
 const ReviewHelpful = require('./reviewHelpful');
 const ReviewReport = require('./reviewReport');
+const ReviewReportDecision = require('./reviewReportDecision');
 const Notification = require('./notification');
 const UserFavorite = require('./userFavorite');
+const Refund = require('./refund');
+const BookingSeries = require('./bookingSeries');
+const BookingHold = require('./bookingHold');
+const PromoCode = require('./promoCode');
+const BookingGroup = require('./bookingGroup');
+const WaitlistEntry = require('./waitlistEntry');
+const PayoutBatch = require('./payoutBatch');
+const PayoutItem = require('./payoutItem');
+const CommissionRule = require('./commissionRule');
+const FiscalReceipt = require('./fiscalReceipt');
+const ReconciliationRun = require('./reconciliationRun');
+const ReconciliationItem = require('./reconciliationItem');
+const PaymentWebhookEvent = require('./paymentWebhookEvent');
+const ExchangeRate = require('./exchangeRate');
+const HostMetric = require('./hostMetric');
 
 // Additional associations for existing models
 User.hasMany(Place, { foreignKey: 'ownerId', as: 'places' });
@@ -42,6 +58,13 @@ Review.hasMany(ReviewReport, { foreignKey: 'reviewId', as: 'Reports' });
 ReviewReport.belongsTo(User, { foreignKey: 'reporterId', as: 'Reporter' });
 ReviewReport.belongsTo(Review, { foreignKey: 'reviewId', as: 'Review' });
 
+Review.hasMany(ReviewReportDecision, { foreignKey: 'reviewId', as: 'decisions' });
+ReviewReportDecision.belongsTo(Review, { foreignKey: 'reviewId', as: 'Review' });
+ReviewReportDecision.belongsTo(User, { foreignKey: 'agentId', as: 'agent' });
+ReviewReportDecision.belongsTo(User, { foreignKey: 'authorId', as: 'author' });
+ReviewReportDecision.hasMany(ReviewReport, { foreignKey: 'decisionId', as: 'reports' });
+ReviewReport.belongsTo(ReviewReportDecision, { foreignKey: 'decisionId', as: 'decision' });
+
 // Notification system associations
 User.hasMany(Notification, { foreignKey: 'userId', as: 'notifications' });
 Notification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
@@ -52,6 +75,149 @@ Place.hasMany(UserFavorite, { foreignKey: 'placeId', as: 'favoritedBy' });
 UserFavorite.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 UserFavorite.belongsTo(Place, { foreignKey: 'placeId', as: 'place' });
 
+// Refund associations
+Booking.hasMany(Refund, { foreignKey: 'bookingId', as: 'refunds' });
+Refund.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+Refund.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Refund.belongsTo(Transaction, { foreignKey: 'transactionId', as: 'transaction' });
+
+// Booking series associations
+// constraints: false - bookings are synced before booking_series; the FK lives in the migration
+BookingSeries.hasMany(Booking, { foreignKey: 'seriesId', as: 'bookings', constraints: false });
+Booking.belongsTo(BookingSeries, { foreignKey: 'seriesId', as: 'series', constraints: false });
+BookingSeries.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+BookingSeries.belongsTo(Place, { foreignKey: 'placeId', as: 'place' });
+
+// BookingHold associations
+Booking.hasMany(BookingHold, { foreignKey: 'bookingId', as: 'holds' });
+BookingHold.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+BookingHold.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+BookingHold.belongsTo(Place, { foreignKey: 'placeId', as: 'place' });
+
+// PromoCode associations
+// constraints: false - bookings are synced before promo_codes; the FK lives in the migration
+PromoCode.hasMany(Booking, { foreignKey: 'promoCodeId', as: 'bookings', constraints: false });
+Booking.belongsTo(PromoCode, { foreignKey: 'promoCodeId', as: 'appliedPromoCode', constraints: false });
+PromoCode.belongsTo(Place, { foreignKey: 'placeId', as: 'place' });
+PromoCode.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+// BookingGroup associations
+// constraints: false - bookings are synced before booking_groups; the FKs live in the migration
+BookingGroup.hasMany(Booking, { foreignKey: 'groupId', as: 'bookings', constraints: false });
+Booking.belongsTo(BookingGroup, { foreignKey: 'groupId', as: 'group', constraints: false });
+BookingGroup.belongsTo(Booking, { foreignKey: 'primaryBookingId', as: 'primaryBooking', constraints: false });
+BookingGroup.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+BookingGroup.belongsTo(User, { foreignKey: 'hostId', as: 'host' });
+
+// Payments, cancellations and conflict handling update one booking at a time;
+// carry the change over to the rest of its booking group
+Booking.addHook('afterUpdate', 'syncBookingGroup', async (booking, options) => {
+  const BookingGroupService = require('../services/bookingGroupService');
+  try {
+    await BookingGroupService.syncGroupWithBooking(booking, options);
+  } catch (error) {
+    console.error(`Error syncing booking group for booking ${booking.id}:`, error);
+  }
+});
+
+// WaitlistEntry associations
+User.hasMany(WaitlistEntry, { foreignKey: 'userId', as: 'waitlistEntries' });
+WaitlistEntry.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Place.hasMany(WaitlistEntry, { foreignKey: 'placeId', as: 'waitlistEntries' });
+WaitlistEntry.belongsTo(Place, { foreignKey: 'placeId', as: 'place' });
+WaitlistEntry.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+
+// PayoutBatch associations
+PayoutBatch.hasMany(PayoutItem, { foreignKey: 'batchId', as: 'items' });
+PayoutBatch.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+PayoutBatch.belongsTo(User, { foreignKey: 'settledBy', as: 'settler' });
+
+// PayoutItem associations
+PayoutItem.belongsTo(PayoutBatch, { foreignKey: 'batchId', as: 'batch' });
+PayoutItem.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+Booking.hasMany(PayoutItem, { foreignKey: 'bookingId', as: 'payoutItems' });
+PayoutItem.belongsTo(User, { foreignKey: 'hostId', as: 'host' });
+PayoutItem.belongsTo(Place, { foreignKey: 'placeId', as: 'place' });
+PayoutItem.belongsTo(Currency, { foreignKey: 'currencyId', as: 'currency' });
+
+// CommissionRule associations
+CommissionRule.belongsTo(User, { foreignKey: 'hostId', as: 'host' });
+CommissionRule.belongsTo(Place, { foreignKey: 'placeId', as: 'place' });
+CommissionRule.belongsTo(User, { foreignKey: 'updatedBy', as: 'updater' });
+
+// Record the platform commission once a booking is paid
+Booking.addHook('afterUpdate', 'applyPlatformCommission', async (booking, options) => {
+  const CommissionService = require('../services/commissionService');
+  try {
+    await CommissionService.applyToPaidBooking(booking, options);
+  } catch (error) {
+    console.error(`Error applying commission to booking ${booking.id}:`, error);
+  }
+});
+
+// FiscalReceipt associations
+Booking.hasMany(FiscalReceipt, { foreignKey: 'bookingId', as: 'fiscalReceipts' });
+FiscalReceipt.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+FiscalReceipt.belongsTo(Transaction, { foreignKey: 'transactionId', as: 'transaction' });
+
+// ReconciliationRun associations
+ReconciliationRun.hasMany(ReconciliationItem, { foreignKey: 'runId', as: 'items' });
+ReconciliationRun.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+// ReconciliationItem associations
+ReconciliationItem.belongsTo(ReconciliationRun, { foreignKey: 'runId', as: 'run' });
+ReconciliationItem.belongsTo(Transaction, { foreignKey: 'transactionId', as: 'transaction' });
+ReconciliationItem.belongsTo(User, { foreignKey: 'resolvedBy', as: 'resolver' });
+
+// PaymentWebhookEvent associations
+Booking.hasMany(PaymentWebhookEvent, { foreignKey: 'bookingId', as: 'paymentWebhookEvents' });
+PaymentWebhookEvent.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+PaymentWebhookEvent.belongsTo(Transaction, { foreignKey: 'transactionId', as: 'transaction' });
+PaymentWebhookEvent.belongsTo(PaymentWebhookEvent, { foreignKey: 'replayOf', as: 'original' });
+PaymentWebhookEvent.hasMany(PaymentWebhookEvent, { foreignKey: 'replayOf', as: 'replays' });
+PaymentWebhookEvent.belongsTo(User, { foreignKey: 'replayedBy', as: 'replayer' });
+
+// The webhook event store is append-only
+const rejectWebhookEventDelete = () => {
+  throw new Error('Payment webhook events are append-only and cannot be deleted');
+};
+PaymentWebhookEvent.addHook('beforeDestroy', 'appendOnly', rejectWebhookEventDelete);
+PaymentWebhookEvent.addHook('beforeBulkDestroy', 'appendOnly', rejectWebhookEventDelete);
+
+// A removed review takes its photos with it
+Review.addHook('afterDestroy', 'deleteReviewPhotos', async (review) => {
+  const { deleteUploadedFiles } = require('../middleware/uploads');
+  await deleteUploadedFiles((review.photos || []).map(photo => photo.publicId));
+});
+
+// ExchangeRate associations
+ExchangeRate.belongsTo(User, { foreignKey: 'updatedBy', as: 'updater' });
+
+// HostMetric associations
+User.hasOne(HostMetric, { foreignKey: 'hostId', as: 'hostMetrics' });
+HostMetric.belongsTo(User, { foreignKey: 'hostId', as: 'host' });
+
+// Store the fiscal receipt once a booking is paid
+Booking.addHook('afterUpdate', 'createFiscalReceipt', async (booking, options) => {
+  const ReceiptService = require('../services/receiptService');
+  try {
+    await ReceiptService.createForPaidBooking(booking, options);
+  } catch (error) {
+    console.error(`Error creating fiscal receipt for booking ${booking.id}:`, error);
+  }
+});
+
+// Keep the outstanding amount in step with payments; a booking marked paid is paid in full
+Booking.addHook('beforeSave', 'syncAmountDue', (booking) => {
+  const total = Number(booking.finalTotal || booking.totalPrice || 0);
+  if (booking.paidAt) {
+    booking.amountPaid = total;
+    booking.amountDue = 0;
+    return;
+  }
+  booking.amountDue = Math.max(0, Math.round((total - Number(booking.amountPaid || 0)) * 100) / 100);
+});
+
 // Export models and sequelize connection
 module.exports = {
   sequelize,
@@ -64,6 +230,22 @@ module.exports = {
   ReviewReply,
   ReviewHelpful,
   ReviewReport,
+  ReviewReportDecision,
   Notification,
-  UserFavorite
+  UserFavorite,
+  Refund,
+  BookingSeries,
+  BookingHold,
+  PromoCode,
+  BookingGroup,
+  WaitlistEntry,
+  PayoutBatch,
+  PayoutItem,
+  CommissionRule,
+  FiscalReceipt,
+  ReconciliationRun,
+  ReconciliationItem,
+  PaymentWebhookEvent,
+  ExchangeRate,
+  HostMetric
 };
\ No newline at end of file
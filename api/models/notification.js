@@ -39,7 +39,15 @@ const Notification = sequelize.define(
         "booking_rejected",
         "booking_confirmed",
         "booking_paid_to_host",
-        "booking_payment_pending"
+        "booking_payment_pending",
+        "booking_rescheduled",
+        "booking_waitlist_available",
+        "booking_balance_due",
+        "booking_balance_cancelled",
+        "review_report_resolved",
+        "review_hidden",
+        "review_author_warned",
+        "review_author_suspended"
       ),
       allowNull: false
     },
@@ -0,0 +1,141 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * PaymentWebhookEvent Model
+ * One inbound payment provider callback as it arrived, with the outcome of
+ * processing it. The store is append-only: events are never deleted, and an
+ * agent replay is recorded as a new event pointing at the original (replayOf).
+ */
+const PaymentWebhookEvent = sequelize.define(
+  "PaymentWebhookEvent",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    eventType: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: "event_type",
+      comment: "Payme JSON-RPC method or Octo payment status"
+    },
+    bookingId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "booking_id",
+      references: {
+        model: "Bookings",
+        key: "id"
+      },
+      onDelete: "SET NULL"
+    },
+    transactionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "transaction_id",
+      references: {
+        model: "Transaction",
+        key: "id"
+      },
+      onDelete: "SET NULL"
+    },
+    providerTransactionId: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: "provider_transaction_id"
+    },
+    headers: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: "Request headers without credentials"
+    },
+    body: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: "Raw callback body"
+    },
+    signatureValid: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      field: "signature_valid",
+      comment: "Result of the provider signature/authorization check; null when not checked"
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "received",
+      validate: {
+        isIn: [["received", "processed", "failed", "rejected"]]
+      }
+    },
+    responseStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "response_status"
+    },
+    responseBody: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: "response_body"
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    replayOf: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "replay_of",
+      references: {
+        model: "payment_webhook_events",
+        key: "id"
+      },
+      onDelete: "SET NULL",
+      comment: "Original event when this event is an agent replay"
+    },
+    replayedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "replayed_by",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "SET NULL"
+    },
+    processedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "processed_at"
+    }
+  },
+  {
+    tableName: "payment_webhook_events",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["booking_id"],
+        name: "idx_payment_webhook_events_booking_id"
+      },
+      {
+        fields: ["provider_transaction_id"],
+        name: "idx_payment_webhook_events_provider_transaction_id"
+      },
+      {
+        fields: ["replay_of"],
+        name: "idx_payment_webhook_events_replay_of"
+      }
+    ]
+  }
+);
+
+module.exports = PaymentWebhookEvent;
@@ -0,0 +1,82 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * PayoutBatch Model
+ * A settlement run created by an agent for a period. It collects the approved
+ * bookings not yet paid to hosts (one PayoutItem per booking); settling the
+ * batch marks all of them as paid to host in one step.
+ */
+const PayoutBatch = sequelize.define(
+  "PayoutBatch",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    periodStart: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: "period_start"
+    },
+    periodEnd: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: "period_end"
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "pending",
+      validate: {
+        isIn: [["pending", "settled", "cancelled"]]
+      }
+    },
+    note: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "created_by",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "SET NULL",
+      comment: "Agent who created the batch"
+    },
+    settledBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "settled_by",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "SET NULL",
+      comment: "Agent who marked the batch as paid out"
+    },
+    settledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "settled_at"
+    }
+  },
+  {
+    tableName: "payout_batches",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["status"],
+        name: "idx_payout_batches_status"
+      }
+    ]
+  }
+);
+
+module.exports = PayoutBatch;
@@ -0,0 +1,109 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * PayoutItem Model
+ * One booking in a payout batch with the amounts owed to its host:
+ * gross (what the client paid for the room), the platform commission and
+ * the net payout. Amounts are fixed when the batch is created.
+ */
+const PayoutItem = sequelize.define(
+  "PayoutItem",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    batchId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "batch_id",
+      references: {
+        model: "payout_batches",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    bookingId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "booking_id",
+      references: {
+        model: "Bookings",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    hostId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "host_id",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    placeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "place_id",
+      references: {
+        model: "Places",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    currencyId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "currency_id",
+      references: {
+        model: "Currencies",
+        key: "id"
+      },
+      comment: "Currency of the place the booking was paid in"
+    },
+    grossAmount: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      field: "gross_amount"
+    },
+    commissionAmount: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      field: "commission_amount"
+    },
+    netAmount: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      field: "net_amount"
+    }
+  },
+  {
+    tableName: "payout_items",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["batch_id"],
+        name: "idx_payout_items_batch_id"
+      },
+      {
+        fields: ["booking_id"],
+        name: "idx_payout_items_booking_id"
+      },
+      {
+        fields: ["host_id"],
+        name: "idx_payout_items_host_id"
+      }
+    ]
+  }
+);
+
+module.exports = PayoutItem;
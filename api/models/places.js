@@ -197,6 +197,42 @@ const Place = sequelize.define('Place', {
       }
     }
   },
+  pricingRules: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    defaultValue: null,
+    field: 'pricing_rules',
+    comment: 'Dynamic pricing: time-of-day multipliers, weekday prices, seasons, last-minute discount'
+  },
+  addOns: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    defaultValue: null,
+    field: 'add_ons',
+    comment: 'Priced extras offered with the place: [{ id, name, description, unit, price, stock }]'
+  },
+  depositPercentage: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: null,
+    field: 'deposit_percentage',
+    comment: 'Share of the booking total paid upfront; null means full payment',
+    validate: {
+      min: 1,
+      max: 99
+    }
+  },
+  balanceDueHours: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 48,
+    field: 'balance_due_hours',
+    comment: 'Hours before the booking starts by which the balance must be paid',
+    validate: {
+      min: 1,
+      max: 720
+    }
+  },
   // Rating aggregation fields for performance optimization
   averageRating: {
     type: DataTypes.DECIMAL(3, 2),
@@ -222,6 +258,11 @@ const Place = sequelize.define('Place', {
     field: 'rating_breakdown',
     defaultValue: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
   },
+  categoryRatings: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'category_ratings'
+  },
   ratingUpdatedAt: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -0,0 +1,126 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * PromoCode Model
+ * Discount codes managed by agents. A code is either platform-wide (placeId null)
+ * or limited to one place, gives a percentage or fixed discount off the booking
+ * total and can be limited by usage count, validity window and first booking only.
+ * Fixed discounts carry their own currency so platform-wide codes mean the same
+ * amount on places priced in different currencies.
+ */
+const PromoCode = sequelize.define(
+  "PromoCode",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      comment: "Code entered by clients, stored uppercase"
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    discountType: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      field: "discount_type",
+      validate: {
+        isIn: [["percentage", "fixed"]]
+      }
+    },
+    discountValue: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      field: "discount_value",
+      comment: "Percent off (1-100) or a fixed amount in currency"
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: true,
+      comment: "Currency code of a fixed discount; converted to the place currency when applied"
+    },
+    placeId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "place_id",
+      references: {
+        model: "Places",
+        key: "id"
+      },
+      onDelete: "CASCADE",
+      comment: "Place the code is limited to; null means platform-wide"
+    },
+    maxUses: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "max_uses",
+      comment: "Total redemptions allowed; null means unlimited"
+    },
+    maxUsesPerUser: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "max_uses_per_user",
+      comment: "Redemptions allowed per client; null means unlimited"
+    },
+    validFrom: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "valid_from"
+    },
+    validUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "valid_until"
+    },
+    firstBookingOnly: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: "first_booking_only",
+      comment: "Only clients without any earlier booking can use the code"
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: "is_active"
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "created_by",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "SET NULL",
+      comment: "Agent who created the code"
+    }
+  },
+  {
+    tableName: "promo_codes",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["code"],
+        name: "idx_promo_codes_code"
+      },
+      {
+        fields: ["place_id"],
+        name: "idx_promo_codes_place_id"
+      }
+    ]
+  }
+);
+
+module.exports = PromoCode;
@@ -0,0 +1,125 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * ReconciliationItem Model
+ * One statement line matched against our transactions, or a paid transaction
+ * the statement does not contain. Flagged items (anything but 'matched') stay
+ * open until an agent resolves them with an audit note.
+ */
+const ReconciliationItem = sequelize.define(
+  "ReconciliationItem",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    runId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "run_id",
+      references: {
+        model: "reconciliation_runs",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    transactionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "transaction_id",
+      references: {
+        model: "Transaction",
+        key: "id"
+      },
+      onDelete: "SET NULL"
+    },
+    lineNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "line_number",
+      comment: "Line of the statement file; null for transactions missing from the statement"
+    },
+    providerTransactionId: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: "provider_transaction_id"
+    },
+    statementAmount: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      field: "statement_amount"
+    },
+    transactionAmount: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      field: "transaction_amount"
+    },
+    statementDate: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "statement_date"
+    },
+    result: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: {
+        isIn: [["matched", "missing_transaction", "missing_from_statement", "duplicate", "amount_mismatch"]]
+      }
+    },
+    resolutionStatus: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      field: "resolution_status",
+      validate: {
+        isIn: [["open", "resolved"]]
+      },
+      comment: "open or resolved for flagged lines; null for matched lines"
+    },
+    resolutionNote: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: "resolution_note"
+    },
+    resolvedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "resolved_by",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "SET NULL"
+    },
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "resolved_at"
+    },
+    rawLine: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: "raw_line",
+      comment: "Statement line as imported, keyed by column header"
+    }
+  },
+  {
+    tableName: "reconciliation_items",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["run_id"],
+        name: "idx_reconciliation_items_run_id"
+      },
+      {
+        fields: ["provider_transaction_id"],
+        name: "idx_reconciliation_items_provider_transaction_id"
+      }
+    ]
+  }
+);
+
+module.exports = ReconciliationItem;
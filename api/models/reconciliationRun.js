@@ -0,0 +1,92 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * ReconciliationRun Model
+ * One imported provider statement. Its lines are matched to Transaction records
+ * (one ReconciliationItem per line, plus one per paid transaction the statement
+ * is missing); the run is resolved once an agent has resolved every flagged item.
+ */
+const ReconciliationRun = sequelize.define(
+  "ReconciliationRun",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [["payme", "click", "octo"]]
+      }
+    },
+    filename: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    periodStart: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      field: "period_start",
+      comment: "First day covered by the statement; paid transactions in the period must appear in it"
+    },
+    periodEnd: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      field: "period_end"
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "open",
+      validate: {
+        isIn: [["open", "resolved"]]
+      }
+    },
+    lineCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: "line_count"
+    },
+    matchedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: "matched_count"
+    },
+    issueCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: "issue_count"
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "created_by",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "SET NULL",
+      comment: "Agent who imported the statement"
+    }
+  },
+  {
+    tableName: "reconciliation_runs",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["created_at"],
+        name: "idx_reconciliation_runs_created_at"
+      }
+    ]
+  }
+);
+
+module.exports = ReconciliationRun;
@@ -0,0 +1,138 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * Refund Model
+ * Stores the refund calculated for a cancelled paid booking and the outcome
+ * of the provider-specific refund call
+ */
+const Refund = sequelize.define(
+  "Refund",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    bookingId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "booking_id",
+      references: {
+        model: "Bookings",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "user_id",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    transactionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "transaction_id",
+      references: {
+        model: "Transaction",
+        key: "id"
+      },
+      onDelete: "SET NULL"
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [["payme", "click", "octo", "cash"]]
+      }
+    },
+    policy: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    hoursBeforeCheckIn: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      field: "hours_before_check_in"
+    },
+    paidAmount: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      field: "paid_amount"
+    },
+    refundPercent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: "refund_percent",
+      validate: {
+        min: 0,
+        max: 100
+      }
+    },
+    refundAmount: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      field: "refund_amount"
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: "UZS"
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "pending",
+      validate: {
+        isIn: [["pending", "processing", "completed", "failed", "manual_required", "not_refundable"]]
+      }
+    },
+    providerRefundId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: "provider_refund_id"
+    },
+    providerResponse: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: "provider_response"
+    },
+    failureReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: "failure_reason"
+    },
+    processedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "processed_at"
+    }
+  },
+  {
+    tableName: "refunds",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["booking_id"],
+        name: "idx_refunds_booking_id"
+      },
+      {
+        fields: ["status"],
+        name: "idx_refunds_status"
+      }
+    ]
+  }
+);
+
+module.exports = Refund;
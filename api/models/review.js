@@ -53,10 +53,21 @@ const Review = sequelize.define(
         isInt: true
       }
     },
+    categoryRatings: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: "category_ratings"
+    },
     comment: {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    photos: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: "Attached photos [{ url, publicId }], shown once the review is approved"
+    },
     status: {
       type: DataTypes.STRING(20),
       allowNull: false,
@@ -93,6 +104,24 @@ const Review = sequelize.define(
       type: DataTypes.TEXT,
       allowNull: true,
       field: "admin_notes"
+    },
+    moderationScore: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: "moderation_score"
+    },
+    moderationReasons: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      field: "moderation_reasons",
+      comment: "Rules that added to the score [{ rule, score, detail }]"
+    },
+    moderatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "moderated_at"
     }
   },
   {
@@ -130,6 +159,10 @@ const Review = sequelize.define(
       {
         fields: ["place_id", "status", "is_visible"],
         name: "idx_reviews_place_status_visible"
+      },
+      {
+        fields: ["user_id", "created_at"],
+        name: "idx_reviews_user_created"
       }
     ]
   }
@@ -42,6 +42,38 @@ const ReviewReply = sequelize.define(
         notEmpty: true,
         len: [1, 500] // US-R007: Max 500 characters for host replies
       }
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "approved",
+      validate: {
+        isIn: [["pending", "approved", "rejected"]]
+      }
+    },
+    isVisible: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: "is_visible"
+    },
+    moderationScore: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: "moderation_score"
+    },
+    moderationReasons: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      field: "moderation_reasons",
+      comment: "Rules that added to the score [{ rule, score, detail }]"
+    },
+    moderatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "moderated_at"
     }
   },
   {
@@ -55,6 +55,17 @@ const ReviewReport = sequelize.define(
       validate: {
         isIn: [["pending", "reviewed", "resolved", "dismissed"]]
       }
+    },
+    decisionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "decision_id",
+      references: {
+        model: "review_report_decisions",
+        key: "id"
+      },
+      onDelete: "SET NULL",
+      comment: "Decision that closed the report"
     }
   },
   {
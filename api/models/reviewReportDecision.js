@@ -0,0 +1,97 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * ReviewReportDecision Model
+ * What an agent decided about the reports on one review, with the reports it
+ * closed. Decisions are a log and are not edited afterwards.
+ */
+const ReviewReportDecision = sequelize.define(
+  "ReviewReportDecision",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    reviewId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "review_id",
+      references: {
+        model: "reviews",
+        key: "id"
+      },
+      onDelete: "SET NULL",
+      comment: "Reported review; kept empty once the review is deleted"
+    },
+    agentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "agent_id",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "SET NULL",
+      comment: "Agent who made the decision"
+    },
+    authorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "author_id",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "SET NULL",
+      comment: "Author of the review at the time of the decision"
+    },
+    action: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [["dismiss", "hide_review", "warn_author", "suspend_author"]]
+      }
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        len: [0, 1000]
+      },
+      comment: "Agent note, shown to the author when warned or suspended"
+    },
+    reportIds: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      field: "report_ids",
+      comment: "Reports closed by the decision"
+    },
+    suspendedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "suspended_until",
+      comment: "End of the review posting suspension for suspend_author"
+    }
+  },
+  {
+    tableName: "review_report_decisions",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ["review_id"],
+        name: "idx_review_report_decisions_review_id"
+      },
+      {
+        fields: ["author_id"],
+        name: "idx_review_report_decisions_author_id"
+      }
+    ]
+  }
+);
+
+module.exports = ReviewReportDecision;
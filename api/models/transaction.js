@@ -50,6 +50,25 @@ const Transaction = sequelize.define('Transaction', {
     defaultValue: 'UZS'
   },
 
+  // Platform commission included in this payment (set when the payment completes)
+  commissionAmount: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+
+  // What the payment covers: 'full', 'deposit' or 'balance'
+  paymentType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'full'
+  },
+
+  // Booking currency to UZS rate the amount was charged at; null for UZS bookings
+  exchangeRate: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: true
+  },
+
   // PAYME specific fields (deprecated - use providerTransactionId)
   paymeTransId: {
     type: DataTypes.STRING,
@@ -70,6 +70,11 @@ const User = sequelize.define('User', {
       isIn: [['en', 'ru', 'uz']]
     },
     comment: 'User\'s preferred language for notifications (en, ru, uz)'
+  },
+  reviewsSuspendedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'User cannot post reviews until then'
   }
 }, {
   timestamps: true // Equivalent to Mongoose timestamps
@@ -0,0 +1,107 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * WaitlistEntry Model
+ * A client's interest in a taken date/time range of a place. When a booking
+ * covering the range is rejected, cancelled or its checkout hold expires, the
+ * first waiting entry is notified and gets a claim token that is valid until
+ * claimExpiresAt; an unused claim passes the slot on to the next entry.
+ */
+const WaitlistEntry = sequelize.define(
+  "WaitlistEntry",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "user_id",
+      references: {
+        model: "Users",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    placeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "place_id",
+      references: {
+        model: "Places",
+        key: "id"
+      },
+      onDelete: "CASCADE"
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    startTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      field: "start_time"
+    },
+    endTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      field: "end_time"
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "waiting",
+      validate: {
+        isIn: [["waiting", "notified", "claimed", "expired", "cancelled"]]
+      }
+    },
+    claimToken: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true,
+      field: "claim_token"
+    },
+    notifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "notified_at"
+    },
+    claimExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "claim_expires_at"
+    },
+    bookingId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "booking_id",
+      references: {
+        model: "Bookings",
+        key: "id"
+      },
+      onDelete: "SET NULL",
+      comment: "Booking request created from the claim link"
+    }
+  },
+  {
+    tableName: "booking_waitlist_entries",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["place_id", "date", "status"],
+        name: "idx_booking_waitlist_place_date_status"
+      },
+      {
+        fields: ["user_id"],
+        name: "idx_booking_waitlist_user_id"
+      }
+    ]
+  }
+);
+
+module.exports = WaitlistEntry;
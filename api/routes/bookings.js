@@ -6,6 +6,20 @@ const { authenticateToken, optionalAuth } = require("../middleware/auth");
 // Create new booking (requires authentication)
 router.post("/", authenticateToken, bookingController.createBooking);
 
+// Calculate server-side price quote for selected time slots (no auth required; promo limits use the user when signed in)
+router.post("/quote", optionalAuth, bookingController.getBookingQuote);
+
+// Recurring booking series (weekly / bi-weekly / monthly)
+router.post("/series/preview", authenticateToken, bookingController.previewBookingSeries);
+router.post("/series", authenticateToken, bookingController.createBookingSeries);
+router.get("/series/:seriesId", authenticateToken, bookingController.getBookingSeries);
+router.put("/series/:seriesId", authenticateToken, bookingController.updateBookingSeriesStatus);
+
+// Booking groups (several places of one host booked and paid together)
+router.post("/groups", authenticateToken, bookingController.createBookingGroup);
+router.get("/groups/:groupId", authenticateToken, bookingController.getBookingGroup);
+router.put("/groups/:groupId", authenticateToken, bookingController.updateBookingGroupStatus);
+
 // Get bookings (different behavior based on user role)
 router.get("/", authenticateToken, bookingController.getBookings);
 
@@ -30,15 +44,44 @@ router.put("/:id", authenticateToken, bookingController.updateBookingStatus);
 // Mark booking as paid to host (agent-only)
 router.post("/:id/paid-to-host", authenticateToken, bookingController.markPaidToHost);
 
+// Reschedule booking to new time slots (client-only, reschedule_only policy)
+router.post("/:id/reschedule", authenticateToken, bookingController.rescheduleBooking);
+
+// Hold a selected booking's time slots at checkout (client-only)
+router.post("/:id/hold", authenticateToken, bookingController.holdBooking);
+router.delete("/:id/hold", authenticateToken, bookingController.releaseBookingHold);
+
+// Start or cancel an online payment with any registered payment provider (client-only)
+router.post("/:id/payments", authenticateToken, bookingController.createBookingPayment);
+router.delete("/:id/payments", authenticateToken, bookingController.cancelBookingPayment);
+
 // Check payment status for booking (for polling after payment)
 router.post("/:id/check-payment", authenticateToken, bookingController.checkPaymentStatus);
 
-// Smart payment status check with Click.uz status codes (optimized polling)
+// Smart payment status check across payment providers (optimized polling)
 router.post("/:id/check-payment-smart", authenticateToken, bookingController.checkPaymentStatusSmart);
 
 // Select cash payment method (client-only) - notifies agents
 router.post("/:id/select-cash", authenticateToken, bookingController.selectCashPayment);
 
+// Refunds for cancelled paid bookings
+router.get("/:id/refunds", authenticateToken, bookingController.getBookingRefunds);
+router.post("/:id/refunds/:refundId/retry", authenticateToken, bookingController.retryRefund);
+router.post("/:id/refunds/:refundId/complete", authenticateToken, bookingController.completeRefund);
+
+// Exchange rate quote for the payment screen, locked for the booking's client
+router.get("/:id/payment-quote", authenticateToken, bookingController.getPaymentQuote);
+
+// Payment provider callbacks of a booking and replay of failed ones (agent-only)
+router.get("/:id/payment-events", authenticateToken, bookingController.getBookingPaymentEvents);
+router.post("/:id/payment-events/:eventId/replay", authenticateToken, bookingController.replayPaymentEvent);
+
+// Receipt of a paid booking with its fiscal data
+router.get("/:id/receipt", authenticateToken, bookingController.downloadReceipt);
+
+// PDF invoice and confirmation voucher
+router.get("/:id/documents/:type", authenticateToken, bookingController.downloadBookingDocument);
+
 // Delete booking from database (agent-only) - permanent deletion
 router.delete("/:id/delete-from-database", authenticateToken, bookingController.deleteBookingFromDatabase);
 
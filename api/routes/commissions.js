@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const commissionController = require("../controllers/commissionController");
+const { isAuthenticated, isAdmin } = require("../middleware/auth");
+
+// Commission configuration is agent-only; it is applied when bookings are paid
+router.use(isAuthenticated, isAdmin);
+
+router.get("/", commissionController.getCommissionRules);
+router.post("/", commissionController.saveCommissionRule);
+router.put("/:id", commissionController.updateCommissionRule);
+router.delete("/:id", commissionController.deleteCommissionRule);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const currencyController = require('../controllers/currencyController');
+const { authenticateToken } = require('../middleware/auth');
 
 // Create new currency
 router.post('/', currencyController.createCurrency);
@@ -11,7 +12,12 @@ router.put('/:id', currencyController.updateCurrency);
 // Get all currencies
 router.get('/', currencyController.getAllCurrencies);
 
-// Get exchange rates for a specific base currency
+// Manual exchange rates (agent only)
+router.get('/rates/manual', authenticateToken, currencyController.getManualRates);
+router.post('/rates/manual', authenticateToken, currencyController.setManualRate);
+router.delete('/rates/manual/:id', authenticateToken, currencyController.deleteManualRate);
+
+// Get exchange rates for a specific base currency (?date=YYYY-MM-DD for stored rates)
 router.get('/rates/:baseCurrency', currencyController.getExchangeRates);
 
 // Convert currency amount
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const payoutController = require("../controllers/payoutController");
+const { authenticateToken } = require("../middleware/auth");
+
+// Agents manage batches; hosts can view their own balances, batches and statements
+router.use(authenticateToken);
+
+router.get("/balances", payoutController.getBalances);
+router.get("/batches", payoutController.getBatches);
+router.post("/batches", payoutController.createBatch);
+router.get("/batches/:id", payoutController.getBatch);
+router.post("/batches/:id/settle", payoutController.settleBatch);
+router.post("/batches/:id/cancel", payoutController.cancelBatch);
+router.get("/batches/:id/statements/:hostId", payoutController.downloadHostStatement);
+
+module.exports = router;
@@ -23,6 +23,9 @@ router.post("/clear-cache", placeController.clearOptimizationCache);
 // Get specific place by ID
 router.get("/:id", placeController.getPlaceById);
 
+// Other places of the same host that can be booked together with this one
+router.get("/:id/group-rooms", placeController.getGroupRooms);
+
 // Get specific booking for a place
 router.get("/:placeId/:bookingId", isAuthenticated, placeController.getBookingForPlace);
 
@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const promoCodeController = require("../controllers/promoCodeController");
+const { isAuthenticated, isAdmin } = require("../middleware/auth");
+
+// Promo code management is agent-only; clients apply codes through /bookings/quote
+router.use(isAuthenticated, isAdmin);
+
+router.get("/", promoCodeController.getPromoCodes);
+router.post("/", promoCodeController.createPromoCode);
+router.put("/:id", promoCodeController.updatePromoCode);
+router.delete("/:id", promoCodeController.deletePromoCode);
+
+module.exports = router;
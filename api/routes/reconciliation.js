@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const reconciliationController = require("../controllers/reconciliationController");
+const { authenticateToken } = require("../middleware/auth");
+const { statementUpload } = require("../middleware/uploads");
+
+// Agent only: import provider statements and resolve the flagged lines
+router.use(authenticateToken);
+
+router.get("/runs", reconciliationController.getRuns);
+router.post("/runs", statementUpload.single("statement"), reconciliationController.importStatement);
+router.get("/runs/:id", reconciliationController.getRun);
+router.post("/items/:id/resolve", reconciliationController.resolveItem);
+
+module.exports = router;
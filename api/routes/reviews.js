@@ -1,7 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const reviewController = require("../controllers/reviewController");
+const reviewReportController = require("../controllers/reviewReportController");
 const { isAuthenticated, isAdmin } = require("../middleware/auth");
+const { reviewPhotoUpload } = require("../middleware/uploads");
+const { VALIDATION_RULES } = require("../services/reviewValidationService");
 
 /**
  * Review Routes
@@ -10,7 +13,13 @@ const { isAuthenticated, isAdmin } = require("../middleware/auth");
  */
 
 // Create new review (authenticated clients only, must have completed booking)
-router.post("/", isAuthenticated, reviewController.createReview);
+// Optional photos come as multipart files in "photos"
+router.post(
+  "/",
+  isAuthenticated,
+  reviewPhotoUpload.array("photos", VALIDATION_RULES.PHOTOS.MAX_COUNT),
+  reviewController.createReview
+);
 
 // Check review eligibility for a place (authenticated users only)
 router.get("/eligibility/place/:placeId", isAuthenticated, reviewController.checkReviewEligibility);
@@ -21,9 +30,15 @@ router.get("/eligibility/bookings", isAuthenticated, reviewController.getEligibl
 // Get reviews for a place with pagination (8 reviews per page)
 router.get("/place/:placeId", reviewController.getReviewsForPlace);
 
+// Get guest photos from approved reviews of a place
+router.get("/place/:placeId/photos", reviewController.getPlacePhotos);
+
 // Get all reviews for admin management (admin only)
 router.get("/admin", isAuthenticated, isAdmin, reviewController.getAllReviewsForAdmin);
 
+// Queue of reported reviews, grouped by review (admin only)
+router.get("/reports", isAuthenticated, isAdmin, reviewReportController.getReportQueue);
+
 // Get user's reviews (authenticated user only)
 router.get("/user/:userId", isAuthenticated, reviewController.getUserReviews);
 
@@ -39,12 +54,18 @@ router.post("/:reviewId/helpful", isAuthenticated, reviewController.markReviewHe
 // Report inappropriate review (authenticated users only)
 router.post("/:reviewId/report", isAuthenticated, reviewController.reportReview);
 
+// Dismiss or uphold the open reports of a review (admin only)
+router.post("/:reviewId/reports/resolve", isAuthenticated, isAdmin, reviewReportController.resolveReports);
+
 // Host reply to review (authenticated users only)
 router.post("/:reviewId/reply", isAuthenticated, reviewController.replyToReview);
 
 // Update host reply to review (authenticated users only, within 24 hours)
 router.put("/:reviewId/reply", isAuthenticated, reviewController.updateReply);
 
+// Approve, reject, show or hide a host reply (admin only)
+router.put("/:reviewId/reply/status", isAuthenticated, isAdmin, reviewController.moderateReply);
+
 // Get review replies for a specific review
 router.get("/:reviewId/replies", reviewController.getReviewReplies);
 
@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+const waitlistController = require("../controllers/waitlistController");
+const { authenticateToken } = require("../middleware/auth");
+
+router.use(authenticateToken);
+
+router.get("/", waitlistController.getMyWaitlistEntries);
+router.post("/", waitlistController.joinWaitlist);
+router.get("/claims/:token", waitlistController.getWaitlistClaim);
+router.delete("/:id", waitlistController.leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,173 @@
+/**
+ * Add-Ons Service
+ * Handles validation, normalization and pricing of the priced extras a host offers
+ * with a place (projector, catering per person, interpreter booths, parking...).
+ * Must stay in sync with client/src/utils/pricingCalculator.js (calculateAddOnsPricing).
+ *
+ * Catalog shape stored in places.add_ons:
+ * [{ id, name, description, unit: 'per_booking' | 'per_hour' | 'per_guest', price, stock }]
+ *
+ * Pricing per unit:
+ * - per_booking: price × quantity
+ * - per_hour:    price × quantity × booked hours
+ * - per_guest:   price × number of guests (quantity is the guest count)
+ *
+ * stock is how many units the place has (null = unlimited). A place is never
+ * booked twice for the same time, so a single booking can take at most `stock` units.
+ */
+
+const crypto = require('crypto');
+
+const ADD_ON_UNITS = ['per_booking', 'per_hour', 'per_guest'];
+const MAX_ADD_ONS = 30;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+/**
+ * Validates a place's add-on catalog
+ * @param {Array|null} addOns - Add-on catalog
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validateAddOns = (addOns) => {
+  if (addOns === null || addOns === undefined) {
+    return { isValid: true };
+  }
+
+  if (!Array.isArray(addOns) || addOns.length > MAX_ADD_ONS) {
+    return { isValid: false, error: `Add-ons must be an array of at most ${MAX_ADD_ONS} items` };
+  }
+
+  for (const addOn of addOns) {
+    if (!addOn || typeof addOn.name !== 'string' || !addOn.name.trim()) {
+      return { isValid: false, error: "Each add-on needs a name" };
+    }
+    if (addOn.name.trim().length > MAX_NAME_LENGTH) {
+      return { isValid: false, error: `Add-on names cannot be longer than ${MAX_NAME_LENGTH} characters` };
+    }
+    if (!ADD_ON_UNITS.includes(addOn.unit)) {
+      return { isValid: false, error: `Invalid add-on unit for ${addOn.name}. Allowed units: ${ADD_ON_UNITS.join(', ')}` };
+    }
+    if (!(Number(addOn.price) > 0)) {
+      return { isValid: false, error: `Price for ${addOn.name} must be greater than 0` };
+    }
+    if (addOn.stock !== null && addOn.stock !== undefined && addOn.stock !== '') {
+      const stock = Number(addOn.stock);
+      if (!Number.isInteger(stock) || stock < 1) {
+        return { isValid: false, error: `Stock for ${addOn.name} must be a whole number of at least 1` };
+      }
+    }
+  }
+
+  const ids = addOns.filter(addOn => addOn.id).map(addOn => String(addOn.id));
+  if (new Set(ids).size !== ids.length) {
+    return { isValid: false, error: "Add-on IDs must be unique" };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Normalizes an add-on catalog for storage (numbers parsed, missing IDs generated)
+ * @param {Array|null} addOns - Validated add-on catalog
+ * @returns {Array|null} - Normalized catalog, or null when empty
+ */
+const processAddOns = (addOns) => {
+  if (!Array.isArray(addOns) || addOns.length === 0) {
+    return null;
+  }
+
+  return addOns.map(addOn => ({
+    // IDs stay stable across edits so existing booking snapshots keep pointing at the same item
+    id: addOn.id ? String(addOn.id) : crypto.randomUUID(),
+    name: addOn.name.trim(),
+    description: (addOn.description || '').trim().slice(0, MAX_DESCRIPTION_LENGTH),
+    unit: addOn.unit,
+    price: Number(addOn.price),
+    stock: addOn.stock === null || addOn.stock === undefined || addOn.stock === ''
+      ? null
+      : Number(addOn.stock)
+  }));
+};
+
+/**
+ * Price the add-ons selected for a booking against the place's catalog
+ * @param {Object} place - Place with addOns
+ * @param {Array} selections - [{ id, quantity }] chosen by the client
+ * @param {Object} options - { totalHours, numOfGuests }
+ * @returns {Object} - { items: [{ id, name, unit, unitPrice, quantity, hours, price }], addOnsTotal }
+ */
+const calculateAddOns = (place, selections, { totalHours = 0, numOfGuests = 0 } = {}) => {
+  if (!selections || selections.length === 0) {
+    return { items: [], addOnsTotal: 0 };
+  }
+
+  if (!Array.isArray(selections)) {
+    const error = new Error("Selected add-ons must be an array");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const catalog = place.addOns || [];
+  const seenIds = new Set();
+  const items = [];
+
+  for (const selection of selections) {
+    const addOn = catalog.find(item => item.id === String(selection?.id));
+    if (!addOn) {
+      const error = new Error("One of the selected add-ons is no longer offered for this place");
+      error.statusCode = 422;
+      throw error;
+    }
+
+    if (seenIds.has(addOn.id)) {
+      const error = new Error(`${addOn.name} was selected more than once`);
+      error.statusCode = 400;
+      throw error;
+    }
+    seenIds.add(addOn.id);
+
+    const quantity = addOn.unit === 'per_guest'
+      ? Number(numOfGuests) || 0
+      : Number(selection.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      const error = new Error(addOn.unit === 'per_guest'
+        ? `Enter the number of attendees to add ${addOn.name}`
+        : `Quantity for ${addOn.name} must be a whole number of at least 1`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (addOn.stock && quantity > addOn.stock) {
+      const error = new Error(`Only ${addOn.stock} of ${addOn.name} available`);
+      error.statusCode = 422;
+      error.addOnStock = { id: addOn.id, available: addOn.stock, requested: quantity };
+      throw error;
+    }
+
+    const hours = addOn.unit === 'per_hour' ? totalHours : null;
+    const price = addOn.price * quantity * (hours === null ? 1 : hours);
+
+    items.push({
+      id: addOn.id,
+      name: addOn.name,
+      unit: addOn.unit,
+      unitPrice: addOn.price,
+      quantity,
+      hours,
+      price
+    });
+  }
+
+  return {
+    items,
+    addOnsTotal: items.reduce((sum, item) => sum + item.price, 0)
+  };
+};
+
+module.exports = {
+  ADD_ON_UNITS,
+  validateAddOns,
+  processAddOns,
+  calculateAddOns
+};
@@ -0,0 +1,358 @@
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const { Booking, BookingGroup, Place, User, Currency, Transaction } = require("../models");
+const BookingPricingService = require("./bookingPricingService");
+const ExchangeRateLockService = require("./exchangeRateLockService");
+const { translate } = require("../i18n/config");
+
+const DOCUMENT_TYPES = ['invoice', 'voucher'];
+const LANGUAGES = ['en', 'ru', 'uz'];
+// Built-in PDF fonts have no Cyrillic glyphs
+const FONT_REGULAR = require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans.ttf");
+const FONT_BOLD = require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf");
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'https://getspace.uz').replace(/\/$/, '');
+
+/**
+ * Booking Document Service - Printable PDF documents of a booking
+ *
+ * The invoice lists company requisites, the booked place and time slots, the
+ * pricing lines (rooms, add-ons, promo discount), the amount in the currency the
+ * client saw and in UZS at the locked exchange rate, and the payment status. The
+ * confirmation voucher is issued for approved bookings and carries a QR code
+ * that opens the booking. Both are rendered in en/ru/uz from the api locales.
+ */
+class BookingDocumentService {
+  /**
+   * Render a booking document
+   * Available to the agent, the client who booked and the host of the place.
+   * @param {number} bookingId - Booking ID
+   * @param {string} type - 'invoice' or 'voucher'
+   * @param {Object} userData - Authenticated user
+   * @param {string} lng - Document language
+   * @returns {Promise<Object>} { filename, content } with content as a PDF buffer
+   */
+  static async getDocument(bookingId, type, userData, lng = 'ru') {
+    if (!DOCUMENT_TYPES.includes(type)) {
+      const error = new Error("Document type must be invoice or voucher");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const booking = await Booking.findByPk(bookingId, {
+      include: [
+        {
+          model: Place,
+          as: 'place',
+          attributes: ['id', 'title', 'address', 'ownerId'],
+          include: [{ model: Currency, as: 'currency', attributes: ['id', 'charCode'] }]
+        },
+        { model: User, as: 'user', attributes: ['id', 'name', 'email', 'phoneNumber'] }
+      ]
+    });
+
+    if (!booking) {
+      const error = new Error("Booking not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const canAccess =
+      userData.userType === 'agent' ||
+      (userData.userType === 'client' && booking.userId === userData.id) ||
+      (userData.userType === 'host' && booking.place?.ownerId === userData.id);
+
+    if (!canAccess) {
+      const error = new Error("Access denied");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (type === 'voucher' && booking.status !== 'approved') {
+      const error = new Error("Confirmation voucher is available only for approved bookings");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const language = LANGUAGES.includes(lng) ? lng : 'ru';
+    const content = type === 'invoice'
+      ? await this._renderInvoice(booking, language)
+      : await this._renderVoucher(booking, language);
+
+    return {
+      filename: `${type}-${booking.uniqueRequestId || booking.id}.pdf`,
+      content
+    };
+  }
+
+  /**
+   * Documents to offer with a client notification about a booking
+   * Stored in notification metadata; the client downloads them from the booking.
+   * @param {Object} booking - Booking
+   * @returns {Array<string>} Document types
+   */
+  static getNotificationDocuments(booking) {
+    if (booking.status === 'approved') {
+      return ['invoice', 'voucher'];
+    }
+    return booking.status === 'selected' ? ['invoice'] : [];
+  }
+
+  // Private helper methods
+  static async _renderInvoice(booking, lng) {
+    const t = (key, vars = {}) => translate(`documents.${key}`, { lng, ns: 'booking', ...vars });
+    const currency = booking.currency || booking.place?.currency?.charCode || 'UZS';
+    const lines = await this._getPricingLines(booking, lng);
+    const totalAmount = Number(booking.finalTotal || booking.totalPrice) || 0;
+    const charge = await this._getChargeSummary(booking, totalAmount);
+
+    return this._createPdf(doc => {
+      this._renderHeader(doc, t('invoice.title', { number: booking.uniqueRequestId || booking.id }), booking, lng);
+      this._renderCompany(doc, lng);
+
+      doc.moveDown();
+      this._renderField(doc, t('billedTo'), [booking.user?.name, booking.user?.phoneNumber, booking.user?.email].filter(Boolean).join(', '));
+      this._renderBookingDetails(doc, booking, lng);
+
+      doc.moveDown();
+      doc.font('bold').fontSize(11).text(t('invoice.lines'));
+      doc.font('regular').fontSize(10);
+      for (const line of lines) {
+        this._renderAmountRow(doc, line.label, this._formatAmount(line.amount, currency));
+      }
+      doc.moveDown(0.5);
+      doc.font('bold');
+      this._renderAmountRow(doc, t('invoice.total'), this._formatAmount(totalAmount, currency));
+      doc.font('regular');
+
+      if (charge) {
+        doc.moveDown(0.5);
+        if (charge.displayCurrency !== currency) {
+          this._renderAmountRow(doc, t('invoice.displayTotal', { currency: charge.displayCurrency }),
+            this._formatAmount(charge.displayAmount, charge.displayCurrency));
+        }
+        this._renderAmountRow(doc, t(charge.isCharged ? 'invoice.charged' : 'invoice.payable'),
+          this._formatAmount(charge.chargeAmount, charge.chargeCurrency));
+        this._renderField(doc, t('invoice.exchangeRate'), t('invoice.rateValue', {
+          currency,
+          rate: this._formatAmount(charge.rate, charge.chargeCurrency),
+          source: charge.source || '—',
+          date: this._formatDateTime(charge.lockedAt, lng)
+        }));
+      }
+
+      doc.moveDown();
+      this._renderField(doc, t('paymentStatus.label'), t(`paymentStatus.${this._getPaymentStatus(booking)}`));
+      if (booking.paidAt) {
+        this._renderField(doc, t('paidAt'), this._formatDateTime(booking.paidAt, lng));
+      }
+    });
+  }
+
+  static async _renderVoucher(booking, lng) {
+    const t = (key, vars = {}) => translate(`documents.${key}`, { lng, ns: 'booking', ...vars });
+    const bookingUrl = `${FRONTEND_URL}/account/bookings/${booking.id}`;
+    const qrCode = await QRCode.toBuffer(bookingUrl, { margin: 1, width: 160 });
+
+    return this._createPdf(doc => {
+      this._renderHeader(doc, t('voucher.title', { number: booking.uniqueRequestId || booking.id }), booking, lng);
+
+      doc.fontSize(11).text(t('voucher.confirmed'));
+      doc.moveDown();
+      this._renderField(doc, t('guest'), booking.guestName || booking.user?.name || '—');
+      if (booking.numOfGuests) {
+        this._renderField(doc, t('numOfGuests'), String(booking.numOfGuests));
+      }
+      this._renderBookingDetails(doc, booking, lng);
+      this._renderField(doc, t('paymentStatus.label'), t(`paymentStatus.${this._getPaymentStatus(booking)}`));
+
+      doc.moveDown();
+      doc.image(qrCode, { width: 120 });
+      doc.fontSize(9).text(t('voucher.scan'));
+
+      doc.moveDown();
+      this._renderCompany(doc, lng);
+    });
+  }
+
+  static _createPdf(render) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.registerFont('regular', FONT_REGULAR);
+      doc.registerFont('bold', FONT_BOLD);
+      doc.font('regular');
+
+      try {
+        render(doc);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  static _renderHeader(doc, title, booking, lng) {
+    doc.font('bold').fontSize(18).text(title);
+    doc.font('regular').fontSize(9).fillColor('#555555')
+      .text(translate('documents.issuedAt', { lng, ns: 'booking', date: this._formatDateTime(new Date(), lng) }))
+      .fillColor('#000000');
+    doc.moveDown();
+  }
+
+  static _renderCompany(doc, lng) {
+    const t = (key) => translate(`documents.company.${key}`, { lng, ns: 'booking' });
+
+    doc.font('bold').fontSize(11).text(t('name'));
+    doc.font('regular').fontSize(9)
+      .text(t('director'))
+      .text(t('address'))
+      .text(`${t('accountLabel')}: ${t('accountNumber')}`)
+      .text(`${t('bankLabel')}: ${t('bankName')}, ${t('bankBranch')}`)
+      .text(`${t('mfoLabel')}: ${t('mfo')}   ${t('innLabel')}: ${t('inn')}`)
+      .text(`${t('phoneLabel')}: ${t('phoneNumber')}`);
+  }
+
+  static _renderBookingDetails(doc, booking, lng) {
+    const t = (key) => translate(`documents.${key}`, { lng, ns: 'booking' });
+
+    this._renderField(doc, t('place'), [booking.place?.title, booking.place?.address].filter(Boolean).join(', '));
+
+    const timeSlots = Array.isArray(booking.timeSlots) ? booking.timeSlots : [];
+    if (timeSlots.length > 0) {
+      this._renderField(doc, t('timeSlots'), timeSlots
+        .map(slot => `${this._formatDate(slot.date, lng)} ${slot.startTime}–${slot.endTime}`)
+        .join('; '));
+    } else {
+      this._renderField(doc, t('dates'), `${this._formatDate(booking.checkInDate, lng)} – ${this._formatDate(booking.checkOutDate, lng)}`);
+    }
+  }
+
+  static _renderField(doc, label, value) {
+    doc.fontSize(10).font('bold').text(`${label}: `, { continued: true }).font('regular').text(value || '—');
+  }
+
+  static _renderAmountRow(doc, label, amount) {
+    const y = doc.y;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.text(label, doc.page.margins.left, y, { width: width - 140 });
+    const labelBottom = doc.y;
+    doc.text(amount, doc.page.margins.left + width - 140, y, { width: 140, align: 'right' });
+    doc.x = doc.page.margins.left;
+    doc.y = Math.max(labelBottom, doc.y);
+  }
+
+  /**
+   * Pricing lines in the order of PricingBreakdown: room prices, add-ons and the
+   * promo discount. A group's primary booking lists every room of the group.
+   */
+  static async _getPricingLines(booking, lng) {
+    const t = (key, vars = {}) => translate(`documents.invoice.${key}`, { lng, ns: 'booking', ...vars });
+    let rooms = [booking];
+
+    if (booking.groupId) {
+      const group = await BookingGroup.findByPk(booking.groupId);
+      if (group?.primaryBookingId === booking.id) {
+        rooms = await Booking.findAll({
+          where: { groupId: booking.groupId },
+          include: [{ model: Place, as: 'place', attributes: ['id', 'title'] }],
+          order: [['id', 'ASC']]
+        });
+      }
+    }
+
+    const lines = [];
+    for (const room of rooms) {
+      const hours = this._getBookedHours(room);
+      lines.push({
+        label: hours
+          ? t('roomHours', { place: room.place?.title, hours })
+          : t('room', { place: room.place?.title }),
+        amount: Number(room.totalPrice) || 0
+      });
+
+      for (const addOn of Array.isArray(room.selectedAddOns) ? room.selectedAddOns : []) {
+        lines.push({
+          label: t('addOn', { name: addOn.name, quantity: addOn.quantity || 1 }),
+          amount: Number(addOn.price) || 0
+        });
+      }
+    }
+
+    if (Number(booking.discountAmount) > 0) {
+      lines.push({
+        label: booking.promoCode ? t('promoDiscount', { code: booking.promoCode }) : t('discount'),
+        amount: -Number(booking.discountAmount)
+      });
+    }
+
+    return lines;
+  }
+
+  // UZS amount of a booking priced or shown in another currency: charged when paid, quoted otherwise
+  static async _getChargeSummary(booking, totalAmount) {
+    if (!booking.fxRate) {
+      return null;
+    }
+
+    const quote = ExchangeRateLockService.describe(booking, totalAmount);
+    if (quote.currency === quote.chargeCurrency && quote.displayCurrency === quote.chargeCurrency) {
+      return null;
+    }
+
+    const paidTransactions = await Transaction.findAll({
+      where: { bookingId: booking.id, state: 2 },
+      attributes: ['amount']
+    });
+    if (paidTransactions.length === 0) {
+      return { ...quote, isCharged: false };
+    }
+
+    return {
+      ...quote,
+      chargeAmount: paidTransactions.reduce((sum, paid) => sum + Number(paid.amount || 0), 0),
+      isCharged: true
+    };
+  }
+
+  static _getPaymentStatus(booking) {
+    if (booking.paidAt) {
+      return 'paid';
+    }
+    if (['cancelled', 'rejected'].includes(booking.status)) {
+      return 'cancelled';
+    }
+    return booking.status === 'approved' ? 'confirmed' : 'unpaid';
+  }
+
+  static _getBookedHours(booking) {
+    try {
+      return (booking.timeSlots || []).reduce((sum, slot) => sum + BookingPricingService._getSlotHours(slot), 0);
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  static _formatAmount(amount, currency) {
+    return `${Number(amount).toLocaleString('ru-RU', { maximumFractionDigits: 2 })} ${currency}`;
+  }
+
+  static _formatDate(value, lng) {
+    return new Date(value).toLocaleDateString(this._getLocale(lng), { timeZone: 'Asia/Tashkent' });
+  }
+
+  static _formatDateTime(value, lng) {
+    return new Date(value).toLocaleString(this._getLocale(lng), { timeZone: 'Asia/Tashkent' });
+  }
+
+  static _getLocale(lng) {
+    return { en: 'en-GB', ru: 'ru-RU', uz: 'uz-UZ' }[lng] || 'ru-RU';
+  }
+}
+
+module.exports = BookingDocumentService;
@@ -0,0 +1,449 @@
+const { BookingGroup, Booking, Place, User } = require("../models");
+const { Op } = require("sequelize");
+const sequelize = require("../config/database");
+const BookingPricingService = require("./bookingPricingService");
+const BookingNotificationService = require("./bookingNotificationService");
+const BookingService = require("./bookingService");
+const WaitlistService = require("./waitlistService");
+const { validateBookingTimeSlots, hasTimeSlotConflict, cleanupExpiredBookings } = require("../utils/bookingUtils");
+
+// Upper bound on rooms in one group (main hall plus breakout rooms)
+const MAX_GROUP_ROOMS = 10;
+
+/**
+ * Booking Group Service - Multi-room bookings
+ *
+ * A group reserves several places of the same host for overlapping time slots.
+ * Every room is a regular Booking linked to the group; the first room is the
+ * primary booking and its finalTotal is the invoice for the whole group, so the
+ * existing payment providers charge the group through that single booking.
+ * Availability is checked for every room up front and the bookings are created
+ * in one transaction, so a group is booked, selected and cancelled all-or-nothing.
+ */
+class BookingGroupService {
+  /**
+   * Create a booking group with one pending booking per room (client-only)
+   * @param {Object} userData - Authenticated user
+   * @param {Object} groupData - { bookings: [{ place, selectedTimeSlots }], numOfGuests, guestName, guestPhone }
+   * @returns {Promise<Object>} Created group with its bookings
+   */
+  static async createGroup(userData, groupData) {
+    const { bookings: items, numOfGuests, guestName, guestPhone } = groupData;
+
+    if (userData.userType !== 'client') {
+      const error = new Error("Only clients can create bookings. Hosts and agents cannot make bookings.");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (items.length > MAX_GROUP_ROOMS) {
+      const error = new Error(`A booking group can include at most ${MAX_GROUP_ROOMS} places`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const places = await Place.findAll({ where: { id: items.map(item => item.place) } });
+    const placesById = new Map(places.map(place => [place.id, place]));
+    const rooms = items.map(item => ({
+      place: placesById.get(parseInt(item.place, 10)),
+      timeSlots: item.selectedTimeSlots
+    }));
+
+    if (rooms.some(room => !room.place)) {
+      const error = new Error("Place not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const hostId = rooms[0].place.ownerId;
+    if (rooms.some(room => room.place.ownerId !== hostId)) {
+      const error = new Error("All places in a booking group must belong to the same host");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // One invoice needs one currency
+    if (rooms.some(room => room.place.currencyId !== rooms[0].place.currencyId)) {
+      const error = new Error("All places in a booking group must be priced in the same currency");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // The first room is the main one; the others are booked alongside it
+    const [mainRoom, ...otherRooms] = rooms;
+    for (const room of otherRooms) {
+      const overlapsMainRoom = room.timeSlots.every(slot =>
+        mainRoom.timeSlots.some(mainSlot => hasTimeSlotConflict(slot, mainSlot))
+      );
+      if (!overlapsMainRoom) {
+        const error = new Error(`${room.place.title} must be booked during the time slots of ${mainRoom.place.title}`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    // Price check doubles as slot validation (time format, minimum hours)
+    const quotes = rooms.map(room =>
+      BookingPricingService.calculateQuote(room.place, room.timeSlots, { numOfGuests })
+    );
+
+    await this._assertRoomsAvailable(rooms.map(room => ({
+      placeId: room.place.id,
+      placeTitle: room.place.title,
+      cooldown: room.place.cooldown,
+      timeSlots: room.timeSlots
+    })), 422);
+
+    const totalPrice = quotes.reduce((sum, quote) => sum + quote.totalPrice, 0);
+    const finalTotal = quotes.reduce((sum, quote) => sum + quote.finalTotal, 0);
+
+    const transaction = await sequelize.transaction();
+    let group;
+    let primaryBooking;
+
+    try {
+      group = await BookingGroup.create({
+        userId: userData.id,
+        hostId,
+        totalPrice,
+        finalTotal
+      }, { transaction });
+
+      for (const [index, room] of rooms.entries()) {
+        const { finalCheckInDate, finalCheckOutDate } = BookingService._determineFinalDates(null, null, room.timeSlots);
+        const booking = await Booking.create({
+          userId: userData.id,
+          placeId: room.place.id,
+          groupId: group.id,
+          checkInDate: finalCheckInDate,
+          checkOutDate: finalCheckOutDate,
+          numOfGuests,
+          guestName,
+          guestPhone,
+          totalPrice: quotes[index].totalPrice,
+          // The primary booking is the group invoice
+          finalTotal: index === 0 ? finalTotal : quotes[index].finalTotal,
+          refundPolicySnapshot: room.place.refundOptions && room.place.refundOptions.length > 0
+            ? room.place.refundOptions
+            : null,
+          status: 'pending',
+          timeSlots: room.timeSlots,
+          uniqueRequestId: BookingService._generateUniqueRequestId()
+        }, { transaction });
+
+        if (index === 0) {
+          primaryBooking = booking;
+        }
+      }
+
+      await group.update({ primaryBookingId: primaryBooking.id }, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    // One request notification for the group instead of one per room
+    try {
+      await BookingNotificationService.createBookingRequestNotification(primaryBooking);
+    } catch (error) {
+      console.error("Error creating booking group request notification:", error);
+    }
+
+    return this._getGroupWithBookings(group.id);
+  }
+
+  /**
+   * Places that can be booked in one group with the given place
+   * (same host, same currency)
+   * @param {number} placeId - Main place ID
+   * @returns {Promise<Array>} Other places of the host with their pricing fields
+   */
+  static async getGroupableRooms(placeId) {
+    const place = await Place.findByPk(placeId, { attributes: ['id', 'ownerId', 'currencyId'] });
+    if (!place) {
+      const error = new Error("Place not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return Place.findAll({
+      where: {
+        ownerId: place.ownerId,
+        currencyId: place.currencyId,
+        id: { [Op.ne]: place.id }
+      },
+      attributes: [
+        'id', 'title', 'photos', 'price', 'maxGuests', 'minimumHours',
+        'fullDayHours', 'fullDayDiscountPrice', 'pricingRules', 'cooldown'
+      ],
+      order: [['title', 'ASC']],
+      limit: MAX_GROUP_ROOMS
+    });
+  }
+
+  /**
+   * Get a group with its bookings for a user who has access to it
+   * @param {number} groupId - Group ID
+   * @param {Object} userData - Authenticated user
+   * @returns {Promise<Object>} Group with bookings
+   */
+  static async getGroup(groupId, userData) {
+    const group = await this._getGroupWithBookings(groupId);
+    this._checkGroupAccess(group, userData);
+    return group;
+  }
+
+  /**
+   * Select, reject or cancel a group as a unit
+   * Hosts and agents select/reject; the client who owns the group can cancel it
+   * before payment. Selecting re-checks every room against confirmed bookings and
+   * changes nothing if any room is no longer available. A paid group is cancelled
+   * from its primary booking so the refund follows the normal cancellation flow.
+   * @param {number} groupId - Group ID
+   * @param {Object} userData - Authenticated user
+   * @param {string} status - selected | rejected | cancelled
+   * @returns {Promise<Object>} { success, group }
+   */
+  static async updateGroupStatus(groupId, userData, status) {
+    if (!['selected', 'rejected', 'cancelled'].includes(status)) {
+      const error = new Error("Invalid status value");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await cleanupExpiredBookings();
+
+    const group = await this._getGroupWithBookings(groupId);
+    this._checkGroupAccess(group, userData);
+
+    const isHostOrAgent = userData.userType === 'agent' ||
+      (userData.userType === 'host' && group.hostId === userData.id);
+    const isOwner = userData.userType === 'client' && group.userId === userData.id;
+
+    if ((status === 'cancelled' && !isOwner) || (status !== 'cancelled' && !isHostOrAgent)) {
+      const error = new Error("You are not authorized to update this booking group");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (group.status === 'approved') {
+      const error = new Error("This booking group has been paid. Cancel it from its main booking so the refund can be processed.");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const allowedFrom = status === 'selected' ? ['pending'] : ['pending', 'selected'];
+    if (!allowedFrom.includes(group.status)) {
+      const error = new Error(`Cannot change a ${group.status} booking group to ${status}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (status === 'selected') {
+      await this._assertRoomsAvailable(group.bookings.map(booking => ({
+        placeId: booking.placeId,
+        placeTitle: booking.place?.title,
+        cooldown: booking.place?.cooldown,
+        timeSlots: booking.timeSlots || [],
+        excludeBookingId: booking.id
+      })), 409);
+    }
+
+    const timestampField = { selected: 'selectedAt', rejected: 'rejectedAt', cancelled: 'cancelledAt' }[status];
+    const transaction = await sequelize.transaction();
+
+    try {
+      // Bulk update so the booking hooks don't re-sync the group mid-change
+      await Booking.update(
+        { status, [timestampField]: new Date() },
+        { where: { groupId: group.id, status: { [Op.in]: allowedFrom } }, transaction }
+      );
+      await group.update({ status }, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    // Selected rooms may have been held at checkout
+    if (status !== 'selected') {
+      for (const booking of group.bookings.filter(room => room.status === 'selected')) {
+        await WaitlistService.notifyForReleasedBooking(booking);
+      }
+    }
+
+    // One notification for the group, sent for its primary booking
+    try {
+      const primaryBooking = await Booking.findByPk(group.primaryBookingId);
+      if (primaryBooking && status === 'selected') {
+        await BookingNotificationService.createBookingSelectedNotification(primaryBooking);
+      } else if (primaryBooking && status === 'rejected') {
+        await BookingNotificationService.createBookingRejectedNotification(primaryBooking);
+      }
+    } catch (error) {
+      console.error("Error creating booking group status notification:", error);
+    }
+
+    return {
+      success: true,
+      group: await this._getGroupWithBookings(group.id)
+    };
+  }
+
+  /**
+   * Bookings whose time slots a payment for this booking covers
+   * Rooms of a group are only paid through the group's primary booking.
+   * @param {Object} booking - Booking instance about to be paid
+   * @returns {Promise<Array>} The booking plus the other selected rooms of its group
+   */
+  static async getBookingsPaidTogether(booking) {
+    if (!booking.groupId) {
+      return [booking];
+    }
+
+    const group = await BookingGroup.findByPk(booking.groupId);
+    if (!group || group.primaryBookingId !== booking.id) {
+      const error = new Error("This room is paid together with its booking group. Pay from the group's main booking.");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const otherRooms = await Booking.findAll({
+      where: { groupId: group.id, id: { [Op.ne]: booking.id }, status: 'selected' }
+    });
+
+    return [booking, ...otherRooms];
+  }
+
+  /**
+   * Carry a single-booking status change over to the rest of its group
+   * Registered as a Booking afterUpdate hook. Approving the primary booking
+   * (payment) approves the group; a paid group follows its primary booking into
+   * cancellation; an unpaid group is all-or-nothing, so losing any room (e.g. to
+   * a confirmed competing booking) releases the others.
+   * @param {Object} booking - Updated booking instance
+   * @param {Object} options - Hook options (transaction)
+   */
+  static async syncGroupWithBooking(booking, options = {}) {
+    if (!booking.groupId || !booking.changed('status')) {
+      return;
+    }
+
+    const { transaction } = options;
+    const group = await BookingGroup.findByPk(booking.groupId, { transaction });
+    if (!group) {
+      return;
+    }
+
+    const isPrimary = group.primaryBookingId === booking.id;
+    const otherRooms = { groupId: group.id, id: { [Op.ne]: booking.id } };
+
+    if (booking.status === 'approved' && isPrimary && group.status === 'selected') {
+      await Booking.update(
+        { status: 'approved', approvedAt: booking.approvedAt || new Date(), paidAt: booking.paidAt },
+        { where: { ...otherRooms, status: 'selected' }, transaction }
+      );
+      await group.update({ status: 'approved' }, { transaction });
+      return;
+    }
+
+    const isCancellation = ['rejected', 'cancelled'].includes(booking.status);
+    const isUnpaidGroup = ['pending', 'selected'].includes(group.status);
+
+    if (isCancellation && (isUnpaidGroup || (isPrimary && group.status === 'approved'))) {
+      const timestampField = booking.status === 'rejected' ? 'rejectedAt' : 'cancelledAt';
+      const releasedRooms = await Booking.findAll({
+        where: { ...otherRooms, status: { [Op.in]: ['selected', 'approved'] } },
+        transaction
+      });
+      await Booking.update(
+        { status: booking.status, [timestampField]: new Date() },
+        { where: { ...otherRooms, status: { [Op.in]: ['pending', 'selected', 'approved'] } }, transaction }
+      );
+      await group.update({ status: booking.status }, { transaction });
+
+      for (const room of releasedRooms) {
+        await WaitlistService.notifyForReleasedBooking(room);
+      }
+    }
+  }
+
+  // Private helper methods
+  static async _assertRoomsAvailable(rooms, statusCode) {
+    const unavailable = [];
+
+    for (const room of rooms) {
+      const validation = await validateBookingTimeSlots(
+        room.timeSlots,
+        room.placeId,
+        room.cooldown || 0,
+        room.excludeBookingId || null
+      );
+
+      if (!validation.isValid) {
+        unavailable.push({
+          placeId: room.placeId,
+          placeTitle: room.placeTitle,
+          message: validation.message,
+          conflictingSlot: validation.conflictingSlot || null
+        });
+      }
+    }
+
+    if (unavailable.length > 0) {
+      const error = new Error(`Not all rooms are available: ${unavailable.map(room => room.placeTitle).join(', ')}`);
+      error.statusCode = statusCode;
+      error.unavailableRooms = unavailable;
+      throw error;
+    }
+  }
+
+  static async _getGroupWithBookings(groupId) {
+    const group = await BookingGroup.findByPk(groupId, {
+      include: [
+        {
+          model: Booking,
+          as: 'bookings',
+          attributes: ['id', 'groupId', 'status', 'timeSlots', 'checkInDate', 'checkOutDate', 'totalPrice', 'finalTotal', 'uniqueRequestId', 'userId', 'placeId', 'paidAt'],
+          include: [
+            {
+              model: Place,
+              as: 'place',
+              attributes: ['id', 'title', 'ownerId', 'cooldown', 'currencyId']
+            }
+          ]
+        },
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'email', 'phoneNumber']
+        }
+      ],
+      order: [[{ model: Booking, as: 'bookings' }, 'id', 'ASC']]
+    });
+
+    if (!group) {
+      const error = new Error("Booking group not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return group;
+  }
+
+  static _checkGroupAccess(group, userData) {
+    const canAccess =
+      userData.userType === 'agent' ||
+      (userData.userType === 'client' && group.userId === userData.id) ||
+      (userData.userType === 'host' && group.hostId === userData.id);
+
+    if (!canAccess) {
+      const error = new Error("Access denied");
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+}
+
+module.exports = BookingGroupService;
@@ -0,0 +1,230 @@
+const { BookingHold, Booking } = require("../models");
+const { Op } = require("sequelize");
+const sequelize = require("../config/database");
+const { cleanupExpiredBookings, findActiveBookingHolds } = require("../utils/bookingUtils");
+const BookingGroupService = require("./bookingGroupService");
+
+// How long a checkout hold (and a started payment) keeps the slot for one client
+const HOLD_DURATION_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES, 10) || 15;
+
+/**
+ * Booking Hold Service - Checkout holds on selected bookings
+ *
+ * Hosts can select several competing requests for the same slot, so more than
+ * one client may be able to pay. Opening checkout takes a short-lived hold on
+ * the booking's time slots; starting a payment converts the hold. While a hold
+ * is unexpired no other booking can start payment for an overlapping slot.
+ * Checking for blocking holds and writing the new one happen in one transaction
+ * under a per-place advisory lock, so two clients checking out the same slots at
+ * once cannot both get a hold. Lapsed holds are expired by cleanupExpiredBookings.
+ */
+class BookingHoldService {
+  /**
+   * Take (or refresh) a checkout hold for a selected booking (client owner only)
+   * @param {number} bookingId - Booking ID
+   * @param {Object} userData - Authenticated user
+   * @returns {Promise<Object>} The active hold
+   */
+  static async holdBooking(bookingId, userData) {
+    await cleanupExpiredBookings();
+
+    const booking = await this._getPayableBooking(bookingId, userData);
+    const bookings = await BookingGroupService.getBookingsPaidTogether(booking);
+
+    return this._withPlaceLocks(bookings, async (transaction) => {
+      for (const heldBooking of bookings) {
+        await this._assertSlotsNotHeld(heldBooking, transaction);
+      }
+
+      const expiresAt = this._getExpiryDate();
+      const holds = [];
+      for (const heldBooking of bookings) {
+        holds.push(await this._holdForCheckout(heldBooking, expiresAt, transaction));
+      }
+
+      return holds[0];
+    });
+  }
+
+  /**
+   * Release an active checkout hold when the client leaves checkout without paying
+   * @param {number} bookingId - Booking ID
+   * @param {Object} userData - Authenticated user
+   * @returns {Promise<Object>} { success, released }
+   */
+  static async releaseHold(bookingId, userData) {
+    const booking = await Booking.findByPk(bookingId);
+    if (!booking) {
+      const error = new Error("Booking not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (booking.userId !== userData.id) {
+      const error = new Error("Access denied. You can only release holds on your own bookings");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    // Checkout holds every room of a booking group, so leaving it releases them all
+    const bookingIds = booking.groupId
+      ? (await Booking.findAll({ where: { groupId: booking.groupId }, attributes: ['id'] })).map(({ id }) => id)
+      : [booking.id];
+
+    const [released] = await BookingHold.update(
+      { status: 'released' },
+      { where: { bookingId: { [Op.in]: bookingIds }, status: 'active' } }
+    );
+
+    return { success: true, released };
+  }
+
+  /**
+   * Convert the booking's hold when a payment is started
+   * Creates a converted hold directly when the client skipped checkout (e.g. a retry),
+   * and refuses to start payment while another booking holds an overlapping slot
+   * @param {Object} booking - Booking instance in "selected" status
+   * @returns {Promise<Object>} The converted hold
+   */
+  static async convertHoldForPayment(booking) {
+    // A group's primary booking pays for (and holds) every room of the group
+    const bookings = await BookingGroupService.getBookingsPaidTogether(booking);
+
+    return this._withPlaceLocks(bookings, async (transaction) => {
+      for (const heldBooking of bookings) {
+        await this._assertSlotsNotHeld(heldBooking, transaction);
+      }
+
+      const now = new Date();
+      const expiresAt = this._getExpiryDate();
+      const holds = [];
+      for (const heldBooking of bookings) {
+        holds.push(await this._convertHold(heldBooking, now, expiresAt, transaction));
+      }
+
+      return holds[0];
+    });
+  }
+
+  // Private helper methods
+
+  // Run fn in a transaction holding an advisory lock on every place of the bookings;
+  // places are locked in id order so concurrent group checkouts cannot deadlock
+  static async _withPlaceLocks(bookings, fn) {
+    const placeIds = [...new Set(bookings.map(booking => booking.placeId))].sort((a, b) => a - b);
+
+    return sequelize.transaction(async (transaction) => {
+      for (const placeId of placeIds) {
+        await sequelize.query(
+          "SELECT pg_advisory_xact_lock(hashtext('booking_holds'), :placeId)",
+          { replacements: { placeId }, transaction }
+        );
+      }
+      return fn(transaction);
+    });
+  }
+
+  static async _holdForCheckout(booking, expiresAt, transaction) {
+    const existingHold = await this._findCurrentHold(booking.id, transaction);
+
+    if (existingHold) {
+      // Re-opening checkout extends an active hold; a started payment keeps its own window
+      if (existingHold.status === 'active') {
+        await existingHold.update({ expiresAt }, { transaction });
+      }
+      return existingHold;
+    }
+
+    return BookingHold.create({
+      bookingId: booking.id,
+      userId: booking.userId,
+      placeId: booking.placeId,
+      timeSlots: booking.timeSlots || [],
+      status: 'active',
+      expiresAt
+    }, { transaction });
+  }
+
+  static async _convertHold(booking, convertedAt, expiresAt, transaction) {
+    const existingHold = await this._findCurrentHold(booking.id, transaction);
+
+    if (existingHold) {
+      await existingHold.update({ status: 'converted', convertedAt, expiresAt }, { transaction });
+      return existingHold;
+    }
+
+    return BookingHold.create({
+      bookingId: booking.id,
+      userId: booking.userId,
+      placeId: booking.placeId,
+      timeSlots: booking.timeSlots || [],
+      status: 'converted',
+      convertedAt,
+      expiresAt
+    }, { transaction });
+  }
+
+  static async _getPayableBooking(bookingId, userData) {
+    if (userData.userType !== 'client') {
+      const error = new Error("Only clients can hold bookings for checkout");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const booking = await Booking.findByPk(bookingId);
+    if (!booking) {
+      const error = new Error("Booking not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (booking.userId !== userData.id) {
+      const error = new Error("Access denied. You can only hold your own bookings");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (booking.status !== 'selected' || booking.paidAt) {
+      const error = new Error("Only selected bookings awaiting payment can be held for checkout");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return booking;
+  }
+
+  static async _assertSlotsNotHeld(booking, transaction) {
+    const blockingHolds = await findActiveBookingHolds(
+      booking.placeId,
+      booking.timeSlots || [],
+      booking.id,
+      { transaction }
+    );
+
+    if (blockingHolds.length > 0) {
+      const heldUntil = new Date(Math.max(...blockingHolds.map(hold => new Date(hold.expiresAt).getTime())));
+      const error = new Error("These time slots are currently held by another client at checkout. Please try again later.");
+      error.statusCode = 409;
+      error.heldUntil = heldUntil;
+      throw error;
+    }
+  }
+
+  static async _findCurrentHold(bookingId, transaction) {
+    return BookingHold.findOne({
+      transaction,
+      where: {
+        bookingId,
+        status: { [Op.in]: ['active', 'converted'] },
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  static _getExpiryDate() {
+    return new Date(Date.now() + HOLD_DURATION_MINUTES * 60 * 1000);
+  }
+}
+
+module.exports = BookingHoldService;
@@ -59,7 +59,9 @@
 const { Notification, User, Place, Booking, Currency } = require("../models");
 const AgentService = require("./agentService");
 const UnifiedNotificationService = require("./unifiedNotificationService");
+const BookingDocumentService = require("./bookingDocumentService");
 const { translate, formatCurrency } = require("../i18n/config");
+const moment = require("moment-timezone");
 
 class BookingNotificationService {
   /**
@@ -342,7 +344,9 @@ class BookingNotificationService {
           checkOutDate: booking.checkOutDate,
           isAgentApproval,
           timeSlots: booking.timeSlots,
-          dateTimeWindow: `${dateRange}${timeSlotInfo}`
+          dateTimeWindow: `${dateRange}${timeSlotInfo}`,
+          // PDF documents the client can download from the notification
+          documents: BookingDocumentService.getNotificationDocuments(booking)
         }
       });
 
@@ -535,7 +539,8 @@ class BookingNotificationService {
           timeSlots: booking.timeSlots,
           dateTimeWindow: `${dateRange}${timeSlotInfo}`,
           notificationType: "client_confirmation",
-          isHost: false
+          isHost: false,
+          documents: BookingDocumentService.getNotificationDocuments(booking)
         }
       });
 
@@ -610,7 +615,8 @@ class BookingNotificationService {
           checkOutDate: booking.checkOutDate,
           totalPrice: booking.totalPrice,
           timeSlots: booking.timeSlots,
-          dateTimeWindow: `${dateRange}${timeSlotInfo}`
+          dateTimeWindow: `${dateRange}${timeSlotInfo}`,
+          documents: BookingDocumentService.getNotificationDocuments(booking)
         }
       });
 
@@ -898,6 +904,274 @@ class BookingNotificationService {
     }
   }
 
+  /**
+   * Create notification for host when a client reschedules a booking
+   * @param {Object} booking - Booking object with the new time slots
+   * @param {Array} previousTimeSlots - Time slots before the reschedule
+   * @returns {Promise<Object>} Created notification for host
+   */
+  static async createBookingRescheduledNotification(booking, previousTimeSlots = []) {
+    if (!booking || !booking.placeId || !booking.userId) {
+      throw new Error("Invalid booking data for notification");
+    }
+
+    try {
+      const place = await Place.findByPk(booking.placeId, {
+        include: [{
+          model: User,
+          as: "owner",
+          attributes: ["id", "name", "preferredLanguage"]
+        }]
+      });
+
+      if (!place || !place.owner) {
+        throw new Error("Place or place owner not found for booking rescheduled notification");
+      }
+
+      // Get host's preferred language
+      const userLanguage = await this._getUserLanguage(place.owner.id);
+
+      const bookingReference = booking.uniqueRequestId || booking.id;
+      const previousDateRange = this._formatTimeSlotsWindow(previousTimeSlots, userLanguage);
+      const dateRange = this._formatTimeSlotsWindow(booking.timeSlots, userLanguage);
+
+      // Create localized SMS message using i18n
+      const smsMessage = this._createLocalizedMessage("booking.rescheduled", {
+        bookingReference,
+        placeName: place.title,
+        previousDateRange,
+        dateRange
+      }, userLanguage);
+
+      const result = await UnifiedNotificationService.createBookingNotification({
+        userId: place.owner.id,
+        type: "booking_rescheduled",
+        // Store translation key for in-app notification (will be translated in UI)
+        translationKey: "booking_rescheduled",
+        // Store variables for in-app translation
+        translationVariables: {
+          bookingReference,
+          placeName: place.title,
+          previousDateRange,
+          dateRange
+        },
+        smsMessage: smsMessage,
+        bookingId: booking.id,
+        placeId: booking.placeId,
+        additionalMetadata: {
+          uniqueRequestId: booking.uniqueRequestId,
+          bookingReference,
+          placeName: place.title,
+          checkInDate: booking.checkInDate,
+          checkOutDate: booking.checkOutDate,
+          previousTimeSlots,
+          timeSlots: booking.timeSlots
+        }
+      });
+
+      return result.notification;
+
+    } catch (error) {
+      console.error("Error creating booking rescheduled notification:", error);
+      throw new Error(`Failed to create booking rescheduled notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create notification for a waitlisted client when their time range is freed
+   * @param {Object} entry - Notified waitlist entry with claimToken and claimExpiresAt
+   * @param {Object} place - Place the client waits for
+   * @param {string} claimPath - Client route that pre-selects the slot for booking
+   * @returns {Promise<Object>} Created notification for client
+   */
+  static async createWaitlistSlotAvailableNotification(entry, place, claimPath) {
+    if (!entry || !entry.userId || !place) {
+      throw new Error("Invalid waitlist data for notification");
+    }
+
+    try {
+      // Get client's preferred language
+      const userLanguage = await this._getUserLanguage(entry.userId);
+
+      const timeSlots = [{ date: entry.date, startTime: entry.startTime, endTime: entry.endTime }];
+      const dateRange = this._formatTimeSlotsWindow(timeSlots, userLanguage);
+      const claimExpiresAt = moment(entry.claimExpiresAt).tz('Asia/Tashkent').format('HH:mm');
+      const claimUrl = `${(process.env.FRONTEND_URL || '').replace(/\/$/, '')}${claimPath}`;
+
+      // Create localized SMS message using i18n
+      const smsMessage = this._createLocalizedMessage("booking.waitlistAvailable", {
+        placeName: place.title,
+        dateRange,
+        claimExpiresAt,
+        claimUrl
+      }, userLanguage);
+
+      const result = await UnifiedNotificationService.createBookingNotification({
+        userId: entry.userId,
+        type: "booking_waitlist_available",
+        // Store translation key for in-app notification (will be translated in UI)
+        translationKey: "booking_waitlist_available",
+        // Store variables for in-app translation
+        translationVariables: {
+          placeName: place.title,
+          dateRange,
+          claimExpiresAt
+        },
+        smsMessage: smsMessage,
+        bookingId: null,
+        placeId: place.id,
+        additionalMetadata: {
+          placeName: place.title,
+          waitlistEntryId: entry.id,
+          claimPath,
+          claimExpiresAt: entry.claimExpiresAt,
+          timeSlots
+        }
+      });
+
+      return result.notification;
+
+    } catch (error) {
+      console.error("Error creating waitlist notification:", error);
+      throw new Error(`Failed to create waitlist notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create reminder for a client whose booking balance is still unpaid
+   * @param {Object} booking - Booking with amountDue and balanceDueAt
+   * @returns {Promise<Object>} Created notification for client
+   */
+  static async createBalanceDueNotification(booking) {
+    if (!booking || !booking.placeId || !booking.userId) {
+      throw new Error("Invalid booking data for notification");
+    }
+
+    try {
+      const place = await Place.findByPk(booking.placeId, {
+        include: [{
+          model: Currency,
+          as: "currency",
+          attributes: ["id", "charCode", "name"]
+        }]
+      });
+
+      if (!place) {
+        throw new Error("Place not found for balance due notification");
+      }
+
+      // Get client's preferred language
+      const userLanguage = await this._getUserLanguage(booking.userId);
+
+      const bookingReference = booking.uniqueRequestId || booking.id;
+      const currency = place.currency?.charCode || "UZS";
+      const amount = formatCurrency(booking.amountDue || 0, userLanguage, currency);
+      const dueAt = `${this._formatDate(booking.balanceDueAt, userLanguage)} ${moment(booking.balanceDueAt).tz('Asia/Tashkent').format('HH:mm')}`;
+      const paymentUrl = `${(process.env.FRONTEND_URL || '').replace(/\/$/, '')}/account/bookings/${booking.id}`;
+
+      // Create localized SMS message using i18n
+      const smsMessage = this._createLocalizedMessage("booking.balanceDue", {
+        bookingReference,
+        placeName: place.title,
+        amount,
+        dueAt,
+        paymentUrl
+      }, userLanguage);
+
+      const result = await UnifiedNotificationService.createBookingNotification({
+        userId: booking.userId,
+        type: "booking_balance_due",
+        // Store translation key for in-app notification (will be translated in UI)
+        translationKey: "booking_balance_due",
+        // Store variables for in-app translation
+        translationVariables: {
+          bookingReference,
+          placeName: place.title,
+          amount,
+          dueAt
+        },
+        smsMessage: smsMessage,
+        bookingId: booking.id,
+        placeId: booking.placeId,
+        additionalMetadata: {
+          uniqueRequestId: booking.uniqueRequestId,
+          bookingReference,
+          placeName: place.title,
+          amountDue: booking.amountDue,
+          balanceDueAt: booking.balanceDueAt
+        }
+      });
+
+      return result.notification;
+
+    } catch (error) {
+      console.error("Error creating balance due notification:", error);
+      throw new Error(`Failed to create balance due notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create notification for a client whose booking was cancelled for an unpaid balance
+   * @param {Object} booking - Cancelled booking
+   * @returns {Promise<Object>} Created notification for client
+   */
+  static async createBalanceCancelledNotification(booking) {
+    if (!booking || !booking.placeId || !booking.userId) {
+      throw new Error("Invalid booking data for notification");
+    }
+
+    try {
+      const place = await Place.findByPk(booking.placeId);
+      if (!place) {
+        throw new Error("Place not found for balance cancelled notification");
+      }
+
+      // Get client's preferred language
+      const userLanguage = await this._getUserLanguage(booking.userId);
+
+      const bookingReference = booking.uniqueRequestId || booking.id;
+      const dateRange = this._isSameDay(booking.checkInDate, booking.checkOutDate)
+        ? this._formatDate(booking.checkInDate, userLanguage)
+        : `${this._formatDate(booking.checkInDate, userLanguage)} - ${this._formatDate(booking.checkOutDate, userLanguage)}`;
+
+      // Create localized SMS message using i18n
+      const smsMessage = this._createLocalizedMessage("booking.balanceCancelled", {
+        bookingReference,
+        placeName: place.title,
+        dateRange
+      }, userLanguage);
+
+      const result = await UnifiedNotificationService.createBookingNotification({
+        userId: booking.userId,
+        type: "booking_balance_cancelled",
+        // Store translation key for in-app notification (will be translated in UI)
+        translationKey: "booking_balance_cancelled",
+        // Store variables for in-app translation
+        translationVariables: {
+          bookingReference,
+          placeName: place.title,
+          dateRange
+        },
+        smsMessage: smsMessage,
+        bookingId: booking.id,
+        placeId: booking.placeId,
+        additionalMetadata: {
+          uniqueRequestId: booking.uniqueRequestId,
+          bookingReference,
+          placeName: place.title,
+          amountPaid: booking.amountPaid,
+          balanceDueAt: booking.balanceDueAt
+        }
+      });
+
+      return result.notification;
+
+    } catch (error) {
+      console.error("Error creating balance cancelled notification:", error);
+      throw new Error(`Failed to create balance cancelled notification: ${error.message}`);
+    }
+  }
+
   /**
    * Get user's preferred language or fallback to Russian
    * @param {number} userId - User ID
@@ -979,6 +1253,24 @@ class BookingNotificationService {
     }
   }
 
+  /**
+   * Format time slots as a short date/time window, e.g. "Oct 20, 2026 from 10:00 to 14:00"
+   * @param {Array} timeSlots - Array of { date, startTime, endTime }
+   * @param {string} language - Language code (en, ru, uz)
+   * @returns {string} Formatted window
+   */
+  static _formatTimeSlotsWindow(timeSlots, language = "en") {
+    if (!timeSlots || timeSlots.length === 0) return "Unknown";
+
+    const first = timeSlots[0];
+    const last = timeSlots[timeSlots.length - 1];
+    const dateRange = first.date === last.date
+      ? this._formatDate(first.date, language)
+      : `${this._formatDate(first.date, language)} - ${this._formatDate(last.date, language)}`;
+
+    return `${dateRange} from ${first.startTime} to ${last.endTime}`;
+  }
+
   /**
    * Check if two dates are the same day
    * @param {Date|string} date1 - First date
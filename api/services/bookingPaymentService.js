@@ -0,0 +1,285 @@
+const { Booking, Transaction } = require("../models");
+const { Op } = require("sequelize");
+const { getHoursUntilBookingStart } = require("../utils/bookingUtils");
+const BookingNotificationService = require("./bookingNotificationService");
+const WaitlistService = require("./waitlistService");
+
+// Balance reminders go out this many hours before the balance is due, earliest first
+const BALANCE_REMINDER_HOURS = [72, 24];
+const DEFAULT_BALANCE_DUE_HOURS = 48;
+const MAX_BALANCE_DUE_HOURS = 720;
+// How often reminders are sent and overdue balances cancelled
+const BALANCE_CHECK_INTERVAL = 15 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Booking Payment Service - Deposits, partial payments and balance collection
+ *
+ * A place can take a percentage of the total upfront. Paying the deposit approves
+ * the booking; the balance is due balanceDueHours before the booking starts and
+ * bookings still owing it at that cutoff are cancelled. Every provider reports
+ * completed payments through recordPayment(), which keeps amountPaid in step with
+ * the booking's paid transactions. Booking groups and series are paid in full.
+ */
+class BookingPaymentService {
+  /**
+   * Validate the deposit settings of a place
+   * @param {Object} terms - { depositPercentage, balanceDueHours }; empty percentage means no deposit
+   * @returns {Object} { isValid, error?, depositPercentage, balanceDueHours } with normalized values
+   */
+  static validateDepositTerms({ depositPercentage, balanceDueHours } = {}) {
+    const percentage = depositPercentage === null || depositPercentage === undefined || depositPercentage === ''
+      ? null
+      : Number(depositPercentage);
+    if (percentage !== null && (!Number.isInteger(percentage) || percentage < 1 || percentage > 99)) {
+      return { isValid: false, error: "Deposit must be a whole percentage between 1 and 99" };
+    }
+
+    const hours = balanceDueHours === null || balanceDueHours === undefined || balanceDueHours === ''
+      ? DEFAULT_BALANCE_DUE_HOURS
+      : Number(balanceDueHours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_BALANCE_DUE_HOURS) {
+      return { isValid: false, error: `Balance due time must be between 1 and ${MAX_BALANCE_DUE_HOURS} hours before the booking` };
+    }
+
+    return { isValid: true, depositPercentage: percentage, balanceDueHours: hours };
+  }
+
+  /**
+   * Deposit terms for a new booking at a place
+   * No deposit is taken when the place has none or the balance would already be due.
+   * @param {Object} place - Place with depositPercentage and balanceDueHours
+   * @param {number} total - Booking total
+   * @param {Object} booking - { timeSlots, checkInDate } of the new booking
+   * @returns {Object} { depositAmount, balanceDueAt } (both null for full payment)
+   */
+  static getDepositTerms(place, total, { timeSlots, checkInDate } = {}) {
+    const noDeposit = { depositAmount: null, balanceDueAt: null };
+    if (!place || !place.depositPercentage || !(total > 0)) {
+      return noDeposit;
+    }
+
+    const balanceDueAt = this.getBalanceDueAt(place, { timeSlots, checkInDate });
+    if (balanceDueAt.getTime() <= Date.now()) {
+      return noDeposit;
+    }
+
+    return {
+      // Whole currency units, so the deposit converts exactly to provider minor units
+      depositAmount: Math.round(total * place.depositPercentage / 100),
+      balanceDueAt
+    };
+  }
+
+  /**
+   * Balance cutoff for a booking: balanceDueHours before it starts
+   * @param {Object} place - Place with balanceDueHours
+   * @param {Object} booking - Booking (or { timeSlots, checkInDate })
+   * @returns {Date} Cutoff, in the past when the booking starts sooner than that
+   */
+  static getBalanceDueAt(place, booking) {
+    const hoursUntilDue = getHoursUntilBookingStart(booking) - (place.balanceDueHours || 0);
+    return new Date(Date.now() + hoursUntilDue * 60 * 60 * 1000);
+  }
+
+  /**
+   * Amount the client pays with the next payment
+   * @param {Object} booking - Booking
+   * @param {Object} options - { partial: false to charge everything still owed }
+   * @returns {Object} { amount, paymentType: 'full'|'deposit'|'balance' }
+   */
+  static getAmountToPay(booking, { partial = true } = {}) {
+    const total = Number(booking.finalTotal || booking.totalPrice || 0);
+    const amountPaid = Number(booking.amountPaid || 0);
+
+    if (partial && amountPaid === 0 && this._isDepositOpen(booking)) {
+      return { amount: Number(booking.depositAmount), paymentType: 'deposit' };
+    }
+
+    return {
+      amount: roundAmount(Math.max(0, total - amountPaid)),
+      paymentType: amountPaid > 0 ? 'balance' : 'full'
+    };
+  }
+
+  /**
+   * Whether the client can pay for the booking now
+   * Selected bookings take their first payment; approved bookings with a paid
+   * deposit take the balance.
+   * @param {Object} booking - Booking
+   * @returns {boolean} True when a payment can be started
+   */
+  static canAcceptPayment(booking) {
+    if (booking.status === 'selected') {
+      return true;
+    }
+
+    return this.isBalanceDue(booking);
+  }
+
+  /**
+   * Whether the booking's deposit is paid and the balance is still owed
+   * @param {Object} booking - Booking
+   * @returns {boolean} True when the balance can be paid
+   */
+  static isBalanceDue(booking) {
+    return booking.status === 'approved'
+      && !booking.paidAt
+      && !!booking.depositPaidAt
+      && Number(booking.amountDue || 0) > 0;
+  }
+
+  /**
+   * Record a completed payment on the booking
+   * Approves the booking; it is marked paid (paidAt) once nothing is owed. With a
+   * transaction the paid amount is recounted from the booking's paid transactions,
+   * so recording the same payment twice is harmless.
+   * @param {Object} booking - Booking instance
+   * @param {Object} payment - { transaction, amount, paidAt, paymentResponse, ...extra booking changes }
+   *   amount is what was paid when there is no transaction (defaults to getAmountToPay)
+   * @returns {Promise<Object>} Updated booking
+   */
+  static async recordPayment(booking, { transaction = null, amount = null, paidAt = null, paymentResponse = null, ...changes } = {}) {
+    const paidDate = paidAt || new Date();
+    const total = Number(booking.finalTotal || booking.totalPrice || 0);
+
+    // Without a deposit every payment settles the whole booking
+    if (!booking.depositAmount) {
+      return booking.update({
+        status: 'approved',
+        paidAt: booking.paidAt || paidDate,
+        approvedAt: booking.approvedAt || paidDate,
+        ...(paymentResponse && { paymentResponse }),
+        ...changes
+      });
+    }
+
+    let amountPaid = transaction
+      ? await this._sumPaidTransactions(booking.id, transaction)
+      : Number(booking.amountPaid || 0) + (amount ?? this.getAmountToPay(booking).amount);
+    amountPaid = roundAmount(Math.min(amountPaid, total));
+
+    const isFullyPaid = total - amountPaid < 0.01;
+    return booking.update({
+      status: 'approved',
+      approvedAt: booking.approvedAt || paidDate,
+      depositPaidAt: booking.depositPaidAt || paidDate,
+      amountPaid,
+      ...(isFullyPaid && { paidAt: booking.paidAt || paidDate }),
+      ...(paymentResponse && { paymentResponse }),
+      ...changes
+    });
+  }
+
+  /**
+   * Send balance reminders and cancel bookings whose balance is overdue
+   * Runs on a schedule (startScheduledBalanceCollection), never from request handlers
+   * @returns {Promise<Object>} { reminded, cancelled } counts
+   */
+  static async processBalanceDue() {
+    const bookings = await Booking.findAll({
+      where: {
+        status: 'approved',
+        paidAt: null,
+        depositPaidAt: { [Op.ne]: null },
+        balanceDueAt: { [Op.ne]: null },
+        amountDue: { [Op.gt]: 0 }
+      }
+    });
+
+    let reminded = 0;
+    let cancelled = 0;
+    const now = Date.now();
+
+    for (const booking of bookings) {
+      const dueAt = new Date(booking.balanceDueAt).getTime();
+
+      if (dueAt <= now) {
+        await this._cancelUnpaidBalance(booking);
+        cancelled += 1;
+        continue;
+      }
+
+      // Reminders that are due but were not sent yet (e.g. the 72h one on a late booking is skipped)
+      const hoursLeft = (dueAt - now) / (60 * 60 * 1000);
+      const remindersDue = BALANCE_REMINDER_HOURS.filter(hours => hoursLeft <= hours).length;
+      if (remindersDue > (booking.balanceRemindersSent || 0)) {
+        await booking.update({ balanceRemindersSent: remindersDue });
+        try {
+          await BookingNotificationService.createBalanceDueNotification(booking);
+          reminded += 1;
+        } catch (error) {
+          console.error(`Error sending balance reminder for booking ${booking.id}:`, error);
+        }
+      }
+    }
+
+    return { reminded, cancelled };
+  }
+
+  /**
+   * Process due balances now and then every BALANCE_CHECK_INTERVAL; failures are logged and retried on the next run
+   */
+  static startScheduledBalanceCollection() {
+    const run = async () => {
+      try {
+        const { reminded, cancelled } = await this.processBalanceDue();
+        if (reminded > 0 || cancelled > 0) {
+          console.log(`💳 Balance collection: ${reminded} reminded, ${cancelled} cancelled`);
+        }
+      } catch (error) {
+        console.error("Error processing due balances:", error);
+      }
+    };
+
+    run();
+    setInterval(run, BALANCE_CHECK_INTERVAL).unref();
+  }
+
+  // Private helper methods
+  static _isDepositOpen(booking) {
+    return !!booking.depositAmount
+      && !!booking.balanceDueAt
+      && new Date(booking.balanceDueAt).getTime() > Date.now();
+  }
+
+  // Transactions are in UZS; each converts back at the rate it was charged at
+  static async _sumPaidTransactions(bookingId, transaction) {
+    // Required here: exchangeRateLockService is reached from this service through the booking documents
+    const ExchangeRateLockService = require("./exchangeRateLockService");
+    const paidTransactions = await Transaction.findAll({
+      where: { bookingId, state: 2 },
+      attributes: ['id', 'amount', 'exchangeRate']
+    });
+
+    let sum = paidTransactions.reduce((total, paid) => total + ExchangeRateLockService.fromChargeAmount(paid), 0);
+    if (transaction && !paidTransactions.some(paid => paid.id === transaction.id)) {
+      sum += ExchangeRateLockService.fromChargeAmount(transaction);
+    }
+    return sum;
+  }
+
+  static async _cancelUnpaidBalance(booking) {
+    // Required here: refundService reaches this service through the payment providers
+    const RefundService = require("./refundService");
+
+    await booking.update({ status: 'cancelled', cancelledAt: new Date() });
+    await WaitlistService.notifyForReleasedBooking(booking);
+
+    // The deposit is refunded according to the booking's cancellation policy
+    try {
+      await RefundService.processCancellationRefund(booking);
+    } catch (error) {
+      console.error(`Error processing refund for booking ${booking.id} cancelled for unpaid balance:`, error);
+    }
+
+    try {
+      await BookingNotificationService.createBalanceCancelledNotification(booking);
+    } catch (error) {
+      console.error(`Error sending balance cancellation notice for booking ${booking.id}:`, error);
+    }
+  }
+}
+
+module.exports = BookingPaymentService;
@@ -0,0 +1,223 @@
+/**
+ * Booking Pricing Service
+ *
+ * Server-side source of truth for booking prices. Recomputes the quote from the
+ * place's pricing fields, its dynamic pricing rules, the selected time slots and
+ * the selected add-ons so that totals sent by the client are never trusted as-is.
+ * totalPrice is the room price; finalTotal adds the add-ons, subtracts any promo
+ * code discount and is what gets paid.
+ * Mirrors client/src/utils/pricingCalculator.js (calculateBookingPricing).
+ */
+
+const { Place, Currency } = require("../models");
+const { applyPricingRules } = require("./pricingRulesService");
+const { calculateAddOns } = require("./addOnsService");
+const PromoCodeService = require("./promoCodeService");
+
+// Allowed difference between client and server totals (float rounding only)
+const PRICE_TOLERANCE = 0.01;
+
+class BookingPricingService {
+  /**
+   * Build an authoritative quote for a place and its selected time slots
+   * @param {number|string} placeId - Place ID
+   * @param {Array} timeSlots - Array of { date, startTime, endTime }
+   * @param {Object} options - { addOns: [{ id, quantity }], numOfGuests }
+   * @returns {Promise<Object>} Quote with totals and per-slot breakdown
+   */
+  static async getQuote(placeId, timeSlots, options = {}) {
+    const place = await Place.findByPk(placeId, {
+      include: [
+        {
+          model: Currency,
+          as: 'currency',
+          attributes: ['id', 'name', 'code', 'charCode']
+        }
+      ]
+    });
+
+    if (!place) {
+      const error = new Error("Place not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return this.calculateQuote(place, timeSlots, options);
+  }
+
+  /**
+   * Calculate quote for an already loaded place
+   * @param {Object} place - Place instance or plain object with pricing fields
+   * @param {Array} timeSlots - Array of { date, startTime, endTime }
+   * @param {Object} options - { addOns: [{ id, quantity }], numOfGuests }
+   * @returns {Object} Quote with totals, per-slot breakdown and priced add-ons
+   */
+  static calculateQuote(place, timeSlots, { addOns = [], numOfGuests = 0 } = {}) {
+    if (!Array.isArray(timeSlots) || timeSlots.length === 0) {
+      const error = new Error("At least one time slot is required to calculate a price");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const hourlyRate = Number(place.price) || 0;
+    const fullDayHours = place.fullDayHours || 8;
+    const fullDayDiscountPrice = Number(place.fullDayDiscountPrice) || 0;
+    const minimumHours = place.minimumHours || 1;
+
+    let totalHours = 0;
+    let totalPrice = 0;
+    const breakdown = [];
+
+    for (const slot of timeSlots) {
+      const hours = this._getSlotHours(slot);
+
+      if (hours < minimumHours) {
+        const error = new Error(
+          `Time slot ${slot.startTime}-${slot.endTime} on ${slot.date} is shorter than the minimum of ${minimumHours} hour(s)`
+        );
+        error.statusCode = 422;
+        error.conflictingSlot = slot;
+        throw error;
+      }
+
+      let basePrice;
+      let fullDays = 0;
+      let regularHours = hours;
+
+      if (hours >= fullDayHours && fullDayDiscountPrice > 0) {
+        fullDays = Math.floor(hours / fullDayHours);
+        regularHours = hours % fullDayHours;
+        basePrice = (fullDays * fullDayDiscountPrice) + (regularHours * hourlyRate);
+      } else {
+        basePrice = hours * hourlyRate;
+      }
+
+      const { price: slotPrice, adjustments } = applyPricingRules(place, slot, {
+        fullDays,
+        fullDayHours,
+        regularHours,
+        basePrice
+      });
+
+      totalHours += hours;
+      totalPrice += slotPrice;
+
+      breakdown.push({
+        date: slot.date,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        hours,
+        fullDays,
+        regularHours,
+        basePrice,
+        adjustments,
+        price: slotPrice
+      });
+    }
+
+    const { items: addOnItems, addOnsTotal } = calculateAddOns(place, addOns, { totalHours, numOfGuests });
+
+    return {
+      placeId: place.id,
+      currency: place.currency || null,
+      hourlyRate,
+      fullDayHours,
+      fullDayDiscountPrice,
+      minimumHours,
+      totalHours,
+      totalPrice,
+      addOns: addOnItems,
+      addOnsTotal,
+      finalTotal: totalPrice + addOnsTotal,
+      breakdown
+    };
+  }
+
+  /**
+   * Apply a promo code to a quote; the discount comes off the room price plus add-ons
+   * @param {Object} quote - Quote from calculateQuote
+   * @param {string} code - Promo code entered by the client (empty = no promo)
+   * @param {Object} context - { placeId, userId }
+   * @returns {Promise<Object>} Quote with promoCode, discountAmount and discounted finalTotal
+   */
+  static async applyPromoCode(quote, code, { placeId, userId = null }) {
+    if (!code) {
+      return { ...quote, promoCode: null, discountAmount: 0 };
+    }
+
+    const promoCode = await PromoCodeService.findApplicablePromoCode(code, { placeId, userId });
+    const discountAmount = await PromoCodeService.calculateDiscount(
+      promoCode,
+      quote.finalTotal,
+      quote.currency?.charCode
+    );
+
+    return {
+      ...quote,
+      promoCode: {
+        id: promoCode.id,
+        code: promoCode.code,
+        discountType: promoCode.discountType,
+        discountValue: promoCode.discountValue,
+        currency: promoCode.currency
+      },
+      discountAmount,
+      finalTotal: quote.finalTotal - discountAmount
+    };
+  }
+
+  /**
+   * Reject client-submitted totals that do not match the server quote
+   * @param {Object} quote - Quote from calculateQuote
+   * @param {Object} clientTotals - { totalPrice, finalTotal } sent by the client
+   */
+  static assertClientTotalsMatch(quote, { totalPrice, finalTotal } = {}) {
+    const mismatches = [];
+
+    if (totalPrice !== undefined && totalPrice !== null &&
+        Math.abs(Number(totalPrice) - quote.totalPrice) > PRICE_TOLERANCE) {
+      mismatches.push('totalPrice');
+    }
+
+    if (finalTotal !== undefined && finalTotal !== null &&
+        Math.abs(Number(finalTotal) - quote.finalTotal) > PRICE_TOLERANCE) {
+      mismatches.push('finalTotal');
+    }
+
+    if (mismatches.length > 0) {
+      const error = new Error("Price has changed or is invalid. Please review the updated total and try again.");
+      error.statusCode = 409;
+      error.priceMismatch = {
+        fields: mismatches,
+        expected: {
+          totalPrice: quote.totalPrice,
+          finalTotal: quote.finalTotal
+        }
+      };
+      throw error;
+    }
+  }
+
+  // Private helper methods
+  static _getSlotHours(slot) {
+    if (!slot || !slot.date || !slot.startTime || !slot.endTime) {
+      const error = new Error("Each time slot must have date, startTime, and endTime");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const [startHour] = slot.startTime.split(':').map(Number);
+    const [endHour] = slot.endTime.split(':').map(Number);
+    const hours = endHour - startHour;
+
+    if (Number.isNaN(hours) || hours <= 0) {
+      const error = new Error(`Invalid time range ${slot.startTime}-${slot.endTime} on ${slot.date}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return hours;
+  }
+}
+
+module.exports = BookingPricingService;
@@ -0,0 +1,322 @@
+const { BookingSeries, Booking, Place, User } = require("../models");
+const PlaceAvailabilityService = require("./placeAvailabilityService");
+const BookingPricingService = require("./bookingPricingService");
+const BookingNotificationService = require("./bookingNotificationService");
+const BookingService = require("./bookingService");
+const WaitlistService = require("./waitlistService");
+const { validateBookingTimeSlots } = require("../utils/bookingUtils");
+const { isDateInPastUzbekistan, isTimeInPastUzbekistan } = require("../utils/uzbekistanTimezoneUtils");
+const {
+  buildRecurrenceRule,
+  validateRecurrenceOptions,
+  generateOccurrenceDates
+} = require("../utils/recurrenceUtils");
+
+/**
+ * Booking Series Service - Recurring bookings generated from a recurrence rule
+ *
+ * Every available occurrence becomes a regular pending Booking linked to the
+ * series, so payment, refunds and the booking details page work unchanged.
+ * Hosts approve or reject the series as a unit.
+ */
+class BookingSeriesService {
+  /**
+   * Generate occurrences for a series and check each one against place availability
+   * @param {number} placeId - Place ID
+   * @param {Object} recurrence - { startDate, startTime, endTime, frequency, untilDate, count }
+   * @returns {Promise<Object>} { recurrenceRule, occurrences, availableCount, conflictCount }
+   */
+  static async previewSeries(placeId, recurrence) {
+    const place = await Place.findByPk(placeId);
+    if (!place) {
+      const error = new Error("Place not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return this._buildOccurrences(place, recurrence);
+  }
+
+  /**
+   * Create a booking series and one pending booking per available occurrence (client-only)
+   * @param {Object} userData - Authenticated user
+   * @param {Object} seriesData - Recurrence options plus guest details
+   * @returns {Promise<Object>} Created series with bookings and skipped conflicts
+   */
+  static async createSeries(userData, seriesData) {
+    const { place: placeId, numOfGuests, guestName, guestPhone } = seriesData;
+
+    if (userData.userType !== 'client') {
+      const error = new Error("Only clients can create bookings. Hosts and agents cannot make bookings.");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const place = await Place.findByPk(placeId);
+    if (!place) {
+      const error = new Error("Place not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const preview = await this._buildOccurrences(place, seriesData);
+    const availableOccurrences = preview.occurrences.filter(occurrence => occurrence.available);
+
+    if (availableOccurrences.length === 0) {
+      const error = new Error("None of the occurrences in this series are available");
+      error.statusCode = 422;
+      error.occurrences = preview.occurrences;
+      throw error;
+    }
+
+    const refundPolicySnapshot = place.refundOptions && place.refundOptions.length > 0
+      ? place.refundOptions
+      : null;
+
+    const series = await BookingSeries.create({
+      userId: userData.id,
+      placeId: place.id,
+      frequency: seriesData.frequency,
+      recurrenceRule: preview.recurrenceRule,
+      startDate: seriesData.startDate,
+      untilDate: seriesData.untilDate || null,
+      occurrenceCount: seriesData.count ? parseInt(seriesData.count, 10) : null,
+      startTime: seriesData.startTime,
+      endTime: seriesData.endTime,
+      conflicts: preview.occurrences
+        .filter(occurrence => !occurrence.available)
+        .map(({ date, startTime, endTime, conflictReason }) => ({ date, startTime, endTime, reason: conflictReason }))
+    });
+
+    const bookings = [];
+    for (const occurrence of availableOccurrences) {
+      const timeSlot = { date: occurrence.date, startTime: occurrence.startTime, endTime: occurrence.endTime };
+      const quote = BookingPricingService.calculateQuote(place, [timeSlot]);
+
+      bookings.push(await Booking.create({
+        userId: userData.id,
+        placeId: place.id,
+        seriesId: series.id,
+        checkInDate: occurrence.date,
+        checkOutDate: occurrence.date,
+        numOfGuests,
+        guestName,
+        guestPhone,
+        totalPrice: quote.totalPrice,
+        finalTotal: quote.finalTotal,
+        refundPolicySnapshot,
+        status: 'pending',
+        timeSlots: [timeSlot],
+        uniqueRequestId: BookingService._generateUniqueRequestId()
+      }));
+    }
+
+    // One request notification for the series instead of one per occurrence
+    try {
+      await BookingNotificationService.createBookingRequestNotification(bookings[0]);
+    } catch (error) {
+      console.error("Error creating booking series request notification:", error);
+    }
+
+    return this._getSeriesWithBookings(series.id);
+  }
+
+  /**
+   * Get a series with its bookings for a user who has access to it
+   * @param {number} seriesId - Series ID
+   * @param {Object} userData - Authenticated user
+   * @returns {Promise<Object>} Series with bookings
+   */
+  static async getSeries(seriesId, userData) {
+    const series = await this._getSeriesWithBookings(seriesId);
+    this._checkSeriesAccess(series, userData);
+    return series;
+  }
+
+  /**
+   * Approve, reject or cancel a series as a unit
+   * Hosts and agents approve/reject; the client who owns the series can cancel it.
+   * Approval moves pending occurrences to "selected" so the client can pay, exactly
+   * like a host selecting a single booking; occurrences that now clash with a
+   * confirmed booking are rejected instead.
+   * @param {number} seriesId - Series ID
+   * @param {Object} userData - Authenticated user
+   * @param {string} status - approved | rejected | cancelled
+   * @returns {Promise<Object>} Updated series with bookings and per-occurrence results
+   */
+  static async updateSeriesStatus(seriesId, userData, status) {
+    if (!['approved', 'rejected', 'cancelled'].includes(status)) {
+      const error = new Error("Invalid status value");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const series = await this._getSeriesWithBookings(seriesId);
+    this._checkSeriesAccess(series, userData);
+
+    const isHostOrAgent = userData.userType === 'agent' ||
+      (userData.userType === 'host' && series.place.ownerId === userData.id);
+    const isOwner = userData.userType === 'client' && series.userId === userData.id;
+
+    if ((status === 'cancelled' && !isOwner) || (status !== 'cancelled' && !isHostOrAgent)) {
+      const error = new Error("You are not authorized to update this booking series");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (series.status !== 'pending' && !(status === 'cancelled' && series.status === 'approved')) {
+      const error = new Error(`Cannot change a ${series.status} series to ${status}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const now = new Date();
+    const results = [];
+    const activeBookings = series.bookings.filter(booking =>
+      status === 'cancelled'
+        ? ['pending', 'selected'].includes(booking.status)
+        : booking.status === 'pending'
+    );
+
+    for (const booking of activeBookings) {
+      if (status === 'approved') {
+        const validation = await validateBookingTimeSlots(
+          booking.timeSlots,
+          booking.placeId,
+          series.place.cooldown || 0,
+          booking.id
+        );
+
+        if (validation.isValid) {
+          await booking.update({ status: 'selected', selectedAt: now });
+        } else {
+          await booking.update({ status: 'rejected', rejectedAt: now });
+        }
+        results.push({ bookingId: booking.id, status: booking.status, reason: validation.message || null });
+      } else if (status === 'rejected') {
+        await booking.update({ status: 'rejected', rejectedAt: now });
+        results.push({ bookingId: booking.id, status: 'rejected', reason: null });
+      } else {
+        const wasSelected = booking.status === 'selected';
+        await booking.update({ status: 'cancelled', cancelledAt: now });
+        results.push({ bookingId: booking.id, status: 'cancelled', reason: null });
+
+        // A selected occurrence may hold its slots at checkout
+        if (wasSelected) {
+          await WaitlistService.notifyForReleasedBooking(booking);
+        }
+      }
+    }
+
+    await series.update({ status });
+
+    // One notification for the series, sent for its first affected occurrence
+    const firstBooking = activeBookings[0];
+    if (firstBooking) {
+      try {
+        if (status === 'approved' && firstBooking.status === 'selected') {
+          await BookingNotificationService.createBookingSelectedNotification(firstBooking);
+        } else if (status === 'rejected') {
+          await BookingNotificationService.createBookingRejectedNotification(firstBooking);
+        }
+      } catch (error) {
+        console.error("Error creating booking series status notification:", error);
+      }
+    }
+
+    return {
+      success: true,
+      series: await this._getSeriesWithBookings(series.id),
+      results
+    };
+  }
+
+  // Private helper methods
+  static async _buildOccurrences(place, recurrence) {
+    const { startDate, startTime, endTime, frequency, untilDate, count } = recurrence;
+
+    const validation = validateRecurrenceOptions({ startDate, frequency, untilDate, count });
+    if (!validation.isValid) {
+      const error = new Error(validation.error);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Price check doubles as slot validation (time format, minimum hours)
+    BookingPricingService.calculateQuote(place, [{ date: startDate, startTime, endTime }]);
+
+    const dates = generateOccurrenceDates({ startDate, frequency, untilDate, count });
+    const occurrences = [];
+
+    for (const date of dates) {
+      let conflictReason = null;
+
+      if (isDateInPastUzbekistan(date) || isTimeInPastUzbekistan(date, startTime)) {
+        conflictReason = 'past_date';
+      } else {
+        conflictReason = await PlaceAvailabilityService.getDateConflictReason(place, date, startTime, endTime);
+      }
+
+      occurrences.push({
+        date,
+        startTime,
+        endTime,
+        available: !conflictReason,
+        conflictReason
+      });
+    }
+
+    return {
+      recurrenceRule: buildRecurrenceRule({ frequency, untilDate, count }),
+      occurrences,
+      availableCount: occurrences.filter(occurrence => occurrence.available).length,
+      conflictCount: occurrences.filter(occurrence => !occurrence.available).length
+    };
+  }
+
+  static async _getSeriesWithBookings(seriesId) {
+    const series = await BookingSeries.findByPk(seriesId, {
+      include: [
+        {
+          model: Booking,
+          as: 'bookings',
+          attributes: ['id', 'seriesId', 'status', 'timeSlots', 'checkInDate', 'checkOutDate', 'totalPrice', 'finalTotal', 'uniqueRequestId', 'userId', 'placeId', 'paidAt']
+        },
+        {
+          model: Place,
+          as: 'place',
+          attributes: ['id', 'title', 'ownerId', 'cooldown']
+        },
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'email', 'phoneNumber']
+        }
+      ],
+      order: [[{ model: Booking, as: 'bookings' }, 'checkInDate', 'ASC']]
+    });
+
+    if (!series) {
+      const error = new Error("Booking series not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return series;
+  }
+
+  static _checkSeriesAccess(series, userData) {
+    const canAccess =
+      userData.userType === 'agent' ||
+      (userData.userType === 'client' && series.userId === userData.id) ||
+      (userData.userType === 'host' && series.place?.ownerId === userData.id);
+
+    if (!canAccess) {
+      const error = new Error("Access denied");
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+}
+
+module.exports = BookingSeriesService;
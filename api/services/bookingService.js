@@ -1,7 +1,20 @@
-const { Booking, Place, User, Currency } = require("../models");
+const { Booking, BookingGroup, Place, User, Currency } = require("../models");
 const { Op } = require("sequelize");
-const { validateBookingTimeSlots, findConflictingBookings, cleanupExpiredBookings, findCompetingBookings } = require("../utils/bookingUtils");
+const { validateBookingTimeSlots, findConflictingBookings, cleanupExpiredBookings, findCompetingBookings, getHoursUntilBookingStart } = require("../utils/bookingUtils");
 const BookingNotificationService = require("./bookingNotificationService");
+const BookingPricingService = require("./bookingPricingService");
+const RefundService = require("./refundService");
+const WaitlistService = require("./waitlistService");
+const PayoutService = require("./payoutService");
+const BookingPaymentService = require("./bookingPaymentService");
+const { getReschedulePermissionForPolicy } = require("./refundOptionsService");
+
+// Group summary shown with each booking so lists can show a multi-room booking as one request
+const BOOKING_GROUP_INCLUDE = {
+  model: BookingGroup,
+  as: 'group',
+  attributes: ['id', 'primaryBookingId', 'status', 'totalPrice', 'finalTotal']
+};
 
 /**
  * Booking Service - Handles core booking business logic
@@ -9,6 +22,7 @@ const BookingNotificationService = require("./bookingNotificationService");
 class BookingService {
   /**
    * Create a new booking
+   * Requires time slots: the price is recomputed from them on the server
    */
   static async createBooking(userData, bookingData) {
     const {
@@ -19,8 +33,11 @@ class BookingService {
       numOfGuests, 
       guestName, 
       guestPhone, 
+      selectedAddOns,
+      promoCode,
       totalPrice,
-      finalTotal
+      finalTotal,
+      waitlistClaimToken
     } = bookingData;
 
     // Only clients can create bookings
@@ -28,11 +45,32 @@ class BookingService {
       throw new Error("Only clients can create bookings. Hosts and agents cannot make bookings.");
     }
 
-    // Get place details
-    const placeDetails = await Place.findByPk(place);
+    // Get place details; the currency is needed to convert fixed promo discounts
+    const placeDetails = await Place.findByPk(place, {
+      include: [{ model: Currency, as: 'currency', attributes: ['id', 'name', 'code', 'charCode'] }]
+    });
     if (!placeDetails) {
       throw new Error("Place not found");
     }
+
+    // Places are priced per hour, so a booking is priced from its time slots. Date-range
+    // bookings without slots (accepted before server-side pricing) have no price to compute.
+    if (!Array.isArray(selectedTimeSlots) || selectedTimeSlots.length === 0) {
+      const error = new Error("Select at least one time slot. Bookings for a date range without time slots are not supported.");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Recompute price on the server - client totals are only used to detect tampering
+    const baseQuote = BookingPricingService.calculateQuote(placeDetails, selectedTimeSlots, {
+      addOns: selectedAddOns,
+      numOfGuests
+    });
+    const quote = await BookingPricingService.applyPromoCode(baseQuote, promoCode, {
+      placeId: placeDetails.id,
+      userId: userData.id
+    });
+    BookingPricingService.assertClientTotalsMatch(quote, { totalPrice, finalTotal });
     
     // Validate time slots for conflicts
     if (selectedTimeSlots && selectedTimeSlots.length > 0) {
@@ -66,6 +104,12 @@ class BookingService {
       ? placeDetails.refundOptions 
       : null;
 
+    // Places taking a deposit let the client pay part now and the balance before the booking starts
+    const { depositAmount, balanceDueAt } = BookingPaymentService.getDepositTerms(placeDetails, quote.finalTotal, {
+      timeSlots: selectedTimeSlots,
+      checkInDate: finalCheckInDate
+    });
+
     // Create booking
     const booking = await Booking.create({
       userId: userData.id,
@@ -75,9 +119,16 @@ class BookingService {
       numOfGuests, 
       guestName, 
       guestPhone, 
-      totalPrice,
-      finalTotal: finalTotal || totalPrice,
+      totalPrice: quote.totalPrice,
+      selectedAddOns: quote.addOns.length > 0 ? quote.addOns : null,
+      addOnsTotal: quote.addOnsTotal,
+      promoCodeId: quote.promoCode ? quote.promoCode.id : null,
+      promoCode: quote.promoCode ? quote.promoCode.code : null,
+      discountAmount: quote.discountAmount,
+      finalTotal: quote.finalTotal,
       refundPolicySnapshot,
+      depositAmount,
+      balanceDueAt,
       status: 'pending',
       timeSlots: selectedTimeSlots || [],
       uniqueRequestId
@@ -91,6 +142,15 @@ class BookingService {
       // Don't fail the booking creation if notification fails
     }
 
+    // Booking from a waitlist claim link uses up the claim
+    if (waitlistClaimToken) {
+      try {
+        await WaitlistService.claimWithBooking(waitlistClaimToken, booking);
+      } catch (error) {
+        console.error("Error claiming waitlist entry:", error);
+      }
+    }
+
     return this.getBookingWithAssociations(booking.id);
   }
 
@@ -124,7 +184,8 @@ class BookingService {
           model: User,
           as: 'user',
           attributes: ['id', 'name', 'email', 'phoneNumber']
-        }
+        },
+        BOOKING_GROUP_INCLUDE
       ],
       order: [['createdAt', 'DESC']]
     });
@@ -168,6 +229,11 @@ class BookingService {
     
     // Validate status transition
     this._validateStatusTransition(booking.status, status);
+
+    // Rooms of a booking group move together through the group endpoints
+    if (booking.groupId) {
+      this._checkGroupedBookingUpdate(booking, status);
+    }
     
     // Check authorization
     this._checkUpdateAuthorization(userData, booking, status);
@@ -188,9 +254,25 @@ class BookingService {
       }
       
       // Set cancelled timestamp before deletion for record keeping
+      const wasBlockingSlots = ['selected', 'approved'].includes(booking.status);
       booking.cancelledAt = new Date();
       booking.status = 'cancelled';
       await booking.save();
+
+      if (wasBlockingSlots) {
+        await WaitlistService.notifyForReleasedBooking(booking);
+      }
+
+      // Paid bookings are kept so the refund can be tracked against them
+      if (await RefundService.isBookingPaid(booking)) {
+        const refund = await RefundService.processCancellationRefund(booking);
+        return {
+          success: true,
+          message: "Booking cancelled successfully. Refund has been initiated according to the cancellation policy.",
+          booking: await this.getBookingWithAssociations(booking.id),
+          refund
+        };
+      }
       
       // Then delete the booking
       await booking.destroy();
@@ -241,6 +323,11 @@ class BookingService {
     
     await booking.save();
 
+    // A rejected paid or checkout-held booking frees its slots for the waitlist
+    if (status === 'rejected' && ['selected', 'approved'].includes(previousStatus)) {
+      await WaitlistService.notifyForReleasedBooking(booking);
+    }
+
     // Create notifications based on status change (US-R011)
     try {
       await this._createStatusChangeNotification(booking, status, previousStatus, agentApproval);
@@ -438,6 +525,13 @@ class BookingService {
       throw error;
     }
 
+    // Bookings in a pending payout batch are paid out when the batch is settled
+    if (await PayoutService.isBookingInPendingBatch(booking.id)) {
+      const error = new Error("This booking is part of a pending payout batch");
+      error.statusCode = 400;
+      throw error;
+    }
+
     // Update booking to mark as paid to host
     booking.paidToHost = true;
     booking.paidToHostAt = new Date();
@@ -461,6 +555,142 @@ class BookingService {
     };
   }
 
+  /**
+   * Move a booking to new time slots on the same place (client-only)
+   * Only allowed under the reschedule_only policy captured at booking time and
+   * within its notice window. The booking row is updated in place so payment
+   * and transaction records stay attached to it.
+   */
+  static async rescheduleBooking(bookingId, userData, { selectedTimeSlots } = {}) {
+    if (userData.userType !== 'client') {
+      const error = new Error("Only clients can reschedule their bookings");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const booking = await this.getBookingWithAssociations(bookingId);
+    if (!booking) {
+      const error = new Error("Booking not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (booking.userId !== userData.id) {
+      const error = new Error("You are not authorized to reschedule this booking");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (booking.groupId) {
+      const error = new Error("Rooms of a booking group cannot be rescheduled individually");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!['pending', 'selected', 'approved'].includes(booking.status)) {
+      const error = new Error(`Cannot reschedule a booking with status ${booking.status}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Reschedule rules come from the snapshot, not the place's current policy
+    const policies = Array.isArray(booking.refundPolicySnapshot) ? booking.refundPolicySnapshot : [];
+    if (!policies.includes('reschedule_only')) {
+      const error = new Error("This booking's cancellation policy does not allow rescheduling");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const permission = getReschedulePermissionForPolicy('reschedule_only', getHoursUntilBookingStart(booking));
+    if (!permission.allowed) {
+      const error = new Error(`Bookings can only be rescheduled at least ${permission.minHours} hours before check-in`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const placeDetails = await Place.findByPk(booking.placeId);
+    if (!placeDetails) {
+      throw new Error("Place not found");
+    }
+
+    // The original payment stays attached, so the new slots must cost the same.
+    // Add-ons and the promo discount keep the amounts they were booked with.
+    const quote = BookingPricingService.calculateQuote(placeDetails, selectedTimeSlots);
+    const paidTotal = Number(booking.finalTotal || booking.totalPrice || 0);
+    const newTotal = quote.totalPrice + Number(booking.addOnsTotal || 0) - Number(booking.discountAmount || 0);
+    if (Math.abs(newTotal - paidTotal) > 0.01) {
+      const error = new Error("New time slots must have the same total price as the original booking");
+      error.statusCode = 422;
+      error.priceMismatch = {
+        fields: ['finalTotal'],
+        expected: { totalPrice: booking.totalPrice, finalTotal: paidTotal },
+        actual: { totalPrice: quote.totalPrice, finalTotal: newTotal }
+      };
+      throw error;
+    }
+
+    const validation = await validateBookingTimeSlots(
+      selectedTimeSlots,
+      booking.placeId,
+      placeDetails.cooldown || 0,
+      booking.id
+    );
+
+    if (!validation.isValid) {
+      const error = new Error(`Booking conflict detected: ${validation.message}`);
+      error.conflictingSlot = validation.conflictingSlot;
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const previousTimeSlots = booking.timeSlots || [];
+    const { finalCheckInDate, finalCheckOutDate } = this._determineFinalDates(
+      booking.checkInDate,
+      booking.checkOutDate,
+      selectedTimeSlots
+    );
+
+    if (!booking.originalTimeSlots) {
+      booking.originalTimeSlots = previousTimeSlots;
+    }
+    booking.timeSlots = selectedTimeSlots;
+    booking.checkInDate = finalCheckInDate;
+    booking.checkOutDate = finalCheckOutDate;
+    booking.rescheduledAt = new Date();
+    booking.rescheduleCount = (booking.rescheduleCount || 0) + 1;
+
+    // The balance cutoff moves with the booking
+    if (booking.balanceDueAt && !booking.paidAt) {
+      booking.balanceDueAt = BookingPaymentService.getBalanceDueAt(placeDetails, booking);
+      booking.balanceRemindersSent = 0;
+    }
+    await booking.save();
+
+    // Moving a confirmed booking frees its old slots
+    if (booking.status === 'approved') {
+      try {
+        await WaitlistService.notifyForReleasedSlots(booking.placeId, previousTimeSlots);
+      } catch (error) {
+        console.error("Error notifying waitlist for rescheduled booking:", error);
+      }
+    }
+
+    try {
+      await BookingNotificationService.createBookingRescheduledNotification(booking, previousTimeSlots);
+    } catch (error) {
+      console.error("Error creating booking rescheduled notification:", error);
+      // Don't fail the reschedule if notification fails
+    }
+
+    const updatedBooking = await this.getBookingWithAssociations(booking.id);
+
+    return {
+      success: true,
+      booking: updatedBooking,
+      message: "Booking rescheduled successfully"
+    };
+  }
+
   // Private helper methods
   static _generateUniqueRequestId() {
     return `REQ-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`.toUpperCase();
@@ -522,6 +752,24 @@ class BookingService {
     }
   }
 
+  /**
+   * Only the group's primary booking is updated on its own: approving it records
+   * the group payment and cancelling/rejecting it after payment cancels the group.
+   * Model hooks carry either change over to the other rooms.
+   */
+  static _checkGroupedBookingUpdate(booking, status) {
+    const isPrimary = booking.group && booking.group.primaryBookingId === booking.id;
+    const isPaymentOrCancellation =
+      (booking.status === 'selected' && status === 'approved') ||
+      (booking.status === 'approved' && status === 'rejected');
+
+    if (!isPrimary || !isPaymentOrCancellation) {
+      const error = new Error("This booking is part of a booking group. Select, reject or cancel the group instead.");
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
   static _handlePaymentConfirmation(paymentConfirmed, agentApproval) {
     if (!paymentConfirmed && !agentApproval) {
       const error = new Error("Payment confirmation required for selected bookings");
@@ -725,7 +973,8 @@ class BookingService {
           model: User,
           as: 'user',
           attributes: ['id', 'name', 'email', 'phoneNumber']
-        }
+        },
+        BOOKING_GROUP_INCLUDE
       ]
     });
   }
@@ -767,7 +1016,8 @@ class BookingService {
           model: User,
           as: 'user',
           attributes: ['id', 'name', 'email', 'phoneNumber']
-        }
+        },
+        BOOKING_GROUP_INCLUDE
       ],
       order: [['createdAt', 'DESC']]
     });
@@ -805,7 +1055,8 @@ class BookingService {
           model: User,
           as: 'user',
           attributes: ['id', 'name', 'email', 'phoneNumber']
-        }
+        },
+        BOOKING_GROUP_INCLUDE
       ],
       where: whereClause, // Apply status/paid filters here
       order: [['createdAt', 'DESC']]
@@ -816,18 +1067,21 @@ class BookingService {
     // Clients don't need to see paid status - this is for agent/host only
     return Booking.findAll({
       where: { userId: clientId },
-      include: {
-        model: Place,
-        as: 'place',
-        include: [
-          {
-            model: Currency,
-            as: 'currency',
-            attributes: ['id', 'name', 'code', 'charCode']
-          }
-        ],
-        attributes: ['id', 'title', 'address', 'photos', 'price', 'checkIn', 'checkOut', 'currencyId']
-      },
+      include: [
+        {
+          model: Place,
+          as: 'place',
+          include: [
+            {
+              model: Currency,
+              as: 'currency',
+              attributes: ['id', 'name', 'code', 'charCode']
+            }
+          ],
+          attributes: ['id', 'title', 'address', 'photos', 'price', 'checkIn', 'checkOut', 'currencyId']
+        },
+        BOOKING_GROUP_INCLUDE
+      ],
       order: [['createdAt', 'DESC']]
     });
   }
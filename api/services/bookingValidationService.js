@@ -35,6 +35,67 @@ class BookingValidationService {
     }
   }
 
+  /**
+   * Validate recurring booking series creation data
+   */
+  static validateSeriesCreation(seriesData) {
+    const errors = [];
+
+    const {
+      place,
+      numOfGuests,
+      guestName,
+      guestPhone,
+      startDate,
+      startTime,
+      endTime
+    } = seriesData;
+
+    if (!place) errors.push("Place is required");
+    if (!numOfGuests || numOfGuests < 1) errors.push("Number of guests must be at least 1");
+    if (!guestName) errors.push("Guest name is required");
+    if (!guestPhone) errors.push("Guest phone is required");
+    if (!startDate || !startTime || !endTime) errors.push("Start date, start time and end time are required");
+
+    if (errors.length > 0) {
+      const error = new Error(`Validation failed: ${errors.join(', ')}`);
+      error.statusCode = 400;
+      error.validationErrors = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Validate booking group (multi-room booking) creation data
+   */
+  static validateGroupCreation(groupData) {
+    const errors = [];
+
+    const { bookings, numOfGuests, guestName, guestPhone } = groupData;
+
+    if (!Array.isArray(bookings) || bookings.length < 2) {
+      errors.push("A booking group needs at least two places");
+    } else {
+      if (bookings.some(item => !item.place)) errors.push("Place is required for every room");
+      if (bookings.some(item => !Array.isArray(item.selectedTimeSlots) || item.selectedTimeSlots.length === 0)) {
+        errors.push("Time slots are required for every room");
+      }
+      if (new Set(bookings.map(item => String(item.place))).size !== bookings.length) {
+        errors.push("Each place can only be added to a booking group once");
+      }
+    }
+    if (!numOfGuests || numOfGuests < 1) errors.push("Number of guests must be at least 1");
+    if (!guestName) errors.push("Guest name is required");
+    if (!guestPhone) errors.push("Guest phone is required");
+
+    if (errors.length > 0) {
+      const error = new Error(`Validation failed: ${errors.join(', ')}`);
+      error.statusCode = 400;
+      error.validationErrors = errors;
+      throw error;
+    }
+  }
+
   /**
    * Validate user permissions for booking operations
    */
@@ -188,6 +188,40 @@ class ClickMerchantApiService {
       };
     }
   }
+
+  /**
+   * Reverse (cancel) a completed payment
+   * Click.uz only supports full reversal of a payment
+   * @param {string} paymentId - Click payment ID
+   * @returns {Promise<Object>} Reversal response
+   */
+  async reversePayment(paymentId) {
+    try {
+      const url = `${this.apiUrl}/payment/reversal/${this.serviceId}/${paymentId}`;
+
+      const response = await axios.delete(url, {
+        headers: this.generateAuthHeader(),
+        timeout: 15000
+      });
+
+      return {
+        success: response.data.error_code === 0,
+        data: response.data,
+        paymentId: response.data.payment_id,
+        errorCode: response.data.error_code,
+        errorNote: response.data.error_note
+      };
+
+    } catch (error) {
+      console.error('❌ Click.uz payment reversal error:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: error.response?.data || error.message,
+        errorCode: error.response?.data?.error_code || null
+      };
+    }
+  }
 }
 
 module.exports = ClickMerchantApiService;
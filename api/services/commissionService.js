@@ -0,0 +1,252 @@
+const { CommissionRule, Booking, Place, User, Transaction } = require("../models");
+const { Op } = require("sequelize");
+
+// Used when no global commission rule has been configured yet
+const DEFAULT_COMMISSION_PERCENT = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT) || 0;
+const SCOPES = ['global', 'host', 'place'];
+const MODES = ['percentage', 'fixed'];
+
+/**
+ * Commission Service - Platform commission configuration and accounting
+ *
+ * The commission for a booking comes from the most specific rule: a place
+ * override, then a host override, then the global default. It is recorded on the
+ * booking (and on its paid transaction) when the booking is paid, so later rule
+ * changes do not alter what was already earned.
+ */
+class CommissionService {
+  /**
+   * Global default and all host/place overrides (agent only)
+   * @returns {Promise<Object>} { defaultRule, overrides }
+   */
+  static async listRules() {
+    const rules = await CommissionRule.findAll({
+      include: [
+        { model: User, as: 'host', attributes: ['id', 'name', 'email', 'phoneNumber'] },
+        { model: Place, as: 'place', attributes: ['id', 'title', 'ownerId'] }
+      ],
+      order: [['scope', 'ASC'], ['created_at', 'ASC']]
+    });
+
+    const globalRule = rules.find(rule => rule.scope === 'global');
+
+    return {
+      defaultRule: globalRule || { scope: 'global', mode: 'percentage', value: DEFAULT_COMMISSION_PERCENT },
+      overrides: rules.filter(rule => rule.scope !== 'global')
+    };
+  }
+
+  /**
+   * Create or replace the rule for a scope (agent only)
+   * There is one rule per scope target, so saving an existing target updates it.
+   * @param {Object} userData - Authenticated agent
+   * @param {Object} data - { scope, hostId, placeId, mode, value }
+   * @returns {Promise<Object>} Saved rule
+   */
+  static async saveRule(userData, data = {}) {
+    const { scope, hostId, placeId } = data;
+
+    if (!SCOPES.includes(scope)) {
+      const error = new Error("Commission scope must be global, host or place");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const target = {
+      scope,
+      hostId: scope === 'host' ? hostId : null,
+      placeId: scope === 'place' ? placeId : null
+    };
+
+    if (scope === 'host') {
+      const host = await User.findByPk(hostId);
+      if (!host || host.userType !== 'host') {
+        const error = new Error("Host not found");
+        error.statusCode = 404;
+        throw error;
+      }
+    }
+
+    if (scope === 'place' && !(await Place.findByPk(placeId))) {
+      const error = new Error("Place not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const values = { ...this._validateRuleValues(data), updatedBy: userData.id };
+    const existingRule = await CommissionRule.findOne({ where: target });
+
+    if (existingRule) {
+      return existingRule.update(values);
+    }
+
+    return CommissionRule.create({ ...target, ...values });
+  }
+
+  /**
+   * Change the mode or value of a rule (agent only)
+   * @param {number} ruleId - Rule ID
+   * @param {Object} userData - Authenticated agent
+   * @param {Object} data - { mode, value }
+   * @returns {Promise<Object>} Updated rule
+   */
+  static async updateRule(ruleId, userData, data = {}) {
+    const rule = await this._getRule(ruleId);
+    return rule.update({ ...this._validateRuleValues(data), updatedBy: userData.id });
+  }
+
+  /**
+   * Delete a rule; a deleted global rule falls back to PLATFORM_COMMISSION_PERCENT
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<Object>} { success }
+   */
+  static async deleteRule(ruleId) {
+    const rule = await this._getRule(ruleId);
+    await rule.destroy();
+    return { success: true };
+  }
+
+  /**
+   * Load all rules for resolving commissions of many bookings at once
+   * @returns {Promise<Object>} { globalRule, hostRules, placeRules }
+   */
+  static async loadRules() {
+    const rules = await CommissionRule.findAll();
+
+    return {
+      globalRule: rules.find(rule => rule.scope === 'global') || null,
+      hostRules: new Map(rules.filter(rule => rule.scope === 'host').map(rule => [rule.hostId, rule])),
+      placeRules: new Map(rules.filter(rule => rule.scope === 'place').map(rule => [rule.placeId, rule]))
+    };
+  }
+
+  /**
+   * Most specific rule for a place and its host
+   * @param {Object} rules - Result of loadRules()
+   * @param {Object} target - { placeId, hostId }
+   * @returns {Object} { mode, value }
+   */
+  static resolveRule(rules, { placeId, hostId }) {
+    const rule = rules.placeRules.get(placeId) || rules.hostRules.get(hostId) || rules.globalRule;
+
+    return rule
+      ? { mode: rule.mode, value: rule.value }
+      : { mode: 'percentage', value: DEFAULT_COMMISSION_PERCENT };
+  }
+
+  /**
+   * Commission for an amount under a rule, never more than the amount itself
+   * @param {number} grossAmount - Booking amount
+   * @param {Object} rule - { mode, value }
+   * @returns {number} Commission amount
+   */
+  static calculateCommission(grossAmount, rule) {
+    const commission = rule.mode === 'fixed'
+      ? rule.value
+      : grossAmount * rule.value / 100;
+
+    return Math.round(Math.min(commission, grossAmount) * 100) / 100;
+  }
+
+  /**
+   * Amount a booking contributes to its host's earnings
+   * Rooms of a booking group carry their own price; the primary room's finalTotal
+   * is the invoice for the whole group, so it is not used for grouped bookings.
+   * @param {Object} booking - Booking
+   * @returns {number} Gross amount
+   */
+  static getBookingAmount(booking) {
+    return Number(booking.groupId ? booking.totalPrice : (booking.finalTotal || booking.totalPrice)) || 0;
+  }
+
+  /**
+   * Record the commission on a booking that has just been paid
+   * Registered as a Booking afterUpdate hook. Payment of a group's primary booking
+   * also pays the other rooms (synced by the booking group hook), so they are
+   * charged here as well; the paid transaction gets the total commission.
+   * @param {Object} booking - Updated booking instance
+   * @param {Object} options - Hook options (transaction)
+   */
+  static async applyToPaidBooking(booking, options = {}) {
+    if (!booking.changed('paidAt') || !booking.paidAt) {
+      return;
+    }
+
+    const { transaction } = options;
+    const bookings = await Booking.findAll({
+      where: {
+        ...(booking.groupId ? { groupId: booking.groupId } : { id: booking.id }),
+        paidAt: { [Op.ne]: null },
+        commissionAmount: null
+      },
+      include: [{ model: Place, as: 'place', attributes: ['id', 'ownerId'] }],
+      transaction
+    });
+    if (bookings.length === 0) {
+      return;
+    }
+
+    const rules = await this.loadRules();
+    let totalCommission = 0;
+
+    for (const paidBooking of bookings) {
+      const rule = this.resolveRule(rules, { placeId: paidBooking.placeId, hostId: paidBooking.place?.ownerId });
+      const commissionAmount = this.calculateCommission(this.getBookingAmount(paidBooking), rule);
+      totalCommission += commissionAmount;
+
+      await Booking.update(
+        { commissionMode: rule.mode, commissionValue: rule.value, commissionAmount },
+        { where: { id: paidBooking.id }, transaction }
+      );
+
+      // Keep the instance that triggered the hook in sync with the database
+      if (paidBooking.id === booking.id) {
+        booking.setDataValue('commissionMode', rule.mode);
+        booking.setDataValue('commissionValue', rule.value);
+        booking.setDataValue('commissionAmount', commissionAmount);
+      }
+    }
+
+    await Transaction.update(
+      { commissionAmount: Math.round(totalCommission * 100) / 100 },
+      { where: { bookingId: booking.id, state: 2 }, transaction }
+    );
+  }
+
+  // Private helper methods
+  static async _getRule(ruleId) {
+    const rule = await CommissionRule.findByPk(ruleId);
+    if (!rule) {
+      const error = new Error("Commission rule not found");
+      error.statusCode = 404;
+      throw error;
+    }
+    return rule;
+  }
+
+  static _validateRuleValues({ mode, value }) {
+    const numericValue = Number(value);
+
+    if (!MODES.includes(mode)) {
+      const error = new Error("Commission mode must be percentage or fixed");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (value === '' || value === null || value === undefined || !Number.isFinite(numericValue) || numericValue < 0) {
+      const error = new Error("Commission value must be a non-negative number");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (mode === 'percentage' && numericValue > 100) {
+      const error = new Error("A percentage commission cannot exceed 100");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return { mode, value: numericValue };
+  }
+}
+
+module.exports = CommissionService;
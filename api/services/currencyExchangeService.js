@@ -1,9 +1,19 @@
-const axios = require("axios");
 const NodeCache = require("node-cache");
+const { Op } = require("sequelize");
+const { ExchangeRate } = require("../models");
+const { listExchangeRateSources } = require("./exchangeRateSources");
+const { getCurrentDateInUzbekistan } = require("../utils/uzbekistanTimezoneUtils");
+
+// Stored rates stand in during an outage; they are re-checked against the sources this often
+const STALE_CACHE_TTL_SECONDS = 300;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 /**
  * Service for handling currency exchange operations
- * Uses the Exchange Rate API: https://open.er-api.com/v6/latest/{baseCurrency}
+ * Rates come from the sources in ./exchangeRateSources (CBU feed, Exchange Rate
+ * API, manual rates), asked in order. Every fetch is stored as the day's snapshot
+ * in ExchangeRate, so when no source answers the last stored rates are used and
+ * past dates can be converted at the rate of that day.
  */
 class CurrencyExchangeService {
   constructor() {
@@ -18,35 +28,230 @@ class CurrencyExchangeService {
    * @returns {Promise<Object>} - Exchange rates object
    */
   async getExchangeRates(baseCurrency) {
-    // Validate base currency
-    const normalizedBase = baseCurrency.toUpperCase();
-    if (!this.supportedCurrencies.includes(normalizedBase)) {
-      throw new Error(`Unsupported base currency: ${baseCurrency}`);
-    }
+    const snapshot = await this.getRateSnapshot(baseCurrency);
+    return snapshot.rates;
+  }
+
+  /**
+   * Get current exchange rates with where and when they were published
+   * @param {string} baseCurrency - Base currency code
+   * @returns {Promise<Object>} - { baseCurrency, rates, source, rateDate, fetchedAt, isStale }
+   *   isStale is true when no source answered and stored rates are used
+   */
+  async getRateSnapshot(baseCurrency) {
+    const normalizedBase = this._normalizeCurrency(baseCurrency);
 
     // Check if rates are in cache
     const cacheKey = `rates_${normalizedBase}`;
-    const cachedRates = this.cache.get(cacheKey);
+    const cachedSnapshot = this.cache.get(cacheKey);
+    if (cachedSnapshot) {
+      return cachedSnapshot;
+    }
+
+    for (const source of listExchangeRateSources()) {
+      let result;
+      try {
+        result = await source.fetchRates(normalizedBase);
+      } catch (error) {
+        console.warn(`Exchange rate source ${source.name} failed for ${normalizedBase}:`, error.message);
+        continue;
+      }
+
+      const rates = this._pickSupportedRates(result.rates, normalizedBase);
+      if (Object.keys(rates).length < this.supportedCurrencies.length) {
+        console.warn(`Exchange rate source ${source.name} is missing rates for ${normalizedBase}`);
+        continue;
+      }
+
+      const snapshot = {
+        baseCurrency: normalizedBase,
+        rates,
+        source: source.name,
+        rateDate: result.rateDate || getCurrentDateInUzbekistan(),
+        fetchedAt: result.fetchedAt || new Date(),
+        isStale: false
+      };
 
-    if (cachedRates) {
-      return cachedRates;
+      if (source.storesSnapshots) {
+        await this._storeSnapshot(snapshot);
+      }
+      this.cache.set(cacheKey, snapshot);
+      return snapshot;
     }
 
-    try {
-      // Fetch fresh rates from the API
-      const response = await axios.get(`https://open.er-api.com/v6/latest/${normalizedBase}`);
-      
-      if (response.data && response.data.result === "success") {
-        // Store rates in cache
-        this.cache.set(cacheKey, response.data.rates);
-        return response.data.rates;
-      } else {
-        throw new Error("Failed to fetch exchange rates");
+    // Every source failed: fall back to the last stored rates
+    const stored = await this.getHistoricalRates(normalizedBase, getCurrentDateInUzbekistan());
+    if (stored) {
+      console.warn(`Using stored ${normalizedBase} exchange rates from ${stored.rateDate}`);
+      const snapshot = { ...stored, isStale: true };
+      this.cache.set(cacheKey, snapshot, STALE_CACHE_TTL_SECONDS);
+      return snapshot;
+    }
+
+    throw new Error("Failed to fetch exchange rates");
+  }
+
+  /**
+   * Exchange rates stored for a day, or the latest stored before it
+   * A rate stored only for the opposite direction is inverted. When several
+   * sources stored a rate for the same day, the one asked first wins.
+   * @param {string} baseCurrency - Base currency code
+   * @param {string} date - Day in YYYY-MM-DD format
+   * @returns {Promise<Object|null>} - { baseCurrency, date, rates, sources, source, rateDate, fetchedAt },
+   *   null when nothing is stored
+   */
+  async getHistoricalRates(baseCurrency, date) {
+    const normalizedBase = this._normalizeCurrency(baseCurrency);
+    if (!DATE_PATTERN.test(String(date)) || Number.isNaN(Date.parse(date))) {
+      const error = new Error("Date must be in YYYY-MM-DD format");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const rates = { [normalizedBase]: 1 };
+    const sources = {};
+    let rateDate = null;
+    let fetchedAt = null;
+
+    for (const quoteCurrency of this.supportedCurrencies) {
+      if (quoteCurrency === normalizedBase) continue;
+
+      const stored = await this._findStoredRate(normalizedBase, quoteCurrency, date);
+      if (!stored) continue;
+
+      rates[quoteCurrency] = stored.rate;
+      sources[quoteCurrency] = stored.source;
+      if (!rateDate || stored.rateDate < rateDate) {
+        // The oldest rate used is the one that dates the set
+        rateDate = stored.rateDate;
+        fetchedAt = stored.fetchedAt;
       }
-    } catch (error) {
-      console.error("Exchange rate API error:", error.message);
-      throw new Error("Failed to fetch exchange rates");
     }
+
+    if (Object.keys(sources).length === 0) {
+      return null;
+    }
+
+    return {
+      baseCurrency: normalizedBase,
+      date,
+      rates,
+      sources,
+      source: [...new Set(Object.values(sources))].join(","),
+      rateDate,
+      fetchedAt
+    };
+  }
+
+  /**
+   * Get the rate between two currencies, with where and when it was published
+   * @param {string} fromCurrency - Source currency code
+   * @param {string} toCurrency - Target currency code
+   * @returns {Promise<Object>} - { rate, source, fetchedAt, isStale }
+   */
+  async getRate(fromCurrency, toCurrency) {
+    const from = fromCurrency.toUpperCase();
+    const to = toCurrency.toUpperCase();
+    if (from === to) {
+      return { rate: 1, source: "identity", fetchedAt: new Date(), isStale: false };
+    }
+
+    const snapshot = await this.getRateSnapshot(from);
+    if (!snapshot.rates[to]) {
+      throw new Error(`Exchange rate not available for ${to}`);
+    }
+
+    return {
+      rate: snapshot.rates[to],
+      source: snapshot.source,
+      fetchedAt: snapshot.fetchedAt,
+      isStale: snapshot.isStale
+    };
+  }
+
+  /**
+   * Manual rates agents entered, newest day first
+   * @param {Object} userData - Authenticated agent
+   * @param {Object} filters - { date } to list one day
+   * @returns {Promise<Array>} - ExchangeRate records with the agent who entered them
+   */
+  async listManualRates(userData, { date } = {}) {
+    this._checkAgent(userData);
+
+    return ExchangeRate.findAll({
+      where: {
+        source: "manual",
+        ...(date && { rateDate: date })
+      },
+      include: [{ association: "updater", attributes: ["id", "name"] }],
+      order: [["rateDate", "DESC"], ["baseCurrency", "ASC"], ["quoteCurrency", "ASC"]],
+      limit: 200
+    });
+  }
+
+  /**
+   * Enter or correct the manual rate of a currency pair for a day
+   * @param {Object} data - { baseCurrency, quoteCurrency, rate, date } (date defaults to today)
+   * @param {Object} userData - Authenticated agent
+   * @returns {Promise<Object>} - The stored ExchangeRate
+   */
+  async setManualRate({ baseCurrency, quoteCurrency, rate, date } = {}, userData) {
+    this._checkAgent(userData);
+
+    const base = this._normalizeCurrency(baseCurrency);
+    const quote = this._normalizeCurrency(quoteCurrency);
+    if (base === quote) {
+      const error = new Error("Base and quote currency must differ");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const numericRate = Number(rate);
+    if (!Number.isFinite(numericRate) || numericRate <= 0) {
+      const error = new Error("Rate must be a positive number");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const rateDate = date || getCurrentDateInUzbekistan();
+    if (!DATE_PATTERN.test(String(rateDate)) || Number.isNaN(Date.parse(rateDate))) {
+      const error = new Error("Date must be in YYYY-MM-DD format");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const values = { rate: numericRate, fetchedAt: new Date(), updatedBy: userData.id };
+    const [entry, created] = await ExchangeRate.findOrCreate({
+      where: { baseCurrency: base, quoteCurrency: quote, rateDate, source: "manual" },
+      defaults: values
+    });
+    if (!created) {
+      await entry.update(values);
+    }
+
+    // Conversions pick the new rate up right away
+    this.cache.flushAll();
+    return entry;
+  }
+
+  /**
+   * Remove a manual rate entered by mistake
+   * @param {number} id - ExchangeRate ID
+   * @param {Object} userData - Authenticated agent
+   * @returns {Promise<void>}
+   */
+  async deleteManualRate(id, userData) {
+    this._checkAgent(userData);
+
+    const entry = await ExchangeRate.findOne({ where: { id, source: "manual" } });
+    if (!entry) {
+      const error = new Error("Manual rate not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await entry.destroy();
+    this.cache.flushAll();
   }
 
   /**
@@ -65,7 +270,7 @@ class CurrencyExchangeService {
     try {
       // Get rates with the source currency as base
       const rates = await this.getExchangeRates(fromCurrency);
-      
+
       if (!rates[toCurrency]) {
         throw new Error(`Exchange rate not available for ${toCurrency}`);
       }
@@ -77,6 +282,87 @@ class CurrencyExchangeService {
       throw error;
     }
   }
+
+  // Private helper methods
+  _normalizeCurrency(code) {
+    const normalized = String(code || "").toUpperCase();
+    if (!this.supportedCurrencies.includes(normalized)) {
+      const error = new Error(`Unsupported currency: ${code}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return normalized;
+  }
+
+  _checkAgent(userData) {
+    if (userData.userType !== "agent") {
+      const error = new Error("Only agents can manage exchange rates");
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  _pickSupportedRates(rates = {}, baseCurrency) {
+    const picked = { [baseCurrency]: 1 };
+    for (const code of this.supportedCurrencies) {
+      const rate = Number(rates[code]);
+      if (code !== baseCurrency && rate > 0) {
+        picked[code] = rate;
+      }
+    }
+    return picked;
+  }
+
+  // One snapshot per source, currency pair and day; a later fetch the same day replaces it
+  async _storeSnapshot({ baseCurrency, rates, source, rateDate, fetchedAt }) {
+    try {
+      for (const [quoteCurrency, rate] of Object.entries(rates)) {
+        if (quoteCurrency === baseCurrency) continue;
+
+        const [entry, created] = await ExchangeRate.findOrCreate({
+          where: { baseCurrency, quoteCurrency, rateDate, source },
+          defaults: { rate, fetchedAt }
+        });
+        if (!created) {
+          await entry.update({ rate, fetchedAt });
+        }
+      }
+    } catch (error) {
+      // Storing is best effort; the fetched rates are still used
+      console.error(`Error storing ${source} exchange rates for ${baseCurrency}:`, error.message);
+    }
+  }
+
+  async _findStoredRate(baseCurrency, quoteCurrency, date) {
+    const sourceOrder = listExchangeRateSources().map(source => source.name);
+    const rank = (entry) => {
+      const index = sourceOrder.indexOf(entry.source);
+      return index === -1 ? sourceOrder.length : index;
+    };
+
+    for (const [base, quote, invert] of [[baseCurrency, quoteCurrency, false], [quoteCurrency, baseCurrency, true]]) {
+      const latest = await ExchangeRate.findOne({
+        where: { baseCurrency: base, quoteCurrency: quote, rateDate: { [Op.lte]: date } },
+        order: [["rateDate", "DESC"]],
+        attributes: ["rateDate"]
+      });
+      if (!latest) continue;
+
+      const entries = await ExchangeRate.findAll({
+        where: { baseCurrency: base, quoteCurrency: quote, rateDate: latest.rateDate }
+      });
+      const [entry] = entries.sort((a, b) => rank(a) - rank(b));
+
+      return {
+        rate: invert ? 1 / Number(entry.rate) : Number(entry.rate),
+        source: entry.source,
+        rateDate: entry.rateDate,
+        fetchedAt: entry.fetchedAt
+      };
+    }
+
+    return null;
+  }
 }
 
 // Create singleton instance
@@ -103,9 +103,25 @@ class DatabaseInitializer {
         'Review',         // Depends on User, Place
         'ReviewReply',    // Depends on Review, User
         'ReviewHelpful',  // Depends on Review, User
-        'ReviewReport',   // Depends on Review, User
+        'ReviewReportDecision', // Depends on Review, User
+        'ReviewReport',   // Depends on Review, User, ReviewReportDecision
         'Notification',   // Depends on User
-        'UserFavorite'    // Depends on User, Place
+        'UserFavorite',   // Depends on User, Place
+        'Refund',         // Depends on Booking, User, Transaction
+        'BookingSeries',  // Depends on User, Place
+        'BookingHold',    // Depends on Booking, User, Place
+        'PromoCode',      // Depends on Place, User
+        'BookingGroup',   // Depends on User, Booking
+        'WaitlistEntry',  // Depends on User, Place, Booking
+        'PayoutBatch',    // Depends on User
+        'PayoutItem',     // Depends on PayoutBatch, Booking, User, Place
+        'CommissionRule', // Depends on User, Place
+        'FiscalReceipt',  // Depends on Booking, Transaction
+        'ReconciliationRun',  // Depends on User
+        'ReconciliationItem', // Depends on ReconciliationRun, Transaction, User
+        'PaymentWebhookEvent', // Depends on Booking, Transaction, User
+        'ExchangeRate',        // Depends on User
+        'HostMetric'           // Depends on User
       ];
 
       for (const modelName of syncOrder) {
@@ -235,9 +251,25 @@ class DatabaseInitializer {
       'Review',         // Depends on User, Place
       'ReviewReply',    // Depends on Review, User
       'ReviewHelpful',  // Depends on Review, User
-      'ReviewReport',   // Depends on Review, User
+      'ReviewReportDecision', // Depends on Review, User
+      'ReviewReport',   // Depends on Review, User, ReviewReportDecision
       'Notification',   // Depends on User
-      'UserFavorite'    // Depends on User, Place
+      'UserFavorite',   // Depends on User, Place
+      'Refund',         // Depends on Booking, User, Transaction
+      'BookingSeries',  // Depends on User, Place
+      'BookingHold',    // Depends on Booking, User, Place
+      'PromoCode',      // Depends on Place, User
+      'BookingGroup',   // Depends on User, Booking
+      'WaitlistEntry',  // Depends on User, Place, Booking
+      'PayoutBatch',    // Depends on User
+      'PayoutItem',     // Depends on PayoutBatch, Booking, User, Place
+      'CommissionRule', // Depends on User, Place
+      'FiscalReceipt',  // Depends on Booking, Transaction
+      'ReconciliationRun',  // Depends on User
+      'ReconciliationItem', // Depends on ReconciliationRun, Transaction, User
+      'PaymentWebhookEvent', // Depends on Booking, Transaction, User
+      'ExchangeRate',        // Depends on User
+      'HostMetric'           // Depends on User
     ];
 
     for (const modelName of tableCreationOrder) {
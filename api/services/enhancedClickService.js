@@ -1,6 +1,7 @@
 const ClickMerchantApiService = require('./clickMerchantApiService');
 const PaymentStatusService = require('./paymentStatusService');
 const TransactionService = require('./transactionService');
+const ExchangeRateLockService = require('./exchangeRateLockService');
 const { Booking } = require('../models');
 
 /**
@@ -36,7 +37,7 @@ class EnhancedClickService {
 
       // Check if invoice already exists
       if (booking.clickInvoiceId) {
-        const amount = booking.finalTotal || booking.totalPrice;
+        const amount = ExchangeRateLockService.toChargeAmount(booking, booking.finalTotal || booking.totalPrice);
         return {
           success: true,
           alreadyExists: true,
@@ -51,7 +52,7 @@ class EnhancedClickService {
       // Check if transaction already exists
       const existingTransaction = await TransactionService.getClickTransactionByBooking(bookingId);
       if (existingTransaction) {
-        const amount = booking.finalTotal || booking.totalPrice;
+        const amount = ExchangeRateLockService.toChargeAmount(booking, booking.finalTotal || booking.totalPrice);
         return {
           success: true,
           alreadyExists: true,
@@ -63,7 +64,8 @@ class EnhancedClickService {
         };
       }
 
-      const amount = booking.finalTotal || booking.totalPrice;
+      // Charged in UZS at the rate locked at checkout
+      const amount = ExchangeRateLockService.toChargeAmount(booking, booking.finalTotal || booking.totalPrice);
       
       if (!amount || amount <= 0) {
         throw new Error('Invalid booking amount');
@@ -90,6 +92,7 @@ class EnhancedClickService {
       await TransactionService.createClick({
         clickInvoiceId: invoiceResult.invoiceId,
         amount: amount,
+        exchangeRate: booking.fxRate,
         bookingId: bookingId,
         userId: booking.userId,
         merchantTransId: booking.uniqueRequestId,
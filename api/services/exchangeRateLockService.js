@@ -0,0 +1,218 @@
+const { Booking, Place, Currency } = require("../models");
+const currencyExchangeService = require("./currencyExchangeService");
+
+// Payme, Click and Octo all charge in UZS
+const CHARGE_CURRENCY = 'UZS';
+const DEFAULT_QUOTE_VALIDITY_MINUTES = 30;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Exchange Rate Lock Service - Checkout-time exchange rates
+ *
+ * Bookings are priced in the place currency, but every provider charges in UZS.
+ * When the client opens the payment screen the rate to UZS, and to the currency
+ * the client browses in, is quoted and locked on the booking. Payments started
+ * within the validity window are charged at that rate; later ones get a new
+ * quote. Each transaction keeps the rate it was charged at, so amounts paid and
+ * refunded convert back to the booking currency exactly.
+ */
+class ExchangeRateLockService {
+  /**
+   * How long a quoted rate is honored
+   * @returns {number} Minutes (FX_QUOTE_VALIDITY_MINUTES, default 30)
+   */
+  static getQuoteValidityMinutes() {
+    const minutes = Number(process.env.FX_QUOTE_VALIDITY_MINUTES);
+    return minutes > 0 ? minutes : DEFAULT_QUOTE_VALIDITY_MINUTES;
+  }
+
+  /**
+   * Payment quote for a booking
+   * The booking's client gets the rate locked when the booking can be paid now;
+   * hosts and agents see the current lock without changing it.
+   * @param {number} bookingId - Booking ID
+   * @param {Object} userData - Authenticated user
+   * @param {Object} options - { displayCurrency } the client browses in
+   * @returns {Promise<Object>} Quote, see describe()
+   */
+  static async getQuote(bookingId, userData, { displayCurrency } = {}) {
+    // Required here: bookingPaymentService reaches this service through the booking documents
+    const BookingPaymentService = require("./bookingPaymentService");
+    let booking = await Booking.findByPk(bookingId, {
+      include: [{ model: Place, as: 'place', attributes: ['id', 'ownerId'] }]
+    });
+    if (!booking) {
+      const error = new Error("Booking not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const isOwner = userData.userType === 'client' && booking.userId === userData.id;
+    const canAccess = isOwner
+      || userData.userType === 'agent'
+      || (userData.userType === 'host' && booking.place?.ownerId === userData.id);
+    if (!canAccess) {
+      const error = new Error("Access denied");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (isOwner && BookingPaymentService.canAcceptPayment(booking)) {
+      booking = await this.lockRate(booking, { displayCurrency });
+    }
+
+    return this.describe(booking, BookingPaymentService.getAmountToPay(booking).amount);
+  }
+
+  /**
+   * Lock the rate a booking is charged at, keeping a lock that is still valid
+   * A new display currency replaces the lock. Without a display currency the
+   * locked one (or the booking currency) is kept.
+   * @param {Object} booking - Booking instance
+   * @param {Object} options - { displayCurrency }
+   * @returns {Promise<Object>} The updated booking
+   */
+  static async lockRate(booking, { displayCurrency } = {}) {
+    const currency = booking.currency || await this._getPlaceCurrency(booking);
+    const display = this._normalizeCurrency(displayCurrency || booking.displayCurrency || currency);
+
+    if (this.isLocked(booking) && booking.currency === currency && booking.displayCurrency === display) {
+      return booking;
+    }
+
+    let charge;
+    try {
+      charge = await currencyExchangeService.getRate(currency, CHARGE_CURRENCY);
+    } catch (error) {
+      console.error(`Error quoting ${currency}/${CHARGE_CURRENCY} for booking ${booking.id}:`, error.message);
+      const unavailable = new Error("Exchange rates are unavailable right now, please try again later");
+      unavailable.statusCode = 503;
+      throw unavailable;
+    }
+
+    // The display rate is informational; the booking currency stands in when it is unavailable
+    let shown = { rate: 1 };
+    let shownCurrency = display;
+    try {
+      shown = display === CHARGE_CURRENCY ? charge : await currencyExchangeService.getRate(currency, display);
+    } catch (error) {
+      console.warn(`Error quoting ${currency}/${display} for booking ${booking.id}:`, error.message);
+      shownCurrency = currency;
+    }
+
+    const lockedAt = new Date();
+    return booking.update({
+      currency,
+      fxRate: charge.rate,
+      fxRateSource: charge.source,
+      fxRateLockedAt: lockedAt,
+      fxRateExpiresAt: new Date(lockedAt.getTime() + this.getQuoteValidityMinutes() * 60 * 1000),
+      displayCurrency: shownCurrency,
+      displayFxRate: shownCurrency === currency ? 1 : shown.rate
+    });
+  }
+
+  /**
+   * Whether the booking's locked rate is still within its validity window
+   * @param {Object} booking - Booking
+   * @returns {boolean} True while the quote is honored
+   */
+  static isLocked(booking) {
+    return !!booking.fxRate
+      && !!booking.fxRateExpiresAt
+      && new Date(booking.fxRateExpiresAt).getTime() > Date.now();
+  }
+
+  /**
+   * Amount charged in UZS for an amount in the booking currency
+   * Non-UZS amounts are charged in whole sum at the locked rate; bookings without
+   * a lock are in UZS.
+   * @param {Object} booking - Booking with its locked rate
+   * @param {number} amount - Amount in the booking currency
+   * @returns {number} Amount in UZS
+   */
+  static toChargeAmount(booking, amount) {
+    return this._convert(amount, booking.fxRate);
+  }
+
+  /**
+   * Amount in the booking currency for a transaction charged in UZS
+   * @param {Object} transaction - Transaction with the rate it was charged at
+   * @param {number} [amount] - UZS amount (defaults to the transaction amount)
+   * @returns {number} Amount in the booking currency
+   */
+  static fromChargeAmount(transaction, amount = transaction.amount) {
+    const rate = Number(transaction.exchangeRate);
+    if (!rate || rate === 1) {
+      return Number(amount || 0);
+    }
+    return roundAmount(Number(amount || 0) / rate);
+  }
+
+  /**
+   * UZS amount of a transaction for an amount in the booking currency (refunds)
+   * @param {Object} transaction - Transaction with the rate it was charged at
+   * @param {number} amount - Amount in the booking currency
+   * @returns {number} Amount in UZS
+   */
+  static toTransactionAmount(transaction, amount) {
+    return this._convert(amount, transaction.exchangeRate);
+  }
+
+  /**
+   * What the client is shown and charged for an amount of the booking
+   * @param {Object} booking - Booking with its locked rate
+   * @param {number} amount - Amount in the booking currency
+   * @returns {Object} { currency, amount, chargeCurrency, chargeAmount, rate, displayCurrency,
+   *   displayAmount, displayRate, source, lockedAt, expiresAt, isLocked }
+   */
+  static describe(booking, amount) {
+    const currency = booking.currency || CHARGE_CURRENCY;
+    const displayRate = booking.displayFxRate ? Number(booking.displayFxRate) : 1;
+
+    return {
+      currency,
+      amount,
+      chargeCurrency: CHARGE_CURRENCY,
+      chargeAmount: this.toChargeAmount(booking, amount),
+      rate: booking.fxRate ? Number(booking.fxRate) : null,
+      displayCurrency: booking.displayCurrency || currency,
+      displayAmount: roundAmount(amount * displayRate),
+      displayRate,
+      source: booking.fxRateSource || null,
+      lockedAt: booking.fxRateLockedAt || null,
+      expiresAt: booking.fxRateExpiresAt || null,
+      isLocked: this.isLocked(booking)
+    };
+  }
+
+  // Private helper methods
+  static _convert(amount, rate) {
+    const numericRate = Number(rate);
+    if (!numericRate || numericRate === 1) {
+      return Number(amount || 0);
+    }
+    return Math.round(Number(amount || 0) * numericRate);
+  }
+
+  static async _getPlaceCurrency(booking) {
+    const place = await Place.findByPk(booking.placeId, {
+      attributes: ['id', 'currencyId'],
+      include: [{ model: Currency, as: 'currency', attributes: ['charCode'] }]
+    });
+    return this._normalizeCurrency(place?.currency?.charCode || CHARGE_CURRENCY);
+  }
+
+  static _normalizeCurrency(code) {
+    const currency = String(code || '').toUpperCase();
+    if (!currencyExchangeService.supportedCurrencies.includes(currency)) {
+      const error = new Error(`Unsupported currency: ${code}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return currency;
+  }
+}
+
+module.exports = ExchangeRateLockService;
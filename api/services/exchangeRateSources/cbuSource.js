@@ -0,0 +1,56 @@
+const axios = require("axios");
+const moment = require("moment-timezone");
+const ExchangeRateSource = require("./exchangeRateSource");
+
+const CBU_RATES_URL = process.env.CBU_RATES_URL || "https://cbu.uz/uz/arkhiv-kursov-valyut/json/";
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Central Bank of Uzbekistan source - official daily rates
+ *
+ * The feed lists every currency against UZS ({ Ccy, Rate, Nominal, Date }, Rate
+ * being the UZS price of Nominal units); rates between other currencies are
+ * crossed through UZS.
+ */
+class CbuSource extends ExchangeRateSource {
+  constructor() {
+    super("cbu");
+  }
+
+  async fetchRates(baseCurrency) {
+    const response = await axios.get(CBU_RATES_URL, { timeout: REQUEST_TIMEOUT_MS });
+    if (!Array.isArray(response.data) || response.data.length === 0) {
+      throw new Error("Invalid CBU rates feed");
+    }
+
+    // UZS for one unit of each currency
+    const uzsPerUnit = { UZS: 1 };
+    let feedDate = null;
+    for (const entry of response.data) {
+      const rate = parseFloat(String(entry.Rate).replace(",", "."));
+      const nominal = parseFloat(entry.Nominal) || 1;
+      if (entry.Ccy && rate > 0) {
+        uzsPerUnit[String(entry.Ccy).toUpperCase()] = rate / nominal;
+        feedDate = feedDate || entry.Date;
+      }
+    }
+
+    if (!uzsPerUnit[baseCurrency]) {
+      throw new Error(`CBU publishes no rate for ${baseCurrency}`);
+    }
+
+    const rates = {};
+    for (const [code, uzs] of Object.entries(uzsPerUnit)) {
+      rates[code] = uzsPerUnit[baseCurrency] / uzs;
+    }
+
+    const rateDate = feedDate ? moment.tz(feedDate, "DD.MM.YYYY", "Asia/Tashkent") : null;
+    return {
+      rates,
+      rateDate: rateDate?.isValid() ? rateDate.format("YYYY-MM-DD") : null,
+      fetchedAt: new Date()
+    };
+  }
+}
+
+module.exports = CbuSource;
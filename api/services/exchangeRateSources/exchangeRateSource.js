@@ -0,0 +1,31 @@
+/**
+ * Exchange Rate Source - Interface every exchange rate source implements
+ *
+ * CurrencyExchangeService asks the sources registered in ./index.js in order and
+ * uses the first that answers; adding a source means writing one fetchRates()
+ * and registering it.
+ */
+class ExchangeRateSource {
+  /**
+   * @param {string} name - Source name as stored in ExchangeRate.source
+   */
+  constructor(name) {
+    this.name = name;
+    // Whether fetched rates are saved as the day's snapshot; sources that read
+    // stored rates (manual) have nothing to save
+    this.storesSnapshots = true;
+  }
+
+  /**
+   * Rates for one unit of a base currency
+   * @param {string} baseCurrency - Upper-case currency code
+   * @returns {Promise<Object>} { rates: { [code]: rate }, rateDate: 'YYYY-MM-DD', fetchedAt: Date }
+   */
+  async fetchRates(baseCurrency) {
+    const error = new Error(`${this.name} does not provide rates for ${baseCurrency}`);
+    error.statusCode = 501;
+    throw error;
+  }
+}
+
+module.exports = ExchangeRateSource;
@@ -0,0 +1,53 @@
+const ExchangeRateSource = require("./exchangeRateSource");
+const CbuSource = require("./cbuSource");
+const OpenErApiSource = require("./openErApiSource");
+const ManualSource = require("./manualSource");
+
+// Sources are asked in this order unless EXCHANGE_RATE_SOURCES lists others;
+// manual rates are the last resort before the stored history
+const DEFAULT_SOURCE_ORDER = ["cbu", "open-er-api", "manual"];
+const sources = new Map();
+
+/**
+ * Register an exchange rate source
+ * @param {ExchangeRateSource} source - Source instance
+ */
+function registerExchangeRateSource(source) {
+  if (!(source instanceof ExchangeRateSource)) {
+    throw new Error("Exchange rate source must extend ExchangeRateSource");
+  }
+  sources.set(source.name, source);
+}
+
+/**
+ * Get a registered exchange rate source
+ * @param {string} name - Source name as stored in ExchangeRate.source
+ * @returns {ExchangeRateSource|null} Source, null when not registered
+ */
+function getExchangeRateSource(name) {
+  return sources.get(name) || null;
+}
+
+/**
+ * Sources in the order they are asked for rates
+ * EXCHANGE_RATE_SOURCES (comma-separated names) overrides the default order,
+ * e.g. "manual" to use only the rates agents enter.
+ * @returns {Array<ExchangeRateSource>} Sources
+ */
+function listExchangeRateSources() {
+  const order = process.env.EXCHANGE_RATE_SOURCES
+    ? process.env.EXCHANGE_RATE_SOURCES.split(",").map(name => name.trim()).filter(Boolean)
+    : DEFAULT_SOURCE_ORDER;
+  return order.map(getExchangeRateSource).filter(Boolean);
+}
+
+registerExchangeRateSource(new CbuSource());
+registerExchangeRateSource(new OpenErApiSource());
+registerExchangeRateSource(new ManualSource());
+
+module.exports = {
+  ExchangeRateSource,
+  registerExchangeRateSource,
+  getExchangeRateSource,
+  listExchangeRateSources
+};
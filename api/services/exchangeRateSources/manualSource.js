@@ -0,0 +1,47 @@
+const { Op } = require("sequelize");
+const { ExchangeRate } = require("../../models");
+const ExchangeRateSource = require("./exchangeRateSource");
+const { getCurrentDateInUzbekistan } = require("../../utils/uzbekistanTimezoneUtils");
+
+/**
+ * Manual source - rates agents enter in the exchange rates tool
+ *
+ * Uses the latest manual rate of each currency pair up to today; a rate entered
+ * for the opposite direction is inverted.
+ */
+class ManualSource extends ExchangeRateSource {
+  constructor() {
+    super("manual");
+    this.storesSnapshots = false;
+  }
+
+  async fetchRates(baseCurrency) {
+    const entries = await ExchangeRate.findAll({
+      where: {
+        source: this.name,
+        rateDate: { [Op.lte]: getCurrentDateInUzbekistan() },
+        [Op.or]: [{ baseCurrency }, { quoteCurrency: baseCurrency }]
+      },
+      order: [['rateDate', 'DESC'], ['updated_at', 'DESC']]
+    });
+
+    // Entries are newest first, so the first one seen for a currency wins
+    const rates = { [baseCurrency]: 1 };
+    let latest = null;
+    for (const entry of entries) {
+      const code = entry.baseCurrency === baseCurrency ? entry.quoteCurrency : entry.baseCurrency;
+      if (rates[code] !== undefined) continue;
+
+      rates[code] = entry.baseCurrency === baseCurrency ? Number(entry.rate) : 1 / Number(entry.rate);
+      latest = latest || entry;
+    }
+
+    if (!latest) {
+      throw new Error(`No manual rates for ${baseCurrency}`);
+    }
+
+    return { rates, rateDate: latest.rateDate, fetchedAt: latest.fetchedAt };
+  }
+}
+
+module.exports = ManualSource;
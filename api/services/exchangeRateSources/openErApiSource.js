@@ -0,0 +1,36 @@
+const axios = require("axios");
+const moment = require("moment-timezone");
+const ExchangeRateSource = require("./exchangeRateSource");
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Exchange Rate API source - https://open.er-api.com/v6/latest/{baseCurrency}
+ * Market rates, updated once a day.
+ */
+class OpenErApiSource extends ExchangeRateSource {
+  constructor() {
+    super("open-er-api");
+  }
+
+  async fetchRates(baseCurrency) {
+    const response = await axios.get(`https://open.er-api.com/v6/latest/${baseCurrency}`, {
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    if (!response.data || response.data.result !== "success") {
+      throw new Error("Failed to fetch exchange rates");
+    }
+
+    const fetchedAt = response.data.time_last_update_unix
+      ? new Date(response.data.time_last_update_unix * 1000)
+      : new Date();
+    return {
+      rates: response.data.rates,
+      rateDate: moment(fetchedAt).tz("Asia/Tashkent").format("YYYY-MM-DD"),
+      fetchedAt
+    };
+  }
+}
+
+module.exports = OpenErApiSource;
@@ -0,0 +1,205 @@
+const { Op } = require("sequelize");
+const sequelize = require("../config/database");
+const { HostMetric } = require("../models");
+
+const REFRESH_INTERVAL = 6 * 60 * 60 * 1000;
+const LOOKBACK_DAYS = 365;
+const MIN_SAMPLE = 3;
+
+// Badge thresholds; rates are percentages
+const BADGE_RULES = {
+  quick_response: metrics => metrics.medianResponseMinutes !== null && metrics.medianResponseMinutes <= 60,
+  responds_within_day: metrics => metrics.medianResponseMinutes !== null && metrics.medianResponseMinutes > 60 && metrics.medianResponseMinutes <= 24 * 60,
+  high_acceptance: metrics => metrics.acceptanceRate !== null && metrics.acceptanceRate >= 80,
+  reliable_host: metrics => metrics.hostCancellationRate !== null && metrics.hostCancellationRate <= 2,
+  replies_to_reviews: metrics => metrics.reviewReplyRate !== null && metrics.reviewReplyRate >= 75
+};
+
+// PerformanceBadge level thresholds, best first; minimums for rates, maximums for the lower-is-better figures
+const LEVEL_THRESHOLDS = {
+  medianResponseMinutes: { excellent: 60, great: 3 * 60, good: 12 * 60, fair: 24 * 60 },
+  acceptanceRate: { excellent: 90, great: 80, good: 70, fair: 50 },
+  hostCancellationRate: { excellent: 1, great: 3, good: 5, fair: 10 },
+  reviewReplyRate: { excellent: 90, great: 75, good: 50, fair: 25 }
+};
+const LOWER_IS_BETTER = ["medianResponseMinutes", "hostCancellationRate"];
+
+// Public figures included with a place's owner
+const HOST_METRIC_ATTRIBUTES = ["medianResponseMinutes", "acceptanceRate", "hostCancellationRate", "reviewReplyRate", "badges"];
+
+/**
+ * Host Metrics Service - Reputation figures shown to clients
+ *
+ * Figures come from bookings and reviews of the last year and are stored per
+ * host, refreshed every few hours rather than on each request:
+ * - response time: from booking request to the first of selected, approved or rejected
+ * - acceptance rate: answered requests the host selected or approved
+ * - host cancellation rate: approved bookings the host rejected afterwards; selected
+ *   requests rejected automatically because a competing booking was paid first
+ *   (which sets no rejected_at) or refused by a series are not counted
+ * - review reply rate: approved reviews with a host reply
+ * A figure needs at least MIN_SAMPLE bookings or reviews, otherwise it stays empty.
+ */
+class HostMetricsService {
+  /**
+   * Recompute the figures of every host with bookings or reviews
+   * @returns {Promise<number>} Number of hosts updated
+   */
+  static async refreshAll() {
+    const bookingRows = await sequelize.query(
+      `SELECT p."ownerId" AS "hostId",
+         percentile_cont(0.5) WITHIN GROUP (
+           ORDER BY EXTRACT(EPOCH FROM (LEAST(b.selected_at, b.approved_at, b.rejected_at) - b."createdAt")) / 60
+         ) FILTER (WHERE LEAST(b.selected_at, b.approved_at, b.rejected_at) IS NOT NULL) AS "medianResponseMinutes",
+         COUNT(*) FILTER (WHERE LEAST(b.selected_at, b.approved_at, b.rejected_at) IS NOT NULL) AS "respondedCount",
+         COUNT(*) FILTER (WHERE COALESCE(b.selected_at, b.approved_at) IS NOT NULL) AS "acceptedCount",
+         COUNT(*) FILTER (WHERE b.approved_at IS NOT NULL) AS "approvedCount",
+         COUNT(*) FILTER (
+           WHERE b.approved_at IS NOT NULL AND b.status = 'rejected' AND b.rejected_at > b.approved_at
+         ) AS "hostCancelledCount"
+       FROM "Bookings" b
+       JOIN "Places" p ON p.id = b."placeId"
+       WHERE b."createdAt" >= NOW() - INTERVAL '${LOOKBACK_DAYS} days'
+         AND b."userId" <> p."ownerId"
+       GROUP BY p."ownerId"`,
+      { type: sequelize.QueryTypes.SELECT }
+    );
+
+    const reviewRows = await sequelize.query(
+      `SELECT p."ownerId" AS "hostId",
+         COUNT(DISTINCT r.id) AS "reviewCount",
+         COUNT(DISTINCT r.id) FILTER (WHERE rr.id IS NOT NULL) AS "repliedCount"
+       FROM reviews r
+       JOIN "Places" p ON p.id = r.place_id
+       LEFT JOIN review_replies rr ON rr.review_id = r.id AND rr.user_id = p."ownerId"
+       WHERE r.status = 'approved'
+         AND r.created_at >= NOW() - INTERVAL '${LOOKBACK_DAYS} days'
+       GROUP BY p."ownerId"`,
+      { type: sequelize.QueryTypes.SELECT }
+    );
+
+    const byHost = new Map();
+    const entryFor = (hostId) => {
+      if (!byHost.has(hostId)) {
+        byHost.set(hostId, { hostId, respondedCount: 0, acceptedCount: 0, approvedCount: 0, hostCancelledCount: 0, reviewCount: 0, repliedCount: 0, medianResponseMinutes: null });
+      }
+      return byHost.get(hostId);
+    };
+
+    for (const row of bookingRows) {
+      Object.assign(entryFor(row.hostId), {
+        medianResponseMinutes: row.medianResponseMinutes === null ? null : Math.round(Number(row.medianResponseMinutes)),
+        respondedCount: parseInt(row.respondedCount),
+        acceptedCount: parseInt(row.acceptedCount),
+        approvedCount: parseInt(row.approvedCount),
+        hostCancelledCount: parseInt(row.hostCancelledCount)
+      });
+    }
+    for (const row of reviewRows) {
+      Object.assign(entryFor(row.hostId), {
+        reviewCount: parseInt(row.reviewCount),
+        repliedCount: parseInt(row.repliedCount)
+      });
+    }
+
+    const computedAt = new Date();
+    const records = [...byHost.values()].map(entry => {
+      const metrics = {
+        hostId: entry.hostId,
+        medianResponseMinutes: entry.respondedCount >= MIN_SAMPLE ? entry.medianResponseMinutes : null,
+        respondedCount: entry.respondedCount,
+        acceptanceRate: this._rate(entry.acceptedCount, entry.respondedCount),
+        acceptedCount: entry.acceptedCount,
+        hostCancellationRate: this._rate(entry.hostCancelledCount, entry.approvedCount),
+        reviewReplyRate: this._rate(entry.repliedCount, entry.reviewCount),
+        reviewCount: entry.reviewCount,
+        computedAt
+      };
+      metrics.badges = Object.keys(BADGE_RULES).filter(badge => BADGE_RULES[badge](metrics));
+      return metrics;
+    });
+
+    if (records.length > 0) {
+      await HostMetric.bulkCreate(records, {
+        updateOnDuplicate: [
+          "medianResponseMinutes", "respondedCount", "acceptanceRate", "acceptedCount",
+          "hostCancellationRate", "reviewReplyRate", "reviewCount", "badges", "computedAt", "updated_at"
+        ]
+      });
+    }
+
+    // Hosts without activity in the period lose their old figures
+    await HostMetric.destroy({ where: { computedAt: { [Op.lt]: computedAt } } });
+
+    return records.length;
+  }
+
+  /**
+   * Stored figures of a host with a PerformanceBadge level per figure
+   * @param {number} hostId - Host user ID
+   * @returns {Promise<Object>} { metrics, levels, badges, respondedCount, reviewCount, computedAt }
+   */
+  static async getSummary(hostId) {
+    const record = await HostMetric.findOne({ where: { hostId } });
+
+    const metrics = {
+      medianResponseMinutes: record?.medianResponseMinutes ?? null,
+      acceptanceRate: record?.acceptanceRate != null ? Number(record.acceptanceRate) : null,
+      hostCancellationRate: record?.hostCancellationRate != null ? Number(record.hostCancellationRate) : null,
+      reviewReplyRate: record?.reviewReplyRate != null ? Number(record.reviewReplyRate) : null
+    };
+
+    const levels = {};
+    for (const [key, value] of Object.entries(metrics)) {
+      levels[key] = this._level(key, value);
+    }
+
+    return {
+      metrics,
+      levels,
+      badges: record?.badges || [],
+      respondedCount: record?.respondedCount || 0,
+      reviewCount: record?.reviewCount || 0,
+      computedAt: record?.computedAt || null
+    };
+  }
+
+  /**
+   * Refresh now and then every REFRESH_INTERVAL; failures are logged and retried on the next run
+   */
+  static startScheduledRefresh() {
+    const run = async () => {
+      try {
+        const count = await this.refreshAll();
+        console.log(`📈 Host metrics refreshed for ${count} hosts`);
+      } catch (error) {
+        console.error("Error refreshing host metrics:", error);
+      }
+    };
+
+    run();
+    setInterval(run, REFRESH_INTERVAL).unref();
+  }
+
+  // Private helper methods
+  static _rate(count, total) {
+    if (total < MIN_SAMPLE) return null;
+    return Math.round((count / total) * 10000) / 100;
+  }
+
+  static _level(key, value) {
+    if (value === null) return "noData";
+
+    const thresholds = LEVEL_THRESHOLDS[key];
+    const lowerIsBetter = LOWER_IS_BETTER.includes(key);
+    for (const level of ["excellent", "great", "good", "fair"]) {
+      if (lowerIsBetter ? value <= thresholds[level] : value >= thresholds[level]) {
+        return level;
+      }
+    }
+    return "poor";
+  }
+}
+
+module.exports = HostMetricsService;
+module.exports.HOST_METRIC_ATTRIBUTES = HOST_METRIC_ATTRIBUTES;
@@ -20,14 +20,18 @@ class OctoService {
    * @param {Object} params.user - User instance
    * @param {string} params.returnUrl - Full URL to return user after payment
    * @param {boolean} [params.test=true] - Whether to run in test mode
+   * @param {Array} [params.basket] - Fiscal receipt positions (ReceiptService.toOctoBasket)
+   * @param {number} [params.amount] - Amount to charge, defaults to the booking total
+   * @param {string} [params.shopTransactionId] - Our payment ID, defaults to the booking's uniqueRequestId
    */
-  async preparePayment({ booking, user, returnUrl, test = true, language = 'uz', notifyUrl }) {
+  async preparePayment({ booking, user, returnUrl, test = true, language = 'uz', notifyUrl, basket, amount, shopTransactionId }) {
     if (!this.shopId || !this.secret) {
       throw new Error('Octo shop id/secret not configured');
     }
 
     const initTime = this._formatDate(new Date());
-    const total = Number(booking.finalTotal || booking.totalPrice || 0);
+    // A deposit or balance payment charges part of the booking total
+    const total = Number(amount ?? (booking.finalTotal || booking.totalPrice || 0));
     if (!total || total <= 0) throw new Error('Invalid booking amount');
 
     // Helper to append query parameters to a return URL
@@ -79,7 +83,7 @@ class OctoService {
     const payload = {
       octo_shop_id: this.shopId,
       octo_secret: this.secret,
-      shop_transaction_id: booking.uniqueRequestId || `booking_${booking.id}`,
+      shop_transaction_id: shopTransactionId || booking.uniqueRequestId || `booking_${booking.id}`,
       auto_capture: true,
       test: !!test,
       init_time: initTime,
@@ -88,7 +92,8 @@ class OctoService {
   currency: 'UZS',
   // Avoid touching booking.place/uniqueRequestId to prevent extra queries/locks
   description: 'Getspace',
-      // Minimal basket omitted; can be added later
+      // Fiscal receipt positions; their sum equals total_sum
+      ...(basket && basket.length > 0 && { basket }),
       // Limit to common methods; optional
       payment_methods: [
         { method: 'bank_card' },
@@ -99,7 +104,7 @@ class OctoService {
   return_url: appendQuery(returnUrl, {
     provider: 'octo',
     booking_id: booking.id,
-    shop_transaction_id: booking.uniqueRequestId || `booking_${booking.id}`
+    shop_transaction_id: shopTransactionId || booking.uniqueRequestId || `booking_${booking.id}`
   }),
   notify_url: notifyUrl || this.notifyUrl,
       language,
@@ -133,6 +138,50 @@ class OctoService {
     };
   }
 
+  /**
+   * Refund a captured payment (full or partial)
+   * @param {Object} params
+   * @param {string} params.octoPaymentUUID - Octo payment UUID of the original payment
+   * @param {number} params.amount - Amount to refund in UZS
+   * @param {string} params.shopRefundId - Unique refund reference on our side
+   */
+  async refund({ octoPaymentUUID, amount, shopRefundId }) {
+    if (!this.shopId || !this.secret) {
+      throw new Error('Octo shop id/secret not configured');
+    }
+
+    const payload = {
+      octo_shop_id: this.shopId,
+      octo_secret: this.secret,
+      shop_refund_id: shopRefundId,
+      octo_payment_UUID: octoPaymentUUID,
+      amount: Number(amount)
+    };
+
+    const res = await fetch(`${this.baseUrl}/refund`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Octo HTTP ${res.status}: ${text?.slice(0, 300)}`);
+    }
+
+    const data = await res.json();
+    if (data.error !== 0) {
+      const msg = data.errMessage || data.errorMessage || 'Octo refund error';
+      throw new Error(msg);
+    }
+
+    return {
+      refundId: data.data?.refund_id || shopRefundId,
+      status: data.data?.status,
+      raw: data
+    };
+  }
+
   /**
    * Verify Octo callback signature.
    * Docs indicate sha1(unique_key, uuid, status). We'll compute sha1(unique_key + uuid + status) uppercase hex.
@@ -8,7 +8,8 @@
  * 4. Adding query result caching for frequently accessed data
  */
 
-const { Place, User, Currency } = require('../models');
+const { Place, User, Currency, HostMetric } = require('../models');
+const { HOST_METRIC_ATTRIBUTES } = require('./hostMetricsService');
 const { Op } = require('sequelize');
 
 /**
@@ -104,7 +105,8 @@ class OptimizedPlaceService {
         owner: owner ? {
           id: owner.id,
           name: owner.name,
-          email: owner.email // Only essential owner data
+          email: owner.email, // Only essential owner data
+          hostMetrics: owner.hostMetrics || null
         } : null,
         currency: currency,
         availabilitySummary,
@@ -138,8 +140,8 @@ class OptimizedPlaceService {
         'youtubeLink', 'matterportLink', 'lat', 'lng', 'ownerId', 'currencyId',
         'fullDayHours', 'fullDayDiscountPrice', 'minimumHours', 'cooldown',
         'blockedWeekdays', 'blockedDates', 'weekdayTimeSlots',
-        'squareMeters', 'isHotel', 'refundOptions', 'perks',
-        'averageRating', 'totalReviews', 'ratingBreakdown', 'ratingUpdatedAt',
+        'squareMeters', 'isHotel', 'refundOptions', 'pricingRules', 'addOns', 'perks',
+        'averageRating', 'totalReviews', 'ratingBreakdown', 'categoryRatings', 'ratingUpdatedAt',
         'createdAt', 'updatedAt'
       ]
     });
@@ -158,7 +160,8 @@ class OptimizedPlaceService {
 
     if (!owner) {
       owner = await User.findByPk(ownerId, {
-        attributes: ['id', 'name', 'email', 'phoneNumber', 'userType']
+        attributes: ['id', 'name', 'email', 'phoneNumber', 'userType'],
+        include: [{ model: HostMetric, as: 'hostMetrics', attributes: HOST_METRIC_ATTRIBUTES }]
       });
 
       if (owner) {
@@ -263,8 +266,8 @@ class OptimizedPlaceService {
           'youtubeLink', 'matterportLink', 'lat', 'lng', 'ownerId', 'currencyId',
           'fullDayHours', 'fullDayDiscountPrice', 'minimumHours', 'cooldown',
           'blockedWeekdays', 'blockedDates', 'weekdayTimeSlots',
-          'squareMeters', 'isHotel', 'refundOptions', 'perks',
-          'averageRating', 'totalReviews', 'ratingBreakdown', 'ratingUpdatedAt'
+          'squareMeters', 'isHotel', 'refundOptions', 'pricingRules', 'addOns', 'perks',
+          'averageRating', 'totalReviews', 'ratingBreakdown', 'categoryRatings', 'ratingUpdatedAt'
         ]
       });
       totalLocks++;
@@ -298,7 +301,8 @@ class OptimizedPlaceService {
           owner: owner ? {
             id: owner.id,
             name: owner.name,
-            email: owner.email
+            email: owner.email,
+            hostMetrics: owner.hostMetrics || null
           } : null,
           currency,
           availabilitySummary,
@@ -346,7 +350,8 @@ class OptimizedPlaceService {
     if (uncachedIds.length > 0) {
       freshOwners = await User.findAll({
         where: { id: { [Op.in]: uncachedIds } },
-        attributes: ['id', 'name', 'email', 'phoneNumber', 'userType']
+        attributes: ['id', 'name', 'email', 'phoneNumber', 'userType'],
+        include: [{ model: HostMetric, as: 'hostMetrics', attributes: HOST_METRIC_ATTRIBUTES }]
       });
 
       // Cache fresh owners
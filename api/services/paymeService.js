@@ -1,5 +1,8 @@
 const PaymeApiService = require('./paymeApiService');
 const TransactionService = require('./transactionService');
+const ReceiptService = require('./receiptService');
+const BookingPaymentService = require('./bookingPaymentService');
+const ExchangeRateLockService = require('./exchangeRateLockService');
 const {
   PaymeError,
   PaymeData,
@@ -65,16 +68,15 @@ class PaymeService {
     const bookingId = this._extractBookingId(rawBookingId);
     const booking = await this._getBookingContext(bookingId, id);
 
-    // Convert booking amount from UZS to tiyin for comparison
-    // 1 UZS = 100 tiyin
-    const expectedAmountInTiyin = (booking.finalTotal || booking.totalPrice) * 100;
+    // Compare with the amount to pay now (deposit, balance or full total) in UZS at the locked rate
+    const { chargeAmount } = this._getExpectedCharge(booking, amount, id);
 
-    if (amount !== expectedAmountInTiyin) {
-      throw new PaymeTransactionError(PaymeError.InvalidAmount, id);
-    }
+    // Itemized fiscal receipt data Payme registers with the tax authority
+    const receipt = await ReceiptService.buildReceipt(booking, { amount: chargeAmount });
 
     return {
-      allow: true
+      allow: true,
+      detail: ReceiptService.toPaymeDetail(receipt)
     };
   }
 
@@ -132,8 +134,12 @@ class PaymeService {
     const existingBookingTrans = await TransactionService.getPaymeTransactionByBooking(bookingId);
     
     if (existingBookingTrans && existingBookingTrans.providerTransactionId !== String(paymeTransactionId)) {
+      // A paid deposit does not block paying the balance
       if (existingBookingTrans.state === PaymeTransactionState.Paid) {
-        throw new PaymeTransactionError(PaymeError.CantDoOperation, paymeTransactionId);
+        const booking = await Booking.findByPk(bookingId);
+        if (!booking || !BookingPaymentService.canAcceptPayment(booking)) {
+          throw new PaymeTransactionError(PaymeError.CantDoOperation, paymeTransactionId);
+        }
       }
       
       if (existingBookingTrans.state === PaymeTransactionState.Pending) {
@@ -202,14 +208,11 @@ class PaymeService {
       );
     }
 
-    // Validate amount FIRST: convert booking amount from UZS to tiyin for comparison
-    const expectedAmountInTiyin = (booking.finalTotal || booking.totalPrice) * 100;
-    if (amount !== expectedAmountInTiyin) {
-      throw new PaymeTransactionError(PaymeError.InvalidAmount, id);
-    }
+    // Validate amount FIRST: the amount to pay now in UZS at the locked rate
+    const { paymentType } = this._getExpectedCharge(booking, amount, id);
 
-    // Validate booking status - must be 'selected' to allow payment
-    if (booking.status !== 'selected') {
+    // Validate booking status - must be 'selected', or approved with the balance due
+    if (!BookingPaymentService.canAcceptPayment(booking)) {
       throw new PaymeTransactionError(
         PaymeError.BookingNotFound,
         id,
@@ -233,7 +236,8 @@ class PaymeService {
     const existingBookingTransaction = await TransactionService.getPaymeTransactionByBooking(bookingId);
     
     if (existingBookingTransaction) {
-      if (existingBookingTransaction.state === PaymeTransactionState.Paid) {
+      // canAcceptPayment() passed, so a paid transaction here is the deposit
+      if (existingBookingTransaction.state === PaymeTransactionState.Paid && paymentType !== 'balance') {
         throw new PaymeTransactionError(PaymeError.CantDoOperation, id);
       }
       
@@ -267,9 +271,11 @@ class PaymeService {
       providerTransactionId: String(paymeTransactionId),
       amount: amountInUzs,
       currency: 'UZS',
+      exchangeRate: booking.fxRate,
       bookingId: bookingId,
       userId: booking.userId,
       state: PaymeTransactionState.Pending,
+      paymentType,
       providerData: {
         account: account,
         originalAmount: amount, // Keep original tiyin amount
@@ -349,10 +355,9 @@ class PaymeService {
     // Update booking status to paid
     const booking = await Booking.findByPk(transaction.bookingId);
     if (booking) {
-      await booking.update({
-        status: 'approved',
+      await BookingPaymentService.recordPayment(booking, {
+        transaction,
         paidAt: new Date(performTime), // Use the same timestamp
-        approvedAt: new Date(performTime), // Set approved timestamp
         paymentResponse: {
           provider: 'payme',
           transaction_id: String(paymeTransactionId),
@@ -412,6 +417,34 @@ class PaymeService {
     }
   }
 
+  /**
+   * Stores the fiscal receipt data of a performed or cancelled transaction.
+   * Called by Payme via webhook once the receipt is registered with the tax authority
+   */
+  async setFiscalData(params, id) {
+    const paymeTransactionId = params.id;
+
+    const transaction = await TransactionService.getByProviderTransactionId(String(paymeTransactionId));
+
+    if (!transaction) {
+      throw new PaymeTransactionError(PaymeError.TransactionNotFound, id);
+    }
+
+    const fiscalData = params.fiscal_data || {};
+
+    await ReceiptService.recordFiscalData(transaction, params.type === 'CANCEL' ? 'refund' : 'sale', {
+      success: Number(fiscalData.status_code) === 0,
+      receiptId: fiscalData.receipt_id ? String(fiscalData.receipt_id) : null,
+      fiscalSign: fiscalData.fiscal_sign,
+      terminalId: fiscalData.terminal_id,
+      qrCodeUrl: fiscalData.qr_code_url,
+      fiscalizedAt: fiscalData.date ? this._parseFiscalDate(fiscalData.date) : new Date(),
+      raw: fiscalData
+    });
+
+    return { success: true };
+  }
+
   /**
    * Retrieves a statement of transactions within a specified time range.
    * Called by Payme via webhook to get transaction history
@@ -455,6 +488,26 @@ class PaymeService {
     };
   }
 
+  /**
+   * Checks the amount Payme charges against the amount to pay now.
+   * Bookings priced in another currency are charged at the rate locked at checkout,
+   * which is honored only within its validity window.
+   * Internal helper method
+   */
+  _getExpectedCharge(booking, amountInTiyin, id) {
+    const { amount: amountToPay, paymentType } = BookingPaymentService.getAmountToPay(booking);
+    const chargeAmount = ExchangeRateLockService.toChargeAmount(booking, amountToPay);
+    const isConverted = !!booking.fxRate && Number(booking.fxRate) !== 1;
+
+    // 1 UZS = 100 tiyin
+    if (amountInTiyin !== Math.round(chargeAmount * 100)
+      || (isConverted && !ExchangeRateLockService.isLocked(booking))) {
+      throw new PaymeTransactionError(PaymeError.InvalidAmount, id);
+    }
+
+    return { amountToPay, chargeAmount, paymentType };
+  }
+
   /**
    * Retrieves the booking context based on the booking ID.
    * Internal helper method
@@ -487,6 +540,20 @@ class PaymeService {
     return booking;
   }
 
+  /**
+   * Parses the fiscal module date (format "yyyyMMddHHmmss", Tashkent time).
+   * Internal helper method
+   */
+  _parseFiscalDate(value) {
+    const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+    if (!match) {
+      return new Date();
+    }
+
+    const [, year, month, day, hour, minute, second] = match;
+    return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}+05:00`);
+  }
+
   /**
    * Extracts the booking ID from various order ID formats.
    * Handles formats like:
@@ -0,0 +1,148 @@
+const PaymentProvider = require('./paymentProvider');
+const EnhancedClickService = require('../enhancedClickService');
+const ClickMerchantApiService = require('../clickMerchantApiService');
+const { User } = require('../../models');
+
+/**
+ * Click.uz adapter - merchant API invoices, status checks and payment reversal
+ *
+ * Click's Prepare/Complete callbacks have their own signed protocol and stay in
+ * clickController; this adapter covers the invoice flow started by the client.
+ */
+class ClickProvider extends PaymentProvider {
+  constructor() {
+    super('click');
+    // Click invoices are always issued for the booking total
+    this.supportsPartialPayments = false;
+  }
+
+  async createPayment({ booking, user, phoneNumber }) {
+    // Use the provided Click phone number or fall back to saved Click phone or user's phone number
+    const phoneForPayment = phoneNumber || user.clickPhoneNumber || user.phoneNumber || user.telegramPhone;
+    if (!phoneForPayment) {
+      const error = new Error("Phone number is required for Click payments. Please provide your Click account phone number.");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // If user provided a different Click phone number, save it for future use
+    if (phoneNumber && phoneNumber !== user.clickPhoneNumber) {
+      await User.update({ clickPhoneNumber: phoneNumber }, { where: { id: user.id } });
+    }
+
+    const clickService = new EnhancedClickService();
+    const result = await clickService.createPaymentInvoice({
+      bookingId: booking.id,
+      userPhone: phoneForPayment
+    });
+
+    if (!result.success) {
+      const error = new Error("Failed to create payment invoice");
+      error.statusCode = 400;
+      error.details = result.error;
+      throw error;
+    }
+
+    return {
+      url: result.paymentUrl,
+      invoiceId: result.invoiceId,
+      paymentUrl: result.paymentUrl,
+      amount: result.amount,
+      merchantTransId: result.merchantTransId,
+      alreadyExists: result.alreadyExists || false
+    };
+  }
+
+  async findPayment(booking) {
+    // Nothing can be checked at Click until an invoice was created
+    return booking.clickInvoiceId ? { invoiceId: booking.clickInvoiceId } : null;
+  }
+
+  async checkStatus(booking) {
+    const clickService = new EnhancedClickService();
+
+    try {
+      const statusResult = await clickService.getDetailedPaymentStatus(booking.id);
+
+      if (statusResult.success && statusResult.isPaid) {
+        return {
+          isPaid: true,
+          paymentStatus: 2,
+          errorCode: 0,
+          paymentId: statusResult.paymentId,
+          message: "Payment confirmed via Click.uz"
+        };
+      }
+
+      return {
+        isPaid: false,
+        paymentStatus: statusResult.paymentStatus || 0,
+        errorCode: statusResult.errorCode || (statusResult.paymentStatus === null ? -16 : 0),
+        errorNote: statusResult.errorNote || "Payment not completed",
+        message: statusResult.message || "Payment not found or incomplete"
+      };
+    } catch (clickError) {
+      console.error("❌ Click.uz API error:", clickError);
+      return {
+        success: false,
+        isPaid: false,
+        paymentStatus: null,
+        errorCode: -1,
+        errorNote: clickError.message || "Click.uz API error",
+        message: "Unable to check payment status"
+      };
+    }
+  }
+
+  async cancel(booking) {
+    const clickService = new EnhancedClickService();
+    const result = await clickService.cancelPaymentInvoice(booking.id);
+
+    if (!result.success) {
+      const error = new Error(result.error);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Click.uz payment reversal always returns the full amount
+   */
+  async refund({ transaction, booking, amount, paidAmount }) {
+    if (amount < paidAmount) {
+      return {
+        status: 'manual_required',
+        failureReason: 'Click.uz cannot reverse a partial amount automatically'
+      };
+    }
+
+    const paymentId = booking?.clickPaymentId || transaction.providerData?.paymentId;
+    if (!paymentId) {
+      return {
+        status: 'manual_required',
+        failureReason: 'Click.uz payment ID is missing for this booking'
+      };
+    }
+
+    const clickApi = new ClickMerchantApiService();
+    const response = await clickApi.reversePayment(paymentId);
+
+    if (!response.success) {
+      return {
+        status: 'failed',
+        providerResponse: response.data || { error: response.error },
+        failureReason: response.errorNote || 'Click.uz payment reversal failed'
+      };
+    }
+
+    return {
+      status: 'completed',
+      providerRefundId: String(response.paymentId || paymentId),
+      providerResponse: response.data
+    };
+  }
+}
+
+module.exports = ClickProvider;
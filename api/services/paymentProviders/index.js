@@ -0,0 +1,47 @@
+const PaymentProvider = require('./paymentProvider');
+const PaymeProvider = require('./paymeProvider');
+const OctoProvider = require('./octoProvider');
+const ClickProvider = require('./clickProvider');
+
+// Registration order is the order providers are asked for a booking's payment status;
+// webhook-driven providers first, Click (which needs an API call) last
+const providers = new Map();
+
+/**
+ * Register a payment provider adapter
+ * @param {PaymentProvider} provider - Adapter instance
+ */
+function registerPaymentProvider(provider) {
+  if (!(provider instanceof PaymentProvider)) {
+    throw new Error('Payment provider must extend PaymentProvider');
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get a registered payment provider
+ * @param {string} name - Provider name as stored in Transaction.provider
+ * @returns {PaymentProvider|null} Adapter, null when not registered
+ */
+function getPaymentProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * All registered payment providers in registration order
+ * @returns {Array<PaymentProvider>} Adapters
+ */
+function listPaymentProviders() {
+  return Array.from(providers.values());
+}
+
+registerPaymentProvider(new PaymeProvider());
+registerPaymentProvider(new OctoProvider());
+registerPaymentProvider(new ClickProvider());
+
+module.exports = {
+  PaymentProvider,
+  registerPaymentProvider,
+  getPaymentProvider,
+  listPaymentProviders
+};
@@ -0,0 +1,343 @@
+const PaymentProvider = require('./paymentProvider');
+const OctoService = require('../octoService');
+const TransactionService = require('../transactionService');
+const ReceiptService = require('../receiptService');
+const BookingPaymentService = require('../bookingPaymentService');
+const { Booking, User } = require('../../models');
+
+// Map Octo statuses to our transaction states
+function mapStatusToState(status) {
+  switch ((status || '').toLowerCase()) {
+    case 'succeeded':
+      return 2; // Paid
+    case 'created':
+    case 'processing':
+      return 1; // Pending
+    case 'cancelled':
+    case 'failed':
+    default:
+      return -1; // Cancelled/failed
+  }
+}
+
+/**
+ * Octo adapter - prepare_payment, notify callbacks and partial refunds
+ *
+ * prepare_payment is idempotent by shop_transaction_id, so it doubles as the
+ * status check for a payment that is still pending.
+ */
+class OctoProvider extends PaymentProvider {
+  constructor() {
+    super('octo');
+    this.supportsPartialPayments = true;
+  }
+
+  /**
+   * @param {Object} params - { booking, user, amount, paymentType, returnUrl, language, baseUrl }
+   *   baseUrl is the public API origin the notify callback is sent to
+   */
+  async createPayment({ booking, user, amount, paymentType = 'full', returnUrl, language = 'uz', baseUrl }) {
+    if (!returnUrl) {
+      const error = new Error('returnUrl is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const base = baseUrl || (process.env.FRONTEND_URL || '').replace(/\/$/, '');
+    const receipt = await ReceiptService.buildReceipt(booking, { amount });
+
+    // shop_transaction_id identifies one payment at Octo, so the balance gets its own
+    const shopTransactionId = paymentType === 'balance'
+      ? `${booking.uniqueRequestId || `booking_${booking.id}`}_balance`
+      : undefined;
+
+    const octo = new OctoService();
+    let result;
+    try {
+      result = await octo.preparePayment({
+        booking,
+        user,
+        returnUrl,
+        test: this._isTestMode(),
+        language,
+        notifyUrl: `${base}/api/octo/notify`,
+        basket: ReceiptService.toOctoBasket(receipt),
+        amount,
+        shopTransactionId
+      });
+    } catch (error) {
+      if (error.message === 'OCTO_PHONE_REQUIRED') {
+        error.statusCode = 400;
+        error.code = 'PHONE_REQUIRED';
+      }
+      throw error;
+    }
+
+    // Idempotent behavior: update existing Octo transaction for this booking if present;
+    // a paid deposit stays as it is and the balance is tracked as a new transaction
+    const existingTxn = await TransactionService.getOctoTransactionByBooking(booking.id);
+    const newState = mapStatusToState(result.status);
+
+    if (existingTxn && !(existingTxn.state === 2 && paymentType === 'balance')) {
+      const updatedTxn = await this._applyPrepareResult(existingTxn, result, { refreshedAt: new Date() });
+
+      // If payment already succeeded, mark booking as paid here too
+      if (newState === 2) {
+        await this._markPaidFromTransaction(booking, updatedTxn);
+      }
+    } else {
+      await TransactionService.createTransaction({
+        provider: 'octo',
+        providerTransactionId: result.octoPaymentUUID,
+        amount,
+        currency: 'UZS',
+        exchangeRate: booking.fxRate,
+        bookingId: booking.id,
+        userId: booking.userId,
+        state: newState,
+        paymentType,
+        providerData: {
+          payUrl: result.payUrl,
+          shopTransactionId: result.shopTransactionId,
+          amount
+        }
+      });
+    }
+
+    return {
+      url: result.payUrl,
+      octoPaymentUUID: result.octoPaymentUUID,
+      shopTransactionId: result.shopTransactionId
+    };
+  }
+
+  async findPayment(booking) {
+    return TransactionService.getOctoTransactionByBooking(booking.id);
+  }
+
+  async checkStatus(booking, transaction) {
+    switch (transaction.state) {
+      case 2:
+        if (booking.status !== 'approved' || !booking.paidAt || !booking.paymentResponse) {
+          await this._markPaidFromTransaction(booking, transaction);
+        }
+        return {
+          isPaid: true,
+          paymentStatus: 2,
+          errorCode: 0,
+          paymentId: transaction.providerTransactionId,
+          message: 'Payment confirmed via Octo'
+        };
+      case 1:
+        return this._recheckPending(booking, transaction);
+      case -1:
+      case -2:
+        return {
+          isPaid: false,
+          paymentStatus: -1,
+          errorCode: -1,
+          paymentId: transaction.providerTransactionId,
+          message: 'Octo payment was cancelled'
+        };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Octo supports partial refunds against the original payment UUID
+   */
+  async refund({ transaction, amount, reference }) {
+    const octo = new OctoService();
+    const response = await octo.refund({
+      octoPaymentUUID: transaction.providerTransactionId,
+      amount,
+      shopRefundId: reference
+    });
+
+    return {
+      status: 'completed',
+      providerRefundId: response.refundId,
+      providerResponse: response.raw
+    };
+  }
+
+  /**
+   * Best-effort signature verification (depends on secret); a failed check is
+   * recorded on the webhook event but does not block the callback
+   */
+  async verifyWebhook(req) {
+    const { octo_payment_UUID, status, signature } = req.body || {};
+    const isValid = new OctoService().verifySignature({ uuid: octo_payment_UUID, status, signature });
+    if (!isValid) {
+      console.warn('Octo signature verification failed');
+    }
+    return isValid;
+  }
+
+  describeWebhook(body) {
+    const { octo_payment_UUID, status } = body || {};
+    return {
+      eventType: status,
+      providerTransactionId: octo_payment_UUID || null
+    };
+  }
+
+  /**
+   * Octo notify callback; always acknowledged with 200 to avoid retry storms
+   */
+  async handleWebhook(req) {
+    try {
+      const {
+        shop_transaction_id,
+        octo_payment_UUID,
+        status,
+        total_sum,
+        transfer_sum,
+        refunded_sum,
+        payed_time
+      } = req.body || {};
+
+      if (!octo_payment_UUID || !status) {
+        return { statusCode: 400, body: { error: 'Invalid payload' } };
+      }
+
+      const txn = await TransactionService.getByProviderTransactionId(octo_payment_UUID);
+      if (!txn) {
+        console.error('Octo transaction not found:', octo_payment_UUID);
+        return { statusCode: 200, body: { ok: true }, error: new Error(`Octo transaction not found: ${octo_payment_UUID}`) };
+      }
+
+      const newState = mapStatusToState(status);
+      const updatedTxn = await TransactionService.updateTransactionState(octo_payment_UUID, newState, {
+        shopTransactionId: shop_transaction_id,
+        status,
+        transfer_sum,
+        refunded_sum,
+        payed_time,
+        callbackAt: new Date(),
+        rawCallback: req.body
+      });
+
+      if (newState === 2) {
+        const booking = await Booking.findByPk(updatedTxn.bookingId);
+        if (booking) {
+          await this.markBookingPaid(booking, {
+            transaction: updatedTxn,
+            paidAt: payed_time ? new Date(payed_time) : new Date(),
+            paymentResponse: {
+              provider: 'octo',
+              octo_payment_UUID,
+              shop_transaction_id,
+              total_sum,
+              transfer_sum,
+              refunded_sum,
+              status
+            }
+          });
+        }
+      }
+
+      return { statusCode: 200, body: { ok: true } };
+    } catch (error) {
+      console.error('Octo notify error:', error);
+      return { statusCode: 200, body: { ok: false }, error };
+    }
+  }
+
+  // Private helper methods
+
+  // Prefer explicit OCTO_TEST, otherwise test mode outside production
+  _isTestMode() {
+    if (typeof process.env.OCTO_TEST === 'string') {
+      return process.env.OCTO_TEST.toLowerCase() === 'true';
+    }
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  async _recheckPending(booking, transaction) {
+    const pending = {
+      isPaid: false,
+      paymentStatus: 1,
+      errorCode: 0,
+      paymentId: transaction.providerTransactionId,
+      message: 'Octo payment is pending'
+    };
+
+    try {
+      const user = await User.findByPk(booking.userId);
+      const returnUrlBase = process.env.FRONTEND_URL?.replace(/\/$/, '') || '';
+      const octo = new OctoService();
+      const result = await octo.preparePayment({
+        booking,
+        user,
+        returnUrl: `${returnUrlBase}/account/bookings/${booking.id}`,
+        test: this._isTestMode(),
+        language: 'uz',
+        amount: transaction.amount,
+        shopTransactionId: transaction.providerData?.shopTransactionId
+      });
+
+      const updatedTxn = await this._applyPrepareResult(transaction, result, { recheckedAt: new Date() });
+      if (updatedTxn.state === 2) {
+        await this._markPaidFromTransaction(booking, updatedTxn);
+        return {
+          isPaid: true,
+          paymentStatus: 2,
+          errorCode: 0,
+          paymentId: result.octoPaymentUUID,
+          message: 'Payment confirmed via Octo (verified)'
+        };
+      }
+
+      return { ...pending, paymentId: result.octoPaymentUUID || transaction.providerTransactionId };
+    } catch (recheckErr) {
+      console.warn('Octo recheck failed:', recheckErr?.message || recheckErr);
+      return pending;
+    }
+  }
+
+  async _applyPrepareResult(transaction, result, providerDataChanges) {
+    const state = mapStatusToState(result.status);
+    const providerData = transaction.providerData || {};
+
+    return TransactionService.updateById(transaction.id, {
+      providerTransactionId: result.octoPaymentUUID || transaction.providerTransactionId,
+      state,
+      providerData: {
+        ...providerData,
+        shopTransactionId: result.shopTransactionId || providerData.shopTransactionId,
+        payUrl: result.payUrl || providerData.payUrl,
+        apiResponse: result.raw || providerData.apiResponse,
+        ...providerDataChanges
+      },
+      performDate: state === 2 ? new Date(result.raw?.payed_time || Date.now()) : transaction.performDate
+    });
+  }
+
+  async _markPaidFromTransaction(booking, transaction) {
+    const pd = transaction.providerData || {};
+    const api = pd.apiResponse || {};
+    const data = api.data || api || {};
+    const payed_time = pd.payed_time || data.payed_time || api.payed_time;
+
+    // Unlike markBookingPaid() this also fills a missing paymentResponse on a paid booking
+    const paidAt = transaction.performDate || (payed_time ? new Date(payed_time) : new Date());
+    return BookingPaymentService.recordPayment(booking, {
+      transaction,
+      paidAt,
+      paymentResponse: {
+        provider: 'octo',
+        octo_payment_UUID: transaction.providerTransactionId,
+        shop_transaction_id: pd.shopTransactionId || data.shop_transaction_id,
+        total_sum: data.total_sum || api.total_sum,
+        transfer_sum: data.transfer_sum || api.transfer_sum,
+        refunded_sum: data.refunded_sum || api.refunded_sum || 0,
+        status: data.status || api.status || 'succeeded',
+        payed_time
+      }
+    });
+  }
+}
+
+module.exports = OctoProvider;
@@ -0,0 +1,192 @@
+const base64 = require('base-64');
+const PaymentProvider = require('./paymentProvider');
+const paymeService = require('../paymeService');
+const PaymeApiService = require('../paymeApiService');
+const TransactionService = require('../transactionService');
+const { PaymeMethod } = require('../../enum/transaction.enum');
+const { isPaymeAuthorized } = require('../../middleware/payme');
+
+// Payme CancelTransaction reason code for "refund to customer"
+const PAYME_REFUND_REASON = 5;
+
+/**
+ * Payme adapter - checkout link, JSON-RPC merchant callbacks and refunds
+ *
+ * Payme drives the payment through its merchant API callbacks (handleWebhook),
+ * so a booking's status only has to be read from the stored transaction.
+ */
+class PaymeProvider extends PaymentProvider {
+  constructor() {
+    super('payme');
+    this.supportsPartialPayments = true;
+  }
+
+  async createPayment({ booking, amount, returnUrl }) {
+    const merchantId = process.env.PAYME_MERCHANT_ID;
+    if (!merchantId) {
+      console.error('PAYME_MERCHANT_ID not configured');
+      const error = new Error("Payment system not configured");
+      error.statusCode = 500;
+      throw error;
+    }
+
+    // Amount in tiyin (multiply by 100): the deposit, the balance or the full total with add-ons
+    const params = `m=${merchantId};ac.order_id=${booking.id};a=${Math.round(amount * 100)};c=${returnUrl}`;
+
+    // Production: https://checkout.paycom.uz/, otherwise the test checkout
+    const isProduction = process.env.NODE_ENV === 'production';
+    const checkoutBaseUrl = isProduction
+      ? 'https://checkout.paycom.uz'
+      : 'https://checkout.test.paycom.uz';
+
+    return {
+      url: `${checkoutBaseUrl}/${base64.encode(params)}`,
+      amount,
+      isTestMode: !isProduction
+    };
+  }
+
+  async findPayment(booking) {
+    return TransactionService.getPaymeTransactionByBooking(booking.id);
+  }
+
+  async checkStatus(booking, transaction) {
+    const paymentId = transaction.providerTransactionId;
+
+    switch (transaction.state) {
+      case 2:
+        await this.markBookingPaid(booking, { transaction, paidAt: transaction.performDate });
+        return { isPaid: true, paymentStatus: 2, errorCode: 0, paymentId, message: "Payment confirmed via Payme" };
+      case 1:
+        return { isPaid: false, paymentStatus: 1, errorCode: 0, paymentId, message: "Payme payment is pending" };
+      case -1:
+      case -2:
+        return { isPaid: false, paymentStatus: -1, errorCode: -1, paymentId, message: "Payme payment was cancelled" };
+      default:
+        console.warn(`Unknown Payme transaction state: ${transaction.state}`);
+        return null;
+    }
+  }
+
+  // No cancel(): Payme cancels pending transactions itself through CancelTransaction callbacks
+
+  /**
+   * Payme CancelTransaction always returns the full amount
+   */
+  async refund({ transaction, amount, paidAmount }) {
+    if (amount < paidAmount) {
+      return {
+        status: 'manual_required',
+        failureReason: 'Payme cannot refund a partial amount automatically'
+      };
+    }
+
+    const paymeApi = new PaymeApiService(
+      process.env.PAYME_MERCHANT_ID,
+      process.env.PAYME_TEST_KEY || process.env.PAYME_SECRET_KEY,
+      process.env.PAYME_BASE_URL || 'https://checkout.paycom.uz',
+      process.env.NODE_ENV !== 'production'
+    );
+
+    const response = await paymeApi.cancelTransaction(transaction.providerTransactionId, PAYME_REFUND_REASON);
+
+    if (response.error) {
+      return {
+        status: 'failed',
+        providerResponse: response,
+        failureReason: response.error.message?.en || response.error.message || 'Payme cancellation failed'
+      };
+    }
+
+    return {
+      status: 'completed',
+      providerRefundId: response.result?.transaction || transaction.providerTransactionId,
+      providerResponse: response
+    };
+  }
+
+  /**
+   * Merchant API JSON-RPC call; Payme always expects HTTP 200, errors go in the body
+   */
+  async verifyWebhook(req) {
+    return isPaymeAuthorized(req);
+  }
+
+  describeWebhook(body) {
+    const { method, params = {} } = body || {};
+    return {
+      eventType: method,
+      providerTransactionId: params.id ? String(params.id) : null,
+      bookingId: params.account?.order_id ? Number(params.account.order_id) || null : null
+    };
+  }
+
+  async handleWebhook(req) {
+    const { method, params, id } = req.body || {};
+
+    try {
+      switch (method) {
+        case PaymeMethod.CheckPerformTransaction:
+          return this._rpcResult({ result: await paymeService.checkPerformTransaction(params, id) });
+        case PaymeMethod.CheckTransaction:
+          return this._rpcResult({ result: await paymeService.checkTransaction(params, id), id });
+        case PaymeMethod.CreateTransaction:
+          return this._rpcResult({ result: await paymeService.createTransaction(params, id), id });
+        case PaymeMethod.PerformTransaction:
+          return this._rpcResult({ result: await paymeService.performTransaction(params, id), id });
+        case PaymeMethod.CancelTransaction:
+          return this._rpcResult({ result: await paymeService.cancelTransaction(params, id), id });
+        case PaymeMethod.GetStatement:
+          // result already shaped as { transactions: [...] }
+          return this._rpcResult({ result: await paymeService.getStatement(params, id) });
+        case PaymeMethod.SetFiscalData:
+          return this._rpcResult({ result: await paymeService.setFiscalData(params, id), id });
+        default:
+          return this._rpcResult({
+            error: { code: -32601, message: `Method ${method} not found`, data: null },
+            id: id || null
+          });
+      }
+    } catch (error) {
+      console.error('Payme webhook error:', error);
+
+      if (error.isTransactionError) {
+        return this._rpcResult({
+          error: {
+            code: error.transactionErrorCode,
+            message: error.transactionErrorMessage,
+            data: error.transactionData || null
+          },
+          id: error.transactionId || id
+        });
+      }
+
+      console.error('Error details:', {
+        name: error.name,
+        message: error.message,
+        stack: error.stack,
+        statusCode: error.statusCode
+      });
+
+      return this._rpcResult({
+        error: {
+          code: -32000, // Server error
+          message: {
+            en: "Internal server error",
+            ru: "Внутренняя ошибка сервера",
+            uz: "Ichki server xatosi"
+          },
+          data: null
+        },
+        id: id || null
+      }, error);
+    }
+  }
+
+  // Private helper methods
+  _rpcResult(body, error) {
+    return { statusCode: 200, body, ...(error && { error }) };
+  }
+}
+
+module.exports = PaymeProvider;
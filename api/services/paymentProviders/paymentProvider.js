@@ -0,0 +1,124 @@
+const BookingPaymentService = require('../bookingPaymentService');
+
+/**
+ * Payment Provider - Interface every payment provider adapter implements
+ *
+ * PaymentService talks to providers only through these methods, so adding a
+ * provider means writing an adapter and registering it in ./index.js. Operations
+ * a provider cannot perform are left to the defaults, which fail with 501.
+ *
+ * Transaction states shared by all providers: 1 pending, 2 paid,
+ * -1 cancelled before payment, -2 cancelled after payment (refunded).
+ */
+class PaymentProvider {
+  /**
+   * @param {string} name - Provider name as stored in Transaction.provider
+   */
+  constructor(name) {
+    this.name = name;
+    // Whether payments of any amount can be taken (deposits and balances);
+    // providers without it always charge the full booking total
+    this.supportsPartialPayments = false;
+  }
+
+  /**
+   * Start a payment for a booking that can accept one (selected, or a deposit balance)
+   * @param {Object} params - { booking, user, amount, paymentType, returnUrl, language, phoneNumber, baseUrl }
+   *   amount is what to charge now in UZS, paymentType 'full', 'deposit' or 'balance'
+   * @returns {Promise<Object>} { url, ...provider specific details }
+   */
+  async createPayment(params) {
+    throw this._unsupported('createPayment');
+  }
+
+  /**
+   * Payment the provider holds for a booking
+   * @param {Object} booking - Booking
+   * @returns {Promise<Object|null>} Transaction (or provider reference), null when none was started
+   */
+  async findPayment(booking) {
+    throw this._unsupported('findPayment');
+  }
+
+  /**
+   * Current payment status, updating the booking once the payment is confirmed
+   * @param {Object} booking - Booking
+   * @param {Object} payment - Result of findPayment()
+   * @returns {Promise<Object|null>} { isPaid, paymentStatus, errorCode, paymentId, message, errorNote? };
+   *   null when the state is unknown and the next provider should be asked
+   */
+  async checkStatus(booking, payment) {
+    throw this._unsupported('checkStatus');
+  }
+
+  /**
+   * Cancel a payment that was started but not completed
+   * @param {Object} booking - Booking
+   * @param {Object} payment - Result of findPayment()
+   * @returns {Promise<Object>} { success, message }
+   */
+  async cancel(booking, payment) {
+    throw this._unsupported('cancel');
+  }
+
+  /**
+   * Return money of a completed payment
+   * @param {Object} params - { transaction, booking, amount, paidAmount, reference }
+   * @returns {Promise<Object>} { status: 'completed'|'failed'|'manual_required',
+   *   providerRefundId, providerResponse, failureReason, fullRefund }
+   */
+  async refund(params) {
+    throw this._unsupported('refund');
+  }
+
+  /**
+   * Handle a callback the provider sends to the API
+   * Must be safe to run again for the same callback: agents replay failed ones.
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { statusCode, body } to send back to the provider,
+   *   plus error when processing failed even though the provider gets a normal reply
+   */
+  async handleWebhook(req) {
+    throw this._unsupported('handleWebhook');
+  }
+
+  /**
+   * Check the signature or authorization of a provider callback
+   * @param {Object} req - Express request
+   * @returns {Promise<boolean|null>} null when the provider signs nothing
+   */
+  async verifyWebhook(req) {
+    return null;
+  }
+
+  /**
+   * What a callback body refers to, for the webhook event store
+   * @param {Object} body - Callback body
+   * @returns {Object} { eventType, providerTransactionId, bookingId } (each optional)
+   */
+  describeWebhook(body) {
+    return {};
+  }
+
+  /**
+   * Record a completed payment of this provider on the booking (no-op when it is already paid)
+   * @param {Object} booking - Booking instance
+   * @param {Object} payment - { transaction, paidAt, paymentResponse }
+   */
+  async markBookingPaid(booking, { transaction, paidAt, paymentResponse } = {}) {
+    if (booking.status === 'approved' && booking.paidAt) {
+      return booking;
+    }
+
+    return BookingPaymentService.recordPayment(booking, { transaction, paidAt, paymentResponse });
+  }
+
+  // Private helper methods
+  _unsupported(operation) {
+    const error = new Error(`Payment provider ${this.name} does not support ${operation}`);
+    error.statusCode = 501;
+    return error;
+  }
+}
+
+module.exports = PaymentProvider;
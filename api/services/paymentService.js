@@ -0,0 +1,277 @@
+const { Booking, User } = require("../models");
+const BookingHoldService = require("./bookingHoldService");
+const BookingPaymentService = require("./bookingPaymentService");
+const ExchangeRateLockService = require("./exchangeRateLockService");
+const PaymentWebhookService = require("./paymentWebhookService");
+const { getPaymentProvider, listPaymentProviders } = require("./paymentProviders");
+
+/**
+ * Payment Service - Provider-independent booking payments
+ *
+ * Starts payments, checks their status, cancels and refunds them through the
+ * adapters in ./paymentProviders. Booking access, status and hold rules live
+ * here once; provider specifics live only in the adapters.
+ */
+class PaymentService {
+  /**
+   * Start a payment for a selected booking, or for the balance of a booking whose deposit is paid
+   * Providers without partial payments charge whatever is still owed. The amount
+   * is charged in UZS at the rate locked at checkout, quoted again once it expired.
+   * @param {number} bookingId - Booking ID
+   * @param {string} providerName - 'payme', 'click', 'octo', ...
+   * @param {Object} userData - Authenticated client
+   * @param {Object} options - { returnUrl, language, phoneNumber, baseUrl }
+   * @returns {Promise<Object>} { success, provider, bookingId, paymentType, fxQuote, url, ...provider details }
+   */
+  static async createPayment(bookingId, providerName, userData, options = {}) {
+    const provider = this._getProvider(providerName);
+
+    if (!bookingId) {
+      const error = new Error("Booking ID is required");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const booking = await Booking.findByPk(bookingId);
+    if (!booking) {
+      const error = new Error("Booking not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (booking.userId !== userData.id) {
+      const error = new Error("Access denied");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (!BookingPaymentService.canAcceptPayment(booking)) {
+      const error = new Error("Payment available only when booking is selected or its balance is due");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (Number(booking.amountPaid || 0) > 0 && !provider.supportsPartialPayments) {
+      const error = new Error(`The balance cannot be paid with ${provider.name}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await User.findByPk(userData.id);
+    if (!user) {
+      const error = new Error("User not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // Quoted before the hold is converted, so a missing rate leaves the hold as it is
+    await ExchangeRateLockService.lockRate(booking);
+
+    // Starting payment converts the checkout hold; fails if another client holds the slot.
+    // A balance payment is for an approved booking that already owns its slots.
+    if (booking.status === 'selected') {
+      await BookingHoldService.convertHoldForPayment(booking);
+    }
+
+    const { amount, paymentType } = BookingPaymentService.getAmountToPay(booking, {
+      partial: provider.supportsPartialPayments
+    });
+    const payment = await provider.createPayment({
+      ...options,
+      booking,
+      user,
+      amount: ExchangeRateLockService.toChargeAmount(booking, amount),
+      paymentType
+    });
+
+    return {
+      success: true,
+      provider: provider.name,
+      bookingId: booking.id,
+      paymentType,
+      fxQuote: ExchangeRateLockService.describe(booking, amount),
+      ...payment
+    };
+  }
+
+  /**
+   * Current payment status of a booking, asking each provider in turn
+   * A booking approved and paid without a provider counts as manually approved.
+   * @param {number} bookingId - Booking ID
+   * @param {Object} userData - Authenticated user
+   * @returns {Promise<Object>} { success, isPaid, paymentStatus, errorCode, paymentId, booking, provider, message }
+   */
+  static async checkStatus(bookingId, userData) {
+    // Required here: bookingService depends on this service through refundService
+    const BookingService = require("./bookingService");
+    const booking = await BookingService.getBookingById(bookingId, userData);
+    if (!booking) {
+      const error = new Error("Booking not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (booking.status === 'approved' && booking.paidAt) {
+      return {
+        success: true,
+        isPaid: true,
+        paymentStatus: 2,
+        errorCode: 0,
+        paymentId: booking.clickPaymentId || 'payme-payment',
+        booking,
+        manuallyApproved: !booking.clickPaymentId && !booking.paymentResponse?.provider,
+        provider: booking.paymentResponse?.provider || 'manual',
+        message: "Payment already confirmed"
+      };
+    }
+
+    for (const provider of listPaymentProviders()) {
+      const payment = await provider.findPayment(booking);
+      if (!payment) {
+        continue;
+      }
+
+      const status = await provider.checkStatus(booking, payment);
+      if (!status) {
+        continue;
+      }
+
+      return {
+        success: true,
+        ...status,
+        booking: status.isPaid ? await BookingService.getBookingById(bookingId, userData) : booking,
+        provider: provider.name
+      };
+    }
+
+    return {
+      success: false,
+      isPaid: false,
+      paymentStatus: null,
+      errorCode: -1,
+      errorNote: "No payment invoice found",
+      booking,
+      provider: null,
+      message: "No payment method initiated"
+    };
+  }
+
+  /**
+   * Cancel the unfinished payments of a booking
+   * @param {number} bookingId - Booking ID
+   * @param {Object} userData - Authenticated client
+   * @returns {Promise<Object>} { success, cancelled } with the names of providers that cancelled
+   */
+  static async cancel(bookingId, userData) {
+    const booking = await Booking.findByPk(bookingId);
+    if (!booking) {
+      const error = new Error("Booking not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (booking.userId !== userData.id) {
+      const error = new Error("Access denied");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (booking.status === 'approved' && booking.paidAt) {
+      const error = new Error("Cannot cancel payment - payment already completed");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const cancelled = [];
+    for (const provider of listPaymentProviders()) {
+      const payment = await provider.findPayment(booking);
+      if (!payment) {
+        continue;
+      }
+
+      try {
+        await provider.cancel(booking, payment);
+        cancelled.push(provider.name);
+      } catch (error) {
+        // Providers without cancel expire unfinished payments on their side
+        if (error.statusCode !== 501) {
+          throw error;
+        }
+      }
+    }
+
+    return { success: true, cancelled };
+  }
+
+  /**
+   * Return money of a paid transaction through the provider it was paid with
+   * A refund larger than the transaction (deposit and balance paid separately)
+   * is left to an agent.
+   * @param {Object} refund - Refund instance
+   * @param {Object} transaction - Paid transaction
+   * @returns {Promise<Object>} Provider refund result, see PaymentProvider#refund
+   */
+  static async refund(refund, transaction) {
+    const provider = getPaymentProvider(refund.provider);
+    if (!provider) {
+      return {
+        status: 'manual_required',
+        failureReason: `Unsupported refund provider: ${refund.provider}`
+      };
+    }
+
+    // Refunds are in the booking currency; the provider returns UZS at the rate paid
+    const amount = ExchangeRateLockService.toTransactionAmount(transaction, Number(refund.refundAmount));
+    const paidAmount = Number(transaction.amount);
+    if (amount - paidAmount > 0.01) {
+      return {
+        status: 'manual_required',
+        failureReason: 'Refund exceeds the payment it would be returned through'
+      };
+    }
+
+    const booking = await Booking.findByPk(refund.bookingId);
+    return provider.refund({
+      transaction,
+      booking,
+      amount,
+      paidAmount,
+      reference: `refund_${refund.id}`
+    });
+  }
+
+  /**
+   * Handle a provider callback, keeping it in the webhook event store
+   * @param {string} providerName - Provider the callback came from
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { statusCode, body }
+   */
+  static async handleWebhook(providerName, req) {
+    return PaymentWebhookService.receive(this._getProvider(providerName), req);
+  }
+
+  /**
+   * Public origin of the API for provider callback URLs
+   * Prefers x-forwarded-host/proto, falls back to FRONTEND_URL.
+   * @param {Object} req - Express request
+   * @returns {string} Origin without a trailing slash
+   */
+  static getCallbackBaseUrl(req) {
+    const proto = req.headers['x-forwarded-proto'] || req.protocol;
+    const host = req.headers['x-forwarded-host'] || req.get('host');
+    return host ? `${proto}://${host}` : (process.env.FRONTEND_URL || '').replace(/\/$/, '');
+  }
+
+  // Private helper methods
+  static _getProvider(name) {
+    const provider = getPaymentProvider(name);
+    if (!provider) {
+      const error = new Error(`Unknown payment provider: ${name}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return provider;
+  }
+}
+
+module.exports = PaymentService;
@@ -1,5 +1,6 @@
 const ClickMerchantApiService = require('./clickMerchantApiService');
 const TransactionService = require('./transactionService');
+const BookingPaymentService = require('./bookingPaymentService');
 const { Booking } = require('../models');
 
 /**
@@ -204,10 +205,9 @@ class PaymentStatusService {
   async _updateBookingAsPaymePaid(booking, paymeTransaction) {
     const performDate = paymeTransaction.performDate || new Date();
     
-    await booking.update({
-      status: 'approved',
+    await BookingPaymentService.recordPayment(booking, {
+      transaction: paymeTransaction,
       paidAt: performDate,
-      approvedAt: performDate,
       paymentResponse: {
         provider: 'payme',
         transaction_id: paymeTransaction.providerTransactionId,
@@ -226,12 +226,11 @@ class PaymentStatusService {
    * @private
    */
   async _updateBookingAsClickPaid(booking, paymentResult) {
-    await booking.update({
-      status: 'approved',
-      clickPaymentId: paymentResult.paymentId,
-      paidAt: new Date(),
-      approvedAt: new Date(),
-      paymentResponse: paymentResult.data
+    // Click invoices cover everything still owed
+    await BookingPaymentService.recordPayment(booking, {
+      amount: BookingPaymentService.getAmountToPay(booking, { partial: false }).amount,
+      paymentResponse: paymentResult.data,
+      clickPaymentId: paymentResult.paymentId
     });
 
     console.log(`✅ Booking ${booking.id} marked as approved via Click - Payment ID: ${paymentResult.paymentId}`);
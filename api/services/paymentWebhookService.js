@@ -0,0 +1,282 @@
+const { PaymentWebhookEvent, Transaction, Booking, User } = require("../models");
+const { Op } = require("sequelize");
+const sequelize = require("../config/database");
+const { getPaymentProvider } = require("./paymentProviders");
+
+// Never stored: credentials and session data
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+
+/**
+ * Payment Webhook Service - Append-only store of provider callbacks with replay
+ *
+ * Every callback that reaches PaymentService.handleWebhook (Payme merchant API,
+ * Octo notify) is stored before it is processed, with its raw body, headers, the
+ * signature check and the outcome; Payme callbacks failing authorization are
+ * stored as rejected. Click is polled through its Merchant API and sends none.
+ * Agents inspect a booking's events and replay a failed one after a fix: the
+ * replay runs the same provider handler on the stored body and is stored as a
+ * new event, so the original stays as it arrived.
+ */
+class PaymentWebhookService {
+  /**
+   * Store and process a provider callback
+   * Storage problems never block the payment: the callback is processed anyway.
+   * @param {PaymentProvider} provider - Adapter the callback is for
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { statusCode, body } to send back to the provider
+   */
+  static async receive(provider, req) {
+    const signatureValid = await provider.verifyWebhook(req);
+    const event = await this._storeEvent({
+      ...this._getEventAttributes(provider, req),
+      signatureValid,
+      status: 'received'
+    });
+
+    return this._process(provider, req, event);
+  }
+
+  /**
+   * Store a callback refused before processing (failed authorization)
+   * @param {string} providerName - Provider the callback claims to come from
+   * @param {Object} req - Express request
+   * @param {string} reason - Why it was refused
+   * @returns {Promise<Object|null>} Stored event
+   */
+  static async recordRejected(providerName, req, reason) {
+    const provider = getPaymentProvider(providerName);
+    return this._storeEvent({
+      ...(provider ? this._getEventAttributes(provider, req) : { provider: providerName, headers: this._sanitizeHeaders(req.headers), body: req.body || null }),
+      signatureValid: false,
+      status: 'rejected',
+      error: reason,
+      processedAt: new Date()
+    });
+  }
+
+  /**
+   * Payment callbacks of a booking in the order they arrived (agent only)
+   * Includes callbacks for the booking's transactions that could not be linked
+   * to the booking when they arrived.
+   * @param {number} bookingId - Booking ID
+   * @param {Object} userData - Authenticated agent
+   * @returns {Promise<Array>} Events with canReplay
+   */
+  static async getBookingTimeline(bookingId, userData) {
+    this._checkAgent(userData);
+
+    const booking = await Booking.findByPk(bookingId, { attributes: ['id'] });
+    if (!booking) {
+      const error = new Error("Booking not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const transactions = await Transaction.findAll({
+      where: { bookingId: booking.id },
+      attributes: ['id', 'providerTransactionId']
+    });
+    const providerTransactionIds = transactions.map(txn => txn.providerTransactionId).filter(Boolean);
+
+    const events = await PaymentWebhookEvent.findAll({
+      where: {
+        [Op.or]: [
+          { bookingId: booking.id },
+          ...(providerTransactionIds.length > 0 ? [{ providerTransactionId: { [Op.in]: providerTransactionIds } }] : [])
+        ]
+      },
+      include: [{ model: User, as: 'replayer', attributes: ['id', 'name'] }],
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    return events.map(event => {
+      const attributes = event.toJSON();
+      return { ...attributes, canReplay: this._canReplay(attributes, events) };
+    });
+  }
+
+  /**
+   * Replay a failed callback of a booking (agent only)
+   * Only original events can be replayed, and only until one replay succeeds;
+   * the provider handlers are idempotent for callbacks they already applied.
+   * @param {number} bookingId - Booking ID
+   * @param {number} eventId - Failed event to replay
+   * @param {Object} userData - Authenticated agent
+   * @returns {Promise<Object>} The replay event with its outcome
+   */
+  static async replay(bookingId, eventId, userData) {
+    this._checkAgent(userData);
+
+    const timeline = await this.getBookingTimeline(bookingId, userData);
+    const original = timeline.find(event => event.id === Number(eventId));
+    if (!original) {
+      const error = new Error("Payment event not found for this booking");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (original.replayOf) {
+      const error = new Error(`Replay the original event #${original.replayOf} instead`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (original.status !== 'failed') {
+      const error = new Error("Only failed payment events can be replayed");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const provider = getPaymentProvider(original.provider);
+    if (!provider) {
+      const error = new Error(`Unknown payment provider: ${original.provider}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Lock the original so two agents cannot replay it at the same time
+    const transaction = await sequelize.transaction();
+    let replayEvent;
+
+    try {
+      await PaymentWebhookEvent.findByPk(original.id, { lock: transaction.LOCK.UPDATE, transaction });
+      const activeReplay = await PaymentWebhookEvent.findOne({
+        where: { replayOf: original.id, status: { [Op.in]: ['received', 'processed'] } },
+        transaction
+      });
+
+      if (activeReplay) {
+        const error = new Error(activeReplay.status === 'processed'
+          ? `Payment event was already replayed successfully (#${activeReplay.id})`
+          : `Payment event is being replayed (#${activeReplay.id})`);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      replayEvent = await PaymentWebhookEvent.create({
+        provider: original.provider,
+        eventType: original.eventType,
+        bookingId: original.bookingId,
+        transactionId: original.transactionId,
+        providerTransactionId: original.providerTransactionId,
+        headers: original.headers,
+        body: original.body,
+        signatureValid: original.signatureValid,
+        status: 'received',
+        replayOf: original.id,
+        replayedBy: userData.id
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    try {
+      await this._process(provider, { body: original.body, headers: original.headers }, replayEvent);
+    } catch (error) {
+      // Stored on the replay event as failed; the agent sees it in the timeline
+      console.error(`Replay of payment webhook event ${original.id} failed:`, error);
+    }
+    return replayEvent.reload({ include: [{ model: User, as: 'replayer', attributes: ['id', 'name'] }] });
+  }
+
+  // Private helper methods
+  static _checkAgent(userData) {
+    if (userData.userType !== 'agent') {
+      const error = new Error("Only agents can view payment events");
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  static async _process(provider, req, event) {
+    let result;
+    try {
+      result = await provider.handleWebhook(req);
+    } catch (error) {
+      await this._recordOutcome(provider, event, { statusCode: 500, error });
+      throw error;
+    }
+
+    await this._recordOutcome(provider, event, result);
+    return { statusCode: result.statusCode, body: result.body };
+  }
+
+  static async _recordOutcome(provider, event, { statusCode, body, error }) {
+    if (!event) return;
+
+    try {
+      const references = await this._resolveReferences(provider, event);
+      await event.update({
+        ...references,
+        status: error ? 'failed' : 'processed',
+        responseStatus: statusCode,
+        responseBody: body === undefined ? null : body,
+        error: error ? (error.stack || error.message || String(error)) : null,
+        processedAt: new Date()
+      });
+    } catch (storeError) {
+      console.error(`Error storing outcome of payment webhook event ${event.id}:`, storeError);
+    }
+  }
+
+  // The transaction may only exist once the callback was processed (Payme CreateTransaction)
+  static async _resolveReferences(provider, event) {
+    const references = {};
+
+    if (event.providerTransactionId && !event.transactionId) {
+      const transaction = await Transaction.findOne({
+        where: { provider: provider.name, providerTransactionId: event.providerTransactionId },
+        attributes: ['id', 'bookingId']
+      });
+      if (transaction) {
+        references.transactionId = transaction.id;
+        references.bookingId = event.bookingId || transaction.bookingId;
+      }
+    }
+
+    return references;
+  }
+
+  static _getEventAttributes(provider, req) {
+    const { eventType, providerTransactionId, bookingId } = provider.describeWebhook(req.body) || {};
+
+    return {
+      provider: provider.name,
+      eventType: eventType ? String(eventType).slice(0, 100) : null,
+      providerTransactionId: providerTransactionId || null,
+      bookingId: bookingId || null,
+      headers: this._sanitizeHeaders(req.headers),
+      body: req.body || null
+    };
+  }
+
+  static async _storeEvent(attributes) {
+    try {
+      // A callback naming a booking that does not exist is stored without it
+      if (attributes.bookingId && !(await Booking.findByPk(attributes.bookingId, { attributes: ['id'] }))) {
+        attributes = { ...attributes, bookingId: null };
+      }
+      return await PaymentWebhookEvent.create(attributes);
+    } catch (error) {
+      console.error(`Error storing ${attributes.provider} webhook event:`, error);
+      return null;
+    }
+  }
+
+  static _sanitizeHeaders(headers = {}) {
+    return Object.fromEntries(
+      Object.entries(headers || {}).filter(([name]) => !SECRET_HEADERS.includes(name.toLowerCase()))
+    );
+  }
+
+  static _canReplay(event, events) {
+    return event.status === 'failed'
+      && !event.replayOf
+      && !events.some(other => other.replayOf === event.id && ['received', 'processed'].includes(other.status));
+  }
+}
+
+module.exports = PaymentWebhookService;
@@ -0,0 +1,512 @@
+const { PayoutBatch, PayoutItem, Booking, Place, User, Currency } = require("../models");
+const { Op } = require("sequelize");
+const moment = require("moment-timezone");
+const sequelize = require("../config/database");
+const BookingNotificationService = require("./bookingNotificationService");
+const CommissionService = require("./commissionService");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const PLACE_INCLUDE = {
+  model: Place,
+  as: 'place',
+  attributes: ['id', 'title', 'ownerId', 'currencyId'],
+  include: [
+    {
+      model: User,
+      as: 'owner',
+      attributes: ['id', 'name', 'email', 'phoneNumber']
+    },
+    {
+      model: Currency,
+      as: 'currency',
+      attributes: ['id', 'name', 'charCode']
+    }
+  ]
+};
+
+/**
+ * Payout Service - Host payout ledger and settlement batches
+ *
+ * Every approved booking not yet paid to its host is owed to the host minus the
+ * platform commission recorded when it was paid (see CommissionService). Agents settle those bookings in batches per period
+ * (by the booking's check-out date); settling a batch marks all of its bookings
+ * paid to host and sends the usual booking_paid_to_host notifications.
+ * Amounts are kept per currency because places are priced in different ones.
+ */
+class PayoutService {
+  /**
+   * Outstanding balance per host and currency (agents see all hosts, hosts their own)
+   * @param {Object} userData - Authenticated agent or host
+   * @returns {Promise<Array>} [{ host, currency, bookingCount, grossAmount, commissionAmount, netAmount, pendingBatchAmount }]
+   */
+  static async getHostBalances(userData) {
+    this._checkLedgerAccess(userData);
+
+    const bookings = await Booking.findAll({
+      where: { status: 'approved', paidToHost: false },
+      include: [
+        userData.userType === 'host'
+          ? { ...PLACE_INCLUDE, where: { ownerId: userData.id } }
+          : PLACE_INCLUDE
+      ]
+    });
+
+    const batchedBookingIds = await this._getPendingBatchBookingIds(bookings.map(booking => booking.id));
+    const rules = await CommissionService.loadRules();
+    const balances = new Map();
+
+    for (const booking of bookings) {
+      if (!booking.place) continue;
+
+      const key = `${booking.place.ownerId}:${booking.place.currencyId || ''}`;
+      if (!balances.has(key)) {
+        balances.set(key, {
+          host: booking.place.owner,
+          currency: booking.place.currency,
+          bookingCount: 0,
+          grossAmount: 0,
+          commissionAmount: 0,
+          netAmount: 0,
+          pendingBatchAmount: 0
+        });
+      }
+
+      const balance = balances.get(key);
+      const amounts = this.calculateBookingPayout(booking, rules);
+      balance.bookingCount += 1;
+      balance.grossAmount += amounts.grossAmount;
+      balance.commissionAmount += amounts.commissionAmount;
+      balance.netAmount += amounts.netAmount;
+      if (batchedBookingIds.has(booking.id)) {
+        balance.pendingBatchAmount += amounts.netAmount;
+      }
+    }
+
+    return [...balances.values()].sort((a, b) => b.netAmount - a.netAmount);
+  }
+
+  /**
+   * Gross, commission and net payout of one booking
+   * Uses the commission recorded at payment; bookings approved without an online
+   * payment (or paid before commissions were recorded) get the current rule.
+   * @param {Object} booking - Approved booking with its place
+   * @param {Object} rules - Commission rules from CommissionService.loadRules()
+   * @returns {Object} { grossAmount, commissionAmount, netAmount }
+   */
+  static calculateBookingPayout(booking, rules) {
+    const grossAmount = CommissionService.getBookingAmount(booking);
+    const commissionAmount = booking.commissionAmount !== null && booking.commissionAmount !== undefined
+      ? booking.commissionAmount
+      : CommissionService.calculateCommission(grossAmount, CommissionService.resolveRule(rules, {
+        placeId: booking.placeId,
+        hostId: booking.place?.ownerId
+      }));
+
+    return {
+      grossAmount,
+      commissionAmount,
+      netAmount: this._roundAmount(grossAmount - commissionAmount)
+    };
+  }
+
+  /**
+   * Earnings of a host per currency from approved bookings, split into what has
+   * been paid out and what is still outstanding
+   * @param {number} hostId - Host user ID
+   * @returns {Promise<Array>} [{ currency, bookingCount, grossAmount, commissionAmount, netAmount, paidOutAmount, outstandingAmount }]
+   */
+  static async getHostEarnings(hostId) {
+    const bookings = await Booking.findAll({
+      where: { status: 'approved' },
+      include: [{ ...PLACE_INCLUDE, where: { ownerId: hostId } }]
+    });
+    const rules = await CommissionService.loadRules();
+    const earnings = new Map();
+
+    for (const booking of bookings) {
+      const key = booking.place.currencyId || '';
+      if (!earnings.has(key)) {
+        earnings.set(key, {
+          currency: booking.place.currency,
+          bookingCount: 0,
+          grossAmount: 0,
+          commissionAmount: 0,
+          netAmount: 0,
+          paidOutAmount: 0,
+          outstandingAmount: 0
+        });
+      }
+
+      const total = earnings.get(key);
+      const amounts = this.calculateBookingPayout(booking, rules);
+      total.bookingCount += 1;
+      total.grossAmount = this._roundAmount(total.grossAmount + amounts.grossAmount);
+      total.commissionAmount = this._roundAmount(total.commissionAmount + amounts.commissionAmount);
+      total.netAmount = this._roundAmount(total.netAmount + amounts.netAmount);
+      if (booking.paidToHost) {
+        total.paidOutAmount = this._roundAmount(total.paidOutAmount + amounts.netAmount);
+      } else {
+        total.outstandingAmount = this._roundAmount(total.outstandingAmount + amounts.netAmount);
+      }
+    }
+
+    return [...earnings.values()];
+  }
+
+  /**
+   * List payout batches with their totals (hosts only see batches that pay them)
+   * @param {Object} userData - Authenticated agent or host
+   * @returns {Promise<Array>} Batches with per-currency totals
+   */
+  static async listBatches(userData) {
+    this._checkLedgerAccess(userData);
+
+    const batches = await PayoutBatch.findAll({
+      include: [
+        {
+          model: PayoutItem,
+          as: 'items',
+          include: [{ model: Currency, as: 'currency', attributes: ['id', 'name', 'charCode'] }],
+          ...(userData.userType === 'host' && { where: { hostId: userData.id } })
+        }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    return batches.map(batch => this._serializeBatch(batch));
+  }
+
+  /**
+   * Get one payout batch with its items
+   * @param {number} batchId - Batch ID
+   * @param {Object} userData - Authenticated agent or host
+   * @returns {Promise<Object>} Batch with items and totals
+   */
+  static async getBatch(batchId, userData) {
+    this._checkLedgerAccess(userData);
+
+    const batch = await this._getBatchWithItems(batchId, userData.userType === 'host' ? userData.id : null);
+    return this._serializeBatch(batch, true);
+  }
+
+  /**
+   * Create a settlement batch for a period (agent only)
+   * Collects approved bookings with a check-out date in the period that are not
+   * paid to host yet and not part of another pending batch.
+   * @param {Object} userData - Authenticated agent
+   * @param {Object} data - { periodStart, periodEnd, hostId, note }
+   * @returns {Promise<Object>} Created batch with items
+   */
+  static async createBatch(userData, { periodStart, periodEnd, hostId, note } = {}) {
+    this._checkAgent(userData);
+
+    if (!DATE_PATTERN.test(periodStart || '') || !DATE_PATTERN.test(periodEnd || '') || periodStart > periodEnd) {
+      const error = new Error("A valid period start and end date are required");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const bookings = await Booking.findAll({
+      where: {
+        status: 'approved',
+        paidToHost: false,
+        checkOutDate: {
+          [Op.between]: [
+            moment.tz(periodStart, 'Asia/Tashkent').startOf('day').toDate(),
+            moment.tz(periodEnd, 'Asia/Tashkent').endOf('day').toDate()
+          ]
+        }
+      },
+      include: [
+        hostId ? { ...PLACE_INCLUDE, where: { ownerId: hostId } } : PLACE_INCLUDE
+      ]
+    });
+
+    const batchedBookingIds = await this._getPendingBatchBookingIds(bookings.map(booking => booking.id));
+    const payableBookings = bookings.filter(booking => booking.place && !batchedBookingIds.has(booking.id));
+
+    if (payableBookings.length === 0) {
+      const error = new Error("No unpaid approved bookings found for this period");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const rules = await CommissionService.loadRules();
+    const transaction = await sequelize.transaction();
+    let batch;
+
+    try {
+      batch = await PayoutBatch.create({
+        periodStart,
+        periodEnd,
+        note: note || null,
+        status: 'pending',
+        createdBy: userData.id
+      }, { transaction });
+
+      await PayoutItem.bulkCreate(payableBookings.map(booking => ({
+        batchId: batch.id,
+        bookingId: booking.id,
+        hostId: booking.place.ownerId,
+        placeId: booking.placeId,
+        currencyId: booking.place.currencyId,
+        ...this.calculateBookingPayout(booking, rules)
+      })), { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getBatch(batch.id, userData);
+  }
+
+  /**
+   * Settle a pending batch: mark its bookings paid to host (agent only)
+   * The batch row is locked so concurrent settles cannot both succeed. Bookings
+   * paid out separately, or cancelled since the batch was created, are skipped,
+   * and hosts are notified only for the bookings this settlement paid.
+   * @param {number} batchId - Batch ID
+   * @param {Object} userData - Authenticated agent
+   * @returns {Promise<Object>} Settled batch
+   */
+  static async settleBatch(batchId, userData) {
+    this._checkAgent(userData);
+
+    const now = new Date();
+    const transaction = await sequelize.transaction();
+    let batch;
+    let paidBookings;
+
+    try {
+      batch = await this._getPendingBatch(batchId, { transaction, lock: transaction.LOCK.UPDATE });
+      const items = await PayoutItem.findAll({ where: { batchId: batch.id }, transaction });
+
+      [, paidBookings] = await Booking.update(
+        { paidToHost: true, paidToHostAt: now },
+        {
+          where: {
+            id: { [Op.in]: items.map(item => item.bookingId) },
+            status: 'approved',
+            paidToHost: false
+          },
+          returning: true,
+          transaction
+        }
+      );
+      await batch.update({ status: 'settled', settledBy: userData.id, settledAt: now }, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    // Same per-booking notification hosts get when a single booking is paid out
+    for (const booking of paidBookings) {
+      try {
+        await BookingNotificationService.createBookingPaidToHostNotification(booking);
+      } catch (error) {
+        console.error("Error creating paid to host notification:", error);
+      }
+    }
+
+    return this.getBatch(batch.id, userData);
+  }
+
+  /**
+   * Cancel a pending batch so its bookings can be batched again (agent only)
+   * @param {number} batchId - Batch ID
+   * @param {Object} userData - Authenticated agent
+   * @returns {Promise<Object>} Cancelled batch
+   */
+  static async cancelBatch(batchId, userData) {
+    this._checkAgent(userData);
+
+    const batch = await this._getPendingBatch(batchId);
+    await batch.update({ status: 'cancelled' });
+
+    return this.getBatch(batch.id, userData);
+  }
+
+  /**
+   * Whether a booking is part of a pending payout batch
+   * @param {number} bookingId - Booking ID
+   * @returns {Promise<boolean>}
+   */
+  static async isBookingInPendingBatch(bookingId) {
+    const batchedBookingIds = await this._getPendingBatchBookingIds([bookingId]);
+    return batchedBookingIds.has(bookingId);
+  }
+
+  /**
+   * Payout statement of one host in a batch as CSV
+   * @param {number} batchId - Batch ID
+   * @param {number} hostId - Host user ID
+   * @param {Object} userData - Authenticated agent or the host
+   * @returns {Promise<Object>} { filename, content }
+   */
+  static async getHostStatement(batchId, hostId, userData) {
+    this._checkLedgerAccess(userData);
+
+    if (userData.userType === 'host' && Number(hostId) !== userData.id) {
+      const error = new Error("Access denied. You can only download your own payout statements");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const batch = await this._getBatchWithItems(batchId, Number(hostId));
+    const host = await User.findByPk(hostId, { attributes: ['id', 'name', 'email', 'phoneNumber'] });
+
+    const rows = [
+      ['Payout statement', `#${batch.id}`],
+      ['Host', host ? host.name : hostId],
+      ['Period', `${batch.periodStart} - ${batch.periodEnd}`],
+      ['Status', batch.status],
+      ['Settled at', batch.settledAt ? moment(batch.settledAt).tz('Asia/Tashkent').format('YYYY-MM-DD HH:mm') : ''],
+      [],
+      ['Booking', 'Place', 'Check-out date', 'Currency', 'Gross', 'Commission', 'Net']
+    ];
+
+    for (const item of batch.items) {
+      rows.push([
+        item.booking?.uniqueRequestId || item.bookingId,
+        item.place?.title || '',
+        item.booking ? moment(item.booking.checkOutDate).tz('Asia/Tashkent').format('YYYY-MM-DD') : '',
+        item.currency?.charCode || '',
+        item.grossAmount,
+        item.commissionAmount,
+        item.netAmount
+      ]);
+    }
+
+    rows.push([]);
+    for (const total of this._getTotalsByCurrency(batch.items)) {
+      rows.push(['Total', '', '', total.currency?.charCode || '', total.grossAmount, total.commissionAmount, total.netAmount]);
+    }
+
+    return {
+      filename: `payout-statement-${batch.id}-host-${hostId}.csv`,
+      content: rows.map(row => row.map(value => this._toCsvValue(value)).join(',')).join('\n')
+    };
+  }
+
+  // Private helper methods
+  static _checkLedgerAccess(userData) {
+    if (!['agent', 'host'].includes(userData.userType)) {
+      const error = new Error("Only agents and hosts can view payouts");
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  static _checkAgent(userData) {
+    if (userData.userType !== 'agent') {
+      const error = new Error("Only agents can manage payout batches");
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  static async _getPendingBatch(batchId, options = {}) {
+    const batch = await PayoutBatch.findByPk(batchId, options);
+    if (!batch) {
+      const error = new Error("Payout batch not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (batch.status !== 'pending') {
+      const error = new Error(`Payout batch is already ${batch.status}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return batch;
+  }
+
+  static async _getBatchWithItems(batchId, hostId = null) {
+    const batch = await PayoutBatch.findByPk(batchId, {
+      include: [
+        {
+          model: PayoutItem,
+          as: 'items',
+          required: false,
+          ...(hostId && { where: { hostId } }),
+          include: [
+            { model: Booking, as: 'booking', attributes: ['id', 'uniqueRequestId', 'checkInDate', 'checkOutDate', 'timeSlots'] },
+            { model: Place, as: 'place', attributes: ['id', 'title'] },
+            { model: User, as: 'host', attributes: ['id', 'name', 'email', 'phoneNumber'] },
+            { model: Currency, as: 'currency', attributes: ['id', 'name', 'charCode'] }
+          ]
+        },
+        { model: User, as: 'creator', attributes: ['id', 'name'] },
+        { model: User, as: 'settler', attributes: ['id', 'name'] }
+      ],
+      order: [[{ model: PayoutItem, as: 'items' }, 'hostId', 'ASC'], [{ model: PayoutItem, as: 'items' }, 'id', 'ASC']]
+    });
+
+    if (!batch || (hostId && batch.items.length === 0)) {
+      const error = new Error("Payout batch not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return batch;
+  }
+
+  static async _getPendingBatchBookingIds(bookingIds) {
+    if (bookingIds.length === 0) {
+      return new Set();
+    }
+
+    const items = await PayoutItem.findAll({
+      where: { bookingId: { [Op.in]: bookingIds } },
+      attributes: ['bookingId'],
+      include: [{ model: PayoutBatch, as: 'batch', attributes: [], where: { status: 'pending' } }]
+    });
+
+    return new Set(items.map(item => item.bookingId));
+  }
+
+  static _serializeBatch(batch, withItems = false) {
+    const { items = [], ...attributes } = batch.toJSON();
+
+    return {
+      ...attributes,
+      bookingCount: items.length,
+      hostCount: new Set(items.map(item => item.hostId)).size,
+      totals: this._getTotalsByCurrency(items),
+      ...(withItems && { items })
+    };
+  }
+
+  static _getTotalsByCurrency(items) {
+    const totals = new Map();
+
+    for (const item of items) {
+      const key = item.currencyId || '';
+      if (!totals.has(key)) {
+        totals.set(key, { currency: item.currency || null, grossAmount: 0, commissionAmount: 0, netAmount: 0 });
+      }
+      const total = totals.get(key);
+      total.grossAmount = this._roundAmount(total.grossAmount + item.grossAmount);
+      total.commissionAmount = this._roundAmount(total.commissionAmount + item.commissionAmount);
+      total.netAmount = this._roundAmount(total.netAmount + item.netAmount);
+    }
+
+    return [...totals.values()];
+  }
+
+  static _roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  static _toCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = PayoutService;
@@ -104,55 +104,16 @@ class PlaceAvailabilityService {
     try {
       // Check each selected date
       for (const dateString of selectedDates) {
-        const dateObj = new Date(dateString + 'T00:00:00.000Z');
+        const conflictReason = await this.getDateConflictReason(
+          place,
+          dateString,
+          hasTimeFilter ? startTime : null,
+          hasTimeFilter ? endTime : null
+        );
         
-        // 1. Check if date is within place's overall availability range
-        if (place.startDate && new Date(dateString) < new Date(place.startDate)) {
+        if (conflictReason) {
           return false;
         }
-        
-        if (place.endDate && new Date(dateString) > new Date(place.endDate)) {
-          return false;
-        }
-        
-        // 2. Check if date is in blocked dates
-        if (place.blockedDates && Array.isArray(place.blockedDates) && place.blockedDates.includes(dateString)) {
-          return false;
-        }
-        
-        // 3. Check if weekday is blocked
-        const dayOfWeek = dateObj.getDay(); // 0 = Sunday, 1 = Monday, etc.
-        if (place.blockedWeekdays && Array.isArray(place.blockedWeekdays) && place.blockedWeekdays.includes(dayOfWeek)) {
-          return false;
-        }
-        
-        // 4. Check if place has operating hours for this day of week
-        if (place.weekdayTimeSlots && hasTimeFilter && startTime && endTime) {
-          const daySlot = place.weekdayTimeSlots[dayOfWeek];
-          if (daySlot && daySlot.start && daySlot.end) {
-            // Place has specific hours for this day - check if requested time fits
-            const placeStart = daySlot.start;
-            const placeEnd = daySlot.end;
-            
-            // Check if requested time range overlaps with place operating hours
-            if (startTime < placeStart || endTime > placeEnd) {
-              return false;
-            }
-          } else if (place.checkIn && place.checkOut) {
-            // Use default check-in/check-out times if no specific day slot
-            if (startTime < place.checkIn || endTime > place.checkOut) {
-              return false;
-            }
-          }
-        }
-        
-        // 5. Check for booking conflicts (existing logic)
-        if (hasTimeFilter && startTime && endTime) {
-          const hasConflict = await this._hasBookingConflict(place.id, dateString, startTime, endTime);
-          if (hasConflict) {
-            return false;
-          }
-        }
       }
       
       return true; // Available if all checks pass
@@ -161,6 +122,68 @@ class PlaceAvailabilityService {
     }
   }
   
+  /**
+   * Explains why a place cannot be booked on a date (and optional time range)
+   * Shared by search filtering and booking series occurrence checks
+   * 
+   * @param {Object} place - Place object with availability data
+   * @param {string} dateString - Date string (YYYY-MM-DD)
+   * @param {string|null} startTime - Start time (HH:MM), skips time checks when null
+   * @param {string|null} endTime - End time (HH:MM), skips time checks when null
+   * @returns {Promise<string|null>} Conflict reason code, or null if available
+   */
+  static async getDateConflictReason(place, dateString, startTime = null, endTime = null) {
+    const dateObj = new Date(dateString + 'T00:00:00.000Z');
+    
+    // 1. Check if date is within place's overall availability range
+    if (place.startDate && new Date(dateString) < new Date(place.startDate)) {
+      return 'outside_availability_range';
+    }
+    
+    if (place.endDate && new Date(dateString) > new Date(place.endDate)) {
+      return 'outside_availability_range';
+    }
+    
+    // 2. Check if date is in blocked dates
+    if (place.blockedDates && Array.isArray(place.blockedDates) && place.blockedDates.includes(dateString)) {
+      return 'blocked_date';
+    }
+    
+    // 3. Check if weekday is blocked
+    const dayOfWeek = dateObj.getDay(); // 0 = Sunday, 1 = Monday, etc.
+    if (place.blockedWeekdays && Array.isArray(place.blockedWeekdays) && place.blockedWeekdays.includes(dayOfWeek)) {
+      return 'blocked_weekday';
+    }
+    
+    if (!startTime || !endTime) {
+      return null;
+    }
+    
+    // 4. Check if place has operating hours for this day of week
+    if (place.weekdayTimeSlots) {
+      const daySlot = place.weekdayTimeSlots[dayOfWeek];
+      if (daySlot && daySlot.start && daySlot.end) {
+        // Place has specific hours for this day - check if requested time fits
+        if (startTime < daySlot.start || endTime > daySlot.end) {
+          return 'outside_working_hours';
+        }
+      } else if (place.checkIn && place.checkOut) {
+        // Use default check-in/check-out times if no specific day slot
+        if (startTime < place.checkIn || endTime > place.checkOut) {
+          return 'outside_working_hours';
+        }
+      }
+    }
+    
+    // 5. Check for booking conflicts
+    const hasConflict = await this._hasBookingConflict(place.id, dateString, startTime, endTime);
+    if (hasConflict) {
+      return 'booking_conflict';
+    }
+    
+    return null;
+  }
+  
   /**
    * Checks for booking conflicts on a specific date and time range
    * 
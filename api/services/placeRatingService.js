@@ -12,6 +12,7 @@
  */
 
 const { Review, Place } = require("../models");
+const { VALIDATION_RULES } = require("./reviewValidationService");
 const { Op } = require("sequelize");
 const sequelize = require("../config/database");
 
@@ -36,7 +37,7 @@ class PlaceRatingService {
           status: "approved",
           isVisible: true
         },
-        attributes: ["rating"],
+        attributes: ["rating", "categoryRatings"],
         transaction
       });
 
@@ -47,6 +48,7 @@ class PlaceRatingService {
         averageRating: ratingData.averageRating,
         totalReviews: ratingData.totalReviews,
         ratingBreakdown: ratingData.ratingBreakdown,
+        categoryRatings: ratingData.categoryRatings,
         ratingUpdatedAt: new Date()
       }, {
         where: { id: placeId },
@@ -75,7 +77,8 @@ class PlaceRatingService {
       return {
         averageRating: null,
         totalReviews: 0,
-        ratingBreakdown: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+        ratingBreakdown: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+        categoryRatings: null
       };
     }
 
@@ -95,10 +98,36 @@ class PlaceRatingService {
     return {
       averageRating,
       totalReviews,
-      ratingBreakdown
+      ratingBreakdown,
+      categoryRatings: this.calculateCategoryRatings(reviews)
     };
   }
 
+  /**
+   * Average each rating category over the reviews that rated it
+   * @param {Array} reviews - Array of review objects with categoryRatings
+   * @returns {Object|null} { category: { average, count } } for rated categories, null when none is rated
+   */
+  static calculateCategoryRatings(reviews) {
+    const categoryRatings = {};
+
+    VALIDATION_RULES.RATING_CATEGORIES.forEach(category => {
+      const scores = reviews
+        .map(review => Number(review.categoryRatings?.[category]))
+        .filter(score => score >= VALIDATION_RULES.RATING.MIN && score <= VALIDATION_RULES.RATING.MAX);
+
+      if (scores.length > 0) {
+        const sum = scores.reduce((total, score) => total + score, 0);
+        categoryRatings[category] = {
+          average: parseFloat((sum / scores.length).toFixed(1)),
+          count: scores.length
+        };
+      }
+    });
+
+    return Object.keys(categoryRatings).length > 0 ? categoryRatings : null;
+  }
+
   /**
    * Update ratings for multiple places (batch operation)
    * @param {Array<number>} placeIds - Array of place IDs
@@ -154,6 +183,7 @@ class PlaceRatingService {
         "averageRating",
         "totalReviews", 
         "ratingBreakdown",
+        "categoryRatings",
         "ratingUpdatedAt"
       ]
     });
@@ -166,6 +196,7 @@ class PlaceRatingService {
       averageRating: place.averageRating ? parseFloat(place.averageRating) : null,
       totalReviews: place.totalReviews || 0,
       ratingBreakdown: place.ratingBreakdown || { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      categoryRatings: place.categoryRatings || null,
       ratingUpdatedAt: place.ratingUpdatedAt
     };
   }
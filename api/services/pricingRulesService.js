@@ -0,0 +1,242 @@
+/**
+ * Pricing Rules Service
+ * Handles validation, normalization and application of host-defined dynamic
+ * pricing rules for places (peak hours, weekday prices, seasons, last-minute discounts).
+ * Must stay in sync with client/src/utils/pricingCalculator.js (applyPricingRules).
+ *
+ * Rules shape stored in places.pricing_rules:
+ * {
+ *   timeOfDay: [{ startTime: "18:00", endTime: "22:00", multiplier: 1.5 }],
+ *   weekdays: { "6": 200000 },                       // hourly price by weekday (0 = Sunday)
+ *   seasons: [{ name, startDate, endDate, price }],  // hourly price for a date range
+ *   lastMinute: { hoursBefore: 24, discountPercent: 10 }
+ * }
+ *
+ * Precedence for the hourly rate: season > weekday > place price. Time-of-day
+ * multipliers apply on top of that rate for each hour they cover. Hours covered
+ * by the full-day price are not affected by hourly rules. The last-minute discount
+ * applies to the whole slot price.
+ */
+
+const { getHoursUntilDateTimeUzbekistan } = require('../utils/uzbekistanTimezoneUtils');
+
+const MAX_TIME_OF_DAY_RULES = 10;
+const MAX_SEASONS = 20;
+const MAX_MULTIPLIER = 5;
+const MAX_LAST_MINUTE_HOURS = 168; // 7 days
+const MAX_LAST_MINUTE_DISCOUNT = 90;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const HOUR_PATTERN = /^([01]\d|2[0-4]):00$/;
+
+const EMPTY_PRICING_RULES = {
+  timeOfDay: [],
+  weekdays: {},
+  seasons: [],
+  lastMinute: null
+};
+
+const parseHour = (time) => parseInt(time.split(':')[0], 10);
+
+// Weekday of a YYYY-MM-DD date independent of the server timezone (0 = Sunday)
+const getWeekday = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Validates pricing rules
+ * @param {Object|null} pricingRules - Pricing rules object
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validatePricingRules = (pricingRules) => {
+  if (pricingRules === null || pricingRules === undefined) {
+    return { isValid: true };
+  }
+
+  if (typeof pricingRules !== 'object' || Array.isArray(pricingRules)) {
+    return { isValid: false, error: "Pricing rules must be an object" };
+  }
+
+  const { timeOfDay = [], weekdays = {}, seasons = [], lastMinute = null } = pricingRules;
+
+  // Time-of-day multipliers
+  if (!Array.isArray(timeOfDay) || timeOfDay.length > MAX_TIME_OF_DAY_RULES) {
+    return { isValid: false, error: `Time-of-day rules must be an array of at most ${MAX_TIME_OF_DAY_RULES} items` };
+  }
+  for (const rule of timeOfDay) {
+    if (!rule || !HOUR_PATTERN.test(rule.startTime) || !HOUR_PATTERN.test(rule.endTime)) {
+      return { isValid: false, error: "Time-of-day rules need startTime and endTime on the hour (HH:00)" };
+    }
+    if (parseHour(rule.startTime) >= parseHour(rule.endTime)) {
+      return { isValid: false, error: `Time-of-day rule ${rule.startTime}-${rule.endTime} must end after it starts` };
+    }
+    const multiplier = Number(rule.multiplier);
+    if (!(multiplier > 0) || multiplier > MAX_MULTIPLIER) {
+      return { isValid: false, error: `Time-of-day multiplier must be greater than 0 and at most ${MAX_MULTIPLIER}` };
+    }
+  }
+  const sortedTimeRules = [...timeOfDay].sort((a, b) => parseHour(a.startTime) - parseHour(b.startTime));
+  for (let i = 1; i < sortedTimeRules.length; i++) {
+    if (parseHour(sortedTimeRules[i].startTime) < parseHour(sortedTimeRules[i - 1].endTime)) {
+      return { isValid: false, error: "Time-of-day rules cannot overlap" };
+    }
+  }
+
+  // Weekday prices
+  if (typeof weekdays !== 'object' || Array.isArray(weekdays) || weekdays === null) {
+    return { isValid: false, error: "Weekday prices must be an object keyed by weekday (0-6)" };
+  }
+  for (const [weekday, price] of Object.entries(weekdays)) {
+    if (!/^[0-6]$/.test(weekday)) {
+      return { isValid: false, error: `Invalid weekday: ${weekday}` };
+    }
+    if (!(Number(price) > 0)) {
+      return { isValid: false, error: "Weekday prices must be greater than 0" };
+    }
+  }
+
+  // Seasonal prices
+  if (!Array.isArray(seasons) || seasons.length > MAX_SEASONS) {
+    return { isValid: false, error: `Seasons must be an array of at most ${MAX_SEASONS} items` };
+  }
+  for (const season of seasons) {
+    if (!season || !DATE_PATTERN.test(season.startDate) || !DATE_PATTERN.test(season.endDate)) {
+      return { isValid: false, error: "Seasons need startDate and endDate in YYYY-MM-DD format" };
+    }
+    if (season.startDate > season.endDate) {
+      return { isValid: false, error: `Season ${season.name || season.startDate} must end on or after its start date` };
+    }
+    if (!(Number(season.price) > 0)) {
+      return { isValid: false, error: "Season prices must be greater than 0" };
+    }
+  }
+  const sortedSeasons = [...seasons].sort((a, b) => a.startDate.localeCompare(b.startDate));
+  for (let i = 1; i < sortedSeasons.length; i++) {
+    if (sortedSeasons[i].startDate <= sortedSeasons[i - 1].endDate) {
+      return { isValid: false, error: "Seasons cannot overlap" };
+    }
+  }
+
+  // Last-minute discount
+  if (lastMinute !== null) {
+    const hoursBefore = Number(lastMinute.hoursBefore);
+    const discountPercent = Number(lastMinute.discountPercent);
+    if (!Number.isInteger(hoursBefore) || hoursBefore < 1 || hoursBefore > MAX_LAST_MINUTE_HOURS) {
+      return { isValid: false, error: `Last-minute window must be between 1 and ${MAX_LAST_MINUTE_HOURS} hours` };
+    }
+    if (!(discountPercent > 0) || discountPercent > MAX_LAST_MINUTE_DISCOUNT) {
+      return { isValid: false, error: `Last-minute discount must be between 1 and ${MAX_LAST_MINUTE_DISCOUNT} percent` };
+    }
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Normalizes pricing rules for storage (numbers parsed, empty rules dropped)
+ * @param {Object|null} pricingRules - Validated pricing rules
+ * @returns {Object|null} - Normalized rules, or null when no rule is set
+ */
+const processPricingRules = (pricingRules) => {
+  if (!pricingRules) {
+    return null;
+  }
+
+  const processed = {
+    timeOfDay: (pricingRules.timeOfDay || []).map(rule => ({
+      startTime: rule.startTime,
+      endTime: rule.endTime,
+      multiplier: Number(rule.multiplier)
+    })),
+    weekdays: Object.fromEntries(
+      Object.entries(pricingRules.weekdays || {}).map(([weekday, price]) => [weekday, Number(price)])
+    ),
+    seasons: (pricingRules.seasons || []).map(season => ({
+      name: (season.name || '').trim().slice(0, 100),
+      startDate: season.startDate,
+      endDate: season.endDate,
+      price: Number(season.price)
+    })),
+    lastMinute: pricingRules.lastMinute
+      ? {
+          hoursBefore: Number(pricingRules.lastMinute.hoursBefore),
+          discountPercent: Number(pricingRules.lastMinute.discountPercent)
+        }
+      : null
+  };
+
+  const isEmpty = processed.timeOfDay.length === 0 &&
+    Object.keys(processed.weekdays).length === 0 &&
+    processed.seasons.length === 0 &&
+    !processed.lastMinute;
+
+  return isEmpty ? null : processed;
+};
+
+/**
+ * Apply pricing rules to a single time slot
+ * @param {Object} place - Place with price and pricingRules
+ * @param {Object} slot - { date, startTime, endTime }
+ * @param {Object} slotPricing - { fullDays, fullDayHours, regularHours, basePrice }
+ * @returns {Object} - { price, adjustments: [{ type, amount, ... }] }
+ */
+const applyPricingRules = (place, slot, { fullDays, fullDayHours, regularHours, basePrice }) => {
+  const rules = place.pricingRules || EMPTY_PRICING_RULES;
+  const baseRate = Number(place.price) || 0;
+  const adjustments = [];
+
+  // Hourly rate for the date: season > weekday > place price
+  const season = (rules.seasons || []).find(item => slot.date >= item.startDate && slot.date <= item.endDate);
+  const weekdayPrice = (rules.weekdays || {})[getWeekday(slot.date)];
+  const rate = season ? season.price : (weekdayPrice || baseRate);
+
+  if (rate !== baseRate && regularHours > 0) {
+    adjustments.push(season
+      ? { type: 'season', name: season.name, hours: regularHours, amount: (rate - baseRate) * regularHours }
+      : { type: 'weekday', weekday: getWeekday(slot.date), hours: regularHours, amount: (rate - baseRate) * regularHours });
+  }
+
+  // Time-of-day multipliers for the hourly (non full-day) part of the slot
+  const firstRegularHour = parseHour(slot.startTime) + fullDays * fullDayHours;
+  const endHour = parseHour(slot.endTime);
+  for (const rule of rules.timeOfDay || []) {
+    let hours = 0;
+    for (let hour = firstRegularHour; hour < endHour; hour++) {
+      if (hour >= parseHour(rule.startTime) && hour < parseHour(rule.endTime)) {
+        hours++;
+      }
+    }
+    if (hours > 0 && rule.multiplier !== 1) {
+      adjustments.push({
+        type: 'timeOfDay',
+        startTime: rule.startTime,
+        endTime: rule.endTime,
+        multiplier: rule.multiplier,
+        hours,
+        amount: rate * (rule.multiplier - 1) * hours
+      });
+    }
+  }
+
+  let price = adjustments.reduce((sum, adjustment) => sum + adjustment.amount, basePrice);
+
+  // Last-minute discount on the whole slot
+  if (rules.lastMinute) {
+    const hoursUntilStart = getHoursUntilDateTimeUzbekistan(slot.date, slot.startTime);
+    if (hoursUntilStart >= 0 && hoursUntilStart < rules.lastMinute.hoursBefore) {
+      const amount = -(price * rules.lastMinute.discountPercent / 100);
+      adjustments.push({ type: 'lastMinute', percent: rules.lastMinute.discountPercent, amount });
+      price += amount;
+    }
+  }
+
+  return { price, adjustments };
+};
+
+module.exports = {
+  EMPTY_PRICING_RULES,
+  validatePricingRules,
+  processPricingRules,
+  applyPricingRules
+};
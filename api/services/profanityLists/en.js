@@ -0,0 +1,21 @@
+// English profanity and slurs. A trailing * matches every word starting with the stem.
+module.exports = [
+  "fuck*",
+  "motherfuck*",
+  "shit*",
+  "bullshit*",
+  "bitch*",
+  "asshole*",
+  "bastard*",
+  "cunt*",
+  "dick",
+  "dickhead*",
+  "whore*",
+  "slut*",
+  "retard*",
+  "douche*",
+  "wanker*",
+  "twat*",
+  "prick",
+  "scumbag*"
+];
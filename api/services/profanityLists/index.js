@@ -0,0 +1,34 @@
+const en = require("./en");
+const ru = require("./ru");
+const uz = require("./uz");
+
+// Word lists by language; reviews are checked against all of them since guests
+// often mix languages and scripts
+const PROFANITY_LISTS = { en, ru, uz };
+
+/**
+ * Compile the word lists into whole-word and prefix matchers
+ * @returns {Object} { words: Set, stems: Array<string> } in lower case
+ */
+function compileProfanityLists() {
+  const words = new Set();
+  const stems = [];
+
+  Object.values(PROFANITY_LISTS).forEach(list => {
+    list.forEach(entry => {
+      const term = entry.toLowerCase();
+      if (term.endsWith("*")) {
+        stems.push(term.slice(0, -1));
+      } else {
+        words.add(term);
+      }
+    });
+  });
+
+  return { words, stems };
+}
+
+module.exports = {
+  PROFANITY_LISTS,
+  compileProfanityLists
+};
@@ -0,0 +1,31 @@
+// Russian profanity and insults. A trailing * matches every word starting with the stem,
+// which covers the inflected forms.
+module.exports = [
+  "хуй*",
+  "хуе*",
+  "хуё*",
+  "хуя*",
+  "пизд*",
+  "ебан*",
+  "ебат*",
+  "ебал*",
+  "еблан*",
+  "долбоеб*",
+  "долбоёб*",
+  "бля",
+  "бляд*",
+  "блят*",
+  "сука",
+  "суки",
+  "сучк*",
+  "мудак*",
+  "мудил*",
+  "гандон*",
+  "пидор*",
+  "пидар*",
+  "залуп*",
+  "шлюх*",
+  "говн*",
+  "мраз*",
+  "ублюд*"
+];
@@ -0,0 +1,18 @@
+// Uzbek profanity and slurs in Latin and Cyrillic script. A trailing * matches every
+// word starting with the stem, which covers the suffixed forms. Ordinary negative
+// words ("iflos" dirty, "ahmoq" fool, "sharmanda" shameful) stay out: they are the
+// criticism a venue review is expected to contain.
+module.exports = [
+  "jalab*",
+  "qanjiq*",
+  "haromi*",
+  "itvachcha*",
+  "xunasa*",
+  "жалаб*",
+  "қанжиқ*",
+  "канжик*",
+  "ҳароми*",
+  "харами*",
+  "итвачча*",
+  "хунаса*"
+];
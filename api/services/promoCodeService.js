@@ -0,0 +1,308 @@
+const { PromoCode, Booking, Place } = require("../models");
+const { Op, fn, col } = require("sequelize");
+const currencyExchangeService = require("./currencyExchangeService");
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+
+// Bookings that count as a redemption (rejected requests give the code back)
+const REDEEMED_STATUS_FILTER = { [Op.ne]: 'rejected' };
+
+/**
+ * Promo Code Service - Agent-managed discount codes
+ *
+ * Codes give a percentage or fixed discount off the booking total (room price plus
+ * add-ons). A fixed discount is set in its own currency and converted to the
+ * currency the place is priced in when applied. Usage is counted from the bookings that carry the code, so a rejected
+ * or deleted booking frees its redemption without a separate counter to keep in sync.
+ */
+class PromoCodeService {
+  /**
+   * List all promo codes with their usage (agent only)
+   * @returns {Promise<Array>} Promo codes with usedCount
+   */
+  static async listPromoCodes() {
+    const promoCodes = await PromoCode.findAll({
+      include: [
+        {
+          model: Place,
+          as: 'place',
+          attributes: ['id', 'title']
+        }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    const usage = await Booking.findAll({
+      attributes: ['promoCodeId', [fn('COUNT', col('id')), 'usedCount']],
+      where: {
+        promoCodeId: { [Op.in]: promoCodes.map(promoCode => promoCode.id) },
+        status: REDEEMED_STATUS_FILTER
+      },
+      group: ['promoCodeId'],
+      raw: true
+    });
+    const usageByCode = Object.fromEntries(usage.map(row => [row.promoCodeId, parseInt(row.usedCount, 10)]));
+
+    return promoCodes.map(promoCode => ({
+      ...promoCode.toJSON(),
+      usedCount: usageByCode[promoCode.id] || 0
+    }));
+  }
+
+  /**
+   * Create a promo code (agent only)
+   * @param {Object} userData - Authenticated agent
+   * @param {Object} data - Promo code fields
+   * @returns {Promise<Object>} Created promo code
+   */
+  static async createPromoCode(userData, data) {
+    const attributes = await this._buildAttributes(data);
+
+    const existing = await PromoCode.findOne({ where: { code: attributes.code } });
+    if (existing) {
+      const error = new Error(`Promo code ${attributes.code} already exists`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return PromoCode.create({ ...attributes, createdBy: userData.id });
+  }
+
+  /**
+   * Update a promo code (agent only)
+   * @param {number} promoCodeId - Promo code ID
+   * @param {Object} data - Promo code fields
+   * @returns {Promise<Object>} Updated promo code
+   */
+  static async updatePromoCode(promoCodeId, data) {
+    const promoCode = await this._getPromoCode(promoCodeId);
+    const attributes = await this._buildAttributes({ ...promoCode.toJSON(), ...data });
+
+    if (attributes.code !== promoCode.code) {
+      const existing = await PromoCode.findOne({ where: { code: attributes.code } });
+      if (existing) {
+        const error = new Error(`Promo code ${attributes.code} already exists`);
+        error.statusCode = 409;
+        throw error;
+      }
+    }
+
+    await promoCode.update(attributes);
+    return promoCode;
+  }
+
+  /**
+   * Delete a promo code (agent only). Bookings keep the code text and discount.
+   * @param {number} promoCodeId - Promo code ID
+   * @returns {Promise<Object>} { success }
+   */
+  static async deletePromoCode(promoCodeId) {
+    const promoCode = await this._getPromoCode(promoCodeId);
+    await promoCode.destroy();
+    return { success: true };
+  }
+
+  /**
+   * Find a promo code a client can apply to a booking
+   * User-specific limits are only checked when the user is known
+   * @param {string} code - Code as entered by the client
+   * @param {Object} context - { placeId, userId }
+   * @returns {Promise<Object>} The applicable promo code
+   */
+  static async findApplicablePromoCode(code, { placeId, userId = null }) {
+    const normalizedCode = this._normalizeCode(code);
+    const promoCode = normalizedCode
+      ? await PromoCode.findOne({ where: { code: normalizedCode } })
+      : null;
+
+    if (!promoCode || !promoCode.isActive) {
+      throw this._invalidCodeError("This promo code is not valid");
+    }
+
+    const now = new Date();
+    if (promoCode.validFrom && now < new Date(promoCode.validFrom)) {
+      throw this._invalidCodeError("This promo code is not active yet");
+    }
+    if (promoCode.validUntil && now > new Date(promoCode.validUntil)) {
+      throw this._invalidCodeError("This promo code has expired");
+    }
+
+    if (promoCode.placeId && promoCode.placeId !== parseInt(placeId, 10)) {
+      throw this._invalidCodeError("This promo code cannot be used for this place");
+    }
+
+    if (promoCode.maxUses) {
+      const usedCount = await Booking.count({
+        where: { promoCodeId: promoCode.id, status: REDEEMED_STATUS_FILTER }
+      });
+      if (usedCount >= promoCode.maxUses) {
+        throw this._invalidCodeError("This promo code has reached its usage limit");
+      }
+    }
+
+    if (userId) {
+      if (promoCode.maxUsesPerUser) {
+        const userUsedCount = await Booking.count({
+          where: { promoCodeId: promoCode.id, userId, status: REDEEMED_STATUS_FILTER }
+        });
+        if (userUsedCount >= promoCode.maxUsesPerUser) {
+          throw this._invalidCodeError("You have already used this promo code");
+        }
+      }
+
+      if (promoCode.firstBookingOnly) {
+        const previousBookings = await Booking.count({
+          where: { userId, status: REDEEMED_STATUS_FILTER }
+        });
+        if (previousBookings > 0) {
+          throw this._invalidCodeError("This promo code is only valid for your first booking");
+        }
+      }
+    }
+
+    return promoCode;
+  }
+
+  /**
+   * Discount a promo code gives on an amount (never more than the amount)
+   * @param {Object} promoCode - Promo code
+   * @param {number} amount - Amount before discount
+   * @param {string} currency - Currency code of the amount (required for fixed discounts, which are converted to it)
+   * @returns {Promise<number>} Discount amount
+   */
+  static async calculateDiscount(promoCode, amount, currency) {
+    let discount;
+    if (promoCode.discountType === 'percentage') {
+      discount = amount * promoCode.discountValue / 100;
+    } else {
+      // A fixed amount means nothing without the currency of the total it comes off
+      if (!currency) {
+        throw this._invalidCodeError("This promo code cannot be used for this place: the place has no currency");
+      }
+      try {
+        discount = await currencyExchangeService.convertCurrency(
+          promoCode.discountValue,
+          promoCode.currency,
+          currency
+        );
+      } catch (error) {
+        console.error(`Error converting promo code ${promoCode.code} discount:`, error.message);
+        throw this._invalidCodeError("This promo code cannot be used right now: exchange rate unavailable");
+      }
+    }
+
+    return Math.min(Math.max(discount, 0), amount);
+  }
+
+  // Private helper methods
+  static async _getPromoCode(promoCodeId) {
+    const promoCode = await PromoCode.findByPk(promoCodeId);
+    if (!promoCode) {
+      const error = new Error("Promo code not found");
+      error.statusCode = 404;
+      throw error;
+    }
+    return promoCode;
+  }
+
+  static async _buildAttributes(data) {
+    const code = this._normalizeCode(data.code);
+    if (!CODE_PATTERN.test(code)) {
+      const error = new Error("Code must be 3-50 characters: letters, numbers, dashes or underscores");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!DISCOUNT_TYPES.includes(data.discountType)) {
+      const error = new Error(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const discountValue = Number(data.discountValue);
+    if (!(discountValue > 0) || (data.discountType === 'percentage' && discountValue > 100)) {
+      const error = new Error(data.discountType === 'percentage'
+        ? "Percentage discount must be between 1 and 100"
+        : "Fixed discount must be greater than 0");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const currency = data.discountType === 'fixed'
+      ? String(data.currency || '').toUpperCase()
+      : null;
+    if (data.discountType === 'fixed' && !currencyExchangeService.supportedCurrencies.includes(currency)) {
+      const error = new Error(`Fixed discount currency must be one of: ${currencyExchangeService.supportedCurrencies.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const placeId = data.placeId ? parseInt(data.placeId, 10) : null;
+    if (placeId) {
+      const place = await Place.findByPk(placeId, { attributes: ['id'] });
+      if (!place) {
+        const error = new Error("Place not found");
+        error.statusCode = 404;
+        throw error;
+      }
+    }
+
+    const maxUses = this._parseOptionalLimit(data.maxUses, "Usage limit");
+    const maxUsesPerUser = this._parseOptionalLimit(data.maxUsesPerUser, "Per-client usage limit");
+
+    const validFrom = data.validFrom ? new Date(data.validFrom) : null;
+    const validUntil = data.validUntil ? new Date(data.validUntil) : null;
+    if ((validFrom && isNaN(validFrom)) || (validUntil && isNaN(validUntil))) {
+      const error = new Error("Invalid validity dates");
+      error.statusCode = 400;
+      throw error;
+    }
+    if (validFrom && validUntil && validFrom >= validUntil) {
+      const error = new Error("Promo code must end after it starts");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return {
+      code,
+      description: data.description ? String(data.description).trim().slice(0, 255) : null,
+      discountType: data.discountType,
+      discountValue,
+      currency,
+      placeId,
+      maxUses,
+      maxUsesPerUser,
+      validFrom,
+      validUntil,
+      firstBookingOnly: Boolean(data.firstBookingOnly),
+      isActive: data.isActive === undefined ? true : Boolean(data.isActive)
+    };
+  }
+
+  static _parseOptionalLimit(value, label) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+      const error = new Error(`${label} must be a whole number of at least 1`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return limit;
+  }
+
+  static _normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  static _invalidCodeError(message) {
+    const error = new Error(message);
+    error.statusCode = 422;
+    error.promoCodeInvalid = true;
+    return error;
+  }
+}
+
+module.exports = PromoCodeService;
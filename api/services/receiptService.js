@@ -0,0 +1,395 @@
+const { FiscalReceipt, Booking, BookingGroup, Place, Transaction } = require("../models");
+const BookingPricingService = require("./bookingPricingService");
+const ExchangeRateLockService = require("./exchangeRateLockService");
+const { translate } = require("../i18n/config");
+
+// Classifier codes from the tax authority catalogue (IKPU/MXIK) and the unit package code
+const IKPU_CODE = process.env.FISCAL_IKPU_CODE || '';
+const PACKAGE_CODE = process.env.FISCAL_PACKAGE_CODE || '';
+const ADD_ON_IKPU_CODE = process.env.FISCAL_ADD_ON_IKPU_CODE || IKPU_CODE;
+const ADD_ON_PACKAGE_CODE = process.env.FISCAL_ADD_ON_PACKAGE_CODE || PACKAGE_CODE;
+// VAT is included in the prices; 0 for merchants that are not VAT payers
+const VAT_PERCENT = parseFloat(process.env.FISCAL_VAT_PERCENT) || 0;
+// Item titles are registered with the tax authority in this language
+const RECEIPT_LANGUAGE = process.env.FISCAL_RECEIPT_LANGUAGE || 'uz';
+
+/**
+ * Receipt Service - Fiscal receipt (OFD) data for paid bookings
+ *
+ * A receipt itemizes what the client pays for: venue hours of every booked room,
+ * add-ons and the discount spread over those lines. The same items are sent to
+ * Payme (CheckPerformTransaction `detail`) and Octo (`basket`), and the fiscal
+ * sign the provider returns after registering the receipt is stored on it.
+ */
+class ReceiptService {
+  /**
+   * Itemized receipt for the amount payable for a booking
+   * For a booking group the primary booking carries the invoice, so every room of
+   * the group is listed. A deposit or balance payment (options.amount) covers the
+   * same share of every line. Amounts are in UZS: a booking priced in another
+   * currency is converted at its locked exchange rate.
+   * @param {Object} booking - Booking the client pays for
+   * @param {Object} options - { transaction, amount }
+   * @returns {Promise<Object>} { items, totalAmount, vatAmount }
+   */
+  static async buildReceipt(booking, options = {}) {
+    const { transaction, amount } = options;
+    const rooms = booking.groupId
+      ? await Booking.findAll({ where: { groupId: booking.groupId }, order: [['id', 'ASC']], transaction })
+      : [booking];
+    const places = await Place.findAll({
+      where: { id: rooms.map(room => room.placeId) },
+      attributes: ['id', 'title'],
+      transaction
+    });
+    const placeTitles = new Map(places.map(place => [place.id, place.title]));
+
+    const totalAmount = this._roundAmount(booking.finalTotal || booking.totalPrice);
+    const lines = [];
+
+    for (const room of rooms) {
+      const hours = this._getBookedHours(room);
+      lines.push({
+        title: translate(hours ? 'receipt.venueRentalHours' : 'receipt.venueRental', {
+          lng: RECEIPT_LANGUAGE,
+          ns: 'payment',
+          place: placeTitles.get(room.placeId) || `#${room.placeId}`,
+          hours
+        }),
+        unitPrice: this._roundAmount(room.totalPrice),
+        ikpuCode: IKPU_CODE,
+        packageCode: PACKAGE_CODE
+      });
+
+      for (const addOn of Array.isArray(room.selectedAddOns) ? room.selectedAddOns : []) {
+        lines.push({
+          title: translate('receipt.addOn', { lng: RECEIPT_LANGUAGE, ns: 'payment', name: addOn.name }),
+          unitPrice: this._roundAmount(addOn.price),
+          ikpuCode: ADD_ON_IKPU_CODE,
+          packageCode: ADD_ON_PACKAGE_CODE
+        });
+      }
+    }
+
+    const grossAmount = lines.reduce((sum, line) => sum + line.unitPrice, 0);
+    let discountLeft = this._roundAmount(grossAmount - totalAmount);
+
+    // Amount was set outside of the pricing rules; fiscalize it as one line
+    if (discountLeft < 0 || lines.length === 0) {
+      lines.splice(0, lines.length, {
+        title: translate('receipt.booking', { lng: RECEIPT_LANGUAGE, ns: 'payment', id: booking.uniqueRequestId || booking.id }),
+        unitPrice: totalAmount,
+        ikpuCode: IKPU_CODE,
+        packageCode: PACKAGE_CODE
+      });
+      discountLeft = 0;
+    }
+
+    let items = lines.map(line => {
+      const discount = Math.min(discountLeft, line.unitPrice);
+      discountLeft = this._roundAmount(discountLeft - discount);
+      const total = this._roundAmount(line.unitPrice - discount);
+
+      return {
+        ...line,
+        quantity: 1,
+        discount,
+        total,
+        vatPercent: VAT_PERCENT,
+        vatAmount: this._calculateVat(total)
+      };
+    });
+
+    const payableAmount = this._roundAmount(amount != null
+      ? amount
+      : ExchangeRateLockService.toChargeAmount(booking, totalAmount));
+    if (payableAmount !== totalAmount && totalAmount > 0) {
+      items = this._scaleItems(items, payableAmount, payableAmount / totalAmount);
+    }
+
+    return {
+      items,
+      totalAmount: payableAmount,
+      vatAmount: this._roundAmount(items.reduce((sum, item) => sum + item.vatAmount, 0))
+    };
+  }
+
+  /**
+   * Receipt items in the format of Payme `detail` (amounts in tiyin)
+   * @param {Object} receipt - Result of buildReceipt() or a FiscalReceipt
+   * @returns {Object} Payme detail object
+   */
+  static toPaymeDetail(receipt) {
+    return {
+      receipt_type: 0,
+      items: receipt.items.map(item => ({
+        title: item.title,
+        price: Math.round(item.unitPrice * 100),
+        count: item.quantity,
+        code: item.ikpuCode,
+        package_code: item.packageCode,
+        vat_percent: item.vatPercent,
+        ...(item.discount > 0 && { discount: Math.round(item.discount * 100) })
+      }))
+    };
+  }
+
+  /**
+   * Receipt items in the format of the Octo basket (amounts in UZS)
+   * Octo has no per-item discount, so the discounted line total is sent as price.
+   * @param {Object} receipt - Result of buildReceipt() or a FiscalReceipt
+   * @returns {Array} Octo basket positions
+   */
+  static toOctoBasket(receipt) {
+    return receipt.items.map(item => ({
+      position_desc: item.title,
+      count: item.quantity,
+      price: item.total,
+      spic: item.ikpuCode,
+      package_code: item.packageCode,
+      nds: item.vatPercent
+    }));
+  }
+
+  /**
+   * Store the sale receipt of a booking that has just been paid
+   * Registered as a Booking afterUpdate hook. Rooms of a booking group are paid
+   * through the primary booking, which holds the receipt for the whole group.
+   * @param {Object} booking - Updated booking instance
+   * @param {Object} options - Hook options (transaction)
+   * @returns {Promise<Object|null>} Receipt, or null when none is due
+   */
+  static async createForPaidBooking(booking, options = {}) {
+    if (!booking.changed('paidAt') || !booking.paidAt) {
+      return null;
+    }
+
+    if (booking.groupId) {
+      const group = await BookingGroup.findByPk(booking.groupId, { transaction: options.transaction });
+      if (group?.primaryBookingId !== booking.id) {
+        return null;
+      }
+    }
+
+    return this._createSaleReceipt(booking, options);
+  }
+
+  /**
+   * Store the fiscal data a provider returned for a transaction's receipt
+   * @param {Object} transaction - Transaction the receipt was fiscalized for
+   * @param {string} type - 'sale' or 'refund'
+   * @param {Object} fiscalData - { receiptId, fiscalSign, terminalId, qrCodeUrl, fiscalizedAt, success, raw }
+   * @returns {Promise<Object>} Updated receipt
+   */
+  static async recordFiscalData(transaction, type, fiscalData) {
+    let receipt = await FiscalReceipt.findOne({
+      where: { bookingId: transaction.bookingId, type },
+      order: [['created_at', 'DESC']]
+    });
+
+    if (!receipt) {
+      const booking = await Booking.findByPk(transaction.bookingId);
+      receipt = await FiscalReceipt.create({
+        bookingId: transaction.bookingId,
+        transactionId: transaction.id,
+        provider: transaction.provider,
+        type,
+        ...(await this.buildReceipt(booking))
+      });
+    }
+
+    return receipt.update({
+      transactionId: transaction.id,
+      provider: transaction.provider,
+      status: fiscalData.success ? 'fiscalized' : 'failed',
+      fiscalSign: fiscalData.fiscalSign || null,
+      fiscalReceiptId: fiscalData.receiptId || null,
+      terminalId: fiscalData.terminalId || null,
+      qrCodeUrl: fiscalData.qrCodeUrl || null,
+      fiscalizedAt: fiscalData.fiscalizedAt || null,
+      providerData: fiscalData.raw || null
+    });
+  }
+
+  /**
+   * Printable receipt of a paid booking
+   * Available to the agent, the client who booked and the host of the place.
+   * @param {number} bookingId - Booking ID (any room of a booking group)
+   * @param {Object} userData - Authenticated user
+   * @param {string} lng - Language of the document
+   * @returns {Promise<Object>} { filename, html }
+   */
+  static async getReceiptDocument(bookingId, userData, lng = 'ru') {
+    let booking = await Booking.findByPk(bookingId, {
+      include: [{ model: Place, as: 'place', attributes: ['id', 'title', 'ownerId'] }]
+    });
+
+    if (!booking) {
+      const error = new Error("Booking not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const canAccess =
+      userData.userType === 'agent' ||
+      (userData.userType === 'client' && booking.userId === userData.id) ||
+      (userData.userType === 'host' && booking.place?.ownerId === userData.id);
+
+    if (!canAccess) {
+      const error = new Error("Access denied");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (booking.groupId) {
+      const group = await BookingGroup.findByPk(booking.groupId);
+      if (group?.primaryBookingId && group.primaryBookingId !== booking.id) {
+        booking = await Booking.findByPk(group.primaryBookingId);
+      }
+    }
+
+    if (!booking.paidAt) {
+      const error = new Error("Receipt is available only for paid bookings");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const receipt = await FiscalReceipt.findOne({
+      where: { bookingId: booking.id, type: 'sale' },
+      order: [['created_at', 'DESC']]
+    }) || await this._createSaleReceipt(booking);
+
+    return {
+      filename: `receipt-${booking.uniqueRequestId || booking.id}.html`,
+      html: this._renderHtml(receipt, booking, lng)
+    };
+  }
+
+  // Private helper methods
+  static async _createSaleReceipt(booking, options = {}) {
+    const { transaction } = options;
+    const existingReceipt = await FiscalReceipt.findOne({
+      where: { bookingId: booking.id, type: 'sale' },
+      transaction
+    });
+    if (existingReceipt) {
+      return existingReceipt;
+    }
+
+    const paidTransaction = await Transaction.findOne({
+      where: { bookingId: booking.id, state: 2 },
+      order: [['createDate', 'DESC']],
+      transaction
+    });
+
+    return FiscalReceipt.create({
+      bookingId: booking.id,
+      transactionId: paidTransaction?.id || null,
+      provider: paidTransaction?.provider || booking.paymentResponse?.provider || null,
+      type: 'sale',
+      ...(await this.buildReceipt(booking, { transaction }))
+    }, { transaction });
+  }
+
+  static _getBookedHours(booking) {
+    try {
+      return (booking.timeSlots || []).reduce((sum, slot) => sum + BookingPricingService._getSlotHours(slot), 0);
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // Scale line prices to part of the total; the last line takes the rounding difference
+  static _scaleItems(items, payableAmount, ratio) {
+    let amountLeft = payableAmount;
+
+    return items.map((item, index) => {
+      const discount = this._roundAmount(item.discount * ratio);
+      const total = index === items.length - 1
+        ? this._roundAmount(amountLeft)
+        : this._roundAmount(item.total * ratio);
+      amountLeft -= total;
+
+      return {
+        ...item,
+        unitPrice: this._roundAmount(total + discount),
+        discount,
+        total,
+        vatAmount: this._calculateVat(total)
+      };
+    });
+  }
+
+  static _calculateVat(amount) {
+    return this._roundAmount(amount * VAT_PERCENT / (100 + VAT_PERCENT));
+  }
+
+  static _roundAmount(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+  }
+
+  static _renderHtml(receipt, booking, lng) {
+    const t = (key, vars = {}) => this._escapeHtml(translate(`receipt.${key}`, { lng, ns: 'payment', ...vars }));
+    const amount = (value) => `${Number(value).toLocaleString('ru-RU')} UZS`;
+    const rows = receipt.items.map(item => `
+        <tr>
+          <td>${this._escapeHtml(item.title)}<br><small>${t('ikpu')}: ${this._escapeHtml(item.ikpuCode || '—')}</small></td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${amount(item.unitPrice)}</td>
+          <td class="num">${item.discount ? amount(item.discount) : '—'}</td>
+          <td class="num">${amount(item.total)}</td>
+        </tr>`).join('');
+
+    const fiscalRows = receipt.status === 'fiscalized'
+      ? `
+      <p>${t('fiscalSign')}: ${this._escapeHtml(receipt.fiscalSign)}</p>
+      <p>${t('fiscalReceiptId')}: ${this._escapeHtml(receipt.fiscalReceiptId)}</p>
+      <p>${t('terminalId')}: ${this._escapeHtml(receipt.terminalId)}</p>
+      ${receipt.qrCodeUrl ? `<p><a href="${this._escapeHtml(receipt.qrCodeUrl)}">${t('verify')}</a></p>` : ''}`
+      : `<p>${t('notFiscalized')}</p>`;
+
+    return `<!DOCTYPE html>
+<html lang="${this._escapeHtml(lng)}">
+<head>
+  <meta charset="utf-8">
+  <title>${t('title')} ${this._escapeHtml(booking.uniqueRequestId || booking.id)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 720px; margin: 24px auto; color: #111; }
+    table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; vertical-align: top; }
+    .num { text-align: right; white-space: nowrap; }
+  </style>
+</head>
+<body>
+  <h1>${t('title')}</h1>
+  <p>${t('bookingNumber')}: ${this._escapeHtml(booking.uniqueRequestId || booking.id)}</p>
+  <p>${t('paidAt')}: ${new Date(booking.paidAt).toLocaleString('ru-RU', { timeZone: 'Asia/Tashkent' })}</p>
+  <table>
+    <thead>
+      <tr>
+        <th>${t('item')}</th>
+        <th class="num">${t('quantity')}</th>
+        <th class="num">${t('price')}</th>
+        <th class="num">${t('discount')}</th>
+        <th class="num">${t('total')}</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <p><strong>${t('totalAmount')}: ${amount(receipt.totalAmount)}</strong></p>
+  <p>${t('vat', { percent: receipt.items[0]?.vatPercent || 0 })}: ${amount(receipt.vatAmount)}</p>${fiscalRows}
+</body>
+</html>`;
+  }
+
+  static _escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = ReceiptService;
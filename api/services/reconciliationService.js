@@ -0,0 +1,442 @@
+const { ReconciliationRun, ReconciliationItem, Transaction, Booking, User } = require("../models");
+const { Op } = require("sequelize");
+const moment = require("moment-timezone");
+const sequelize = require("../config/database");
+
+const PROVIDERS = ['payme', 'click', 'octo'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const STATEMENT_DATE_FORMATS = ['DD.MM.YYYY HH:mm:ss', 'DD.MM.YYYY HH:mm', 'DD.MM.YYYY', 'YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD'];
+const MAX_NOTE_LENGTH = 2000;
+
+// Statement column headers (lowercased) per provider cabinet export, most specific first.
+// Click is matched by the invoice ID we store as providerTransactionId.
+const STATEMENT_COLUMNS = {
+  payme: {
+    id: ['transaction id', 'transaction_id', 'id транзакции', 'tranzaksiya id', 'id'],
+    amount: ['amount', 'sum', 'сумма', 'summa'],
+    date: ['perform_time', 'perform time', 'date', 'дата', 'sana', 'create_time']
+  },
+  click: {
+    id: ['invoice_id', 'invoice id', 'id счета', 'id счёта', 'merchant_trans_id', 'id'],
+    amount: ['amount', 'sum', 'сумма', 'summa'],
+    date: ['date', 'payment date', 'дата', 'sana', 'sign_time']
+  },
+  octo: {
+    id: ['octo_payment_uuid', 'payment uuid', 'payment_uuid', 'uuid', 'id'],
+    amount: ['total_sum', 'amount', 'sum', 'сумма', 'summa'],
+    date: ['payed_time', 'date', 'дата', 'sana']
+  }
+};
+
+/**
+ * Reconciliation Service - Match provider statements against our transactions
+ *
+ * An agent imports the CSV statement of a provider cabinet. Every line is matched
+ * to a Transaction by providerTransactionId and amount; paid transactions of the
+ * provider within the statement period that the statement lacks are flagged too.
+ * Flagged items stay open until an agent resolves each with an audit note; a run
+ * with no open items left is resolved. Nothing here changes transactions or
+ * bookings - fixing the data is left to the agent (see PaymentStatusService).
+ */
+class ReconciliationService {
+  /**
+   * List reconciliation runs, newest first (agent only)
+   * @param {Object} userData - Authenticated agent
+   * @returns {Promise<Array>} Runs with their counts and open issue count
+   */
+  static async listRuns(userData) {
+    this._checkAgent(userData);
+
+    const runs = await ReconciliationRun.findAll({
+      include: [{ model: User, as: 'creator', attributes: ['id', 'name'] }],
+      order: [['created_at', 'DESC']]
+    });
+
+    const openCounts = await this._getOpenIssueCounts(runs.map(run => run.id));
+    return runs.map(run => ({ ...run.toJSON(), openIssueCount: openCounts.get(run.id) || 0 }));
+  }
+
+  /**
+   * Get one run with all of its items (agent only)
+   * @param {number} runId - Run ID
+   * @param {Object} userData - Authenticated agent
+   * @returns {Promise<Object>} Run with items, flagged items first
+   */
+  static async getRun(runId, userData) {
+    this._checkAgent(userData);
+
+    const run = await ReconciliationRun.findByPk(runId, {
+      include: [
+        {
+          model: ReconciliationItem,
+          as: 'items',
+          required: false,
+          include: [
+            {
+              model: Transaction,
+              as: 'transaction',
+              attributes: ['id', 'state', 'amount', 'performDate', 'paymentType', 'bookingId'],
+              include: [{ model: Booking, as: 'booking', attributes: ['id', 'uniqueRequestId', 'status'] }]
+            },
+            { model: User, as: 'resolver', attributes: ['id', 'name'] }
+          ]
+        },
+        { model: User, as: 'creator', attributes: ['id', 'name'] }
+      ],
+      order: [[{ model: ReconciliationItem, as: 'items' }, 'id', 'ASC']]
+    });
+
+    if (!run) {
+      const error = new Error("Reconciliation run not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const { items = [], ...attributes } = run.toJSON();
+    const flagged = items.filter(item => item.result !== 'matched');
+    return {
+      ...attributes,
+      openIssueCount: flagged.filter(item => item.resolutionStatus === 'open').length,
+      items: [...flagged, ...items.filter(item => item.result === 'matched')]
+    };
+  }
+
+  /**
+   * Import a provider statement and reconcile it (agent only)
+   * The period defaults to the first and last statement dates; without dates
+   * only the statement lines themselves are checked.
+   * @param {Object} userData - Authenticated agent
+   * @param {Object} data - { provider, filename, content, periodStart, periodEnd, amountsInTiyin }
+   * @returns {Promise<Object>} Created run with items
+   */
+  static async importStatement(userData, { provider, filename, content, periodStart, periodEnd, amountsInTiyin } = {}) {
+    this._checkAgent(userData);
+
+    if (!PROVIDERS.includes(provider)) {
+      const error = new Error(`Provider must be one of: ${PROVIDERS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if ((periodStart && !DATE_PATTERN.test(periodStart)) || (periodEnd && !DATE_PATTERN.test(periodEnd)) ||
+      (periodStart && periodEnd && periodStart > periodEnd)) {
+      const error = new Error("Statement period must be valid dates with the start before the end");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const lines = this.parseStatement(content, provider, { amountsInTiyin: amountsInTiyin === true || amountsInTiyin === 'true' });
+    const period = this._getPeriod(lines, periodStart, periodEnd);
+    const items = await this.matchLines(provider, lines, period);
+
+    const transaction = await sequelize.transaction();
+    let run;
+
+    try {
+      run = await ReconciliationRun.create({
+        provider,
+        filename: filename ? String(filename).slice(0, 255) : null,
+        periodStart: period.start,
+        periodEnd: period.end,
+        status: items.some(item => item.resolutionStatus === 'open') ? 'open' : 'resolved',
+        lineCount: lines.length,
+        matchedCount: items.filter(item => item.result === 'matched').length,
+        issueCount: items.filter(item => item.result !== 'matched').length,
+        createdBy: userData.id
+      }, { transaction });
+
+      await ReconciliationItem.bulkCreate(items.map(item => ({ ...item, runId: run.id })), { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getRun(run.id, userData);
+  }
+
+  /**
+   * Parse a provider statement CSV into lines
+   * Accepts comma or semicolon separated files with a header row.
+   * @param {string} content - CSV text
+   * @param {string} provider - 'payme', 'click' or 'octo'
+   * @param {Object} options - { amountsInTiyin: amounts are in tiyin rather than UZS }
+   * @returns {Array} [{ lineNumber, providerTransactionId, amount, date, raw }]
+   */
+  static parseStatement(content, provider, { amountsInTiyin = false } = {}) {
+    const rows = this._parseCsv(String(content || '').replace(/^\uFEFF/, ''));
+    if (rows.length < 2) {
+      const error = new Error("Statement must contain a header row and at least one line");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    const columns = STATEMENT_COLUMNS[provider];
+    const findColumn = (aliases) => aliases.map(alias => headers.indexOf(alias)).find(index => index !== -1);
+    const idColumn = findColumn(columns.id);
+    const amountColumn = findColumn(columns.amount);
+    const dateColumn = findColumn(columns.date);
+
+    if (idColumn === undefined || amountColumn === undefined) {
+      const error = new Error(`Statement needs a transaction ID column (${columns.id.join(', ')}) and an amount column (${columns.amount.join(', ')})`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const lines = [];
+    rows.slice(1).forEach((row, index) => {
+      if (row.every(value => !value.trim())) return;
+
+      const amount = this._parseAmount(row[amountColumn]);
+      lines.push({
+        lineNumber: index + 2,
+        providerTransactionId: (row[idColumn] || '').trim() || null,
+        amount: amount === null ? null : this._roundAmount(amountsInTiyin ? amount / 100 : amount),
+        date: dateColumn === undefined ? null : this._parseDate(row[dateColumn]),
+        raw: Object.fromEntries(rows[0].map((header, column) => [header.trim(), row[column] ?? '']))
+      });
+    });
+
+    return lines;
+  }
+
+  /**
+   * Match statement lines to the provider's transactions
+   * The first line of an ID is matched; later lines with the same ID are duplicates.
+   * @param {string} provider - Provider the statement is from
+   * @param {Array} lines - Lines from parseStatement()
+   * @param {Object} period - { start, end } dates (YYYY-MM-DD) or nulls
+   * @returns {Promise<Array>} Item attributes, one per line plus missing transactions
+   */
+  static async matchLines(provider, lines, period) {
+    const ids = [...new Set(lines.map(line => line.providerTransactionId).filter(Boolean))];
+    const transactions = ids.length > 0
+      ? await Transaction.findAll({ where: { provider, providerTransactionId: { [Op.in]: ids } } })
+      : [];
+    const transactionsById = new Map(transactions.map(txn => [txn.providerTransactionId, txn]));
+    const seenIds = new Set();
+
+    const items = lines.map(line => {
+      const txn = line.providerTransactionId ? transactionsById.get(line.providerTransactionId) : null;
+      let result;
+      if (line.providerTransactionId && seenIds.has(line.providerTransactionId)) {
+        result = 'duplicate';
+      } else if (!txn) {
+        result = 'missing_transaction';
+      } else if (line.amount === null || Math.abs(line.amount - Number(txn.amount)) >= 0.01) {
+        result = 'amount_mismatch';
+      } else {
+        result = 'matched';
+      }
+      seenIds.add(line.providerTransactionId);
+
+      return this._buildItem(result, {
+        transactionId: txn?.id || null,
+        lineNumber: line.lineNumber,
+        providerTransactionId: line.providerTransactionId,
+        statementAmount: line.amount,
+        transactionAmount: txn ? Number(txn.amount) : null,
+        statementDate: line.date,
+        rawLine: line.raw
+      });
+    });
+
+    // Paid transactions the provider should have listed for the period
+    if (period.start && period.end) {
+      const paidInPeriod = await Transaction.findAll({
+        where: {
+          provider,
+          state: 2,
+          performDate: {
+            [Op.between]: [
+              moment.tz(period.start, 'Asia/Tashkent').startOf('day').toDate(),
+              moment.tz(period.end, 'Asia/Tashkent').endOf('day').toDate()
+            ]
+          }
+        }
+      });
+
+      for (const txn of paidInPeriod) {
+        if (seenIds.has(txn.providerTransactionId)) continue;
+        items.push(this._buildItem('missing_from_statement', {
+          transactionId: txn.id,
+          providerTransactionId: txn.providerTransactionId,
+          transactionAmount: Number(txn.amount),
+          statementDate: null
+        }));
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Resolve a flagged item with an audit note (agent only)
+   * Resolves the run once none of its items is open.
+   * @param {number} itemId - Reconciliation item ID
+   * @param {Object} userData - Authenticated agent
+   * @param {Object} data - { note }
+   * @returns {Promise<Object>} { item, runStatus, openIssueCount }
+   */
+  static async resolveItem(itemId, userData, { note } = {}) {
+    this._checkAgent(userData);
+
+    const text = typeof note === 'string' ? note.trim() : '';
+    if (!text || text.length > MAX_NOTE_LENGTH) {
+      const error = new Error(`A resolution note of up to ${MAX_NOTE_LENGTH} characters is required`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const item = await ReconciliationItem.findByPk(itemId);
+    if (!item) {
+      const error = new Error("Reconciliation item not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (item.resolutionStatus !== 'open') {
+      const error = new Error(item.result === 'matched'
+        ? "Matched lines do not need to be resolved"
+        : "Reconciliation item is already resolved");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await item.update({
+      resolutionStatus: 'resolved',
+      resolutionNote: text,
+      resolvedBy: userData.id,
+      resolvedAt: new Date()
+    });
+
+    const openIssueCount = await ReconciliationItem.count({ where: { runId: item.runId, resolutionStatus: 'open' } });
+    const run = await ReconciliationRun.findByPk(item.runId);
+    if (openIssueCount === 0 && run.status !== 'resolved') {
+      await run.update({ status: 'resolved' });
+    }
+
+    const resolved = await ReconciliationItem.findByPk(item.id, {
+      include: [{ model: User, as: 'resolver', attributes: ['id', 'name'] }]
+    });
+    return { item: resolved, runStatus: run.status, openIssueCount };
+  }
+
+  // Private helper methods
+  static _checkAgent(userData) {
+    if (userData.userType !== 'agent') {
+      const error = new Error("Only agents can reconcile payments");
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  static _buildItem(result, attributes) {
+    return {
+      ...attributes,
+      result,
+      resolutionStatus: result === 'matched' ? null : 'open'
+    };
+  }
+
+  static _getPeriod(lines, periodStart, periodEnd) {
+    const dates = lines
+      .map(line => line.date)
+      .filter(Boolean)
+      .map(date => moment(date).tz('Asia/Tashkent').format('YYYY-MM-DD'))
+      .sort();
+
+    return {
+      start: periodStart || dates[0] || null,
+      end: periodEnd || dates[dates.length - 1] || null
+    };
+  }
+
+  static async _getOpenIssueCounts(runIds) {
+    if (runIds.length === 0) {
+      return new Map();
+    }
+
+    const rows = await ReconciliationItem.findAll({
+      where: { runId: { [Op.in]: runIds }, resolutionStatus: 'open' },
+      attributes: ['runId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['runId'],
+      raw: true
+    });
+
+    return new Map(rows.map(row => [row.runId, Number(row.count)]));
+  }
+
+  // Splits CSV text into rows of values; handles quoted values and "" escapes
+  static _parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    if (value || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  // "1 250 000,50", "1,250,000.50" and "1250000.50" are all 1250000.5
+  static _parseAmount(value) {
+    let text = String(value || '').replace(/\s/g, '').replace(/[^\d.,-]/g, '');
+    if ((text.includes(',') && text.includes('.')) || (text.match(/,/g) || []).length > 1) {
+      text = text.replace(/,/g, '');
+    } else {
+      text = text.replace(',', '.');
+    }
+    const amount = parseFloat(text);
+    return Number.isFinite(amount) ? amount : null;
+  }
+
+  // Cabinet exports use local (Tashkent) dates; Payme may export millisecond timestamps
+  static _parseDate(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    if (/^\d{12,}$/.test(text)) return new Date(Number(text));
+
+    const date = moment.tz(text, [moment.ISO_8601, ...STATEMENT_DATE_FORMATS], true, 'Asia/Tashkent');
+    return date.isValid() ? date.toDate() : null;
+  }
+
+  static _roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+module.exports = ReconciliationService;
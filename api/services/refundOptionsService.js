@@ -176,11 +176,56 @@ const getRefundPolicyDisplayInfo = (policyKey) => {
   };
 };
 
+/**
+ * Find the refund percent a policy grants for a given notice period
+ * Rules are matched from the longest notice period down
+ * @param {string} policyKey - The refund policy key
+ * @param {number} hoursBeforeCheckIn - Hours between cancellation and check-in
+ * @returns {number} - Refund percent (0-100)
+ */
+const getRefundPercentForPolicy = (policyKey, hoursBeforeCheckIn) => {
+  const policy = REFUND_POLICY_METADATA[policyKey];
+  if (!policy || !Array.isArray(policy.refundRules)) {
+    return 0;
+  }
+
+  const matchingRule = [...policy.refundRules]
+    .sort((a, b) => b.minHours - a.minHours)
+    .find(rule => hoursBeforeCheckIn >= rule.minHours);
+
+  return matchingRule ? matchingRule.refundPercent : 0;
+};
+
+/**
+ * Check whether a policy allows rescheduling for a given notice period
+ * Policies without rescheduleRules never allow rescheduling
+ * @param {string} policyKey - The refund policy key
+ * @param {number} hoursBeforeCheckIn - Hours between the request and check-in
+ * @returns {Object} - { allowed: boolean, minHours: number|null }
+ */
+const getReschedulePermissionForPolicy = (policyKey, hoursBeforeCheckIn) => {
+  const policy = REFUND_POLICY_METADATA[policyKey];
+  if (!policy || !Array.isArray(policy.rescheduleRules)) {
+    return { allowed: false, minHours: null };
+  }
+
+  const sortedRules = [...policy.rescheduleRules].sort((a, b) => b.minHours - a.minHours);
+  const matchingRule = sortedRules.find(rule => hoursBeforeCheckIn >= rule.minHours);
+  const requiredRule = sortedRules.find(rule => rule.allowed);
+
+  return {
+    allowed: !!matchingRule?.allowed,
+    minHours: requiredRule ? requiredRule.minHours : null
+  };
+};
+
 module.exports = {
   validateRefundOptions,
   processRefundOptions,
   getRefundOptionsMetadata,
   getRefundPolicyDisplayInfo,
+  getRefundPercentForPolicy,
+  getReschedulePermissionForPolicy,
   VALID_REFUND_OPTIONS,
   CONFLICTING_OPTIONS,
   REFUND_POLICY_METADATA
@@ -0,0 +1,276 @@
+const { Refund, Transaction, Booking, Place } = require("../models");
+const PaymentService = require("./paymentService");
+const ExchangeRateLockService = require("./exchangeRateLockService");
+const { getRefundPercentForPolicy } = require("./refundOptionsService");
+const { getHoursUntilBookingStart } = require("../utils/bookingUtils");
+
+/**
+ * Refund Service - Calculates and executes refunds for cancelled paid bookings
+ *
+ * Refund amount comes from the booking's refundPolicySnapshot and the hours left
+ * until check-in. Execution is delegated to the provider the booking was paid with;
+ * anything a provider cannot do automatically (cash, partial Payme/Click refunds)
+ * is parked in `manual_required` for an agent.
+ */
+class RefundService {
+  /**
+   * Calculate refundable amount for a booking at the current moment
+   * When several policies were captured, the one most favourable to the client wins
+   * @param {Object} booking - Booking instance
+   * @returns {Object} Refund calculation breakdown
+   */
+  static calculateRefund(booking) {
+    // A booking with only its deposit paid refunds from what was actually paid
+    const amountPaid = Number(booking.amountPaid || 0);
+    const paidAmount = amountPaid > 0 ? amountPaid : Number(booking.finalTotal || booking.totalPrice || 0);
+    const hoursBeforeCheckIn = Math.max(0, getHoursUntilBookingStart(booking));
+    const policies = Array.isArray(booking.refundPolicySnapshot) ? booking.refundPolicySnapshot : [];
+
+    let appliedPolicy = null;
+    let refundPercent = 0;
+
+    for (const policy of policies) {
+      const percent = getRefundPercentForPolicy(policy, hoursBeforeCheckIn);
+      if (appliedPolicy === null || percent > refundPercent) {
+        appliedPolicy = policy;
+        refundPercent = percent;
+      }
+    }
+
+    return {
+      policy: appliedPolicy,
+      hasPolicy: policies.length > 0,
+      hoursBeforeCheckIn: Math.round(hoursBeforeCheckIn * 100) / 100,
+      paidAmount,
+      refundPercent,
+      refundAmount: Math.round(paidAmount * refundPercent) / 100
+    };
+  }
+
+  /**
+   * Check whether a booking has been paid and should go through the refund flow
+   * @param {Object} booking - Booking instance
+   * @returns {Promise<boolean>} True if money was collected for this booking
+   */
+  static async isBookingPaid(booking) {
+    if (booking.paidAt) {
+      return true;
+    }
+
+    const paidTransaction = await this._findPaidTransaction(booking.id);
+    return !!paidTransaction;
+  }
+
+  /**
+   * Record and execute the refund for a booking cancelled by the client
+   * @param {Object} booking - Cancelled booking instance
+   * @returns {Promise<Object>} Created refund
+   */
+  static async processCancellationRefund(booking) {
+    const existingRefund = await Refund.findOne({
+      where: { bookingId: booking.id },
+      order: [['created_at', 'DESC']]
+    });
+    if (existingRefund) {
+      return existingRefund;
+    }
+
+    const calculation = this.calculateRefund(booking);
+    const transaction = await this._findPaidTransaction(booking.id);
+
+    const refund = await Refund.create({
+      bookingId: booking.id,
+      userId: booking.userId,
+      transactionId: transaction ? transaction.id : null,
+      provider: transaction ? transaction.provider : 'cash',
+      policy: calculation.policy,
+      hoursBeforeCheckIn: calculation.hoursBeforeCheckIn,
+      paidAmount: calculation.paidAmount,
+      refundPercent: calculation.refundPercent,
+      refundAmount: calculation.refundAmount,
+      currency: transaction ? transaction.currency : 'UZS',
+      status: 'pending'
+    });
+
+    // Without a captured policy an agent has to decide on the refund
+    if (!calculation.hasPolicy) {
+      return this._updateStatus(refund, 'manual_required', {
+        failureReason: 'No refund policy was captured for this booking'
+      });
+    }
+
+    return this.executeRefund(refund, transaction);
+  }
+
+  /**
+   * Execute a pending or failed refund through its payment provider
+   * @param {Object} refund - Refund instance
+   * @param {Object} [transaction] - Paid transaction (loaded if omitted)
+   * @returns {Promise<Object>} Updated refund
+   */
+  static async executeRefund(refund, transaction = undefined) {
+    if (refund.refundAmount <= 0) {
+      return this._updateStatus(refund, 'not_refundable');
+    }
+
+    if (transaction === undefined && refund.transactionId) {
+      transaction = await Transaction.findByPk(refund.transactionId);
+    }
+
+    if (!transaction || refund.provider === 'cash') {
+      return this._updateStatus(refund, 'manual_required', {
+        failureReason: 'Payment was not made through an online provider'
+      });
+    }
+
+    await this._updateStatus(refund, 'processing');
+
+    try {
+      const { status, ...details } = await PaymentService.refund(refund, transaction);
+
+      // Partial refunds leave the transaction paid
+      if (status === 'completed' && !this._isPartialRefund(refund, transaction)) {
+        await this._markTransactionRefunded(transaction, refund);
+      }
+
+      return await this._updateStatus(refund, status, details);
+    } catch (error) {
+      console.error(`Refund ${refund.id} failed for booking ${refund.bookingId}:`, error);
+      return this._updateStatus(refund, 'failed', {
+        failureReason: error.message
+      });
+    }
+  }
+
+  /**
+   * Get refunds for a booking the user has access to
+   * @param {number} bookingId - Booking ID
+   * @param {Object} userData - Authenticated user
+   * @returns {Promise<Array>} Refunds, newest first
+   */
+  static async getBookingRefunds(bookingId, userData) {
+    const booking = await Booking.findByPk(bookingId, {
+      include: [{ model: Place, as: 'place', attributes: ['id', 'ownerId'] }]
+    });
+
+    if (!booking) {
+      const error = new Error("Booking not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const canAccess =
+      userData.userType === 'agent' ||
+      (userData.userType === 'client' && booking.userId === userData.id) ||
+      (userData.userType === 'host' && booking.place?.ownerId === userData.id);
+
+    if (!canAccess) {
+      const error = new Error("Access denied");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return Refund.findAll({
+      where: { bookingId },
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Retry a failed refund (agent-only)
+   * @param {number} bookingId - Booking ID
+   * @param {number} refundId - Refund ID
+   * @param {Object} userData - Authenticated user
+   * @returns {Promise<Object>} Updated refund
+   */
+  static async retryRefund(bookingId, refundId, userData) {
+    const refund = await this._getRefundForAgent(bookingId, refundId, userData);
+
+    if (refund.status !== 'failed') {
+      const error = new Error("Only failed refunds can be retried");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return this.executeRefund(refund);
+  }
+
+  /**
+   * Mark a refund as completed after the agent returned the money manually (agent-only)
+   * @param {number} bookingId - Booking ID
+   * @param {number} refundId - Refund ID
+   * @param {Object} userData - Authenticated user
+   * @param {string} [note] - Reference for the manual transfer
+   * @returns {Promise<Object>} Updated refund
+   */
+  static async markRefundCompleted(bookingId, refundId, userData, note) {
+    const refund = await this._getRefundForAgent(bookingId, refundId, userData);
+
+    if (!['manual_required', 'failed'].includes(refund.status)) {
+      const error = new Error("Only manual or failed refunds can be marked as completed");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return this._updateStatus(refund, 'completed', {
+      providerRefundId: note || refund.providerRefundId,
+      providerResponse: {
+        ...(refund.providerResponse || {}),
+        completedManuallyBy: userData.id
+      }
+    });
+  }
+
+  // Private helper methods
+  static async _findPaidTransaction(bookingId) {
+    return Transaction.findOne({
+      where: { bookingId, state: 2 },
+      order: [['createDate', 'DESC']]
+    });
+  }
+
+  static async _getRefundForAgent(bookingId, refundId, userData) {
+    if (userData.userType !== 'agent') {
+      const error = new Error("Only agents can manage refunds");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const refund = await Refund.findOne({ where: { id: refundId, bookingId } });
+    if (!refund) {
+      const error = new Error("Refund not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return refund;
+  }
+
+  static async _updateStatus(refund, status, extra = {}) {
+    const isFinal = ['completed', 'not_refundable'].includes(status);
+    await refund.update({
+      status,
+      ...extra,
+      ...(isFinal && { processedAt: new Date() })
+    });
+    return refund;
+  }
+
+  static _isPartialRefund(refund, transaction) {
+    return refund.refundAmount < ExchangeRateLockService.fromChargeAmount(transaction);
+  }
+
+  static async _markTransactionRefunded(transaction, refund) {
+    await transaction.update({
+      state: -2,
+      cancelDate: new Date(),
+      providerData: {
+        ...(transaction.providerData || {}),
+        refundId: refund.id,
+        refundedAmount: refund.refundAmount
+      }
+    });
+  }
+}
+
+module.exports = RefundService;
@@ -0,0 +1,267 @@
+const { Op, Sequelize } = require("sequelize");
+const { Review, ReviewReply, ReviewReport } = require("../models");
+const { compileProfanityLists } = require("./profanityLists");
+
+// Score bands: below APPROVE_BELOW is published, from HIDE_AT on it is hidden until an agent looks
+const MODERATION_THRESHOLDS = {
+  APPROVE_BELOW: 20,
+  HIDE_AT: 70
+};
+
+// Points each rule adds to the score
+const RULE_SCORES = {
+  profanity: 40, // per distinct term
+  link: 40,
+  phone: 40,
+  duplicate_text: 50,
+  burst_posting: 30,
+  photos: 20
+};
+const PROFANITY_MAX_SCORE = 80;
+
+// Burst posting: this many posts by one user within the window
+const BURST_WINDOW_MINUTES = 10;
+const BURST_LIMITS = {
+  review: 3,
+  reply: 6
+};
+
+// Open reports: points by reason, and the count that hides a review outright
+const REPORT_REASON_SCORES = {
+  spam: 25,
+  fake: 25,
+  harassment: 25,
+  inappropriate: 20,
+  off_topic: 10,
+  other: 10
+};
+const REPORT_HIDE_COUNT = 3;
+
+// Short comments ("Great place!") repeat innocently across places
+const DUPLICATE_MIN_LENGTH = 30;
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|ru|uz|net|org|io|me|info|biz|su)\b|\bt\.me\/\S+|(^|\s)@[a-z0-9_]{5,}/i;
+// Phone shapes: +998 90 123 45 67 (any country code), (90) 123-45-67, 90 123 45 67, or a bare
+// mobile number like 901234567; prices ("150 000 000 so'm"), years and booking numbers do not fit
+const PHONE_PATTERN = new RegExp(
+  String.raw`(?<![\d+])(?:(?:\+\d{1,3}|998)[\s-]?\(?\d{2,3}\)?[\s-]?\d{3}[\s-]?\d{2}[\s-]?\d{2}` +
+  String.raw`|(?:\(\d{2}\)[\s-]?|\d{2}[\s-])\d{3}[\s-]\d{2}[\s-]?\d{2}|(?:33|50|55|77|88|9\d)\d{7})(?!\d)` +
+  String.raw`(?!\s*(?:so['ʻ’‘]?m|sum|сум|сўм|uzs|usd|eur|rub|руб|\$|у\.е|y\.e))`,
+  "i"
+);
+const WORD_PATTERN = /[\p{L}\p{M}'ʻ’]+/gu;
+
+const { words: PROFANITY_WORDS, stems: PROFANITY_STEMS } = compileProfanityLists();
+
+/**
+ * Review Moderation Service - Rule-based scoring of reviews and host replies
+ *
+ * Each rule that fires adds points and a reason ({ rule, score, detail }). The
+ * total decides what happens before an agent looks at the post:
+ * - "approve": published right away
+ * - "review": kept as pending for an agent
+ * - "hide": pending and hidden from the place page
+ * Reports re-score a review, so enough open reports hide it. Automated checks
+ * never approve a review again once they held it back; that is up to an agent.
+ */
+class ReviewModerationService {
+  /**
+   * Score a new review
+   * @param {Object} review - { userId, placeId, comment, photos }
+   * @returns {Promise<Object>} { score, reasons, decision }
+   */
+  static async assessReview({ userId, placeId, comment, photos = [] }) {
+    const reasons = [
+      ...this._checkText(comment),
+      ...await this._checkDuplicateText(comment, { placeId }),
+      ...await this._checkBurstPosting(Review, userId, BURST_LIMITS.review)
+    ];
+
+    if (photos.length > 0) {
+      // Photos are not checked automatically, an agent looks at them
+      reasons.push({ rule: "photos", score: RULE_SCORES.photos, detail: { count: photos.length } });
+    }
+
+    return this._result(reasons);
+  }
+
+  /**
+   * Score a new or edited host reply
+   * @param {Object} reply - { userId, replyText }
+   * @returns {Promise<Object>} { score, reasons, decision }
+   */
+  static async assessReply({ userId, replyText }) {
+    const reasons = [
+      ...this._checkText(replyText),
+      ...await this._checkBurstPosting(ReviewReply, userId, BURST_LIMITS.reply)
+    ];
+
+    return this._result(reasons);
+  }
+
+  /**
+   * Fields to store on a review or reply for an assessment
+   * @param {Object} assessment - Result of assessReview or assessReply
+   * @returns {Object} { status, isVisible, moderationScore, moderationReasons, moderatedAt }
+   */
+  static toModerationFields({ score, reasons, decision }) {
+    return {
+      status: decision === "approve" ? "approved" : "pending",
+      isVisible: decision !== "hide",
+      moderationScore: score,
+      moderationReasons: reasons,
+      moderatedAt: new Date()
+    };
+  }
+
+  /**
+   * Re-score a review with its open reports
+   * Hides the review when the score reaches the hide band; a review is never
+   * approved or shown again here. The reports reason keeps hidReview once the
+   * reports hid the review, so a dismissal can tell it apart from other hides.
+   * @param {Object} review - Review instance
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<Object>} { score, reasons, decision, hidden } hidden is true when this call hid it
+   */
+  static async applyReports(review, { transaction } = {}) {
+    const reports = await ReviewReport.findAll({
+      where: { reviewId: review.id, status: "pending" },
+      attributes: ["reason"],
+      transaction
+    });
+
+    const hidByReports = this.hiddenByReports(review);
+    const reasons = (review.moderationReasons || []).filter(reason => reason.rule !== "reports");
+    if (reports.length > 0) {
+      const reportScore = reports.length >= REPORT_HIDE_COUNT
+        ? MODERATION_THRESHOLDS.HIDE_AT
+        : reports.reduce((sum, report) => sum + (REPORT_REASON_SCORES[report.reason] || 0), 0);
+      reasons.push({
+        rule: "reports",
+        score: reportScore,
+        detail: {
+          count: reports.length,
+          reasons: [...new Set(reports.map(report => report.reason))].join(", ")
+        }
+      });
+    }
+
+    const result = this._result(reasons);
+    const hidden = result.decision === "hide" && review.isVisible;
+    const reportReason = reasons.find(reason => reason.rule === "reports");
+    if (reportReason && (hidden || (hidByReports && !review.isVisible))) {
+      reportReason.detail.hidReview = true;
+    }
+
+    await review.update({
+      moderationScore: result.score,
+      moderationReasons: result.reasons,
+      moderatedAt: new Date(),
+      ...(hidden && { status: "pending", isVisible: false })
+    }, { transaction });
+
+    return { ...result, hidden };
+  }
+
+  /**
+   * Whether the open reports are what hid a review
+   * @param {Object} review - Review instance
+   * @returns {boolean}
+   */
+  static hiddenByReports(review) {
+    return (review.moderationReasons || []).some(reason => reason.rule === "reports" && reason.detail?.hidReview);
+  }
+
+  /**
+   * Decision for a score
+   * @param {number} score - Total score
+   * @returns {string} "approve", "review" or "hide"
+   */
+  static decide(score) {
+    if (score >= MODERATION_THRESHOLDS.HIDE_AT) return "hide";
+    if (score >= MODERATION_THRESHOLDS.APPROVE_BELOW) return "review";
+    return "approve";
+  }
+
+  // Private helper methods
+  static _result(reasons) {
+    const score = reasons.reduce((sum, reason) => sum + reason.score, 0);
+    return { score, reasons, decision: this.decide(score) };
+  }
+
+  static _checkText(text) {
+    if (!text) return [];
+
+    const reasons = [];
+    const terms = this._findProfanity(text);
+    if (terms.length > 0) {
+      reasons.push({
+        rule: "profanity",
+        score: Math.min(PROFANITY_MAX_SCORE, terms.length * RULE_SCORES.profanity),
+        detail: { terms: terms.join(", ") }
+      });
+    }
+
+    if (LINK_PATTERN.test(text)) {
+      reasons.push({ rule: "link", score: RULE_SCORES.link, detail: {} });
+    }
+
+    if (PHONE_PATTERN.test(text)) {
+      reasons.push({ rule: "phone", score: RULE_SCORES.phone, detail: {} });
+    }
+
+    return reasons;
+  }
+
+  static _findProfanity(text) {
+    const found = new Set();
+    const words = text.toLowerCase().match(WORD_PATTERN) || [];
+
+    words.forEach(word => {
+      if (PROFANITY_WORDS.has(word) || PROFANITY_STEMS.some(stem => word.startsWith(stem))) {
+        found.add(word);
+      }
+    });
+
+    return [...found];
+  }
+
+  static _normalizeText(text) {
+    return String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+  }
+
+  // Same text posted as a review of another place
+  static async _checkDuplicateText(comment, { placeId }) {
+    const normalized = this._normalizeText(comment);
+    if (normalized.length < DUPLICATE_MIN_LENGTH) return [];
+
+    const duplicates = await Review.count({
+      where: {
+        placeId: { [Op.ne]: placeId },
+        [Op.and]: Sequelize.where(
+          Sequelize.fn("LOWER", Sequelize.fn("REGEXP_REPLACE", Sequelize.fn("TRIM", Sequelize.col("comment")), "\\s+", " ", "g")),
+          normalized
+        )
+      }
+    });
+
+    if (duplicates === 0) return [];
+    return [{ rule: "duplicate_text", score: RULE_SCORES.duplicate_text, detail: { count: duplicates } }];
+  }
+
+  // Posts by the user within the burst window, counting the one being made
+  static async _checkBurstPosting(Model, userId, limit) {
+    const recent = await Model.count({
+      where: {
+        userId,
+        created_at: { [Op.gte]: new Date(Date.now() - BURST_WINDOW_MINUTES * 60 * 1000) }
+      }
+    });
+
+    const count = recent + 1;
+    if (count < limit) return [];
+    return [{ rule: "burst_posting", score: RULE_SCORES.burst_posting, detail: { count, minutes: BURST_WINDOW_MINUTES } }];
+  }
+}
+
+module.exports = ReviewModerationService;
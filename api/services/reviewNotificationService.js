@@ -13,6 +13,7 @@
 
 const { Notification, User, Place, Review } = require("../models");
 const { Op } = require("sequelize");
+const moment = require("moment-timezone");
 const UnifiedNotificationService = require("./unifiedNotificationService");
 
 class ReviewNotificationService {
@@ -214,6 +215,86 @@ class ReviewNotificationService {
     }
   }
 
+  /**
+   * Tell a reporter what an agent decided about their report
+   * @param {Object} decision - ReviewReportDecision
+   * @param {Object} review - Reported review with Place
+   * @param {number} reporterId - User who reported the review
+   * @returns {Promise<Object>} Created notification
+   */
+  static async createReportResolvedNotification(decision, review, reporterId) {
+    const placeName = review.Place?.title || "";
+    const dismissed = decision.action === "dismiss";
+
+    const result = await UnifiedNotificationService.createReviewNotification({
+      userId: reporterId,
+      type: "review_report_resolved",
+      title: dismissed ? "Report Reviewed" : "Action Taken on Your Report",
+      message: dismissed
+        ? `We looked at the review of "${placeName}" you reported and found it does not break our rules.`
+        : `Thanks for your report. The review of "${placeName}" you reported has been removed.`,
+      reviewId: review.id,
+      placeId: review.placeId,
+      additionalMetadata: {
+        decisionId: decision.id,
+        action: decision.action,
+        translationKey: dismissed ? "review_report_dismissed" : "review_report_upheld",
+        translationVariables: { placeName }
+      }
+    });
+
+    return result.notification;
+  }
+
+  /**
+   * Tell a review author that their review was hidden, with a warning or suspension
+   * @param {Object} decision - ReviewReportDecision with an upholding action
+   * @param {Object} review - Reported review with Place
+   * @returns {Promise<Object>} Created notification
+   */
+  static async createAuthorDecisionNotification(decision, review) {
+    const placeName = review.Place?.title || "";
+    const note = decision.note || "";
+    const suspendedUntil = decision.suspendedUntil
+      ? moment(decision.suspendedUntil).tz("Asia/Tashkent").format("DD.MM.YYYY")
+      : "";
+
+    const content = {
+      hide_review: {
+        type: "review_hidden",
+        title: "Your Review Was Removed",
+        message: `Your review of "${placeName}" was removed after reports from other users.`
+      },
+      warn_author: {
+        type: "review_author_warned",
+        title: "Warning About Your Review",
+        message: `Your review of "${placeName}" was removed after reports from other users. Further violations may suspend your reviews.`
+      },
+      suspend_author: {
+        type: "review_author_suspended",
+        title: "Reviews Suspended",
+        message: `Your review of "${placeName}" was removed after reports from other users. You cannot post reviews until ${suspendedUntil}.`
+      }
+    }[decision.action];
+
+    const result = await UnifiedNotificationService.createReviewNotification({
+      userId: decision.authorId,
+      type: content.type,
+      title: content.title,
+      message: note ? `${content.message} ${note}` : content.message,
+      reviewId: review.id,
+      placeId: review.placeId,
+      additionalMetadata: {
+        decisionId: decision.id,
+        action: decision.action,
+        translationKey: content.type,
+        translationVariables: { placeName, note, suspendedUntil }
+      }
+    });
+
+    return result.notification;
+  }
+
   /**
    * Get user's unread notifications count (US-R011)
    * @param {number} userId - User ID
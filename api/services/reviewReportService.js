@@ -0,0 +1,256 @@
+const { Op, Sequelize } = require("sequelize");
+const sequelize = require("../config/database");
+const { Review, ReviewReport, ReviewReportDecision, User, Place } = require("../models");
+const ReviewModerationService = require("./reviewModerationService");
+const ReviewNotificationService = require("./reviewNotificationService");
+const PlaceRatingService = require("./placeRatingService");
+
+const REPORT_STATUSES = ["pending", "reviewed", "resolved", "dismissed"];
+const DECISION_ACTIONS = ["dismiss", "hide_review", "warn_author", "suspend_author"];
+const MAX_NOTE_LENGTH = 1000;
+const DEFAULT_SUSPENSION_DAYS = 30;
+const MAX_SUSPENSION_DAYS = 365;
+
+/**
+ * Review Report Service - Agent queue of reported reviews
+ *
+ * Reports are worked through per review: one decision closes all open reports
+ * of a review. Dismissing marks them dismissed and re-scores the review without
+ * them, which shows it again when only the reports held it back. Every other
+ * action upholds the reports: the review is rejected and hidden, and the author
+ * is warned or barred from posting reviews for a number of days. Each decision
+ * is stored with the acting agent; reporters and the author are notified.
+ */
+class ReviewReportService {
+  /**
+   * Reviews with reports in a status, most reported first (agent only)
+   * @param {Object} userData - Authenticated agent
+   * @param {Object} options - { status, page, limit }
+   * @returns {Promise<Object>} { reviews, pagination }
+   */
+  static async getReportQueue(userData, { status = "pending", page = 1, limit = 20 } = {}) {
+    this._checkAgent(userData);
+
+    if (!REPORT_STATUSES.includes(status)) {
+      const error = new Error(`Invalid report status. Must be one of: ${REPORT_STATUSES.join(", ")}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(50, Math.max(1, parseInt(limit) || 20));
+
+    const totalItems = await ReviewReport.count({
+      where: { status },
+      distinct: true,
+      col: "reviewId"
+    });
+
+    const groups = await ReviewReport.findAll({
+      attributes: [
+        "reviewId",
+        [Sequelize.fn("COUNT", Sequelize.col("id")), "reportCount"],
+        [Sequelize.fn("MAX", Sequelize.col("created_at")), "lastReportedAt"]
+      ],
+      where: { status },
+      group: [Sequelize.col("review_id")],
+      order: [[Sequelize.literal('"reportCount"'), "DESC"], [Sequelize.literal('"lastReportedAt"'), "DESC"]],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+      raw: true
+    });
+
+    const reviewIds = groups.map(group => group.reviewId);
+    const reviews = reviewIds.length === 0 ? [] : await Review.findAll({
+      where: { id: { [Op.in]: reviewIds } },
+      include: [
+        {
+          model: ReviewReport,
+          as: "Reports",
+          where: { status },
+          include: [{ model: User, as: "Reporter", attributes: ["id", "name"] }]
+        },
+        {
+          model: User,
+          as: "User",
+          attributes: ["id", "name", "email", "reviewsSuspendedUntil"]
+        },
+        {
+          model: Place,
+          as: "Place",
+          attributes: ["id", "title"]
+        },
+        {
+          model: ReviewReportDecision,
+          as: "decisions",
+          required: false,
+          include: [{ model: User, as: "agent", attributes: ["id", "name"] }]
+        }
+      ],
+      order: [
+        [{ model: ReviewReport, as: "Reports" }, "created_at", "DESC"],
+        [{ model: ReviewReportDecision, as: "decisions" }, "created_at", "DESC"]
+      ]
+    });
+
+    // Keep the order of the grouped query
+    const reviewsById = new Map(reviews.map(review => [review.id, review]));
+    return {
+      reviews: reviewIds.map(id => reviewsById.get(id)).filter(Boolean),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(totalItems / pageSize),
+        totalItems,
+        itemsPerPage: pageSize
+      }
+    };
+  }
+
+  /**
+   * Decide on all open reports of a review (agent only)
+   * @param {number} reviewId - Review ID
+   * @param {Object} userData - Authenticated agent
+   * @param {Object} decision - { action, note, suspensionDays }
+   * @returns {Promise<Object>} { decision, review }
+   */
+  static async resolveReports(reviewId, userData, { action, note, suspensionDays = DEFAULT_SUSPENSION_DAYS } = {}) {
+    this._checkAgent(userData);
+
+    if (!DECISION_ACTIONS.includes(action)) {
+      const error = new Error(`Invalid action. Must be one of: ${DECISION_ACTIONS.join(", ")}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const text = typeof note === "string" ? note.trim() : "";
+    if (text.length > MAX_NOTE_LENGTH) {
+      const error = new Error(`Note must be at most ${MAX_NOTE_LENGTH} characters`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const days = parseInt(suspensionDays);
+    if (action === "suspend_author" && !(days >= 1 && days <= MAX_SUSPENSION_DAYS)) {
+      const error = new Error(`Suspension must be between 1 and ${MAX_SUSPENSION_DAYS} days`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const review = await Review.findByPk(reviewId, {
+      include: [{ model: Place, as: "Place", attributes: ["id", "title"] }]
+    });
+    if (!review) {
+      const error = new Error("Review not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const upheld = action !== "dismiss";
+    const suspendedUntil = action === "suspend_author"
+      ? new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { decision, reports } = await sequelize.transaction(async (transaction) => {
+      // Lock the open reports so a second agent deciding at the same time waits
+      // and then finds nothing left to decide on
+      const openReports = await ReviewReport.findAll({
+        where: { reviewId: review.id, status: "pending" },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (openReports.length === 0) {
+        const error = new Error("Review has no open reports; they may have just been decided by another agent");
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const created = await ReviewReportDecision.create({
+        reviewId: review.id,
+        agentId: userData.id,
+        authorId: review.userId,
+        action,
+        note: text || null,
+        reportIds: openReports.map(report => report.id),
+        suspendedUntil
+      }, { transaction });
+
+      await ReviewReport.update(
+        { status: upheld ? "resolved" : "dismissed", decisionId: created.id },
+        { where: { id: { [Op.in]: created.reportIds } }, transaction }
+      );
+
+      if (upheld) {
+        await review.update({ status: "rejected", isVisible: false }, { transaction });
+      } else {
+        await this._restoreAfterDismissal(review, transaction);
+      }
+
+      if (suspendedUntil) {
+        await User.update(
+          { reviewsSuspendedUntil: suspendedUntil },
+          { where: { id: review.userId }, transaction }
+        );
+      }
+
+      return { decision: created, reports: openReports };
+    });
+
+    try {
+      await PlaceRatingService.calculateAndUpdateRating(review.placeId);
+    } catch (error) {
+      console.error("Error updating place rating after report decision:", error);
+    }
+
+    await this._notifyOutcome(decision, review, reports);
+
+    const saved = await ReviewReportDecision.findByPk(decision.id, {
+      include: [{ model: User, as: "agent", attributes: ["id", "name"] }]
+    });
+    return { decision: saved, review };
+  }
+
+  // Private helper methods
+  static _checkAgent(userData) {
+    if (userData.userType !== "agent") {
+      const error = new Error("Only agents can handle review reports");
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  // Re-score without the dismissed reports; only a review the reports hid is shown again,
+  // one hidden by moderation or an agent for another reason stays hidden
+  static async _restoreAfterDismissal(review, transaction) {
+    const hidByReports = ReviewModerationService.hiddenByReports(review);
+    const { decision } = await ReviewModerationService.applyReports(review, { transaction });
+
+    if (hidByReports && review.status === "pending" && !review.isVisible && decision !== "hide") {
+      await review.update({
+        isVisible: true,
+        ...(decision === "approve" && { status: "approved" })
+      }, { transaction });
+    }
+  }
+
+  static async _notifyOutcome(decision, review, reports) {
+    const reporterIds = [...new Set(reports.map(report => report.reporterId))];
+
+    for (const reporterId of reporterIds) {
+      try {
+        await ReviewNotificationService.createReportResolvedNotification(decision, review, reporterId);
+      } catch (error) {
+        console.error(`Error notifying reporter ${reporterId} of report decision:`, error);
+      }
+    }
+
+    if (decision.action !== "dismiss") {
+      try {
+        await ReviewNotificationService.createAuthorDecisionNotification(decision, review);
+      } catch (error) {
+        console.error("Error notifying review author of report decision:", error);
+      }
+    }
+  }
+}
+
+module.exports = ReviewReportService;
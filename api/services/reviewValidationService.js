@@ -18,6 +18,12 @@ const VALIDATION_RULES = {
     MIN: 1,
     MAX: 5
   },
+  // Optional sub-ratings next to the overall stars, same 1-5 scale
+  RATING_CATEGORIES: ["cleanliness", "equipment", "location", "value", "host"],
+  // Guest photos attached to a review, shown once the review is approved
+  PHOTOS: {
+    MAX_COUNT: 5
+  },
   COMMENT: {
     MIN_LENGTH: 10,
     MAX_LENGTH: 1000
@@ -36,7 +42,7 @@ const VALIDATION_RULES = {
  */
 const validateReviewCreation = (reviewData) => {
   const errors = [];
-  const { placeId, rating, comment } = reviewData;
+  const { placeId, rating, comment, categoryRatings } = reviewData;
 
   // Validate required fields
   if (!placeId) {
@@ -57,6 +63,8 @@ const validateReviewCreation = (reviewData) => {
     errors.push("Rating must be a whole number");
   }
 
+  errors.push(...validateCategoryRatings(categoryRatings));
+
   // Validate comment length (US-R003: 10-1000 characters)
   if (comment) {
     const trimmedComment = comment.trim();
@@ -74,6 +82,63 @@ const validateReviewCreation = (reviewData) => {
   };
 };
 
+/**
+ * Validate optional category ratings
+ * @param {Object} categoryRatings - Scores by category, e.g. { cleanliness: 5, value: 4 }
+ * @returns {Array<string>} Validation errors
+ */
+const validateCategoryRatings = (categoryRatings) => {
+  const errors = [];
+
+  if (categoryRatings === undefined || categoryRatings === null) {
+    return errors;
+  }
+
+  if (typeof categoryRatings !== "object" || Array.isArray(categoryRatings)) {
+    return ["Category ratings must be an object"];
+  }
+
+  Object.entries(categoryRatings).forEach(([category, score]) => {
+    if (!VALIDATION_RULES.RATING_CATEGORIES.includes(category)) {
+      errors.push(`Invalid rating category: ${category}. Must be one of: ${VALIDATION_RULES.RATING_CATEGORIES.join(", ")}`);
+      return;
+    }
+
+    // An unset category is allowed; guests rate only what they noticed
+    if (score === null || score === undefined || score === "" || score === 0) {
+      return;
+    }
+
+    const value = Number(score);
+    if (!Number.isInteger(value) || value < VALIDATION_RULES.RATING.MIN || value > VALIDATION_RULES.RATING.MAX) {
+      errors.push(`${category} rating must be a whole number between ${VALIDATION_RULES.RATING.MIN} and ${VALIDATION_RULES.RATING.MAX}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Keep the rated categories of validated category ratings
+ * @param {Object} categoryRatings - Validated scores by category
+ * @returns {Object|null} Integer scores of the rated categories, null when none is rated
+ */
+const normalizeCategoryRatings = (categoryRatings) => {
+  if (!categoryRatings) {
+    return null;
+  }
+
+  const normalized = {};
+  VALIDATION_RULES.RATING_CATEGORIES.forEach(category => {
+    const value = Number(categoryRatings[category]);
+    if (value >= VALIDATION_RULES.RATING.MIN) {
+      normalized[category] = value;
+    }
+  });
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+};
+
 /**
  * Validate review reply data
  * @param {Object} replyData - Reply data to validate
@@ -195,6 +260,8 @@ const validateUserAuthorization = (user, targetUser = null) => {
 
 module.exports = {
   validateReviewCreation,
+  validateCategoryRatings,
+  normalizeCategoryRatings,
   validateReviewReply,
   validateReviewReport,
   validateReviewStatus,
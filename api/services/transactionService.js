@@ -14,21 +14,25 @@ class TransactionService {
       providerTransactionId,
       amount,
       currency = 'UZS',
+      exchangeRate = null,
       bookingId,
       userId,
       providerData = {},
-      state = 1 // Default to pending state
+      state = 1, // Default to pending state
+      paymentType = 'full'
     } = data;
 
     return await Transaction.create({
       state,
       amount,
       currency,
+      exchangeRate,
       provider,
       providerTransactionId,
       providerData,
       bookingId,
       userId,
+      paymentType,
       createDate: new Date()
     });
   }
@@ -73,6 +77,7 @@ class TransactionService {
       clickInvoiceId,
       amount,
       currency = 'UZS',
+      exchangeRate = null,
       bookingId,
       userId,
       merchantTransId,
@@ -84,6 +89,7 @@ class TransactionService {
       state: 1, // Pending state
       amount,
       currency,
+      exchangeRate,
       provider: 'click',
       providerTransactionId: clickInvoiceId,
       providerData: {
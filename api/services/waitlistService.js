@@ -0,0 +1,348 @@
+const crypto = require("crypto");
+const { WaitlistEntry, Booking, Place } = require("../models");
+const { Op } = require("sequelize");
+const BookingNotificationService = require("./bookingNotificationService");
+const { hasTimeSlotConflict, findActiveBookingHolds } = require("../utils/bookingUtils");
+const { isDateInPastUzbekistan, isTimeInPastUzbekistan, getCurrentDateInUzbekistan } = require("../utils/uzbekistanTimezoneUtils");
+
+// How long a notified client has to use the claim link before the next client is notified
+const CLAIM_DURATION_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES, 10) || 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OPEN_STATUSES = ['waiting', 'notified'];
+
+/**
+ * Waitlist Service - Waiting for taken time slots
+ *
+ * A client can wait for a date/time range of a place that is taken by an
+ * approved booking or a checkout hold. When a booking covering it is rejected,
+ * cancelled or its hold expires, the first waiting client (by join order) whose
+ * range is now free gets a claim link valid for CLAIM_DURATION_MINUTES. While a
+ * claim is open nobody behind it is notified for an overlapping range; a lapsed
+ * or abandoned claim passes the slot on to the next client in line.
+ */
+class WaitlistService {
+  /**
+   * Join the waitlist for a taken date/time range (clients only)
+   * @param {Object} userData - Authenticated user
+   * @param {Object} data - { placeId, date, startTime, endTime }
+   * @returns {Promise<Object>} Created waitlist entry
+   */
+  static async joinWaitlist(userData, { placeId, date, startTime, endTime } = {}) {
+    if (userData.userType !== 'client') {
+      const error = new Error("Only clients can join a waitlist");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (!DATE_PATTERN.test(date || '') || !TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '') || startTime >= endTime) {
+      const error = new Error("A valid date, start time and end time are required");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (isDateInPastUzbekistan(date) || isTimeInPastUzbekistan(date, startTime)) {
+      const error = new Error("Cannot join a waitlist for a time in the past");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const place = await Place.findByPk(placeId);
+    if (!place) {
+      const error = new Error("Place not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const slot = { date, startTime, endTime };
+    if (!(await this._isSlotTaken(place, slot))) {
+      const error = new Error("This time range is available. Book it directly instead of joining the waitlist.");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const existingEntry = await WaitlistEntry.findOne({
+      where: { userId: userData.id, placeId: place.id, date, startTime, endTime, status: { [Op.in]: OPEN_STATUSES } }
+    });
+    if (existingEntry) {
+      const error = new Error("You are already on the waitlist for this time range");
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return WaitlistEntry.create({
+      userId: userData.id,
+      placeId: place.id,
+      date,
+      startTime,
+      endTime,
+      status: 'waiting'
+    });
+  }
+
+  /**
+   * Open waitlist entries of the authenticated client
+   * @param {Object} userData - Authenticated user
+   * @param {Object} filters - { placeId } to limit to one place
+   * @returns {Promise<Array>} Waiting and notified entries
+   */
+  static async getUserEntries(userData, { placeId } = {}) {
+    return WaitlistEntry.findAll({
+      where: {
+        userId: userData.id,
+        status: { [Op.in]: OPEN_STATUSES },
+        ...(placeId && { placeId })
+      },
+      include: [
+        {
+          model: Place,
+          as: 'place',
+          attributes: ['id', 'title']
+        }
+      ],
+      order: [['date', 'ASC'], ['startTime', 'ASC']]
+    });
+  }
+
+  /**
+   * Leave the waitlist; an unused claim is passed on to the next client in line
+   * @param {number} entryId - Waitlist entry ID
+   * @param {Object} userData - Authenticated user
+   * @returns {Promise<Object>} { success }
+   */
+  static async leaveWaitlist(entryId, userData) {
+    const entry = await WaitlistEntry.findByPk(entryId);
+    if (!entry) {
+      const error = new Error("Waitlist entry not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (entry.userId !== userData.id) {
+      const error = new Error("Access denied. You can only leave your own waitlist entries");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (!OPEN_STATUSES.includes(entry.status)) {
+      const error = new Error(`Cannot leave a ${entry.status} waitlist entry`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const hadClaim = entry.status === 'notified';
+    await entry.update({ status: 'cancelled' });
+
+    if (hadClaim) {
+      await this.notifyForReleasedSlots(entry.placeId, [this._toSlot(entry)]);
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Look up an open claim from a claim link (owner only)
+   * @param {string} token - Claim token
+   * @param {Object} userData - Authenticated user
+   * @returns {Promise<Object>} The notified waitlist entry
+   */
+  static async getClaim(token, userData) {
+    const entry = await WaitlistEntry.findOne({
+      where: { claimToken: token },
+      include: [
+        {
+          model: Place,
+          as: 'place',
+          attributes: ['id', 'title']
+        }
+      ]
+    });
+    if (!entry) {
+      const error = new Error("Waitlist claim not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (entry.userId !== userData.id) {
+      const error = new Error("This claim link belongs to another client");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (entry.status !== 'notified' || entry.claimExpiresAt <= new Date()) {
+      const error = new Error("This claim link has expired");
+      error.statusCode = 410;
+      throw error;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Mark an open claim as used by a newly created booking request
+   * Invalid or lapsed tokens are ignored - the booking itself stands on its own
+   * @param {string} token - Claim token from the claim link
+   * @param {Object} booking - Booking created by the claiming client
+   * @returns {Promise<Object|null>} The claimed entry, if any
+   */
+  static async claimWithBooking(token, booking) {
+    const entry = await WaitlistEntry.findOne({
+      where: {
+        claimToken: token,
+        userId: booking.userId,
+        placeId: booking.placeId,
+        status: 'notified',
+        claimExpiresAt: { [Op.gt]: new Date() }
+      }
+    });
+    if (!entry) {
+      return null;
+    }
+
+    await entry.update({ status: 'claimed', bookingId: booking.id });
+    return entry;
+  }
+
+  /**
+   * Notify the first waiting client for each freed range of a place
+   * Called when a booking is rejected or cancelled and when holds or claims lapse.
+   * Ranges still taken by another booking, hold or open claim are skipped.
+   * @param {number} placeId - Place ID
+   * @param {Array} timeSlots - Freed time slots ({ date, startTime, endTime })
+   * @returns {Promise<Array>} Entries that were notified
+   */
+  static async notifyForReleasedSlots(placeId, timeSlots = []) {
+    if (!placeId || timeSlots.length === 0) {
+      return [];
+    }
+
+    const waitingEntries = await WaitlistEntry.findAll({
+      where: {
+        placeId,
+        status: 'waiting',
+        date: { [Op.in]: [...new Set(timeSlots.map(slot => slot.date))] }
+      },
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
+    });
+    const candidates = waitingEntries.filter(entry =>
+      timeSlots.some(slot => hasTimeSlotConflict(this._toSlot(entry), slot, 0))
+    );
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const place = await Place.findByPk(placeId);
+    if (!place) {
+      return [];
+    }
+
+    const openClaims = await WaitlistEntry.findAll({
+      where: { placeId, status: 'notified', claimExpiresAt: { [Op.gt]: new Date() } }
+    });
+    const claimedSlots = openClaims.map(entry => this._toSlot(entry));
+    const notified = [];
+
+    for (const entry of candidates) {
+      const slot = this._toSlot(entry);
+      if (claimedSlots.some(claimedSlot => hasTimeSlotConflict(slot, claimedSlot, 0))) continue;
+      if (await this._isSlotTaken(place, slot)) continue;
+
+      await this._sendClaim(entry, place);
+      claimedSlots.push(slot);
+      notified.push(entry);
+    }
+
+    return notified;
+  }
+
+  /**
+   * Notify the waitlist for the time slots of a booking that no longer blocks them
+   * @param {Object} booking - Rejected or cancelled booking
+   */
+  static async notifyForReleasedBooking(booking) {
+    try {
+      await this.notifyForReleasedSlots(booking.placeId, booking.timeSlots || []);
+    } catch (error) {
+      console.error("Error notifying waitlist for released booking:", error);
+    }
+  }
+
+  /**
+   * Expire entries for past dates and lapsed claims, passing lapsed claims on
+   * Called from cleanupExpiredBookings
+   * @returns {Promise<number>} Number of lapsed claims
+   */
+  static async expireLapsedClaims() {
+    await WaitlistEntry.update(
+      { status: 'expired' },
+      { where: { status: { [Op.in]: OPEN_STATUSES }, date: { [Op.lt]: getCurrentDateInUzbekistan() } } }
+    );
+
+    const lapsedClaims = await WaitlistEntry.findAll({
+      where: { status: 'notified', claimExpiresAt: { [Op.lte]: new Date() } }
+    });
+    if (lapsedClaims.length === 0) {
+      return 0;
+    }
+
+    await WaitlistEntry.update(
+      { status: 'expired' },
+      { where: { id: { [Op.in]: lapsedClaims.map(entry => entry.id) } } }
+    );
+
+    for (const entry of lapsedClaims) {
+      await this.notifyForReleasedSlots(entry.placeId, [this._toSlot(entry)]);
+    }
+
+    return lapsedClaims.length;
+  }
+
+  // Private helper methods
+  static _toSlot(entry) {
+    return { date: entry.date, startTime: entry.startTime, endTime: entry.endTime };
+  }
+
+  static async _isSlotTaken(place, slot) {
+    const approvedBookings = await Booking.findAll({
+      where: { placeId: place.id, status: 'approved' },
+      attributes: ['id', 'timeSlots']
+    });
+    const isBooked = approvedBookings.some(booking =>
+      (booking.timeSlots || []).some(bookedSlot => hasTimeSlotConflict(slot, bookedSlot, place.cooldown || 0))
+    );
+    if (isBooked) {
+      return true;
+    }
+
+    const holds = await findActiveBookingHolds(place.id, [slot]);
+    return holds.length > 0;
+  }
+
+  static async _sendClaim(entry, place) {
+    const notifiedAt = new Date();
+    await entry.update({
+      status: 'notified',
+      claimToken: crypto.randomBytes(24).toString('hex'),
+      notifiedAt,
+      claimExpiresAt: new Date(notifiedAt.getTime() + CLAIM_DURATION_MINUTES * 60 * 1000)
+    });
+
+    try {
+      await BookingNotificationService.createWaitlistSlotAvailableNotification(entry, place, this._getClaimPath(entry));
+    } catch (error) {
+      console.error("Error creating waitlist notification:", error);
+    }
+  }
+
+  static _getClaimPath(entry) {
+    const params = new URLSearchParams({
+      dates: entry.date,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      waitlistClaim: entry.claimToken
+    });
+    return `/place/${entry.placeId}?${params.toString()}`;
+  }
+}
+
+module.exports = WaitlistService;
@@ -5,16 +5,61 @@
 const { 
   validateBookingDateTimeUzbekistan, 
   isDateInPastUzbekistan,
-  isTimeInPastUzbekistan
+  isTimeInPastUzbekistan,
+  getHoursUntilDateTimeUzbekistan
 } = require('./uzbekistanTimezoneUtils');
 const { Booking } = require('../models');
 const { Op } = require('sequelize');
 
+/**
+ * Expire lapsed checkout holds so their slots become payable again; freed slots
+ * go to the first client waiting for them
+ */
+const expireLapsedHolds = async () => {
+  const { BookingHold } = require("../models");
+  const WaitlistService = require("../services/waitlistService");
+  const lapsedHolds = await BookingHold.findAll({
+    where: {
+      status: { [Op.in]: ['active', 'converted'] },
+      expiresAt: { [Op.lte]: new Date() }
+    },
+    attributes: ['id', 'placeId', 'timeSlots']
+  });
+
+  if (lapsedHolds.length > 0) {
+    await BookingHold.update(
+      { status: 'expired' },
+      { where: { id: { [Op.in]: lapsedHolds.map(hold => hold.id) } } }
+    );
+
+    for (const hold of lapsedHolds) {
+      await WaitlistService.notifyForReleasedSlots(hold.placeId, hold.timeSlots || []);
+    }
+  }
+};
+
 /**
  * Automatic cleanup of expired pending/selected bookings
- * Removes bookings in "pending" or "selected" status where all time slots are in the past
+ * Removes bookings in "pending" or "selected" status where all time slots are in the past,
+ * and expires lapsed checkout holds and waitlist claims. Each step runs on its own, so a
+ * failing step does not skip the others. Runs on booking reads, so nothing here cancels
+ * bookings; overdue deposit balances are collected by BookingPaymentService on a schedule.
  */
 const cleanupExpiredBookings = async () => {
+  try {
+    await expireLapsedHolds();
+  } catch (error) {
+    console.error('Error expiring checkout holds:', error);
+  }
+
+  try {
+    // Unused waitlist claims pass their slot on to the next client in line
+    const WaitlistService = require("../services/waitlistService");
+    await WaitlistService.expireLapsedClaims();
+  } catch (error) {
+    console.error('Error expiring waitlist claims:', error);
+  }
+
   try {
     // Get all pending and selected bookings
     const expiredCandidates = await Booking.findAll({
@@ -119,7 +164,7 @@ const hasTimeSlotConflict = (slot1, slot2, cooldownMinutes = 0) => {
  * This allows multiple pending requests to compete for the same time slots
  * Now includes Uzbekistan timezone-aware validation
  */
-const validateBookingTimeSlots = async (timeSlots, placeId, cooldownMinutes = 0) => {
+const validateBookingTimeSlots = async (timeSlots, placeId, cooldownMinutes = 0, excludeBookingId = null) => {
   try {
     // Get place details for working hours validation
     const { Place } = require("../models");
@@ -172,7 +217,8 @@ const validateBookingTimeSlots = async (timeSlots, placeId, cooldownMinutes = 0)
     const existingBookings = await Booking.findAll({
       where: {
         placeId: placeId,
-        status: ['approved'] // Only check against confirmed bookings, allow competing pending requests
+        status: ['approved'], // Only check against confirmed bookings, allow competing pending requests
+        ...(excludeBookingId && { id: { [Op.ne]: excludeBookingId } }) // Skip the booking being rescheduled
       }
     });
     
@@ -276,10 +322,63 @@ const findCompetingBookings = async (timeSlots, placeId, excludeBookingId = null
   }
 };
 
+/**
+ * Find unexpired checkout holds on a place whose time slots overlap the given ones
+ * Only holds on bookings that are still awaiting payment ("selected") block a slot;
+ * pass a transaction to read holds under the caller's place lock
+ */
+const findActiveBookingHolds = async (placeId, timeSlots = null, excludeBookingId = null, { transaction } = {}) => {
+  const { BookingHold } = require("../models");
+
+  const holds = await BookingHold.findAll({
+    transaction,
+    where: {
+      placeId: placeId,
+      status: { [Op.in]: ['active', 'converted'] },
+      expiresAt: { [Op.gt]: new Date() },
+      ...(excludeBookingId && { bookingId: { [Op.ne]: excludeBookingId } })
+    },
+    include: [
+      {
+        model: Booking,
+        as: 'booking',
+        attributes: ['id', 'status', 'userId'],
+        where: { status: 'selected' }
+      }
+    ]
+  });
+
+  if (!timeSlots) return holds;
+
+  return holds.filter(hold =>
+    (hold.timeSlots || []).some(heldSlot =>
+      timeSlots.some(slot => hasTimeSlotConflict(slot, heldSlot, 0))
+    )
+  );
+};
+
+/**
+ * Hours remaining until the booking starts (earliest time slot, or check-in date)
+ * Used for refund and reschedule notice windows
+ */
+const getHoursUntilBookingStart = (booking) => {
+  if (booking.timeSlots && booking.timeSlots.length > 0) {
+    const [firstSlot] = [...booking.timeSlots].sort((a, b) =>
+      `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`)
+    );
+    return getHoursUntilDateTimeUzbekistan(firstSlot.date, firstSlot.startTime);
+  }
+
+  const checkInDate = new Date(booking.checkInDate).toISOString().split('T')[0];
+  return getHoursUntilDateTimeUzbekistan(checkInDate);
+};
+
 module.exports = {
   hasTimeSlotConflict,
   validateBookingTimeSlots,
   findConflictingBookings,
   findCompetingBookings,
-  cleanupExpiredBookings
+  cleanupExpiredBookings,
+  findActiveBookingHolds,
+  getHoursUntilBookingStart
 };
@@ -0,0 +1,110 @@
+/**
+ * Recurrence rule utilities for booking series
+ * Supports a small RRULE subset: FREQ=WEEKLY|MONTHLY, INTERVAL, UNTIL, COUNT
+ */
+
+const moment = require('moment-timezone');
+
+const UZBEKISTAN_TIMEZONE = 'Asia/Tashkent';
+
+// Upper bound on generated occurrences to keep a single series request bounded
+const MAX_OCCURRENCES = 52;
+
+// Frequencies exposed to clients and their RRULE equivalents
+const SUPPORTED_FREQUENCIES = {
+  weekly: { freq: 'WEEKLY', interval: 1, unit: 'weeks' },
+  biweekly: { freq: 'WEEKLY', interval: 2, unit: 'weeks' },
+  monthly: { freq: 'MONTHLY', interval: 1, unit: 'months' }
+};
+
+/**
+ * Build an RRULE string from series options
+ * @param {Object} options - { frequency, untilDate, count }
+ * @returns {string} RRULE string, e.g. "FREQ=WEEKLY;INTERVAL=2;COUNT=10"
+ */
+const buildRecurrenceRule = ({ frequency, untilDate, count }) => {
+  const config = SUPPORTED_FREQUENCIES[frequency];
+  const parts = [`FREQ=${config.freq}`, `INTERVAL=${config.interval}`];
+
+  if (untilDate) {
+    parts.push(`UNTIL=${untilDate.replace(/-/g, '')}`);
+  }
+  if (count) {
+    parts.push(`COUNT=${count}`);
+  }
+
+  return parts.join(';');
+};
+
+/**
+ * Validate series recurrence options
+ * @param {Object} options - { startDate, frequency, untilDate, count }
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validateRecurrenceOptions = ({ startDate, frequency, untilDate, count }) => {
+  if (!SUPPORTED_FREQUENCIES[frequency]) {
+    return {
+      isValid: false,
+      error: `Invalid frequency: ${frequency}. Valid options are: ${Object.keys(SUPPORTED_FREQUENCIES).join(', ')}`
+    };
+  }
+
+  if (!startDate || !moment(startDate, 'YYYY-MM-DD', true).isValid()) {
+    return { isValid: false, error: "Start date must be in YYYY-MM-DD format" };
+  }
+
+  if (!untilDate && !count) {
+    return { isValid: false, error: "Either an end date or a number of occurrences is required" };
+  }
+
+  if (untilDate) {
+    if (!moment(untilDate, 'YYYY-MM-DD', true).isValid()) {
+      return { isValid: false, error: "End date must be in YYYY-MM-DD format" };
+    }
+    if (moment(untilDate).isBefore(moment(startDate))) {
+      return { isValid: false, error: "End date must be on or after the start date" };
+    }
+  }
+
+  if (count !== undefined && count !== null) {
+    const countNum = parseInt(count, 10);
+    if (isNaN(countNum) || countNum < 2 || countNum > MAX_OCCURRENCES) {
+      return { isValid: false, error: `Number of occurrences must be between 2 and ${MAX_OCCURRENCES}` };
+    }
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Generate occurrence dates for a series
+ * Each date is derived from the start date (not the previous occurrence) so monthly
+ * series stay on the same day of month where it exists
+ * @param {Object} options - { startDate, frequency, untilDate, count }
+ * @returns {Array<string>} Occurrence dates in YYYY-MM-DD format
+ */
+const generateOccurrenceDates = ({ startDate, frequency, untilDate, count }) => {
+  const config = SUPPORTED_FREQUENCIES[frequency];
+  const start = moment.tz(startDate, 'YYYY-MM-DD', UZBEKISTAN_TIMEZONE);
+  const until = untilDate ? moment.tz(untilDate, 'YYYY-MM-DD', UZBEKISTAN_TIMEZONE) : null;
+  const limit = Math.min(count ? parseInt(count, 10) : MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+  const dates = [];
+  for (let i = 0; dates.length < limit; i++) {
+    const occurrence = start.clone().add(i * config.interval, config.unit);
+    if (until && occurrence.isAfter(until, 'day')) {
+      break;
+    }
+    dates.push(occurrence.format('YYYY-MM-DD'));
+  }
+
+  return dates;
+};
+
+module.exports = {
+  SUPPORTED_FREQUENCIES,
+  MAX_OCCURRENCES,
+  buildRecurrenceRule,
+  validateRecurrenceOptions,
+  generateOccurrenceDates
+};
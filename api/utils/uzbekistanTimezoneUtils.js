@@ -185,6 +185,15 @@ const getAvailableDatesFromUzbekistan = (startDate, endDate, blockedDates = [],
   return availableDates;
 };
 
+/**
+ * Get hours from now until a date/time in Uzbekistan timezone (negative if already passed)
+ */
+const getHoursUntilDateTimeUzbekistan = (dateString, timeString = '00:00') => {
+  const target = moment.tz(`${dateString} ${timeString}`, 'YYYY-MM-DD HH:mm', UZBEKISTAN_TIMEZONE);
+  const now = moment().tz(UZBEKISTAN_TIMEZONE);
+  return target.diff(now, 'minutes') / 60;
+};
+
 module.exports = {
   getCurrentTimeInUzbekistan,
   getCurrentDateInUzbekistan,
@@ -195,5 +204,6 @@ module.exports = {
   validateBookingDateTimeUzbekistan,
   getAvailableDatesFromUzbekistan,
   generateTimeSlots,
+  getHoursUntilDateTimeUzbekistan,
   UZBEKISTAN_TIMEZONE
 };
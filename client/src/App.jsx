@@ -19,6 +19,7 @@ import { AttendeesFilterProvider } from "./contexts/AttendeesFilterContext";
 import { SizeFilterProvider } from "./contexts/SizeFilterContext";
 import { PerksFilterProvider } from "./contexts/PerksFilterContext";
 import { PoliciesFilterProvider } from "./contexts/PoliciesFilterContext";
+import { RatingFilterProvider } from "./contexts/RatingFilterContext";
 import { FavoritesProvider } from "./contexts/FavoritesContext";
 import PlacesPage from "./pages/PlacesPage";
 import ProfilePage from "./pages/ProfilePage";
@@ -32,6 +33,11 @@ import HostReviewsPage from "./pages/HostReviewsPage";
 import UsersPage from "./pages/UsersPage";
 import AllPlacesPage from "./pages/AllPlacesPage";
 import AgentReviewsPage from "./pages/AgentReviewsPage";
+import ReviewReportsPage from "./pages/ReviewReportsPage";
+import PromoCodesPage from "./pages/PromoCodesPage";
+import PayoutsPage from "./pages/PayoutsPage";
+import ReconciliationPage from "./pages/ReconciliationPage";
+import ExchangeRatesPage from "./pages/ExchangeRatesPage";
 import FavoritesPage from "./pages/FavoritesPage";
 import NotificationsPage from "./pages/NotificationsPage";
 import HostBookingManagementPage from "./pages/HostBookingManagementPage";
@@ -64,6 +70,7 @@ function App() {
                   <SizeFilterProvider>
                     <PerksFilterProvider>
                       <PoliciesFilterProvider>
+                      <RatingFilterProvider>
                   <Routes>
           <Route path="/" element={<Layout />}>
             <Route index element={<LandingPage />} />
@@ -100,8 +107,14 @@ function App() {
             <Route path="/account/users" element={<UsersPage />}/>
             <Route path="/account/all-places" element={<AllPlacesPage />}/>
             <Route path="/account/reviews" element={<AgentReviewsPage />}/>
+            <Route path="/account/review-reports" element={<ReviewReportsPage />}/>
+            <Route path="/account/promo-codes" element={<PromoCodesPage />}/>
+            <Route path="/account/payouts" element={<PayoutsPage />}/>
+            <Route path="/account/reconciliation" element={<ReconciliationPage />}/>
+            <Route path="/account/exchange-rates" element={<ExchangeRatesPage />}/>
           </Route>
         </Routes>
+                      </RatingFilterProvider>
                       </PoliciesFilterProvider>
                     </PerksFilterProvider>
                   </SizeFilterProvider>
@@ -0,0 +1,102 @@
+import { useTranslation } from "react-i18next";
+import PriceInput from "./PriceInput";
+import { ADD_ON_UNITS } from "../utils/pricingCalculator";
+
+/**
+ * AddOnsEditor Component
+ *
+ * Lets hosts offer priced extras with the place (projector, catering, interpreter
+ * booths, parking). Each add-on is priced per booking, per hour or per guest and
+ * can have a stock limit. New add-ons get their ID from the server on save.
+ */
+const AddOnsEditor = ({ addOns, setAddOns, currency }) => {
+  const { t } = useTranslation("places");
+  const items = addOns || [];
+
+  const addAddOn = () => {
+    setAddOns([...items, { name: "", description: "", unit: "per_booking", price: 0, stock: null }]);
+  };
+
+  const updateAddOn = (index, changes) => {
+    setAddOns(items.map((addOn, i) => (i === index ? { ...addOn, ...changes } : addOn)));
+  };
+
+  const removeAddOn = (index) => {
+    setAddOns(items.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div id="add-ons" className="space-y-3">
+      {items.map((addOn, index) => (
+        <div key={addOn.id || index} className="p-3 border border-gray-200 rounded-xl space-y-2">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            <input
+              type="text"
+              value={addOn.name}
+              maxLength={100}
+              placeholder={t("places:placeCreate.addOnsEditor.namePlaceholder")}
+              onChange={(e) => updateAddOn(index, { name: e.target.value })}
+              className="border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+            />
+            <input
+              type="text"
+              value={addOn.description || ""}
+              maxLength={300}
+              placeholder={t("places:placeCreate.addOnsEditor.descriptionPlaceholder")}
+              onChange={(e) => updateAddOn(index, { description: e.target.value })}
+              className="border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+            />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-2 items-end">
+            <PriceInput
+              value={addOn.price}
+              onChange={(value) => updateAddOn(index, { price: parseFloat(value) || 0 })}
+              currency={currency}
+              label={t("places:placeCreate.addOnsEditor.price")}
+              isRequired={true}
+            />
+            <label className="text-sm text-gray-700">
+              {t("places:placeCreate.addOnsEditor.unit")}
+              <select
+                value={addOn.unit}
+                onChange={(e) => updateAddOn(index, { unit: e.target.value })}
+                className="mt-1 w-full border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+              >
+                {ADD_ON_UNITS.map(unit => (
+                  <option key={unit} value={unit}>{t(`places:placeCreate.addOnsEditor.units.${unit}`)}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              {t("places:placeCreate.addOnsEditor.stock")}
+              <input
+                type="number"
+                min="1"
+                value={addOn.stock ?? ""}
+                placeholder={t("places:placeCreate.addOnsEditor.unlimited")}
+                onChange={(e) => updateAddOn(index, { stock: parseInt(e.target.value, 10) || null })}
+                className="mt-1 w-full border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+              />
+            </label>
+            <button
+              type="button"
+              onClick={() => removeAddOn(index)}
+              className="text-sm text-red-600 hover:underline md:mb-2"
+            >
+              {t("places:placeCreate.addOnsEditor.remove")}
+            </button>
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={addAddOn}
+        className="text-sm text-blue-600 hover:underline"
+      >
+        + {t("places:placeCreate.addOnsEditor.add")}
+      </button>
+    </div>
+  );
+};
+
+export default AddOnsEditor;
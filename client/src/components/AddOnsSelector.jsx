@@ -0,0 +1,77 @@
+import { useTranslation } from "react-i18next";
+import PriceDisplay from "./PriceDisplay";
+
+/**
+ * AddOnsSelector Component
+ *
+ * Lets clients pick the place's priced add-ons in BookingWidget.
+ * Selections are [{ id, quantity }]; per-guest add-ons follow the number of attendees.
+ */
+export default function AddOnsSelector({ addOns = [], selectedAddOns = [], onChange, currency }) {
+  const { t } = useTranslation('booking');
+
+  if (!addOns || addOns.length === 0) {
+    return null;
+  }
+
+  const getSelection = (addOnId) => selectedAddOns.find(selection => selection.id === addOnId);
+
+  const toggleAddOn = (addOn, checked) => {
+    if (checked) {
+      onChange([...selectedAddOns, { id: addOn.id, quantity: 1 }]);
+    } else {
+      onChange(selectedAddOns.filter(selection => selection.id !== addOn.id));
+    }
+  };
+
+  const updateQuantity = (addOn, value) => {
+    const maxQuantity = addOn.stock || Infinity;
+    const quantity = Math.max(1, Math.min(maxQuantity, parseInt(value, 10) || 1));
+    onChange(selectedAddOns.map(selection => (
+      selection.id === addOn.id ? { ...selection, quantity } : selection
+    )));
+  };
+
+  return (
+    <div className="px-3 py-4 border-t space-y-3">
+      <h4 className="text-sm font-medium text-gray-700">{t("widget.addOns.title")}</h4>
+      {addOns.map(addOn => {
+        const selection = getSelection(addOn.id);
+        return (
+          <div key={addOn.id} className="flex items-start justify-between gap-2">
+            <label className="flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={!!selection}
+                onChange={(e) => toggleAddOn(addOn, e.target.checked)}
+              />
+              <span>
+                <span className="font-medium">{addOn.name}</span>
+                {addOn.description && (
+                  <span className="block text-xs text-gray-500">{addOn.description}</span>
+                )}
+                <span className="block text-xs text-gray-500">
+                  <PriceDisplay price={addOn.price} currency={currency} bold={false} className="inline-block" />
+                  {" "}{t(`widget.addOns.units.${addOn.unit}`)}
+                  {addOn.stock ? ` • ${t("widget.addOns.available", { count: addOn.stock })}` : ""}
+                </span>
+              </span>
+            </label>
+            {selection && addOn.unit !== 'per_guest' && (
+              <input
+                type="number"
+                min="1"
+                max={addOn.stock || undefined}
+                value={selection.quantity}
+                onChange={(e) => updateQuantity(addOn, e.target.value)}
+                aria-label={t("widget.addOns.quantity")}
+                className="w-16 text-center border border-gray-300 rounded-lg py-1 text-sm"
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
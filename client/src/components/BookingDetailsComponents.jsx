@@ -6,6 +6,7 @@ import i18n from "../i18n/config";
 import CloudinaryImage from "./CloudinaryImage";
 import PriceDisplay from "./PriceDisplay";
 import BankDetailsSection from "./BankDetailsSection";
+import { downloadFile } from "../utils/fileDownload";
 import { getLatestContactInfo, shouldShowUpdatedIndicator } from "../utils/bookingDetailsHelpers";
 
 // Get appropriate locale for date formatting
@@ -232,6 +233,26 @@ export const PricingSection = ({ booking, user, children }) => {
           <span>{t('details.pricing.subtotal')}</span>
           <PriceDisplay price={booking.totalPrice} currency={booking.place?.currency} />
         </div>
+        {/* Add-ons priced at booking time */}
+        {(booking.selectedAddOns || []).map(addOn => (
+          <div key={addOn.id} className="flex justify-between text-gray-600">
+            <span>{addOn.name} × {addOn.quantity}{addOn.hours ? ` (${addOn.hours}h)` : ''}</span>
+            <PriceDisplay price={addOn.price} currency={booking.place?.currency} />
+          </div>
+        ))}
+        {/* The primary booking of a group invoices the other rooms too */}
+        {booking.group && booking.group.primaryBookingId === booking.id && (
+          <div className="flex justify-between text-gray-600">
+            <span>{t('details.pricing.otherGroupRooms')}</span>
+            <PriceDisplay price={booking.group.totalPrice - booking.totalPrice} currency={booking.place?.currency} />
+          </div>
+        )}
+        {booking.discountAmount > 0 && (
+          <div className="flex justify-between text-green-700">
+            <span>{t('details.pricing.promoDiscount', { code: booking.promoCode })}</span>
+            <PriceDisplay price={-booking.discountAmount} currency={booking.place?.currency} />
+          </div>
+        )}
         <hr />
         <div className="flex justify-between font-semibold text-lg">
           <span>{t('details.pricing.total')}</span>
@@ -240,6 +261,31 @@ export const PricingSection = ({ booking, user, children }) => {
             currency={booking.place?.currency} 
           />
         </div>
+        {/* Bookings with a deposit are paid in two parts */}
+        {booking.depositAmount > 0 && (
+          <>
+            <div className="flex justify-between text-gray-600">
+              <span>{t('details.pricing.deposit')}</span>
+              <PriceDisplay price={booking.depositAmount} currency={booking.place?.currency} />
+            </div>
+            {booking.amountPaid > 0 && (
+              <div className="flex justify-between text-gray-600">
+                <span>{t('details.pricing.amountPaid')}</span>
+                <PriceDisplay price={booking.amountPaid} currency={booking.place?.currency} />
+              </div>
+            )}
+            {!booking.paidAt && booking.amountDue > 0 && booking.balanceDueAt && (
+              <div className="flex justify-between font-medium">
+                <span>
+                  {t('details.pricing.balanceDue', {
+                    date: format(new Date(booking.balanceDueAt), 'MMM dd, yyyy HH:mm', { locale: getDateLocale() })
+                  })}
+                </span>
+                <PriceDisplay price={booking.amountDue} currency={booking.place?.currency} />
+              </div>
+            )}
+          </>
+        )}
         
         {/* Additional content like payment status */}
         {children}
@@ -462,6 +508,119 @@ export const RefundPolicySection = ({ booking, formatRefundOption }) => {
   );
 };
 
+/**
+ * Refund breakdown section for cancelled paid bookings
+ */
+export const RefundBreakdownSection = ({ refunds = [], currency, formatRefundOption }) => {
+  const { t } = useTranslation('booking');
+
+  if (!refunds || refunds.length === 0) return null;
+
+  const statusClasses = {
+    pending: "bg-warning-subtle text-warning-primary",
+    processing: "bg-warning-subtle text-warning-primary",
+    completed: "bg-success-subtle text-success-primary",
+    failed: "bg-red-100 text-red-700",
+    manual_required: "bg-slate-100 text-slate-700",
+    not_refundable: "bg-slate-100 text-slate-700"
+  };
+
+  return (
+    <SectionCard title={t('details.sections.refund')}>
+      <div className="space-y-4">
+        {refunds.map((refund) => (
+          <div key={refund.id} className="bg-slate-50 border border-slate-200 rounded-lg p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <span className="text-body-sm text-text-muted">
+                {format(new Date(refund.created_at), 'MMM dd, yyyy HH:mm', { locale: getDateLocale() })}
+              </span>
+              <span className={`text-xs px-3 py-1 rounded-full font-medium ${statusClasses[refund.status] || statusClasses.pending}`}>
+                {t(`details.refund.status.${refund.status}`)}
+              </span>
+            </div>
+
+            {refund.policy && (
+              <div className="flex justify-between text-body-sm">
+                <span className="text-text-secondary">{t('details.refund.policyApplied')}</span>
+                <span className="text-text-primary font-medium">{formatRefundOption(refund.policy)}</span>
+              </div>
+            )}
+            <div className="flex justify-between text-body-sm">
+              <span className="text-text-secondary">{t('details.refund.noticeGiven')}</span>
+              <span className="text-text-primary">
+                {t('details.refund.hoursBeforeCheckIn', { hours: Math.floor(refund.hoursBeforeCheckIn) })}
+              </span>
+            </div>
+            <div className="flex justify-between text-body-sm">
+              <span className="text-text-secondary">{t('details.refund.amountPaid')}</span>
+              <PriceDisplay price={refund.paidAmount} currency={currency} bold={false} />
+            </div>
+            <div className="flex justify-between text-body-sm">
+              <span className="text-text-secondary">{t('details.refund.refundPercent')}</span>
+              <span className="text-text-primary">{refund.refundPercent}%</span>
+            </div>
+            <hr />
+            <div className="flex justify-between font-semibold">
+              <span>{t('details.refund.refundAmount')}</span>
+              <PriceDisplay price={refund.refundAmount} currency={currency} />
+            </div>
+
+            {refund.status === 'manual_required' && (
+              <p className="text-xs text-text-muted">{t('details.refund.manualNote')}</p>
+            )}
+          </div>
+        ))}
+      </div>
+    </SectionCard>
+  );
+};
+
+/**
+ * Booking documents: PDF invoice, confirmation voucher for approved bookings and
+ * the fiscal receipt once the booking is paid
+ */
+export const BookingDocumentsSection = ({ booking, onError }) => {
+  const { t } = useTranslation('booking');
+  const reference = booking.uniqueRequestId || booking.id;
+
+  const documents = [
+    { key: 'invoice', url: `/bookings/${booking.id}/documents/invoice`, filename: `invoice-${reference}.pdf` },
+    booking.status === 'approved' && { key: 'voucher', url: `/bookings/${booking.id}/documents/voucher`, filename: `voucher-${reference}.pdf` },
+    booking.paidAt && { key: 'receipt', url: `/bookings/${booking.id}/receipt`, filename: `receipt-${reference}.html` }
+  ].filter(Boolean);
+
+  const handleDownload = async (document) => {
+    try {
+      await downloadFile(document.url, document.filename);
+    } catch (error) {
+      console.error(`Error downloading ${document.key}:`, error);
+      onError?.(t('details.documents.downloadFailed'));
+    }
+  };
+
+  return (
+    <div className="card-base card-content">
+      <h3 className="text-body-lg font-medium text-text-primary mb-2">
+        {t('details.documents.title')}
+      </h3>
+      <p className="text-body-sm text-text-secondary mb-4">
+        {t('details.documents.description')}
+      </p>
+      <div className="space-y-2">
+        {documents.map(document => (
+          <button
+            key={document.key}
+            onClick={() => handleDownload(document)}
+            className="w-full bg-accent-primary text-white py-2 px-4 rounded-lg font-medium hover:bg-accent-hover transition-colors"
+          >
+            {t(`details.documents.${document.key}`)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 /**
  * Property details section component
  */
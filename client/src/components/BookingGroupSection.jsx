@@ -0,0 +1,129 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import api from "../utils/api";
+import { useNotification } from "./NotificationContext";
+import { SectionCard } from "./BookingDetailsComponents";
+import PriceDisplay from "./PriceDisplay";
+import { getStatusBadgeClass } from "../utils/bookingUtils";
+import { formatBookingDates } from "../utils/dateFormatting";
+
+/**
+ * Booking Group Section Component
+ * Shows all rooms of a multi-room booking and lets hosts/agents select or reject
+ * the group as one request (clients can cancel it before paying). The group is
+ * paid once, from its primary booking.
+ */
+export default function BookingGroupSection({ groupId, bookingId, currency, user, onGroupUpdated }) {
+  const { t } = useTranslation('booking');
+  const { notify } = useNotification();
+  const [group, setGroup] = useState(null);
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  useEffect(() => {
+    if (!groupId) return;
+
+    api.get(`/bookings/groups/${groupId}`)
+      .then(({ data }) => setGroup(data))
+      .catch(error => console.error('Error loading booking group:', error));
+  }, [groupId]);
+
+  if (!group) return null;
+
+  const isHostOrAgent = user?.userType === 'agent' ||
+    (user?.userType === 'host' && group.hostId === user.id);
+  const isOwner = user?.userType === 'client' && group.userId === user.id;
+  const primaryBooking = group.bookings.find(room => room.id === group.primaryBookingId);
+  const isPrimary = group.primaryBookingId === bookingId;
+
+  const handleStatusChange = async (status) => {
+    setIsUpdating(true);
+    try {
+      const { data } = await api.put(`/bookings/groups/${groupId}`, { status });
+      setGroup(data.group);
+      notify(t(`details.group.notifications.${status}`), "success");
+      onGroupUpdated?.();
+    } catch (error) {
+      notify(error.response?.data?.error || t('details.group.notifications.error'), "error");
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  return (
+    <SectionCard title={t('details.sections.group')}>
+      <div className="flex items-center justify-between mb-4">
+        <p className="text-body-sm text-text-secondary">
+          {t('details.group.summary', { count: group.bookings.length })}
+        </p>
+        <span className={getStatusBadgeClass(group.status)}>
+          {t(`status.${group.status}`)}
+        </span>
+      </div>
+
+      <ul className="divide-y divide-border-light border border-border-light rounded-lg">
+        {group.bookings.map(room => (
+          <li key={room.id} className="flex items-center justify-between gap-3 px-3 py-2 text-body-sm">
+            <div className="min-w-0">
+              <Link to={`/account/bookings/${room.id}`} className="text-text-primary hover:underline">
+                {room.place?.title}
+              </Link>
+              {room.id === group.primaryBookingId && (
+                <span className="ml-2 text-xs text-text-muted">{t('details.group.mainRoom')}</span>
+              )}
+              <p className="text-xs text-text-muted">{formatBookingDates(room.timeSlots || [])}</p>
+            </div>
+            <span className={getStatusBadgeClass(room.status)}>
+              {t(`status.${room.status}`)}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      <div className="mt-4 flex justify-between text-body-sm font-medium">
+        <span>{t('details.group.invoiceTotal')}</span>
+        <PriceDisplay price={group.finalTotal} currency={currency} />
+      </div>
+
+      {!isPrimary && primaryBooking && (
+        <p className="mt-2 text-xs text-text-muted">
+          {t('details.group.paidWithMain')}{" "}
+          <Link to={`/account/bookings/${primaryBooking.id}`} className="text-accent-primary hover:underline">
+            {primaryBooking.uniqueRequestId || t('card.requestId', { id: primaryBooking.id })}
+          </Link>
+        </p>
+      )}
+
+      {isHostOrAgent && ['pending', 'selected'].includes(group.status) && (
+        <div className={`mt-4 grid gap-3 ${group.status === 'pending' ? 'grid-cols-2' : 'grid-cols-1'}`}>
+          {group.status === 'pending' && (
+            <button
+              onClick={() => handleStatusChange('selected')}
+              disabled={isUpdating}
+              className="py-2 px-4 rounded-lg font-medium bg-primary text-white hover:bg-secondary disabled:opacity-50 transition-colors"
+            >
+              {t('details.group.buttons.select')}
+            </button>
+          )}
+          <button
+            onClick={() => handleStatusChange('rejected')}
+            disabled={isUpdating}
+            className="py-2 px-4 rounded-lg font-medium bg-error-600 text-white hover:bg-error-700 disabled:opacity-50 transition-colors"
+          >
+            {t('details.group.buttons.reject')}
+          </button>
+        </div>
+      )}
+
+      {isOwner && ['pending', 'selected'].includes(group.status) && (
+        <button
+          onClick={() => handleStatusChange('cancelled')}
+          disabled={isUpdating}
+          className="mt-4 w-full py-2 px-4 rounded-lg font-medium bg-error-600 text-white hover:bg-error-700 disabled:opacity-50 transition-colors"
+        >
+          {t('details.group.buttons.cancel')}
+        </button>
+      )}
+    </SectionCard>
+  );
+}
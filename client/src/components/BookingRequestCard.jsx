@@ -19,6 +19,10 @@ export default function BookingRequestCard({ booking, competingBookings = [] })
   const { user } = useContext(UserContext);
   const { t, i18n } = useTranslation('booking');
 
+  // Rooms of a booking group folded into this card (see collapseBookingGroups)
+  const groupRooms = booking.groupRooms || [];
+  const otherGroupRooms = groupRooms.filter(room => room.id !== booking.id);
+
   // Get appropriate locale for date formatting
   const getDateLocale = () => {
     switch (i18n.language) {
@@ -80,6 +84,12 @@ export default function BookingRequestCard({ booking, competingBookings = [] })
             <span className={`px-3 py-1 text-xs font-medium rounded-full border ${getStatusBadge(booking.status)}`}>
               {t(`status.${booking.status}`)}
             </span>
+            {/* Multi-room booking group shown as one request */}
+            {groupRooms.length > 0 && (
+              <span className="px-3 py-1 text-xs font-medium rounded-full border bg-blue-50 text-blue-700 border-blue-200">
+                {t("card.group.badge", { count: groupRooms.length })}
+              </span>
+            )}
             {/* Paid to Host Indicator - Only visible to agents and hosts */}
             {booking.status === 'approved' && booking.paidToHost && (user?.userType === 'agent' || user?.userType === 'host') && (
               <span className="px-3 py-1 text-xs font-medium rounded-full border bg-accent-50 text-accent-primary border-accent-200">
@@ -112,11 +122,16 @@ export default function BookingRequestCard({ booking, competingBookings = [] })
               </svg>
               <p className="truncate">{booking.place?.address}</p>
             </div>
+            {otherGroupRooms.length > 0 && (
+              <p className="text-sm text-text-secondary mt-1 truncate">
+                {t("card.group.withRooms", { rooms: otherGroupRooms.map(room => room.place?.title).join(", ") })}
+              </p>
+            )}
           </div>
           <div className="text-right flex-shrink-0 ml-4">
             <div className="text-heading-3 text-text-primary">
               <PriceDisplay 
-                price={booking.totalPrice} 
+                price={groupRooms.length > 0 ? booking.group.totalPrice : booking.totalPrice} 
                 currency={booking.place?.currency}
                 className="text-heading-3 text-text-primary"
                 bold={true}
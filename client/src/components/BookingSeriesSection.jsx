@@ -0,0 +1,136 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { format, parseISO } from "date-fns";
+import { enUS, ru, uz } from "date-fns/locale";
+import api from "../utils/api";
+import { useNotification } from "./NotificationContext";
+import { SectionCard } from "./BookingDetailsComponents";
+import { getStatusBadgeClass } from "../utils/bookingUtils";
+
+/**
+ * Booking Series Section Component
+ * Shows all occurrences of a recurring booking, the occurrences that were skipped
+ * because of conflicts, and lets hosts/agents approve or reject the whole series
+ * (clients can cancel it)
+ */
+export default function BookingSeriesSection({ seriesId, user, onSeriesUpdated }) {
+  const { t, i18n } = useTranslation('booking');
+  const { notify } = useNotification();
+  const [series, setSeries] = useState(null);
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  const getDateLocale = () => {
+    switch (i18n.language) {
+      case 'ru': return ru;
+      case 'uz': return uz;
+      default: return enUS;
+    }
+  };
+
+  const formatDate = (dateString) => {
+    try {
+      return format(parseISO(dateString), "EEE, MMM d, yyyy", { locale: getDateLocale() });
+    } catch (error) {
+      return dateString;
+    }
+  };
+
+  useEffect(() => {
+    if (!seriesId) return;
+
+    api.get(`/bookings/series/${seriesId}`)
+      .then(({ data }) => setSeries(data))
+      .catch(error => console.error('Error loading booking series:', error));
+  }, [seriesId]);
+
+  if (!series) return null;
+
+  const isHostOrAgent = user?.userType === 'agent' ||
+    (user?.userType === 'host' && series.place?.ownerId === user.id);
+  const isOwner = user?.userType === 'client' && series.userId === user.id;
+
+  const handleStatusChange = async (status) => {
+    setIsUpdating(true);
+    try {
+      const { data } = await api.put(`/bookings/series/${seriesId}`, { status });
+      setSeries(data.series);
+      notify(t(`details.series.notifications.${status}`), "success");
+      onSeriesUpdated?.();
+    } catch (error) {
+      notify(error.response?.data?.error || t('details.series.notifications.error'), "error");
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  return (
+    <SectionCard title={t('details.sections.series')}>
+      <div className="flex items-center justify-between mb-4">
+        <p className="text-body-sm text-text-secondary">
+          {t(`details.series.frequency.${series.frequency}`)} · {series.startTime} - {series.endTime}
+        </p>
+        <span className={getStatusBadgeClass(series.status)}>
+          {t(`status.${series.status}`)}
+        </span>
+      </div>
+
+      <ul className="divide-y divide-border-light border border-border-light rounded-lg">
+        {series.bookings.map(occurrence => (
+          <li key={occurrence.id} className="flex items-center justify-between px-3 py-2 text-body-sm">
+            <Link to={`/account/bookings/${occurrence.id}`} className="text-text-primary hover:underline">
+              {formatDate(occurrence.timeSlots?.[0]?.date || occurrence.checkInDate)}
+            </Link>
+            <span className={getStatusBadgeClass(occurrence.status)}>
+              {t(`status.${occurrence.status}`)}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {series.conflicts?.length > 0 && (
+        <div className="mt-4 p-3 bg-warning-subtle border border-warning-muted rounded-lg">
+          <p className="text-body-sm font-medium text-warning-primary mb-2">
+            {t('details.series.skipped', { count: series.conflicts.length })}
+          </p>
+          <ul className="space-y-1 text-xs text-text-secondary">
+            {series.conflicts.map(conflict => (
+              <li key={conflict.date}>
+                {formatDate(conflict.date)} — {t(`details.series.conflictReasons.${conflict.reason}`)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {series.status === 'pending' && isHostOrAgent && (
+        <div className="mt-4 grid grid-cols-2 gap-3">
+          <button
+            onClick={() => handleStatusChange('approved')}
+            disabled={isUpdating}
+            className="py-2 px-4 rounded-lg font-medium bg-primary text-white hover:bg-secondary disabled:opacity-50 transition-colors"
+          >
+            {t('details.series.buttons.approve')}
+          </button>
+          <button
+            onClick={() => handleStatusChange('rejected')}
+            disabled={isUpdating}
+            className="py-2 px-4 rounded-lg font-medium bg-error-600 text-white hover:bg-error-700 disabled:opacity-50 transition-colors"
+          >
+            {t('details.series.buttons.reject')}
+          </button>
+        </div>
+      )}
+
+      {['pending', 'approved'].includes(series.status) && isOwner && (
+        <button
+          onClick={() => handleStatusChange('cancelled')}
+          disabled={isUpdating}
+          className="mt-4 w-full py-2 px-4 rounded-lg font-medium bg-error-600 text-white hover:bg-error-700 disabled:opacity-50 transition-colors"
+        >
+          {t('details.series.buttons.cancel')}
+        </button>
+      )}
+    </SectionCard>
+  );
+}
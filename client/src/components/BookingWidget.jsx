@@ -1,4 +1,4 @@
-import { useContext, useEffect, useState } from "react";
+import { useContext, useEffect, useMemo, useState } from "react";
 import { Navigate, useLocation } from "react-router-dom";
 import { useTranslation } from "react-i18next";
 import CustomPhoneInput, { isPossiblePhoneNumber } from "./CustomPhoneInput";
@@ -9,6 +9,10 @@ import { validateForm } from "../utils/formUtils";
 import PriceDisplay from "./PriceDisplay";
 import SelectedTimeSlots from "./SelectedTimeSlots";
 import PricingBreakdown from "./PricingBreakdown";
+import RecurringBookingOptions from "./RecurringBookingOptions";
+import AddOnsSelector from "./AddOnsSelector";
+import PromoCodeInput from "./PromoCodeInput";
+import GroupRoomsSelector from "./GroupRoomsSelector";
 import { isTimeRangeAvailable } from "../utils/TimeUtils";
 import { calculateBookingPricing } from "../utils/pricingCalculator";
 
@@ -21,6 +25,13 @@ export default function BookingWidget({ placeDetail, buttonDisabled, selectedCal
   const [error, setError] = useState("");
   const [bookedTimeSlots, setBookedTimeSlots] = useState([]);
   const [isCheckingAvailability, setIsCheckingAvailability] = useState(false);
+  const [serverQuote, setServerQuote] = useState(null);
+  const [recurrence, setRecurrence] = useState({ frequency: "", endType: "count", count: 4, untilDate: "" });
+  const [selectedAddOns, setSelectedAddOns] = useState([]);
+  const [promoCode, setPromoCode] = useState("");
+  const [promoCodeError, setPromoCodeError] = useState("");
+  const [groupRooms, setGroupRooms] = useState([]);
+  const [groupRoomIds, setGroupRoomIds] = useState([]);
   const { user } = useContext(UserContext);
   const { notify } = useNotification();
   const location = useLocation();
@@ -42,7 +53,11 @@ export default function BookingWidget({ placeDetail, buttonDisabled, selectedCal
       api.get(`/bookings/availability?placeId=${placeDetail.id}`)
         .then(response => {
           if (response.data && response.data.bookedTimeSlots) {
-            setBookedTimeSlots(response.data.bookedTimeSlots);
+            // Slots held at checkout by other clients are unavailable too
+            setBookedTimeSlots([
+              ...response.data.bookedTimeSlots,
+              ...(response.data.heldTimeSlots || [])
+            ]);
           }
         })
         .catch(err => {
@@ -54,8 +69,87 @@ export default function BookingWidget({ placeDetail, buttonDisabled, selectedCal
     }
   }, [placeDetail]);
 
-  const pricingData = calculateBookingPricing(selectedCalendarDates, placeDetail, false);
-  const { totalHours, totalPrice, breakdown, finalTotal } = pricingData;
+  // Other rooms of the same host that can be booked together with this place
+  useEffect(() => {
+    setGroupRoomIds([]);
+    if (!placeDetail?.id) return;
+
+    api.get(`/places/${placeDetail.id}/group-rooms`)
+      .then(({ data }) => setGroupRooms(data))
+      .catch(err => console.error("Failed to fetch group rooms:", err));
+  }, [placeDetail?.id]);
+
+  // Per-guest add-ons can only be priced once the number of attendees is known
+  const quotedAddOns = useMemo(() => selectedAddOns.filter(selection => {
+    const addOn = (placeDetail?.addOns || []).find(item => item.id === selection.id);
+    return addOn && (addOn.unit !== 'per_guest' || numOfGuests > 0);
+  }), [selectedAddOns, placeDetail?.addOns, numOfGuests]);
+
+  // Fetch authoritative price quote from the server whenever the selection changes
+  useEffect(() => {
+    if (!placeDetail?.id || !selectedCalendarDates || selectedCalendarDates.length === 0) {
+      setServerQuote(null);
+      return;
+    }
+
+    let isCancelled = false;
+    api.post("/bookings/quote", {
+      place: placeDetail.id,
+      selectedTimeSlots: selectedCalendarDates,
+      selectedAddOns: quotedAddOns,
+      numOfGuests,
+      promoCode: promoCode || undefined
+    })
+      .then(response => {
+        if (!isCancelled) {
+          setServerQuote(response.data);
+          setPromoCodeError("");
+        }
+      })
+      .catch(err => {
+        if (isCancelled) return;
+        if (err.response?.data?.promoCodeInvalid) {
+          // Drop the rejected code; the quote is fetched again without it
+          setPromoCodeError(err.response.data.error);
+          setPromoCode("");
+          return;
+        }
+        console.error("Failed to fetch price quote:", err);
+        setServerQuote(null);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [placeDetail?.id, selectedCalendarDates, quotedAddOns, numOfGuests, promoCode]);
+
+  // Local calculation gives instant feedback; server quote totals take precedence once loaded
+  const pricingData = calculateBookingPricing(selectedCalendarDates, placeDetail, {
+    addOns: quotedAddOns,
+    numOfGuests
+  });
+  const { totalHours, breakdown } = pricingData;
+  const totalPrice = serverQuote ? serverQuote.totalPrice : pricingData.totalPrice;
+  const addOnItems = serverQuote?.addOns || pricingData.addOns;
+  const finalTotal = serverQuote ? serverQuote.finalTotal : pricingData.finalTotal;
+  const discountAmount = serverQuote?.discountAmount || 0;
+
+  // Recurrence only applies to a single selected slot
+  const canRepeatBooking = selectedCalendarDates && selectedCalendarDates.length === 1;
+  const isRecurringBooking = canRepeatBooking && !!recurrence.frequency;
+
+  // Extra rooms are booked for the same slots and priced like the main room
+  const isGroupBooking = !isRecurringBooking && groupRoomIds.length > 0;
+  const additionalRooms = isGroupBooking
+    ? groupRooms
+      .filter(room => groupRoomIds.includes(room.id))
+      .map(room => ({
+        id: room.id,
+        title: room.title,
+        price: calculateBookingPricing(selectedCalendarDates, room).totalPrice
+      }))
+    : [];
+  const groupTotal = totalPrice + additionalRooms.reduce((sum, room) => sum + room.price, 0);
 
   // Function to handle login redirect with preserved state
   const handleLoginRedirect = () => {
@@ -188,6 +282,46 @@ export default function BookingWidget({ placeDetail, buttonDisabled, selectedCal
         return;
       }
 
+      // Recurring series - the single selected slot is repeated by the server
+      if (isRecurringBooking) {
+        const [timeSlot] = selectedCalendarDates;
+        const { data: series } = await api.post("/bookings/series", {
+          place: placeDetail.id,
+          startDate: timeSlot.date,
+          startTime: timeSlot.startTime,
+          endTime: timeSlot.endTime,
+          frequency: recurrence.frequency,
+          ...(recurrence.endType === 'until' ? { untilDate: recurrence.untilDate } : { count: recurrence.count }),
+          numOfGuests,
+          guestName,
+          guestPhone
+        });
+
+        notify(t("notifications.seriesCreated", {
+          created: series.bookings.length,
+          skipped: series.conflicts.length
+        }), "success");
+        setRedirect("/account/bookings");
+        return;
+      }
+
+      // Booking group - every added room is booked for the same time slots
+      if (isGroupBooking) {
+        const { data: group } = await api.post("/bookings/groups", {
+          bookings: [placeDetail.id, ...groupRoomIds].map(place => ({
+            place,
+            selectedTimeSlots: selectedCalendarDates
+          })),
+          numOfGuests,
+          guestName,
+          guestPhone
+        });
+
+        notify(t("notifications.groupCreated", { count: group.bookings.length }), "success");
+        setRedirect("/account/bookings");
+        return;
+      }
+
       // Calendar-based booking
       const bookingData = {
         place: placeDetail.id,
@@ -195,8 +329,11 @@ export default function BookingWidget({ placeDetail, buttonDisabled, selectedCal
         numOfGuests,
         guestName,
         guestPhone,
-        totalPrice: totalPrice, // Base booking price
-        finalTotal: finalTotal, // Total including all fees
+        selectedAddOns: quotedAddOns, // [{ id, quantity }] priced by the server
+        promoCode: promoCode || undefined, // Re-validated by the server
+        totalPrice: totalPrice, // Base booking price (re-verified by the server)
+        finalTotal: finalTotal, // Total including add-ons (re-verified by the server)
+        waitlistClaimToken: new URLSearchParams(location.search).get('waitlistClaim') || undefined, // Set by a waitlist claim link
         bookingType: 'calendar' // Indicate this is a calendar-based booking
       };
 
@@ -205,6 +342,27 @@ export default function BookingWidget({ placeDetail, buttonDisabled, selectedCal
       notify(t("notifications.success"), "success");
       setRedirect("/account/bookings");
     } catch (err) {
+      if (err.response?.data?.promoCodeInvalid) {
+        // Code expired or ran out since it was applied
+        setPromoCodeError(err.response.data.error);
+        setPromoCode("");
+        setError(t("validation.errors.promoCodeRemoved"));
+        return;
+      }
+      const unavailableRooms = err.response?.data?.unavailableRooms;
+      if (unavailableRooms) {
+        setError(t("validation.errors.groupRoomsUnavailable", {
+          rooms: unavailableRooms.map(room => room.placeTitle).join(", ")
+        }));
+        return;
+      }
+      const priceMismatch = err.response?.data?.priceMismatch;
+      if (priceMismatch) {
+        // Server recalculated a different price - show the authoritative total before retrying
+        setServerQuote(prev => ({ ...(prev || {}), ...priceMismatch.expected }));
+        setError(t("validation.errors.priceChanged"));
+        return;
+      }
       const errorMsg = err.response?.data?.error || t("validation.errors.reservationFailed");
       setError(errorMsg);
     }
@@ -466,6 +624,49 @@ export default function BookingWidget({ placeDetail, buttonDisabled, selectedCal
             </div>
           </div>
           
+          {/* Repeat the selected slot as a recurring series */}
+          {canRepeatBooking && groupRoomIds.length === 0 && (
+            <RecurringBookingOptions
+              placeId={placeDetail.id}
+              timeSlot={selectedCalendarDates[0]}
+              recurrence={recurrence}
+              onRecurrenceChange={setRecurrence}
+            />
+          )}
+
+          {/* Book other rooms of the host together with this one */}
+          {!isRecurringBooking && selectedCalendarDates.length > 0 && (
+            <GroupRoomsSelector
+              rooms={groupRooms}
+              selectedRoomIds={groupRoomIds}
+              onChange={setGroupRoomIds}
+              currency={placeDetail.currency}
+            />
+          )}
+
+          {/* Priced extras offered by the host (single bookings only) */}
+          {!isRecurringBooking && !isGroupBooking && (
+            <AddOnsSelector
+              addOns={placeDetail.addOns}
+              selectedAddOns={selectedAddOns}
+              onChange={setSelectedAddOns}
+              currency={placeDetail.currency}
+            />
+          )}
+
+          {/* Promo code (single bookings only) */}
+          {!isRecurringBooking && !isGroupBooking && selectedCalendarDates.length > 0 && (
+            <PromoCodeInput
+              appliedCode={promoCode}
+              onApply={(code) => {
+                setPromoCodeError("");
+                setPromoCode(code);
+              }}
+              onRemove={() => setPromoCode("")}
+              error={promoCodeError}
+            />
+          )}
+
           {/* Pricing breakdown */}
           <PricingBreakdown 
             selectedCalendarDates={selectedCalendarDates}
@@ -473,7 +674,11 @@ export default function BookingWidget({ placeDetail, buttonDisabled, selectedCal
             totalPrice={totalPrice}
             breakdown={breakdown}
             placeDetail={placeDetail}
-            finalTotal={finalTotal}
+            addOns={isRecurringBooking || isGroupBooking ? [] : addOnItems}
+            additionalRooms={additionalRooms}
+            promoCode={isRecurringBooking || isGroupBooking ? null : serverQuote?.promoCode?.code}
+            discountAmount={isRecurringBooking || isGroupBooking ? 0 : discountAmount}
+            finalTotal={isRecurringBooking ? totalPrice : isGroupBooking ? groupTotal : finalTotal}
           />
         </div>
         <button
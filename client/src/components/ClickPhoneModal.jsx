@@ -12,6 +12,7 @@ const ClickPhoneModal = ({
   isOpen, 
   onClose, 
   booking, 
+  chargeAmount,
   onPaymentSuccess, 
   onPaymentError 
 }) => {
@@ -91,9 +92,9 @@ const ClickPhoneModal = ({
 
     try {
       // Create the payment invoice
-      const response = await api.post("/click/checkout", {
-        bookingId: booking.id,
-        clickPhoneNumber: phoneNumber // Send the phone number (either original or edited)
+      const response = await api.post(`/bookings/${booking.id}/payments`, {
+        provider: "click",
+        phoneNumber // Send the phone number (either original or edited)
       });
 
       if (response.data.success) {
@@ -241,7 +242,7 @@ const ClickPhoneModal = ({
                 {t("payment:clickPhoneModal.paymentAmount", "Payment Amount:")}
               </span>
               <span className="font-medium text-gray-900">
-                {(booking.finalTotal || booking.totalPrice)?.toLocaleString()} UZS
+                {(chargeAmount ?? (booking.finalTotal || booking.totalPrice))?.toLocaleString()} UZS
               </span>
             </div>
           </div>
@@ -0,0 +1,236 @@
+import { useCallback, useEffect, useState } from "react";
+import { useTranslation } from "react-i18next";
+import api from "../utils/api";
+import { useNotification } from "./NotificationContext";
+
+const EMPTY_OVERRIDE = {
+  scope: "host",
+  hostId: "",
+  placeId: "",
+  mode: "percentage",
+  value: ""
+};
+
+/**
+ * CommissionSettings Component
+ *
+ * Agent configuration of the platform commission shown on PayoutsPage: a global
+ * default plus per-host and per-place overrides, each a percentage or a fixed
+ * amount per booking. The commission is recorded on a booking when it is paid.
+ */
+export default function CommissionSettings() {
+  const { t } = useTranslation("dashboard");
+  const { notify } = useNotification();
+  const [defaultRule, setDefaultRule] = useState({ mode: "percentage", value: "" });
+  const [overrides, setOverrides] = useState([]);
+  const [override, setOverride] = useState(EMPTY_OVERRIDE);
+  const [hosts, setHosts] = useState([]);
+  const [places, setPlaces] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadRules = useCallback(async () => {
+    try {
+      const { data } = await api.get("/commissions");
+      setDefaultRule({ mode: data.defaultRule.mode, value: data.defaultRule.value });
+      setOverrides(data.overrides);
+    } catch (err) {
+      console.error("Error fetching commission rules:", err);
+      setError(err.response?.data?.error || t("commissions.errors.loadFailed"));
+    }
+  }, [t]);
+
+  useEffect(() => {
+    loadRules();
+    api.get("/users/all")
+      .then(({ data }) => setHosts((data || []).filter(user => user.userType === 'host')))
+      .catch(err => console.error("Error fetching hosts:", err));
+    api.get("/places")
+      .then(({ data }) => setPlaces(data.places || data || []))
+      .catch(err => console.error("Error fetching places:", err));
+  }, [loadRules]);
+
+  const saveRule = async (rule) => {
+    setSaving(true);
+    try {
+      await api.post("/commissions", rule);
+      notify(t("commissions.notifications.saved"), "success");
+      loadRules();
+      return true;
+    } catch (err) {
+      notify(err.response?.data?.error || t("commissions.errors.saveFailed"), "error");
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveDefault = (event) => {
+    event.preventDefault();
+    saveRule({ scope: "global", ...defaultRule });
+  };
+
+  const handleSaveOverride = async (event) => {
+    event.preventDefault();
+    if (await saveRule(override)) {
+      setOverride(EMPTY_OVERRIDE);
+    }
+  };
+
+  const editOverride = (rule) => {
+    setOverride({
+      scope: rule.scope,
+      hostId: rule.hostId || "",
+      placeId: rule.placeId || "",
+      mode: rule.mode,
+      value: rule.value
+    });
+  };
+
+  const deleteOverride = async (rule) => {
+    if (!window.confirm(t("commissions.confirmDelete"))) {
+      return;
+    }
+    try {
+      await api.delete(`/commissions/${rule.id}`);
+      notify(t("commissions.notifications.deleted"), "success");
+      loadRules();
+    } catch (err) {
+      notify(err.response?.data?.error || t("commissions.errors.deleteFailed"), "error");
+    }
+  };
+
+  const formatRule = (rule) => (
+    rule.mode === 'percentage'
+      ? `${rule.value}%`
+      : t("commissions.fixedPerBooking", { value: Number(rule.value).toLocaleString() })
+  );
+
+  const inputClassName = "w-full border border-gray-300 rounded-lg py-2 px-3 text-sm";
+
+  const renderModeAndValue = (rule, onChange) => (
+    <>
+      <label className="text-sm text-gray-700">
+        {t("commissions.form.mode")}
+        <select
+          value={rule.mode}
+          onChange={(e) => onChange({ mode: e.target.value })}
+          className={`${inputClassName} mt-1`}
+        >
+          <option value="percentage">{t("commissions.form.percentage")}</option>
+          <option value="fixed">{t("commissions.form.fixed")}</option>
+        </select>
+      </label>
+      <label className="text-sm text-gray-700">
+        {t("commissions.form.value")}
+        <input
+          type="number"
+          required
+          min="0"
+          step="any"
+          max={rule.mode === 'percentage' ? 100 : undefined}
+          value={rule.value}
+          onChange={(e) => onChange({ value: e.target.value })}
+          className={`${inputClassName} mt-1`}
+        />
+      </label>
+    </>
+  );
+
+  return (
+    <div className="card-base">
+      <div className="card-content space-y-6">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">{t("commissions.title")}</h2>
+          <p className="text-sm text-gray-500">{t("commissions.subtitle")}</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-100 text-red-800 p-2 rounded-lg text-sm">{error}</div>
+        )}
+
+        {/* Global default */}
+        <form onSubmit={handleSaveDefault} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div className="text-sm font-medium text-gray-700">{t("commissions.defaultRule")}</div>
+          {renderModeAndValue(defaultRule, (changes) => setDefaultRule(prev => ({ ...prev, ...changes })))}
+          <button type="submit" className="primary max-w-xs" disabled={saving}>
+            {t("commissions.form.save")}
+          </button>
+        </form>
+
+        {/* Host and place overrides */}
+        <form onSubmit={handleSaveOverride} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end border-t border-gray-200 pt-4">
+          <label className="text-sm text-gray-700">
+            {t("commissions.form.scope")}
+            <select
+              value={override.scope}
+              onChange={(e) => setOverride(prev => ({ ...prev, scope: e.target.value, hostId: "", placeId: "" }))}
+              className={`${inputClassName} mt-1`}
+            >
+              <option value="host">{t("commissions.scope.host")}</option>
+              <option value="place">{t("commissions.scope.place")}</option>
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            {override.scope === 'host' ? t("commissions.scope.host") : t("commissions.scope.place")}
+            {override.scope === 'host' ? (
+              <select
+                required
+                value={override.hostId}
+                onChange={(e) => setOverride(prev => ({ ...prev, hostId: e.target.value }))}
+                className={`${inputClassName} mt-1`}
+              >
+                <option value="">{t("commissions.form.selectHost")}</option>
+                {hosts.map(host => (
+                  <option key={host.id} value={host.id}>{host.name}</option>
+                ))}
+              </select>
+            ) : (
+              <select
+                required
+                value={override.placeId}
+                onChange={(e) => setOverride(prev => ({ ...prev, placeId: e.target.value }))}
+                className={`${inputClassName} mt-1`}
+              >
+                <option value="">{t("commissions.form.selectPlace")}</option>
+                {places.map(place => (
+                  <option key={place.id} value={place.id}>{place.title}</option>
+                ))}
+              </select>
+            )}
+          </label>
+          {renderModeAndValue(override, (changes) => setOverride(prev => ({ ...prev, ...changes })))}
+          <button type="submit" className="primary max-w-xs" disabled={saving}>
+            {t("commissions.form.saveOverride")}
+          </button>
+        </form>
+
+        {overrides.length === 0 ? (
+          <p className="text-sm text-gray-500">{t("commissions.noOverrides")}</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 text-sm">
+            {overrides.map(rule => (
+              <li key={rule.id} className="flex items-center justify-between py-2">
+                <span>
+                  <span className="text-gray-500">{t(`commissions.scope.${rule.scope}`)}:</span>{" "}
+                  <span className="font-medium text-gray-900">
+                    {rule.scope === 'host' ? rule.host?.name : rule.place?.title}
+                  </span>{" "}
+                  — {formatRule(rule)}
+                </span>
+                <span className="space-x-3 whitespace-nowrap">
+                  <button type="button" onClick={() => editOverride(rule)} className="text-blue-600 hover:underline">
+                    {t("commissions.actions.edit")}
+                  </button>
+                  <button type="button" onClick={() => deleteOverride(rule)} className="text-red-600 hover:underline">
+                    {t("commissions.actions.delete")}
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
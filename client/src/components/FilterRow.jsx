@@ -7,6 +7,7 @@ import { useAttendeesFilter, ATTENDEES_RANGES } from "../contexts/AttendeesFilte
 import { useSizeFilter, SIZE_RANGES } from "../contexts/SizeFilterContext";
 import { usePerksFilter } from "../contexts/PerksFilterContext";
 import { usePoliciesFilter } from "../contexts/PoliciesFilterContext";
+import { useRatingFilter } from "../contexts/RatingFilterContext";
 import { formatCurrency, getCurrencySymbol } from "../utils/currencyUtils";
 import { formatHourTo12, formatHourLocalized } from "../utils/TimeUtils";
 import { format } from "date-fns";
@@ -17,6 +18,7 @@ import AttendeesFilterModal from "./AttendeesFilterModal";
 import SizeFilterModal from "./SizeFilterModal";
 import PerksFilterModal from "./PerksFilterModal";
 import PolicyFilterModal from "./PolicyFilterModal";
+import RatingFilterModal from "./RatingFilterModal";
 import LocationFilter from "./LocationFilter";
 
 export default function FilterRow({ 
@@ -29,7 +31,7 @@ export default function FilterRow({
   onMapFocus,
   regionService
 }) {
-  const { t, i18n } = useTranslation("search");
+  const { t, i18n } = useTranslation(["search", "reviews"]);
   
   // State for modal visibility
   const [isDateTimeModalOpen, setIsDateTimeModalOpen] = useState(false);
@@ -38,6 +40,7 @@ export default function FilterRow({
   const [isSizeModalOpen, setIsSizeModalOpen] = useState(false);
   const [isPerksModalOpen, setIsPerksModalOpen] = useState(false);
   const [isPolicyModalOpen, setIsPolicyModalOpen] = useState(false);
+  const [isRatingModalOpen, setIsRatingModalOpen] = useState(false);
   
   // Scroll state for showing appropriate arrows
   const [scrollPosition, setScrollPosition] = useState("start"); // "start", "middle", "end"
@@ -89,6 +92,9 @@ export default function FilterRow({
   // Get policies filter state from context
   const { hasSelectedPolicies, selectedPoliciesCount, clearAllPolicies } = usePoliciesFilter();
   
+  // Get rating category filter state from context
+  const { selectedCategory, minScore, hasActiveRatingFilter, clearRatingFilter } = useRatingFilter();
+  
   // Get appropriate locale for date formatting
   const getDateLocale = () => {
     switch (i18n.language) {
@@ -217,7 +223,13 @@ export default function FilterRow({
   const hasActiveRegionFilter = selectedRegionId !== null && 
                                 selectedRegionId !== undefined && 
                                 selectedRegionId !== defaultRegionId;
-  const hasAnyActiveFilter = hasActiveDateTimeFilter || hasActivePriceFilter || hasActiveAttendeesFilter || hasActiveSizeFilter || hasSelectedPerks || hasSelectedPolicies || hasActiveRegionFilter;
+  const hasAnyActiveFilter = hasActiveDateTimeFilter || hasActivePriceFilter || hasActiveAttendeesFilter || hasActiveSizeFilter || hasSelectedPerks || hasSelectedPolicies || hasActiveRatingFilter || hasActiveRegionFilter;
+  
+  // Format rating filter for display, e.g. "Equipment 4+"
+  const getFormattedRatingFilter = () => {
+    const label = t(`reviews:categories.${selectedCategory}`);
+    return minScore !== null ? `${label} ${minScore}+` : label;
+  };
   
   // Clear all filters
   const handleResetAllFilters = () => {
@@ -228,6 +240,7 @@ export default function FilterRow({
     clearSizeFilter();
     clearAllPerks();
     clearAllPolicies();
+    clearRatingFilter();
     
     // Reset region selection to default (Tashkent)
     if (onRegionChange && regionService) {
@@ -259,6 +272,8 @@ export default function FilterRow({
   const closePerksModal = () => setIsPerksModalOpen(false);
   const openPolicyModal = () => setIsPolicyModalOpen(true);
   const closePolicyModal = () => setIsPolicyModalOpen(false);
+  const openRatingModal = () => setIsRatingModalOpen(true);
+  const closeRatingModal = () => setIsRatingModalOpen(false);
   
   // Handle scroll to update arrow indicators
   const handleScroll = () => {
@@ -327,6 +342,12 @@ export default function FilterRow({
         onClose={closePolicyModal}
       />
       
+      {/* Rating Filter Modal */}
+      <RatingFilterModal 
+        isOpen={isRatingModalOpen}
+        onClose={closeRatingModal}
+      />
+      
       {/* Mobile: Scrollable filter row with fixed map button */}
       <div className="flex md:hidden">
         <div className="flex items-center w-full min-w-0 relative">
@@ -419,6 +440,18 @@ export default function FilterRow({
                   </svg>
                 </button>
                 
+                <button 
+                  onClick={openRatingModal}
+                  className={hasActiveRatingFilter ? "filter-pill-active" : "filter-pill-inactive"}
+                >
+                  <div className="truncate max-w-[100px]">
+                    {hasActiveRatingFilter ? getFormattedRatingFilter() : t("filters.buttons.rating")}
+                  </div>
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3 ml-1 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                  </svg>
+                </button>
+                
                 {/* Reset button - only show when filters are active */}
                 {hasAnyActiveFilter && (
                   <button 
@@ -590,6 +623,21 @@ export default function FilterRow({
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
               </svg>
             </button>
+            <button 
+              onClick={openRatingModal}
+              className={`flex px-4 py-2 items-center transition-all duration-200 border rounded-full flex-shrink-0 whitespace-nowrap ${
+                hasActiveRatingFilter 
+                  ? "bg-primary text-white border-primary" 
+                  : "bg-white hover:bg-gray-50 text-gray-700 border-gray-300 hover:border-gray-400"
+              }`}
+            >
+              <div className="truncate max-w-[150px]">
+                {hasActiveRatingFilter ? getFormattedRatingFilter() : t("filters.buttons.rating")}
+              </div>
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 ml-2 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+              </svg>
+            </button>
             
             {/* Reset button - only show when filters are active */}
             {hasAnyActiveFilter && (
@@ -0,0 +1,56 @@
+import { useTranslation } from "react-i18next";
+import PriceDisplay from "./PriceDisplay";
+
+/**
+ * GroupRoomsSelector Component
+ *
+ * Lets clients add other rooms of the same host (e.g. breakout rooms next to a
+ * main hall) to the booking. Added rooms are booked for the same time slots as a
+ * booking group that the host approves and the client pays as one request.
+ */
+export default function GroupRoomsSelector({ rooms = [], selectedRoomIds = [], onChange, currency }) {
+  const { t } = useTranslation('booking');
+
+  if (!rooms || rooms.length === 0) {
+    return null;
+  }
+
+  const toggleRoom = (roomId, checked) => {
+    onChange(checked
+      ? [...selectedRoomIds, roomId]
+      : selectedRoomIds.filter(id => id !== roomId));
+  };
+
+  return (
+    <div className="px-3 py-4 border-t space-y-3">
+      <div>
+        <h4 className="text-sm font-medium text-gray-700">{t("widget.groupRooms.title")}</h4>
+        <p className="text-xs text-gray-500">{t("widget.groupRooms.description")}</p>
+      </div>
+      {rooms.map(room => (
+        <label key={room.id} className="flex items-start justify-between gap-2 text-sm text-gray-700 cursor-pointer">
+          <span className="flex items-start gap-2">
+            <input
+              type="checkbox"
+              className="mt-1"
+              checked={selectedRoomIds.includes(room.id)}
+              onChange={(e) => toggleRoom(room.id, e.target.checked)}
+            />
+            <span>
+              <span className="font-medium">{room.title}</span>
+              {room.maxGuests > 0 && (
+                <span className="block text-xs text-gray-500">
+                  {t("widget.groupRooms.capacity", { count: room.maxGuests })}
+                </span>
+              )}
+            </span>
+          </span>
+          <span className="text-xs text-gray-500 whitespace-nowrap">
+            <PriceDisplay price={room.price} currency={currency} bold={false} className="inline-block" />
+            {" "}{t("widget.groupRooms.perHour")}
+          </span>
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import { useEffect, useState } from "react";
+import { useTranslation } from "react-i18next";
+import api from "../utils/api";
+import { getCloudinaryImageUrl } from "../utils/cloudinary";
+
+/**
+ * GuestPhotosStrip - Photos guests attached to their approved reviews of a place
+ * Renders nothing until the place has at least one guest photo.
+ */
+export default function GuestPhotosStrip({ placeId }) {
+  const { t } = useTranslation("reviews");
+  const [photos, setPhotos] = useState([]);
+
+  useEffect(() => {
+    if (!placeId) return;
+
+    let cancelled = false;
+    const fetchPhotos = async () => {
+      try {
+        const response = await api.get(`/reviews/place/${placeId}/photos`);
+        if (!cancelled && response.data.ok) {
+          setPhotos(response.data.photos);
+        }
+      } catch (error) {
+        console.error("Error fetching guest photos:", error);
+      }
+    };
+
+    fetchPhotos();
+    return () => {
+      cancelled = true;
+    };
+  }, [placeId]);
+
+  if (photos.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card-base">
+      <div className="card-content">
+        <h2 className="text-heading-2 mb-4 text-text-primary flex items-center">
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6 mr-3 text-accent-primary">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M6.827 6.175A2.31 2.31 0 015.186 7.23c-.38.054-.757.112-1.134.175C2.999 7.58 2.25 8.507 2.25 9.574V18a2.25 2.25 0 002.25 2.25h15A2.25 2.25 0 0021.75 18V9.574c0-1.067-.75-1.994-1.802-2.169a47.865 47.865 0 00-1.134-.175 2.31 2.31 0 01-1.64-1.055l-.822-1.316a2.192 2.192 0 00-1.736-1.039 48.774 48.774 0 00-5.232 0 2.192 2.192 0 00-1.736 1.039l-.821 1.316z" />
+            <path strokeLinecap="round" strokeLinejoin="round" d="M16.5 12.75a4.5 4.5 0 11-9 0 4.5 4.5 0 019 0z" />
+          </svg>
+          {t("guestPhotos.title")}
+        </h2>
+        <div className="flex gap-3 overflow-x-auto pb-2">
+          {photos.map((photo, index) => (
+            <a
+              key={`${photo.reviewId}-${index}`}
+              href={getCloudinaryImageUrl(photo)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="block flex-shrink-0 w-32 h-32 rounded-lg overflow-hidden bg-gray-100"
+              title={photo.authorName ? t("guestPhotos.by", { name: photo.authorName }) : undefined}
+            >
+              <img
+                src={getCloudinaryImageUrl(photo)}
+                alt={t("guestPhotos.alt", { number: index + 1 })}
+                className="w-full h-full object-cover"
+                loading="lazy"
+              />
+            </a>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
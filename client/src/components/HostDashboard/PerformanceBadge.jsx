@@ -1,28 +1,35 @@
 import React from "react";
 import { useTranslation } from "react-i18next";
 
-const PerformanceBadge = ({ rating }) => {
-  const { t } = useTranslation(["dashboard", "reviews"]);
+const BADGE_COLORS = {
+  excellent: "bg-green-100 text-green-700",
+  great: "bg-blue-100 text-blue-700",
+  good: "bg-yellow-100 text-yellow-700",
+  fair: "bg-orange-100 text-orange-700",
+  poor: "bg-red-100 text-red-700",
+  noData: "bg-gray-100 text-gray-600"
+};
+
+const ratingLevel = (rating) => {
   const avgRating = parseFloat(rating);
-  let badgeColor = "bg-gray-100 text-gray-600";
-  let badgeText = t("dashboard:performance.noData");
-  
-  if (avgRating >= 4.5) {
-    badgeColor = "bg-green-100 text-green-700";
-    badgeText = t("dashboard:performance.excellent");
-  } else if (avgRating >= 4.0) {
-    badgeColor = "bg-blue-100 text-blue-700";
-    badgeText = t("dashboard:performance.great");
-  } else if (avgRating >= 3.5) {
-    badgeColor = "bg-yellow-100 text-yellow-700";
-    badgeText = t("dashboard:performance.good");
-  } else if (avgRating >= 3.0) {
-    badgeColor = "bg-orange-100 text-orange-700";
-    badgeText = t("dashboard:performance.fair");
-  } else if (avgRating > 0) {
-    badgeColor = "bg-red-100 text-red-700";
-    badgeText = t("dashboard:performance.poor");
-  }
+
+  if (avgRating >= 4.5) return "excellent";
+  if (avgRating >= 4.0) return "great";
+  if (avgRating >= 3.5) return "good";
+  if (avgRating >= 3.0) return "fair";
+  if (avgRating > 0) return "poor";
+  return "noData";
+};
+
+/**
+ * PerformanceBadge - Level badge from a star rating, or from a level computed
+ * elsewhere (host reputation figures come with their level from the server)
+ */
+const PerformanceBadge = ({ rating, level }) => {
+  const { t } = useTranslation(["dashboard", "reviews"]);
+  const badgeLevel = BADGE_COLORS[level] ? level : ratingLevel(rating);
+  const badgeColor = BADGE_COLORS[badgeLevel];
+  const badgeText = t(`dashboard:performance.${badgeLevel}`);
   
   return (
     <span className={`px-3 py-1 rounded-full text-xs font-medium ${badgeColor}`}>
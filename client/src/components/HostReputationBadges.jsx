@@ -0,0 +1,46 @@
+import { useTranslation } from "react-i18next";
+import { formatResponseTime } from "../utils/placeUtils";
+
+/**
+ * HostReputationBadges - Badges a host earned from response time, acceptance,
+ * cancellations and review replies; with showFigures the underlying figures
+ * are listed as well. Renders nothing for hosts without enough history.
+ */
+export default function HostReputationBadges({ hostMetrics, showFigures = false }) {
+  const { t } = useTranslation("places");
+
+  if (!hostMetrics) {
+    return null;
+  }
+
+  const badges = hostMetrics.badges || [];
+  const figures = [
+    hostMetrics.medianResponseMinutes != null &&
+      t("hostReputation.figures.responseTime", { time: formatResponseTime(hostMetrics.medianResponseMinutes, t) }),
+    hostMetrics.acceptanceRate != null &&
+      t("hostReputation.figures.acceptanceRate", { rate: Math.round(hostMetrics.acceptanceRate) }),
+    hostMetrics.reviewReplyRate != null &&
+      t("hostReputation.figures.reviewReplyRate", { rate: Math.round(hostMetrics.reviewReplyRate) })
+  ].filter(Boolean);
+
+  if (badges.length === 0 && (!showFigures || figures.length === 0)) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-1">
+      {badges.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {badges.map(badge => (
+            <span key={badge} className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-50 text-green-700 border border-green-200">
+              {t(`hostReputation.badges.${badge}`)}
+            </span>
+          ))}
+        </div>
+      )}
+      {showFigures && figures.length > 0 && (
+        <p className="text-sm text-text-secondary">{figures.join(" · ")}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import { useTranslation } from "react-i18next";
+
+/**
+ * ModerationReasons - Why the automated checks scored a review or reply
+ * Shows the risk score and one line per rule that fired; renders nothing for clean posts.
+ */
+export default function ModerationReasons({ score, reasons }) {
+  const { t } = useTranslation("reviews");
+
+  if (!reasons?.length) {
+    return null;
+  }
+
+  return (
+    <div className="text-xs bg-yellow-50 border border-yellow-200 rounded-md p-2 space-y-1">
+      <div className="font-medium text-yellow-800">
+        {t("moderation.score", { score })}
+      </div>
+      <ul className="list-disc list-inside text-yellow-900">
+        {reasons.map(reason => (
+          <li key={reason.rule}>
+            {t(`moderation.rules.${reason.rule}`, reason.detail)}
+            <span className="text-yellow-700"> (+{reason.score})</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import React, { useState } from "react";
 import { useTranslation } from "react-i18next";
 import api from "../utils/api";
+import { getAmountToPay } from "../utils/bookingDetailsHelpers";
 
 /**
  * Octo Payment Modal Component
@@ -10,6 +11,7 @@ const OctoPaymentModal = ({
   isOpen,
   onClose,
   booking,
+  chargeAmount,
   onPaymentSuccess,
   onPaymentError
 }) => {
@@ -57,8 +59,8 @@ const OctoPaymentModal = ({
 
     try {
       const returnUrl = `${window.location.origin}/account/bookings/${booking.id}`;
-      const { data } = await api.post("/octo/prepare", {
-        bookingId: booking.id,
+      const { data } = await api.post(`/bookings/${booking.id}/payments`, {
+        provider: "octo",
         returnUrl
       });
 
@@ -77,7 +79,7 @@ const OctoPaymentModal = ({
 
         onPaymentSuccess?.({
           provider: "octo",
-          amount: booking.finalTotal || booking.totalPrice,
+          amount: chargeAmount ?? getAmountToPay(booking).amount,
           bookingId: booking.id,
           payUrl: data.url,
           octoPaymentUUID: data.octoPaymentUUID,
@@ -148,7 +150,7 @@ const OctoPaymentModal = ({
           <div className="mb-4 p-3 bg-blue-50 rounded-md">
             <div className="flex items-center justify-between text-sm">
               <span className="text-gray-600">{t("payment:octo.paymentAmount", "Payment Amount:")}</span>
-              <span className="font-medium text-gray-900">{(booking.finalTotal || booking.totalPrice)?.toLocaleString()} UZS</span>
+              <span className="font-medium text-gray-900">{(chargeAmount ?? getAmountToPay(booking).amount).toLocaleString()} UZS</span>
             </div>
           </div>
 
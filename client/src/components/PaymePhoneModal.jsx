@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { useTranslation } from "react-i18next";
 import api from "../utils/api";
+import { getAmountToPay } from "../utils/bookingDetailsHelpers";
 import CustomPhoneInput, { isValidPhoneNumber } from "./CustomPhoneInput";
 
 /**
@@ -12,6 +13,7 @@ const PaymePhoneModal = ({
   isOpen,
   onClose,
   booking,
+  chargeAmount,
   onPaymentSuccess,
   onPaymentError
 }) => {
@@ -151,8 +153,9 @@ const PaymePhoneModal = ({
         throw new Error("Payme merchant ID not configured");
       }
 
-      // Calculate amount in tiyin (multiply by 100)
-      const amount = Math.round((booking.finalTotal || booking.totalPrice) * 100);
+      // Calculate amount in tiyin (multiply by 100); a deposit or balance when the booking is paid in parts,
+      // in UZS at the locked exchange rate
+      const amount = Math.round((chargeAmount ?? getAmountToPay(booking).amount) * 100);
 
       // Get the correct URL from backend configuration
       const configResponse = await api.get("/payme/config");
@@ -226,7 +229,7 @@ const PaymePhoneModal = ({
       onClose();
       onPaymentSuccess?.({
         provider: 'payme',
-        amount: booking.finalTotal || booking.totalPrice,
+        amount: chargeAmount ?? getAmountToPay(booking).amount,
         phoneNumber: phoneNumber,
         bookingId: booking.id,
         orderId: String(booking.id) // Use booking ID as order ID
@@ -366,7 +369,7 @@ const PaymePhoneModal = ({
                 {t("payment:payme.paymentAmount", "Payment Amount:")}
               </span>
               <span className="font-medium text-gray-900">
-                {(booking.finalTotal || booking.totalPrice)?.toLocaleString()} UZS
+                {(chargeAmount ?? getAmountToPay(booking).amount).toLocaleString()} UZS
               </span>
             </div>
           </div>
@@ -0,0 +1,143 @@
+import { useState, useEffect, useCallback } from "react";
+import { useTranslation } from "react-i18next";
+import api from "../utils/api";
+import { useNotification } from "./NotificationContext";
+import { SectionCard } from "./BookingDetailsComponents";
+
+const STATUS_BADGE_CLASSES = {
+  received: "bg-info-100 text-info-800",
+  processed: "bg-success-100 text-success-800",
+  failed: "bg-error-100 text-error-800",
+  rejected: "bg-warning-100 text-warning-800"
+};
+
+/**
+ * Payment Events Section Component
+ * Agent-only timeline of the payment provider callbacks stored for a booking,
+ * with their raw body, signature check and outcome. A failed callback can be
+ * replayed once the cause is fixed; the replay shows up as a new event.
+ */
+export default function PaymentEventsSection({ bookingId, onReplayed }) {
+  const { t } = useTranslation('booking');
+  const { notify } = useNotification();
+  const [events, setEvents] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [replayingId, setReplayingId] = useState(null);
+
+  const loadEvents = useCallback(() => {
+    return api.get(`/bookings/${bookingId}/payment-events`)
+      .then(({ data }) => setEvents(data))
+      .catch(error => console.error('Error loading payment events:', error));
+  }, [bookingId]);
+
+  useEffect(() => {
+    if (!bookingId) return;
+    loadEvents();
+  }, [bookingId, loadEvents]);
+
+  if (!events) return null;
+
+  const handleReplay = async (event) => {
+    if (!window.confirm(t('details.paymentEvents.confirmReplay', { id: event.id }))) return;
+
+    setReplayingId(event.id);
+    try {
+      const { data } = await api.post(`/bookings/${bookingId}/payment-events/${event.id}/replay`);
+      notify(
+        data.success
+          ? t('details.paymentEvents.notifications.replayed')
+          : t('details.paymentEvents.notifications.replayFailed'),
+        data.success ? "success" : "error"
+      );
+      await loadEvents();
+      if (data.success) onReplayed?.();
+    } catch (error) {
+      notify(error.response?.data?.error || t('details.paymentEvents.notifications.error'), "error");
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  const signatureLabel = (signatureValid) => {
+    if (signatureValid === null || signatureValid === undefined) return t('details.paymentEvents.signature.unchecked');
+    return signatureValid ? t('details.paymentEvents.signature.valid') : t('details.paymentEvents.signature.invalid');
+  };
+
+  return (
+    <SectionCard title={t('details.sections.paymentEvents')}>
+      {events.length === 0 ? (
+        <p className="text-body-sm text-text-muted">{t('details.paymentEvents.empty')}</p>
+      ) : (
+        <ul className="divide-y divide-border-light border border-border-light rounded-lg">
+          {events.map(event => (
+            <li key={event.id} className="px-3 py-2 text-body-sm">
+              <div className="flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="text-text-primary">
+                    <span className="font-medium">#{event.id}</span>{" "}
+                    {event.provider}{event.eventType ? ` · ${event.eventType}` : ""}
+                  </p>
+                  <p className="text-xs text-text-muted">
+                    {new Date(event.created_at).toLocaleString()} · {signatureLabel(event.signatureValid)}
+                    {event.responseStatus ? ` · HTTP ${event.responseStatus}` : ""}
+                  </p>
+                  {event.replayOf && (
+                    <p className="text-xs text-text-muted">
+                      {t('details.paymentEvents.replayOf', { id: event.replayOf, name: event.replayer?.name || '—' })}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGE_CLASSES[event.status] || ''}`}>
+                    {t(`details.paymentEvents.status.${event.status}`)}
+                  </span>
+                  {event.canReplay && (
+                    <button
+                      onClick={() => handleReplay(event)}
+                      disabled={replayingId !== null}
+                      className="py-1 px-3 rounded-lg text-xs font-medium bg-primary text-white hover:bg-secondary disabled:opacity-50 transition-colors"
+                    >
+                      {replayingId === event.id ? t('details.paymentEvents.replaying') : t('details.paymentEvents.replay')}
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {event.error && (
+                <p className="mt-1 text-xs text-error-700 truncate" title={event.error}>
+                  {event.error.split('\n')[0]}
+                </p>
+              )}
+
+              <button
+                onClick={() => setExpandedId(expandedId === event.id ? null : event.id)}
+                className="mt-1 text-xs text-accent-primary hover:underline"
+              >
+                {expandedId === event.id ? t('details.paymentEvents.hidePayload') : t('details.paymentEvents.showPayload')}
+              </button>
+
+              {expandedId === event.id && (
+                <div className="mt-2 space-y-2">
+                  <div>
+                    <p className="text-xs font-medium text-text-secondary">{t('details.paymentEvents.body')}</p>
+                    <pre className="mt-1 p-2 bg-bg-secondary rounded text-xs overflow-x-auto">
+                      {JSON.stringify(event.body, null, 2)}
+                    </pre>
+                  </div>
+                  {event.responseBody && (
+                    <div>
+                      <p className="text-xs font-medium text-text-secondary">{t('details.paymentEvents.response')}</p>
+                      <pre className="mt-1 p-2 bg-bg-secondary rounded text-xs overflow-x-auto">
+                        {JSON.stringify(event.responseBody, null, 2)}
+                      </pre>
+                    </div>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </SectionCard>
+  );
+}
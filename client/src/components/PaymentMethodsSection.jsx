@@ -1,15 +1,18 @@
-import React, { useState } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { useTranslation } from "react-i18next";
 import ClickPhoneModal from "./ClickPhoneModal";
 import PaymePhoneModal from "./PaymePhoneModal";
 import CashPaymentModal from "./CashPaymentModal";
 import OctoPaymentModal from "./OctoPaymentModal";
 import api from "../utils/api";
+import { useCurrency } from "../contexts/CurrencyContext";
+import { getAmountToPay, isBalancePaymentDue, toChargeAmount } from "../utils/bookingDetailsHelpers";
 
 /**
  * Payment Methods Section Component
  * Displays all available payment methods with proper styling
- * Both Click and Payme payments are functional
+ * Both Click and Payme payments are functional. Payments are charged in UZS; the
+ * exchange rate quoted here is locked for the booking when checkout opens.
  */
 const PaymentMethodsSection = ({ 
   booking, 
@@ -23,13 +26,86 @@ const PaymentMethodsSection = ({
   const [isCashModalOpen, setIsCashModalOpen] = useState(false);
   const [agentContact, setAgentContact] = useState(null);
   const [isOctoModalOpen, setIsOctoModalOpen] = useState(false);
+  const [heldUntil, setHeldUntil] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const { selectedCurrency } = useCurrency();
+  const displayCurrency = selectedCurrency?.charCode;
+
+  // Paying the balance of a booking whose deposit is paid; Click and cash only take full payments
+  const isBalancePayment = isBalancePaymentDue(booking);
+  const { amount: amountToPay, paymentType } = getAmountToPay(booking);
+  const total = booking.finalTotal || booking.totalPrice;
+
+  const formatHoldTime = (dateValue) =>
+    dateValue ? new Date(dateValue).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+
+  const formatDueDate = (dateValue) =>
+    dateValue ? new Date(dateValue).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '';
+
+  // Quote (and lock) the exchange rate in the currency the client browses in
+  const loadQuote = useCallback(async () => {
+    try {
+      const { data } = await api.get(`/bookings/${booking.id}/payment-quote`, {
+        params: displayCurrency ? { currency: displayCurrency } : {}
+      });
+      setQuote(data);
+      return data;
+    } catch (error) {
+      console.error('Failed to load payment quote:', error);
+      setQuote(null);
+      return null;
+    }
+  }, [booking.id, displayCurrency]);
+
+  useEffect(() => {
+    if (isPaymentAvailable) {
+      loadQuote();
+    }
+  }, [isPaymentAvailable, loadQuote, booking.amountPaid]);
+
+  // Opening checkout holds the time slot for a few minutes so no other client can pay for it.
+  // An approved booking paying its balance already owns its slot.
+  const openCheckout = async (setModalOpen, { needsQuote = true } = {}) => {
+    // The quote may have expired while the page was open; cash is settled with an agent
+    if (needsQuote && !(await loadQuote())) {
+      onPaymentError?.(t("payment:fx.unavailable"));
+      return;
+    }
+
+    if (isBalancePayment) {
+      setModalOpen(true);
+      return;
+    }
+
+    try {
+      const { data } = await api.post(`/bookings/${booking.id}/hold`);
+      setHeldUntil(data.hold?.expiresAt || null);
+      setModalOpen(true);
+    } catch (error) {
+      if (error.response?.status === 409) {
+        onPaymentError?.(t("payment:hold.unavailable", { time: formatHoldTime(error.response.data?.heldUntil) }));
+      } else {
+        onPaymentError?.(error.response?.data?.error || t("payment:hold.failed"));
+      }
+    }
+  };
+
+  // Leaving checkout without starting payment frees the slot for other clients
+  const closeCheckout = (setModalOpen) => {
+    setModalOpen(false);
+    setHeldUntil(null);
+    if (isBalancePayment) return;
+    api.delete(`/bookings/${booking.id}/hold`).catch(error => {
+      console.error('Failed to release checkout hold:', error);
+    });
+  };
 
   const handleClickPayment = () => {
     if (!isPaymentAvailable) {
       onPaymentError?.(t("payment:errors.bookingNotSelected", "Payment will be available once the host selects your booking"));
       return;
     }
-    setIsClickModalOpen(true);
+    openCheckout(setIsClickModalOpen);
   };
 
   const handlePaymePayment = () => {
@@ -37,7 +113,7 @@ const PaymentMethodsSection = ({
       onPaymentError?.(t("payment:errors.bookingNotSelected", "Payment will be available once the host selects your booking"));
       return;
     }
-    setIsPaymeModalOpen(true);
+    openCheckout(setIsPaymeModalOpen);
   };
 
   const handleOctoPayment = () => {
@@ -45,7 +121,7 @@ const PaymentMethodsSection = ({
       onPaymentError?.(t("payment:errors.bookingNotSelected", "Payment will be available once the host selects your booking"));
       return;
     }
-    setIsOctoModalOpen(true);
+    openCheckout(setIsOctoModalOpen);
   };
 
   const handleCashPayment = () => {
@@ -53,7 +129,7 @@ const PaymentMethodsSection = ({
       onPaymentError?.(t("payment:errors.bookingNotSelected", "Payment will be available once the host selects your booking"));
       return;
     }
-    setIsCashModalOpen(true);
+    openCheckout(setIsCashModalOpen, { needsQuote: false });
   };
 
   const handleCashPaymentConfirm = async () => {
@@ -67,6 +143,7 @@ const PaymentMethodsSection = ({
 
       // Close modal first
       setIsCashModalOpen(false);
+      setHeldUntil(null);
 
       // Notify parent component of successful cash payment selection
       onPaymentInitiated?.({
@@ -98,6 +175,7 @@ const PaymentMethodsSection = ({
 
   const handleClickPaymentSuccess = (paymentData) => {
     setIsClickModalOpen(false);
+    setHeldUntil(null);
     // Tag provider explicitly to allow Click-only polling upstream
     onPaymentInitiated?.({ ...paymentData, provider: 'click' });
   };
@@ -109,6 +187,7 @@ const PaymentMethodsSection = ({
 
   const handlePaymePaymentSuccess = (paymentData) => {
     setIsPaymeModalOpen(false);
+    setHeldUntil(null);
     onPaymentInitiated?.(paymentData);
   };
 
@@ -119,9 +198,63 @@ const PaymentMethodsSection = ({
 
   return (
     <div className="space-y-4">
+      {heldUntil && (
+        <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+          {t("payment:hold.heldUntil", { time: formatHoldTime(heldUntil) })}
+        </div>
+      )}
+
+      {quote && (quote.currency !== quote.chargeCurrency || quote.displayCurrency !== quote.currency) && (
+        <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700 space-y-1">
+          <p>
+            {t("payment:fx.price", {
+              amount: `${Number(quote.amount).toLocaleString()} ${quote.currency}`
+            })}
+            {quote.displayCurrency !== quote.currency && (
+              <> {t("payment:fx.displayAmount", {
+                amount: `${Number(quote.displayAmount).toLocaleString()} ${quote.displayCurrency}`
+              })}</>
+            )}
+          </p>
+          <p className="font-medium">
+            {t("payment:fx.charged", {
+              amount: `${Number(quote.chargeAmount).toLocaleString()} ${quote.chargeCurrency}`
+            })}
+          </p>
+          {quote.currency !== quote.chargeCurrency && quote.rate && (
+            <p className="text-xs text-gray-500">
+              {t("payment:fx.rate", {
+                currency: quote.currency,
+                rate: `${Number(quote.rate).toLocaleString()} ${quote.chargeCurrency}`,
+                source: quote.source || '—'
+              })}
+              {quote.isLocked && quote.expiresAt && (
+                <> {t("payment:fx.lockedUntil", { time: formatHoldTime(quote.expiresAt) })}</>
+              )}
+            </p>
+          )}
+        </div>
+      )}
+
+      {paymentType !== 'full' && (
+        <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+          {paymentType === 'deposit'
+            ? t("payment:deposit.depositNote", {
+                amount: amountToPay.toLocaleString(),
+                balance: (total - amountToPay).toLocaleString(),
+                date: formatDueDate(booking.balanceDueAt)
+              })
+            : t("payment:deposit.balanceNote", {
+                amount: amountToPay.toLocaleString(),
+                date: formatDueDate(booking.balanceDueAt)
+              })}
+        </div>
+      )}
+
       {/* Payment Methods Grid - 2x2 Layout */}
       <div className="grid grid-cols-2 gap-4">
         {/* Click Payment */}
+        {!isBalancePayment && (
         <button
           onClick={handleClickPayment}
           disabled={!isPaymentAvailable}
@@ -141,6 +274,7 @@ const PaymentMethodsSection = ({
             }}
           />
         </button>
+        )}
 
         {/* Payme Payment */}
         <button
@@ -185,6 +319,7 @@ const PaymentMethodsSection = ({
         </button>
 
         {/* Cash Payment */}
+        {!isBalancePayment && (
         <button
           onClick={handleCashPayment}
           disabled={!isPaymentAvailable}
@@ -212,13 +347,15 @@ const PaymentMethodsSection = ({
             {t("payment:methods.cash", "Cash")}
           </span>
         </button>
+        )}
       </div>
 
       {/* Click Phone Verification Modal */}
       <ClickPhoneModal
         isOpen={isClickModalOpen}
-        onClose={() => setIsClickModalOpen(false)}
+        onClose={() => closeCheckout(setIsClickModalOpen)}
         booking={booking}
+        chargeAmount={quote ? toChargeAmount(total, quote) : undefined}
         onPaymentSuccess={handleClickPaymentSuccess}
         onPaymentError={handleClickPaymentError}
       />
@@ -226,8 +363,9 @@ const PaymentMethodsSection = ({
       {/* Payme Phone Verification Modal */}
       <PaymePhoneModal
         isOpen={isPaymeModalOpen}
-        onClose={() => setIsPaymeModalOpen(false)}
+        onClose={() => closeCheckout(setIsPaymeModalOpen)}
         booking={booking}
+        chargeAmount={quote ? toChargeAmount(amountToPay, quote) : undefined}
         onPaymentSuccess={handlePaymePaymentSuccess}
         onPaymentError={handlePaymePaymentError}
       />
@@ -235,7 +373,7 @@ const PaymentMethodsSection = ({
       {/* Cash Payment Modal */}
       <CashPaymentModal
         isOpen={isCashModalOpen}
-        onClose={() => setIsCashModalOpen(false)}
+        onClose={() => closeCheckout(setIsCashModalOpen)}
         onConfirm={handleCashPaymentConfirm}
         booking={booking}
         agentContact={agentContact}
@@ -244,10 +382,12 @@ const PaymentMethodsSection = ({
       {/* Octo Payment Modal */}
       <OctoPaymentModal
         isOpen={isOctoModalOpen}
-        onClose={() => setIsOctoModalOpen(false)}
+        onClose={() => closeCheckout(setIsOctoModalOpen)}
         booking={booking}
+        chargeAmount={quote ? toChargeAmount(amountToPay, quote) : undefined}
         onPaymentSuccess={(data) => {
           setIsOctoModalOpen(false);
+          setHeldUntil(null);
           onPaymentInitiated?.(data);
         }}
         onPaymentError={(err) => {
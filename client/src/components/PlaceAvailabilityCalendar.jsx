@@ -157,9 +157,12 @@ export default function PlaceAvailabilityCalendar({
         getTimezoneAwareAvailability(placeDetail.id)
       ])
       .then(([regularResponse, timezoneResponse]) => {
-        // Set regular booked time slots
+        // Set regular booked time slots (slots held at checkout by other clients are unavailable too)
         if (regularResponse.data && regularResponse.data.bookedTimeSlots) {
-          setBookedTimeSlots(regularResponse.data.bookedTimeSlots);
+          setBookedTimeSlots([
+            ...regularResponse.data.bookedTimeSlots,
+            ...(regularResponse.data.heldTimeSlots || [])
+          ]);
         }
         
         // Set timezone-aware data
@@ -177,7 +180,10 @@ export default function PlaceAvailabilityCalendar({
         })
         .then(response => {
           if (response.data && response.data.bookedTimeSlots) {
-            setBookedTimeSlots(response.data.bookedTimeSlots);
+            setBookedTimeSlots([
+              ...response.data.bookedTimeSlots,
+              ...(response.data.heldTimeSlots || [])
+            ]);
           }
         })
         .catch(fallbackErr => {
@@ -2,6 +2,7 @@ import { Link, useLocation } from "react-router-dom";
 import { useTranslation } from "react-i18next";
 import PriceDisplay from "./PriceDisplay";
 import ImageHoverQuad from "./ImageHoverQuad";
+import HostReputationBadges from "./HostReputationBadges";
 
 export default function PlaceCard({ place, showActions = true, preserveSearchParams = false }) {
   const { t } = useTranslation("places");
@@ -46,6 +47,11 @@ export default function PlaceCard({ place, showActions = true, preserveSearchPar
               <p className="truncate">{t("card.hosted_by")} {place.owner.name}</p>
             </div>
           )}
+          {place.owner?.hostMetrics?.badges?.length > 0 && (
+            <div className="mb-2">
+              <HostReputationBadges hostMetrics={place.owner.hostMetrics} />
+            </div>
+          )}
         
         {/* Details */}
         <div className="space-y-2 mb-4">
@@ -215,6 +215,7 @@ export default function PlaceReviews({ placeId, placeOwnerId }) {
               <ReviewRatingBreakdown
                 ratingBreakdown={reviewStats.ratingBreakdown}
                 totalReviews={reviewStats.totalReviews}
+                categoryRatings={reviewStats.categoryRatings}
               />
             </div>
 
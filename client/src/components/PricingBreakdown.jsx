@@ -7,6 +7,10 @@ export default function PricingBreakdown({
   totalPrice, 
   breakdown = [], 
   placeDetail,
+  addOns = [],
+  additionalRooms = [],
+  promoCode,
+  discountAmount = 0,
   finalTotal,
   // New props for booking details display
   basePrice,
@@ -16,6 +20,49 @@ export default function PricingBreakdown({
   isBookingDetails = false // Flag to indicate this is showing saved booking data
 }) {
   const { t } = useTranslation('booking');
+
+  // Label for a dynamic pricing adjustment (season, weekday, peak hours, last-minute)
+  const getAdjustmentLabel = (adjustment) => {
+    switch (adjustment.type) {
+      case 'season':
+        return adjustment.name
+          ? t("pricing.breakdown.adjustments.season", { name: adjustment.name })
+          : t("pricing.breakdown.adjustments.seasonUnnamed");
+      case 'timeOfDay':
+        return t("pricing.breakdown.adjustments.timeOfDay", {
+          startTime: adjustment.startTime,
+          endTime: adjustment.endTime,
+          multiplier: adjustment.multiplier
+        });
+      case 'lastMinute':
+        return t("pricing.breakdown.adjustments.lastMinute", { percent: adjustment.percent });
+      default:
+        return t(`pricing.breakdown.adjustments.${adjustment.type}`);
+    }
+  };
+
+  // Label for a selected add-on, e.g. "Projector × 2" or "Interpreter booth × 1 (4h)"
+  const getAddOnLabel = (addOn) => {
+    if (addOn.unit === 'per_hour') {
+      return t("pricing.breakdown.addOns.perHour", { name: addOn.name, quantity: addOn.quantity, hours: addOn.hours });
+    }
+    if (addOn.unit === 'per_guest') {
+      return t("pricing.breakdown.addOns.perGuest", { name: addOn.name, quantity: addOn.quantity });
+    }
+    return t("pricing.breakdown.addOns.perBooking", { name: addOn.name, quantity: addOn.quantity });
+  };
+
+  // Add-on line items shared by both layouts
+  const renderAddOns = (displayCurrency, className) => addOns.map(addOn => (
+    <div key={addOn.id} className={className}>
+      <span>{getAddOnLabel(addOn)}</span>
+      <PriceDisplay 
+        price={addOn.price} 
+        currency={displayCurrency} 
+        bold={false}
+      />
+    </div>
+  ));
   // Handle booking details display (showing saved data from database)
   if (isBookingDetails) {
     const displayCurrency = currency || placeDetail?.currency;
@@ -36,6 +83,21 @@ export default function PricingBreakdown({
             />
           </div>
           
+          {/* Add-ons */}
+          {renderAddOns(displayCurrency, "flex justify-between items-center text-gray-600")}
+          
+          {/* Promo code discount */}
+          {discountAmount > 0 && (
+            <div className="flex justify-between items-center text-green-700">
+              <span>{t("pricing.breakdown.promoDiscount", { code: promoCode })}</span>
+              <PriceDisplay 
+                price={-discountAmount} 
+                currency={displayCurrency} 
+                bold={false}
+              />
+            </div>
+          )}
+          
           {/* Total */}
           <div className="border-t pt-3">
             <div className="flex justify-between items-center">
@@ -75,18 +137,31 @@ export default function PricingBreakdown({
         {breakdown.length > 0 && (
           <>
             {breakdown.map((item, index) => (
-              <div key={index} className="flex px-3 py-2 justify-between items-center text-gray-600 text-sm">
-                <div className="flex-1">
-                  <p className="font-medium">{item.date}</p>
-                  <p className="text-xs text-gray-500">{item.timeSlot} • {item.priceType}</p>
+              <div key={index}>
+                <div className="flex px-3 py-2 justify-between items-center text-gray-600 text-sm">
+                  <div className="flex-1">
+                    <p className="font-medium">{item.date}</p>
+                    <p className="text-xs text-gray-500">{item.timeSlot} • {item.priceType}</p>
+                  </div>
+                  <p className="">
+                    <PriceDisplay 
+                      price={item.adjustments?.length ? item.basePrice : item.price} 
+                      currency={placeDetail.currency} 
+                      bold={false}
+                    />
+                  </p>
                 </div>
-                <p className="">
-                  <PriceDisplay 
-                    price={item.price} 
-                    currency={placeDetail.currency} 
-                    bold={false}
-                  />
-                </p>
+                {/* Dynamic pricing line items */}
+                {item.adjustments?.map((adjustment, adjustmentIndex) => (
+                  <div key={adjustmentIndex} className="flex pl-6 pr-3 pb-2 justify-between items-center text-xs text-gray-500">
+                    <p>{getAdjustmentLabel(adjustment)}</p>
+                    <PriceDisplay 
+                      price={adjustment.amount} 
+                      currency={placeDetail.currency} 
+                      bold={false}
+                    />
+                  </div>
+                ))}
               </div>
             ))}
             <div className="flex px-3 py-3 justify-between items-center text-gray-600 border-t">
@@ -101,6 +176,40 @@ export default function PricingBreakdown({
             </div>
           </>
         )}
+        {/* Selected add-ons */}
+        {addOns.length > 0 && (
+          <div className="border-t py-2">
+            <p className="px-3 pb-1 text-sm font-medium text-gray-600">{t("pricing.breakdown.addOns.title")}</p>
+            {renderAddOns(placeDetail.currency, "flex px-3 py-1 justify-between items-center text-gray-600 text-sm")}
+          </div>
+        )}
+        {/* Other rooms of a booking group, priced for the same slots */}
+        {additionalRooms.length > 0 && (
+          <div className="border-t py-2">
+            <p className="px-3 pb-1 text-sm font-medium text-gray-600">{t("pricing.breakdown.additionalRooms")}</p>
+            {additionalRooms.map(room => (
+              <div key={room.id} className="flex px-3 py-1 justify-between items-center text-gray-600 text-sm">
+                <span>{room.title}</span>
+                <PriceDisplay 
+                  price={room.price} 
+                  currency={placeDetail.currency} 
+                  bold={false}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+        {/* Promo code discount */}
+        {discountAmount > 0 && (
+          <div className="flex px-3 py-2 justify-between items-center text-green-700 text-sm border-t">
+            <p>{t("pricing.breakdown.promoDiscount", { code: promoCode })}</p>
+            <PriceDisplay 
+              price={-discountAmount} 
+              currency={placeDetail.currency} 
+              bold={false}
+            />
+          </div>
+        )}
       </div>
       <div>
         <div className="flex px-3 py-4 justify-between items-center">
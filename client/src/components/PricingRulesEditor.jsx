@@ -0,0 +1,246 @@
+import { useTranslation } from "react-i18next";
+import PriceInput from "./PriceInput";
+import { EMPTY_PRICING_RULES } from "../utils/pricingCalculator";
+
+const weekdays = [
+  { key: "sunday", shortKey: "sun" },
+  { key: "monday", shortKey: "mon" },
+  { key: "tuesday", shortKey: "tue" },
+  { key: "wednesday", shortKey: "wed" },
+  { key: "thursday", shortKey: "thu" },
+  { key: "friday", shortKey: "fri" },
+  { key: "saturday", shortKey: "sat" }
+];
+
+const hourOptions = Array.from({ length: 25 }, (_, hour) => `${hour.toString().padStart(2, '0')}:00`);
+
+/**
+ * PricingRulesEditor Component
+ *
+ * Lets hosts define dynamic pricing on top of the hourly price: peak-hour
+ * multipliers, weekday prices, seasonal prices and a last-minute discount.
+ * The rules are applied by utils/pricingCalculator.js and the backend quote.
+ */
+const PricingRulesEditor = ({ pricingRules, setPricingRules, currency }) => {
+  const { t } = useTranslation("places");
+  const rules = pricingRules || EMPTY_PRICING_RULES;
+
+  const updateRules = (changes) => {
+    setPricingRules({ ...rules, ...changes });
+  };
+
+  // Time-of-day multipliers
+  const addTimeOfDayRule = () => {
+    updateRules({ timeOfDay: [...rules.timeOfDay, { startTime: "18:00", endTime: "22:00", multiplier: 1.2 }] });
+  };
+
+  const updateTimeOfDayRule = (index, changes) => {
+    updateRules({
+      timeOfDay: rules.timeOfDay.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    });
+  };
+
+  const removeTimeOfDayRule = (index) => {
+    updateRules({ timeOfDay: rules.timeOfDay.filter((_, i) => i !== index) });
+  };
+
+  // Weekday prices (empty means the regular hourly price)
+  const updateWeekdayPrice = (weekdayIndex, value) => {
+    const weekdayPrices = { ...rules.weekdays };
+    if (value && parseFloat(value) > 0) {
+      weekdayPrices[weekdayIndex] = parseFloat(value);
+    } else {
+      delete weekdayPrices[weekdayIndex];
+    }
+    updateRules({ weekdays: weekdayPrices });
+  };
+
+  // Seasonal prices
+  const addSeason = () => {
+    updateRules({ seasons: [...rules.seasons, { name: "", startDate: "", endDate: "", price: 0 }] });
+  };
+
+  const updateSeason = (index, changes) => {
+    updateRules({
+      seasons: rules.seasons.map((season, i) => (i === index ? { ...season, ...changes } : season))
+    });
+  };
+
+  const removeSeason = (index) => {
+    updateRules({ seasons: rules.seasons.filter((_, i) => i !== index) });
+  };
+
+  // Last-minute discount
+  const toggleLastMinute = (enabled) => {
+    updateRules({ lastMinute: enabled ? { hoursBefore: 24, discountPercent: 10 } : null });
+  };
+
+  return (
+    <div id="pricing-rules" className="space-y-6">
+      {/* Peak hours */}
+      <div>
+        <h4 className="text-base font-medium mb-1 text-gray-800">{t("places:placeCreate.pricingRulesEditor.timeOfDay.title")}</h4>
+        <p className="text-sm text-gray-500 mb-3">{t("places:placeCreate.pricingRulesEditor.timeOfDay.description")}</p>
+        <div className="space-y-2">
+          {rules.timeOfDay.map((rule, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2">
+              <select
+                value={rule.startTime}
+                onChange={(e) => updateTimeOfDayRule(index, { startTime: e.target.value })}
+                className="border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+              >
+                {hourOptions.slice(0, 24).map(hour => (
+                  <option key={hour} value={hour}>{hour}</option>
+                ))}
+              </select>
+              <span className="text-gray-500">—</span>
+              <select
+                value={rule.endTime}
+                onChange={(e) => updateTimeOfDayRule(index, { endTime: e.target.value })}
+                className="border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+              >
+                {hourOptions.slice(1).map(hour => (
+                  <option key={hour} value={hour}>{hour}</option>
+                ))}
+              </select>
+              <span className="text-gray-500">×</span>
+              <input
+                type="number"
+                min="0.1"
+                max="5"
+                step="0.05"
+                value={rule.multiplier}
+                onChange={(e) => updateTimeOfDayRule(index, { multiplier: parseFloat(e.target.value) || 1 })}
+                className="w-20 border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+              />
+              <button
+                type="button"
+                onClick={() => removeTimeOfDayRule(index)}
+                className="text-sm text-red-600 hover:underline"
+              >
+                {t("places:placeCreate.pricingRulesEditor.remove")}
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={addTimeOfDayRule}
+          className="mt-2 text-sm text-blue-600 hover:underline"
+        >
+          + {t("places:placeCreate.pricingRulesEditor.timeOfDay.add")}
+        </button>
+      </div>
+
+      {/* Weekday prices */}
+      <div>
+        <h4 className="text-base font-medium mb-1 text-gray-800">{t("places:placeCreate.pricingRulesEditor.weekdays.title")}</h4>
+        <p className="text-sm text-gray-500 mb-3">{t("places:placeCreate.pricingRulesEditor.weekdays.description")}</p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+          {weekdays.map((day, index) => (
+            <PriceInput
+              key={day.key}
+              value={rules.weekdays[index] || ""}
+              onChange={(value) => updateWeekdayPrice(index, value)}
+              currency={currency}
+              label={t(`places:placeCreate.scheduleAvailability.weekdays.${day.key}`)}
+              isRequired={false}
+            />
+          ))}
+        </div>
+      </div>
+
+      {/* Seasonal prices */}
+      <div>
+        <h4 className="text-base font-medium mb-1 text-gray-800">{t("places:placeCreate.pricingRulesEditor.seasons.title")}</h4>
+        <p className="text-sm text-gray-500 mb-3">{t("places:placeCreate.pricingRulesEditor.seasons.description")}</p>
+        <div className="space-y-3">
+          {rules.seasons.map((season, index) => (
+            <div key={index} className="grid grid-cols-1 md:grid-cols-5 gap-2 items-end p-3 border border-gray-200 rounded-xl">
+              <input
+                type="text"
+                value={season.name}
+                maxLength={100}
+                placeholder={t("places:placeCreate.pricingRulesEditor.seasons.namePlaceholder")}
+                onChange={(e) => updateSeason(index, { name: e.target.value })}
+                className="border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+              />
+              <input
+                type="date"
+                value={season.startDate}
+                onChange={(e) => updateSeason(index, { startDate: e.target.value })}
+                className="border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+              />
+              <input
+                type="date"
+                value={season.endDate}
+                min={season.startDate}
+                onChange={(e) => updateSeason(index, { endDate: e.target.value })}
+                className="border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+              />
+              <PriceInput
+                value={season.price}
+                onChange={(value) => updateSeason(index, { price: parseFloat(value) || 0 })}
+                currency={currency}
+                label={t("places:placeCreate.pricingAndCapacity.pricePerHour")}
+                isRequired={false}
+              />
+              <button
+                type="button"
+                onClick={() => removeSeason(index)}
+                className="text-sm text-red-600 hover:underline md:mb-2"
+              >
+                {t("places:placeCreate.pricingRulesEditor.remove")}
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={addSeason}
+          className="mt-2 text-sm text-blue-600 hover:underline"
+        >
+          + {t("places:placeCreate.pricingRulesEditor.seasons.add")}
+        </button>
+      </div>
+
+      {/* Last-minute discount */}
+      <div>
+        <label className="flex items-center gap-2 text-base font-medium text-gray-800">
+          <input
+            type="checkbox"
+            checked={!!rules.lastMinute}
+            onChange={(e) => toggleLastMinute(e.target.checked)}
+          />
+          {t("places:placeCreate.pricingRulesEditor.lastMinute.title")}
+        </label>
+        {rules.lastMinute && (
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            <span>{t("places:placeCreate.pricingRulesEditor.lastMinute.discount")}</span>
+            <input
+              type="number"
+              min="1"
+              max="90"
+              value={rules.lastMinute.discountPercent}
+              onChange={(e) => updateRules({ lastMinute: { ...rules.lastMinute, discountPercent: parseInt(e.target.value, 10) || 1 } })}
+              className="w-16 border border-gray-300 rounded-lg py-1 px-2"
+            />
+            <span>%</span>
+            <span>{t("places:placeCreate.pricingRulesEditor.lastMinute.within")}</span>
+            <input
+              type="number"
+              min="1"
+              max="168"
+              value={rules.lastMinute.hoursBefore}
+              onChange={(e) => updateRules({ lastMinute: { ...rules.lastMinute, hoursBefore: parseInt(e.target.value, 10) || 1 } })}
+              className="w-16 border border-gray-300 rounded-lg py-1 px-2"
+            />
+            <span>{t("places:placeCreate.pricingRulesEditor.lastMinute.hoursBeforeStart")}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PricingRulesEditor;
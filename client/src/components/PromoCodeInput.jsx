@@ -0,0 +1,71 @@
+import { useState } from "react";
+import { useTranslation } from "react-i18next";
+
+/**
+ * PromoCodeInput Component
+ *
+ * Lets clients apply a promo code in BookingWidget. The code is validated by the
+ * server quote; an invalid code comes back as `error` and is cleared by the parent.
+ */
+export default function PromoCodeInput({ appliedCode, onApply, onRemove, error }) {
+  const { t } = useTranslation('booking');
+  const [code, setCode] = useState("");
+
+  const handleApply = () => {
+    const trimmedCode = code.trim().toUpperCase();
+    if (trimmedCode) {
+      onApply(trimmedCode);
+    }
+  };
+
+  return (
+    <div className="px-3 py-4 border-t">
+      {appliedCode ? (
+        <div className="flex items-center justify-between text-sm">
+          <span className="text-green-700">
+            {t("widget.promoCode.applied", { code: appliedCode })}
+          </span>
+          <button
+            type="button"
+            onClick={() => {
+              setCode("");
+              onRemove();
+            }}
+            className="text-red-600 hover:underline"
+          >
+            {t("widget.promoCode.remove")}
+          </button>
+        </div>
+      ) : (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={code}
+            maxLength={50}
+            onChange={(e) => setCode(e.target.value)}
+            onKeyDown={(e) => {
+              // Apply instead of submitting the booking form
+              if (e.key === "Enter") {
+                e.preventDefault();
+                handleApply();
+              }
+            }}
+            placeholder={t("widget.promoCode.placeholder")}
+            className="flex-1 border border-gray-300 rounded-lg py-1.5 px-3 text-sm uppercase"
+          />
+          <button
+            type="button"
+            onClick={handleApply}
+            disabled={!code.trim()}
+            className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            {t("widget.promoCode.apply")}
+          </button>
+        </div>
+      )}
+      {error && (
+        <p className="mt-2 text-xs text-red-600">{error}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import { createPortal } from "react-dom";
+import { useTranslation } from "react-i18next";
+import { useRatingFilter } from "../contexts/RatingFilterContext";
+
+// Rating Filter Modal - pick a review category, a minimum score and whether to sort by it
+export default function RatingFilterModal({ isOpen, onClose }) {
+  const { t } = useTranslation(["search", "reviews"]);
+
+  const {
+    selectedCategory,
+    minScore,
+    sortByCategory,
+    selectCategory,
+    setMinScore,
+    setSortByCategory,
+    clearRatingFilter,
+    categories,
+    minScoreOptions,
+    hasActiveRatingFilter
+  } = useRatingFilter();
+
+  // Early return if modal is not open - performance optimization
+  if (!isOpen) {
+    return null;
+  }
+
+  const optionClassName = (isActive) => `px-3 py-1.5 rounded-full border text-sm transition-colors ${
+    isActive
+      ? "bg-primary text-white border-primary"
+      : "bg-white text-gray-700 border-gray-300 hover:border-gray-400"
+  }`;
+
+  const modalContent = (
+    <div className="modal-overlay">
+      <div className="modal-container max-w-sm sm:max-w-md md:max-w-lg">
+
+        {/* Modal Header - Fixed */}
+        <div className="modal-header px-2 sm:px-3 py-1.5 sm:py-2">
+          <h2 className="text-lg font-semibold text-gray-900">
+            {t("search:filters.modals.rating.title")}
+          </h2>
+          <button
+            onClick={onClose}
+            className="w-5 h-5 sm:w-6 sm:h-6 rounded-full bg-bg-secondary hover:bg-border-light flex items-center justify-center transition-colors"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-3 h-3 sm:w-4 sm:h-4">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Modal Content - Scrollable */}
+        <div className="modal-body p-3 space-y-5">
+          <div>
+            <h3 className="text-sm font-medium text-gray-900 mb-2">{t("search:filters.modals.rating.category")}</h3>
+            <div className="flex flex-wrap gap-2">
+              {categories.map(category => (
+                <button
+                  key={category}
+                  type="button"
+                  onClick={() => selectCategory(selectedCategory === category ? "" : category)}
+                  className={optionClassName(selectedCategory === category)}
+                >
+                  {t(`reviews:categories.${category}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {selectedCategory && (
+            <>
+              <div>
+                <h3 className="text-sm font-medium text-gray-900 mb-2">{t("search:filters.modals.rating.minScore")}</h3>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setMinScore(null)}
+                    className={optionClassName(minScore === null)}
+                  >
+                    {t("search:filters.modals.rating.anyScore")}
+                  </button>
+                  {minScoreOptions.map(score => (
+                    <button
+                      key={score}
+                      type="button"
+                      onClick={() => setMinScore(score)}
+                      className={optionClassName(minScore === score)}
+                    >
+                      {t("search:filters.modals.rating.scoreOption", { score })}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={sortByCategory}
+                  onChange={(e) => setSortByCategory(e.target.checked)}
+                  className="h-4 w-4 text-primary border-gray-300 rounded focus:ring-primary"
+                />
+                {t("search:filters.modals.rating.sortByCategory")}
+              </label>
+            </>
+          )}
+
+          {!selectedCategory && (
+            <p className="text-sm text-gray-500">{t("search:filters.modals.rating.hint")}</p>
+          )}
+        </div>
+
+        {/* Modal Footer - Fixed */}
+        <div className="modal-footer px-2 py-2 sm:px-3 sm:py-3 md:px-4 md:py-3">
+          <div className="flex flex-row gap-2 justify-between">
+            {hasActiveRatingFilter && (
+              <button onClick={clearRatingFilter} className="btn-outline btn-size-md">
+                {t("search:filters.modals.rating.clear")}
+              </button>
+            )}
+            <button onClick={onClose} className="btn-primary btn-size-md">
+              {t("search:filters.modals.rating.apply")}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+
+  return createPortal(modalContent, document.body);
+}
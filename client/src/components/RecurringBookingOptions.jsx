@@ -0,0 +1,139 @@
+import { useState, useEffect } from "react";
+import { useTranslation } from "react-i18next";
+import { format, parseISO } from "date-fns";
+import { enUS, ru, uz } from "date-fns/locale";
+import api from "../utils/api";
+
+/**
+ * Recurring Booking Options Component
+ * Lets a client repeat a single selected time slot weekly, bi-weekly or monthly
+ * and previews which occurrences are available before the series is requested
+ */
+export default function RecurringBookingOptions({ placeId, timeSlot, recurrence, onRecurrenceChange }) {
+  const { t, i18n } = useTranslation('booking');
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState("");
+
+  const { frequency, endType, count, untilDate } = recurrence;
+
+  const getDateLocale = () => {
+    switch (i18n.language) {
+      case 'ru': return ru;
+      case 'uz': return uz;
+      default: return enUS;
+    }
+  };
+
+  // Preview occurrences whenever the slot or recurrence settings change
+  useEffect(() => {
+    if (!frequency || !timeSlot || (endType === 'until' && !untilDate)) {
+      setPreview(null);
+      return;
+    }
+
+    let isCancelled = false;
+    setPreviewError("");
+    api.post("/bookings/series/preview", {
+      place: placeId,
+      startDate: timeSlot.date,
+      startTime: timeSlot.startTime,
+      endTime: timeSlot.endTime,
+      frequency,
+      ...(endType === 'until' ? { untilDate } : { count })
+    })
+      .then(({ data }) => {
+        if (!isCancelled) setPreview(data);
+      })
+      .catch(err => {
+        if (!isCancelled) {
+          setPreview(null);
+          setPreviewError(err.response?.data?.error || t('widget.recurring.previewError'));
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [placeId, timeSlot?.date, timeSlot?.startTime, timeSlot?.endTime, frequency, endType, count, untilDate]);
+
+  const updateRecurrence = (changes) => {
+    onRecurrenceChange({ ...recurrence, ...changes });
+  };
+
+  return (
+    <div className="px-3 py-4 border-t">
+      <label className="font-medium text-gray-700 block mb-2">
+        {t('widget.recurring.label')}
+      </label>
+      <select
+        value={frequency}
+        onChange={(event) => updateRecurrence({ frequency: event.target.value })}
+        className="w-full border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+      >
+        <option value="">{t('widget.recurring.frequency.none')}</option>
+        <option value="weekly">{t('widget.recurring.frequency.weekly')}</option>
+        <option value="biweekly">{t('widget.recurring.frequency.biweekly')}</option>
+        <option value="monthly">{t('widget.recurring.frequency.monthly')}</option>
+      </select>
+
+      {frequency && (
+        <div className="mt-3 flex items-center gap-2 text-sm">
+          <select
+            value={endType}
+            onChange={(event) => updateRecurrence({ endType: event.target.value })}
+            className="border border-gray-300 rounded-lg py-1.5 px-2"
+          >
+            <option value="count">{t('widget.recurring.endAfter')}</option>
+            <option value="until">{t('widget.recurring.endOn')}</option>
+          </select>
+          {endType === 'until' ? (
+            <input
+              type="date"
+              value={untilDate}
+              min={timeSlot?.date}
+              onChange={(event) => updateRecurrence({ untilDate: event.target.value })}
+              className="border border-gray-300 rounded-lg py-1 px-2"
+            />
+          ) : (
+            <>
+              <input
+                type="number"
+                value={count}
+                min="2"
+                max="52"
+                onChange={(event) => updateRecurrence({ count: Math.max(2, Math.min(52, parseInt(event.target.value) || 2)) })}
+                className="w-16 text-center border border-gray-300 rounded-lg py-1"
+              />
+              <span className="text-gray-600">{t('widget.recurring.occurrences')}</span>
+            </>
+          )}
+        </div>
+      )}
+
+      {previewError && (
+        <p className="mt-2 text-sm text-red-600">{previewError}</p>
+      )}
+
+      {preview && (
+        <div className="mt-3">
+          <p className="text-xs text-gray-600 mb-1">
+            {t('widget.recurring.summary', { available: preview.availableCount, conflicts: preview.conflictCount })}
+          </p>
+          <ul className="max-h-40 overflow-y-auto text-xs space-y-1">
+            {preview.occurrences.map(occurrence => (
+              <li
+                key={occurrence.date}
+                className={`flex justify-between ${occurrence.available ? 'text-gray-700' : 'text-red-600 line-through'}`}
+              >
+                <span>{format(parseISO(occurrence.date), "EEE, MMM d, yyyy", { locale: getDateLocale() })}</span>
+                {!occurrence.available && (
+                  <span className="no-underline">{t(`details.series.conflictReasons.${occurrence.conflictReason}`)}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { useState, useEffect } from "react";
+import { useTranslation } from "react-i18next";
+import api from "../utils/api";
+import PlaceAvailabilityCalendar from "./PlaceAvailabilityCalendar";
+import SelectedTimeSlots from "./SelectedTimeSlots";
+import LoadingSpinner from "./LoadingSpinner";
+
+/**
+ * Reschedule Booking Modal Component
+ * Lets a client move a booking under the reschedule_only policy to new time slots
+ * on the same place. The new selection must keep the same total as the original
+ * booking because the existing payment stays attached to it.
+ */
+export default function RescheduleBookingModal({ isOpen, onClose, booking, onRescheduled }) {
+  const { t } = useTranslation('booking');
+  const [placeDetail, setPlaceDetail] = useState(null);
+  const [selectedTimeSlots, setSelectedTimeSlots] = useState([]);
+  const [isLoadingPlace, setIsLoadingPlace] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  // Load full place details (working hours, cooldown, blocked dates) for the calendar
+  useEffect(() => {
+    if (!isOpen || !booking?.placeId) return;
+
+    setSelectedTimeSlots([]);
+    setError("");
+    setIsLoadingPlace(true);
+    api.get(`/places/${booking.placeId}`)
+      .then(({ data }) => setPlaceDetail(data))
+      .catch(err => {
+        console.error("Failed to load place for reschedule:", err);
+        setError(t('details.reschedule.loadError'));
+      })
+      .finally(() => setIsLoadingPlace(false));
+  }, [isOpen, booking?.placeId]);
+
+  if (!isOpen) return null;
+
+  const totalHours = selectedTimeSlots.reduce((sum, slot) => {
+    const start = parseInt(slot.startTime.split(':')[0], 10);
+    const end = parseInt(slot.endTime.split(':')[0], 10);
+    return sum + (end - start);
+  }, 0);
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    setError("");
+    try {
+      const { data } = await api.post(`/bookings/${booking.id}/reschedule`, {
+        selectedTimeSlots
+      });
+      onRescheduled?.(data.booking);
+    } catch (err) {
+      setError(err.response?.data?.error || t('details.reschedule.genericError'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-start md:items-center justify-center z-50 p-2 md:p-4 pt-16 md:pt-16 pb-4">
+      <div className="bg-white rounded-lg max-w-3xl w-full mx-2 md:mx-4 shadow-xl max-h-[80vh] md:max-h-[calc(100vh-8rem)] overflow-y-auto flex flex-col">
+        {/* Modal Header */}
+        <div className="border-b border-gray-200 px-6 py-3">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {t('details.reschedule.title')}
+            </h3>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Modal Body */}
+        <div className="px-6 py-4 flex-1 overflow-y-auto space-y-4">
+          <p className="text-sm text-gray-600">{t('details.reschedule.description')}</p>
+
+          {isLoadingPlace && <LoadingSpinner />}
+
+          {placeDetail && (
+            <>
+              <PlaceAvailabilityCalendar
+                placeDetail={placeDetail}
+                onSelectedDatesChange={setSelectedTimeSlots}
+                selectedCalendarDates={selectedTimeSlots}
+              />
+              <SelectedTimeSlots
+                selectedCalendarDates={selectedTimeSlots}
+                totalHours={totalHours}
+                placeDetail={placeDetail}
+              />
+            </>
+          )}
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              {error}
+            </div>
+          )}
+        </div>
+
+        {/* Modal Footer */}
+        <div className="border-t border-gray-200 px-6 py-3 flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            disabled={isSubmitting}
+            className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            {t('details.reschedule.cancel')}
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={isSubmitting || selectedTimeSlots.length === 0}
+            className="px-4 py-2 rounded-lg bg-primary text-white hover:bg-secondary disabled:opacity-50 transition-colors"
+          >
+            {isSubmitting ? t('details.actions.processing') : t('details.reschedule.confirm')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -13,6 +13,7 @@ import {
   LineElement,
 } from "chart.js";
 import { Bar, Pie, Line } from "react-chartjs-2";
+import { RATING_CATEGORIES } from "../utils/placeUtils";
 
 // Register Chart.js components
 ChartJS.register(
@@ -35,7 +36,7 @@ ChartJS.register(
  */
 export default function ReviewAnalytics({ reviewStats }) {
   const [chartData, setChartData] = useState({});
-  const { t } = useTranslation("dashboard");
+  const { t } = useTranslation(["dashboard", "reviews"]);
 
   console.log('ReviewAnalytics received props:', reviewStats); // Debug log
 
@@ -250,6 +251,29 @@ export default function ReviewAnalytics({ reviewStats }) {
         </div>
       </div>
 
+      {/* Category Ratings */}
+      {reviewStats.categoryRatings?.length > 0 && (
+        <div className="bg-gray-50 p-4 rounded-lg mb-8">
+          <h3 className="text-lg font-semibold mb-4">{t("reviews.analytics.categoryRatings")}</h3>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {RATING_CATEGORIES.map(category => {
+              const stat = reviewStats.categoryRatings.find(item => item.category === category);
+              return (
+                <div key={category} className="bg-white p-3 rounded-lg border border-gray-200">
+                  <div className="text-sm text-gray-600">{t(`reviews:categories.${category}`)}</div>
+                  <div className="text-xl font-bold text-gray-900">
+                    {stat ? `${stat.average} ⭐` : "N/A"}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {stat ? `${stat.count} ${t("reviews.analytics.reviews")}` : ""}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Moderation Stats */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
         <div className="bg-gray-50 p-4 rounded-lg">
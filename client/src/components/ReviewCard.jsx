@@ -1,6 +1,7 @@
 import { useState, useContext } from "react";
 import { UserContext } from "./UserContext";
 import StarRating from "./StarRating";
+import { getCloudinaryImageUrl } from "../utils/cloudinary";
 import { useTranslation } from "react-i18next";
 
 export default function ReviewCard({ 
@@ -174,6 +175,28 @@ export default function ReviewCard({
         </div>
       )}
 
+      {/* Guest Photos - only approved reviews come with photos */}
+      {review.photos?.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {review.photos.map((photo, index) => (
+            <a
+              key={photo.publicId || photo.url}
+              href={getCloudinaryImageUrl(photo)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="block w-20 h-20 rounded-md overflow-hidden bg-gray-100"
+            >
+              <img
+                src={getCloudinaryImageUrl(photo)}
+                alt={t("reviewCard.photoAlt", { number: index + 1 })}
+                className="w-full h-full object-cover"
+                loading="lazy"
+              />
+            </a>
+          ))}
+        </div>
+      )}
+
       {/* Host Reply */}
       {review.Reply && !isEditingReply && (
         <div className="bg-gray-50 rounded-lg p-3 mb-3">
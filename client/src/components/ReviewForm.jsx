@@ -3,6 +3,7 @@ import { UserContext } from "./UserContext";
 import { useNotification } from "./NotificationContext";
 import InteractiveStarRating from "./InteractiveStarRating";
 import api from "../utils/api";
+import { RATING_CATEGORIES } from "../utils/placeUtils";
 import { useTranslation } from "react-i18next";
 
 export default function ReviewForm({ placeId, onReviewSubmitted, existingReview = null, onCancel, placeOwnerId }) {
@@ -10,7 +11,10 @@ export default function ReviewForm({ placeId, onReviewSubmitted, existingReview
   const { notify } = useNotification();
   const { t } = useTranslation("reviews");
   const [rating, setRating] = useState(existingReview?.rating || 0);
+  const [categoryRatings, setCategoryRatings] = useState(existingReview?.categoryRatings || {});
   const [comment, setComment] = useState(existingReview?.comment || "");
+  const [photoFiles, setPhotoFiles] = useState([]);
+  const [photoPreviews, setPhotoPreviews] = useState([]);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState("");
   const [showForm, setShowForm] = useState(false);
@@ -21,6 +25,7 @@ export default function ReviewForm({ placeId, onReviewSubmitted, existingReview
   // Character limits
   const MIN_COMMENT_LENGTH = 10;
   const MAX_COMMENT_LENGTH = 1000;
+  const MAX_PHOTOS = 5;
 
   // Fetch eligible bookings when component mounts
   useEffect(() => {
@@ -55,6 +60,26 @@ export default function ReviewForm({ placeId, onReviewSubmitted, existingReview
     }
   };
 
+  // Preview URLs for the picked photos, released when the selection changes
+  useEffect(() => {
+    const urls = photoFiles.map(file => URL.createObjectURL(file));
+    setPhotoPreviews(urls);
+    return () => urls.forEach(url => URL.revokeObjectURL(url));
+  }, [photoFiles]);
+
+  const handlePhotoSelect = (e) => {
+    const selected = Array.from(e.target.files || []).filter(file => file.type.startsWith("image/"));
+    e.target.value = "";
+    if (photoFiles.length + selected.length > MAX_PHOTOS) {
+      notify(t("reviewForm.fields.photos.tooMany", { max: MAX_PHOTOS }), "error");
+    }
+    setPhotoFiles(prev => [...prev, ...selected].slice(0, MAX_PHOTOS));
+  };
+
+  const removePhoto = (index) => {
+    setPhotoFiles(prev => prev.filter((_, fileIndex) => fileIndex !== index));
+  };
+
   // Validation
   const isValidRating = rating >= 1 && rating <= 5;
   const isValidComment = comment.trim().length >= MIN_COMMENT_LENGTH && comment.trim().length <= MAX_COMMENT_LENGTH;
@@ -82,6 +107,7 @@ export default function ReviewForm({ placeId, onReviewSubmitted, existingReview
       const reviewData = {
         placeId: parseInt(placeId),
         rating,
+        categoryRatings,
         comment: comment.trim()
       };
 
@@ -94,6 +120,16 @@ export default function ReviewForm({ placeId, onReviewSubmitted, existingReview
       if (existingReview) {
         // Update existing review
         response = await api.put(`/reviews/${existingReview.id}`, reviewData);
+      } else if (photoFiles.length > 0) {
+        // Create new review with photos as multipart
+        const formData = new FormData();
+        Object.entries(reviewData).forEach(([key, value]) => {
+          formData.append(key, typeof value === "object" ? JSON.stringify(value) : value);
+        });
+        photoFiles.forEach(file => formData.append("photos", file));
+        response = await api.post("/reviews", formData, {
+          headers: { "Content-Type": "multipart/form-data" },
+        });
       } else {
         // Create new review
         response = await api.post("/reviews", reviewData);
@@ -105,15 +141,17 @@ export default function ReviewForm({ placeId, onReviewSubmitted, existingReview
       }
 
       // Show success notification
-      notify(
-        existingReview ? t("reviewForm.messages.updateSuccess") : t("reviewForm.messages.submitSuccess"),
-        "success"
-      );
+      const successKey = existingReview
+        ? "reviewForm.messages.updateSuccess"
+        : photoFiles.length > 0 ? "reviewForm.messages.submitPendingSuccess" : "reviewForm.messages.submitSuccess";
+      notify(t(successKey), "success");
 
       // Reset form if creating new review
       if (!existingReview) {
         setRating(0);
+        setCategoryRatings({});
         setComment("");
+        setPhotoFiles([]);
         setSelectedBookingId("");
         setShowForm(false);
       }
@@ -137,11 +175,14 @@ export default function ReviewForm({ placeId, onReviewSubmitted, existingReview
     if (existingReview) {
       // Reset to original values
       setRating(existingReview.rating);
+      setCategoryRatings(existingReview.categoryRatings || {});
       setComment(existingReview.comment);
     } else {
       // Clear form
       setRating(0);
+      setCategoryRatings({});
       setComment("");
+      setPhotoFiles([]);
       setSelectedBookingId("");
       setShowForm(false);
     }
@@ -264,6 +305,28 @@ export default function ReviewForm({ placeId, onReviewSubmitted, existingReview
             )}
           </div>
 
+          {/* Category Ratings Section - optional */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("reviewForm.fields.categories.label")}
+            </label>
+            <p className="text-sm text-gray-500 mb-3">{t("reviewForm.fields.categories.hint")}</p>
+            <div className="space-y-2">
+              {RATING_CATEGORIES.map(category => (
+                <div key={category} className="flex flex-wrap items-center justify-between gap-2">
+                  <span className="text-sm text-gray-700">{t(`categories.${category}`)}</span>
+                  <InteractiveStarRating
+                    rating={categoryRatings[category] || 0}
+                    onRatingChange={(value) => setCategoryRatings(prev => ({ ...prev, [category]: value }))}
+                    size="md"
+                    disabled={isSubmitting}
+                    showLabel={false}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
           {/* Comment Section */}
           <div>
             <label htmlFor="review-comment" className="block text-sm font-medium text-gray-700 mb-2">
@@ -298,6 +361,52 @@ export default function ReviewForm({ placeId, onReviewSubmitted, existingReview
             </div>
           </div>
 
+          {/* Photos Section - optional, new reviews only */}
+          {!existingReview && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {t("reviewForm.fields.photos.label")}
+              </label>
+              <p className="text-sm text-gray-500 mb-3">
+                {t("reviewForm.fields.photos.hint", { max: MAX_PHOTOS })}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {photoPreviews.map((url, index) => (
+                  <div key={url} className="relative w-20 h-20 rounded-md overflow-hidden bg-gray-100">
+                    <img src={url} alt="" className="w-full h-full object-cover" />
+                    <button
+                      type="button"
+                      onClick={() => removePhoto(index)}
+                      disabled={isSubmitting}
+                      className="absolute top-1 right-1 w-5 h-5 rounded-full bg-black bg-opacity-60 text-white text-xs flex items-center justify-center"
+                      aria-label={t("reviewForm.fields.photos.remove")}
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+                {photoFiles.length < MAX_PHOTOS && (
+                  <label className={`w-20 h-20 border-2 border-dashed border-gray-300 rounded-md flex items-center justify-center text-gray-400 hover:border-primary hover:text-primary ${isSubmitting ? "opacity-50 cursor-not-allowed" : "cursor-pointer"}`}>
+                    <input
+                      type="file"
+                      accept="image/*"
+                      multiple
+                      className="hidden"
+                      onChange={handlePhotoSelect}
+                      disabled={isSubmitting}
+                    />
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                    </svg>
+                  </label>
+                )}
+              </div>
+              {photoFiles.length > 0 && (
+                <p className="mt-2 text-sm text-gray-500">{t("reviewForm.fields.photos.moderationNote")}</p>
+              )}
+            </div>
+          )}
+
           {/* Error Message */}
           {error && (
             <div className="p-3 bg-red-50 border border-red-200 rounded-md">
@@ -1,6 +1,7 @@
 import { useState } from "react";
 import { useTranslation } from "react-i18next";
 import StarRating from "./StarRating";
+import ReviewPhotoThumbnails from "./ReviewPhotoThumbnails";
 
 /**
  * Review Management Table Component
@@ -215,6 +216,7 @@ export default function ReviewManagementTable({
                         <p className="text-sm text-gray-700 leading-relaxed">
                           {truncateText(review.comment, 120)}
                         </p>
+                        <ReviewPhotoThumbnails photos={review.photos} />
                         {review.adminNotes && (
                           <p className="text-xs text-gray-500 italic bg-gray-50 p-2 rounded">
                             {t("reviews:adminNote")}: {truncateText(review.adminNotes, 80)}
@@ -386,6 +388,7 @@ export default function ReviewManagementTable({
                           <p className="text-sm text-gray-700 leading-relaxed">
                             {truncateText(review.comment, 100)}
                           </p>
+                          <ReviewPhotoThumbnails photos={review.photos} />
                           {review.adminNotes && (
                             <p className="text-xs text-gray-500 italic bg-gray-50 p-1 rounded">
                               {t("reviews:adminNote")}: {truncateText(review.adminNotes, 60)}
@@ -0,0 +1,22 @@
+import { getCloudinaryImageUrl } from "../utils/cloudinary";
+
+// Photos attached to a review, shown to agents so they can be moderated with the review
+export default function ReviewPhotoThumbnails({ photos }) {
+  if (!photos?.length) return null;
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {photos.map(photo => (
+        <a
+          key={photo.publicId || photo.url}
+          href={getCloudinaryImageUrl(photo)}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="block w-10 h-10 rounded overflow-hidden bg-gray-100"
+        >
+          <img src={getCloudinaryImageUrl(photo)} alt="" className="w-full h-full object-cover" loading="lazy" />
+        </a>
+      ))}
+    </div>
+  );
+}
@@ -1,43 +1,71 @@
-export default function ReviewRatingBreakdown({ ratingBreakdown, totalReviews }) {
+import { useTranslation } from "react-i18next";
+import StarRating from "./StarRating";
+import { RATING_CATEGORIES } from "../utils/placeUtils";
+
+export default function ReviewRatingBreakdown({ ratingBreakdown, totalReviews, categoryRatings = null }) {
+  const { t } = useTranslation("reviews");
+
   if (!ratingBreakdown || totalReviews === 0) {
     return null;
   }
 
+  // Only categories at least one guest rated
+  const ratedCategories = RATING_CATEGORIES.filter(category => categoryRatings?.[category]);
+
   return (
-    <div className="space-y-2">
-      {[5, 4, 3, 2, 1].map((rating) => {
-        const count = ratingBreakdown[rating] || 0;
-        const percentage = totalReviews > 0 ? (count / totalReviews) * 100 : 0;
-
-        return (
-          <div key={rating} className="flex items-center gap-3 text-sm">
-            {/* Star Label */}
-            <div className="flex items-center gap-1 w-12 flex-shrink-0">
-              <span className="text-gray-700">{rating}</span>
-              <svg
-                className="w-3 h-3 text-yellow-400"
-                fill="currentColor"
-                viewBox="0 0 20 20"
-              >
-                <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-              </svg>
-            </div>
+    <div className="space-y-4">
+      <div className="space-y-2">
+        {[5, 4, 3, 2, 1].map((rating) => {
+          const count = ratingBreakdown[rating] || 0;
+          const percentage = totalReviews > 0 ? (count / totalReviews) * 100 : 0;
 
-            {/* Progress Bar */}
-            <div className="flex-1 bg-gray-200 rounded-full h-2">
-              <div
-                className="bg-yellow-400 h-2 rounded-full transition-all duration-300"
-                style={{ width: `${percentage}%` }}
-              ></div>
+          return (
+            <div key={rating} className="flex items-center gap-3 text-sm">
+              {/* Star Label */}
+              <div className="flex items-center gap-1 w-12 flex-shrink-0">
+                <span className="text-gray-700">{rating}</span>
+                <svg
+                  className="w-3 h-3 text-yellow-400"
+                  fill="currentColor"
+                  viewBox="0 0 20 20"
+                >
+                  <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                </svg>
+              </div>
+
+              {/* Progress Bar */}
+              <div className="flex-1 bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-yellow-400 h-2 rounded-full transition-all duration-300"
+                  style={{ width: `${percentage}%` }}
+                ></div>
+              </div>
+
+              {/* Count */}
+              <span className="text-gray-600 w-8 text-right flex-shrink-0">
+                {count}
+              </span>
             </div>
+          );
+        })}
+      </div>
 
-            {/* Count */}
-            <span className="text-gray-600 w-8 text-right flex-shrink-0">
-              {count}
-            </span>
-          </div>
-        );
-      })}
+      {/* Category Scores */}
+      {ratedCategories.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2">
+          {ratedCategories.map(category => (
+            <div key={category} className="flex items-center justify-between gap-3 text-sm">
+              <span className="text-gray-700">{t(`categories.${category}`)}</span>
+              <div className="flex items-center gap-2">
+                <StarRating rating={categoryRatings[category].average} size="sm" />
+                <span className="text-gray-900 font-medium w-8 text-right">
+                  {Number(categoryRatings[category].average).toFixed(1)}
+                </span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -84,6 +84,7 @@ export default function ReviewsFilters({
     { value: "oldest", label: t("management.sorting.oldest"), icon: "↑" },
     { value: "rating_high", label: t("management.sorting.rating_high"), icon: "★" },
     { value: "rating_low", label: t("management.sorting.rating_low"), icon: "☆" },
+    { value: "risk", label: t("management.sorting.risk"), icon: "⚠" },
   ];
 
   return (
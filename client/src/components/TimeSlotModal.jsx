@@ -4,6 +4,7 @@ import { enUS, ru, uz } from "date-fns/locale";
 import { useTranslation } from "react-i18next";
 import { generateTimeOptions, generateStartTimeOptions, isTimeBlocked, isTimeRangeAvailableEnhanced, isValidStartTimeEnhanced, formatHourLocalized } from "../utils/TimeUtils";
 import { generateTimezoneAwareTimeOptions, isTimeInPastUzbekistan, getFirstAvailableHour } from "../utils/uzbekistanTimezoneUtils";
+import WaitlistPanel from "./WaitlistPanel";
 
 /**
  * TimeSlotModal Component
@@ -580,6 +581,12 @@ export default function TimeSlotModal({
             </div>
           </div>
 
+          <WaitlistPanel
+            placeId={placeDetail.id}
+            date={currentEditingDate}
+            bookedTimeSlots={bookedTimeSlots}
+          />
+
           <div className="flex gap-3 pt-4">
             <button
               onClick={onClose}
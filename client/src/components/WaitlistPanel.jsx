@@ -0,0 +1,122 @@
+import { useContext, useEffect, useState } from "react";
+import { useTranslation } from "react-i18next";
+import api from "../utils/api";
+import { UserContext } from "./UserContext";
+import { useNotification } from "./NotificationContext";
+import { formatHourLocalized } from "../utils/TimeUtils";
+
+/**
+ * WaitlistPanel Component
+ *
+ * Shown in TimeSlotModal for clients when the date has taken time ranges.
+ * A client can wait for a taken range; if the booking holding it is rejected,
+ * cancelled or its checkout hold expires, the first client in line gets a
+ * notification with a time-limited link that pre-selects the slot.
+ */
+export default function WaitlistPanel({ placeId, date, bookedTimeSlots = [] }) {
+  const { t, i18n } = useTranslation('booking');
+  const { user } = useContext(UserContext);
+  const { notify } = useNotification();
+  const [entries, setEntries] = useState([]);
+  const [pendingRange, setPendingRange] = useState("");
+
+  const isClient = user?.userType === 'client';
+
+  useEffect(() => {
+    if (!isClient || !placeId) return;
+
+    api.get(`/waitlist?placeId=${placeId}`)
+      .then(({ data }) => setEntries(data))
+      .catch(error => console.error("Error loading waitlist entries:", error));
+  }, [isClient, placeId]);
+
+  // Unique taken ranges on this date (approved bookings and checkout holds)
+  const takenRanges = [];
+  bookedTimeSlots
+    .filter(slot => slot.date === date)
+    .sort((a, b) => a.startTime.localeCompare(b.startTime))
+    .forEach(slot => {
+      if (!takenRanges.some(range => range.startTime === slot.startTime && range.endTime === slot.endTime)) {
+        takenRanges.push({ startTime: slot.startTime, endTime: slot.endTime });
+      }
+    });
+
+  if (!isClient || takenRanges.length === 0) {
+    return null;
+  }
+
+  const findEntry = (range) => entries.find(entry =>
+    entry.date === date && entry.startTime === range.startTime && entry.endTime === range.endTime
+  );
+
+  const handleJoin = async (range) => {
+    setPendingRange(range.startTime);
+    try {
+      const { data } = await api.post("/waitlist", { placeId, date, ...range });
+      setEntries(current => [...current, data]);
+      notify(t("timeSlotModal.waitlist.joinedNotice"), "success");
+    } catch (error) {
+      notify(error.response?.data?.error || t("timeSlotModal.waitlist.error"), "error");
+    } finally {
+      setPendingRange("");
+    }
+  };
+
+  const handleLeave = async (range, entry) => {
+    setPendingRange(range.startTime);
+    try {
+      await api.delete(`/waitlist/${entry.id}`);
+      setEntries(current => current.filter(({ id }) => id !== entry.id));
+      notify(t("timeSlotModal.waitlist.leftNotice"), "success");
+    } catch (error) {
+      notify(error.response?.data?.error || t("timeSlotModal.waitlist.error"), "error");
+    } finally {
+      setPendingRange("");
+    }
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+      <h4 className="text-sm font-medium text-gray-700">{t("timeSlotModal.waitlist.title")}</h4>
+      <p className="text-xs text-gray-500 mb-2">{t("timeSlotModal.waitlist.description")}</p>
+      <ul className="space-y-2">
+        {takenRanges.map(range => {
+          const entry = findEntry(range);
+          const isPending = pendingRange === range.startTime;
+
+          return (
+            <li key={`${range.startTime}-${range.endTime}`} className="flex items-center justify-between text-sm">
+              <span className="text-gray-700">
+                {formatHourLocalized(range.startTime, i18n.language)} - {formatHourLocalized(range.endTime, i18n.language)}
+              </span>
+              {entry ? (
+                <span className="flex items-center gap-2">
+                  <span className="text-xs text-green-700">
+                    {entry.status === 'notified' ? t("timeSlotModal.waitlist.claimOpen") : t("timeSlotModal.waitlist.joined")}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => handleLeave(range, entry)}
+                    disabled={isPending}
+                    className="text-xs text-red-600 hover:underline disabled:opacity-50"
+                  >
+                    {t("timeSlotModal.waitlist.leave")}
+                  </button>
+                </span>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => handleJoin(range)}
+                  disabled={isPending}
+                  className="px-3 py-1 text-xs border border-gray-300 rounded-lg hover:bg-white disabled:opacity-50"
+                >
+                  {t("timeSlotModal.waitlist.join")}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
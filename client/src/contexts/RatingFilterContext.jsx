@@ -0,0 +1,112 @@
+import { createContext, useContext, useState, useCallback, useMemo } from "react";
+import { RATING_CATEGORIES, getCategoryScore } from "../utils/placeUtils";
+
+// Minimum category scores offered in the filter
+const MIN_SCORE_OPTIONS = [3, 3.5, 4, 4.5];
+
+// Context for managing rating category filter state
+const RatingFilterContext = createContext();
+
+// Hook to use the rating filter context
+export const useRatingFilter = () => {
+  const context = useContext(RatingFilterContext);
+  if (!context) {
+    throw new Error("useRatingFilter must be used within a RatingFilterProvider");
+  }
+  return context;
+};
+
+// Provider component - filters and sorts places by one review rating category
+export const RatingFilterProvider = ({ children }) => {
+  // State management - Single source of truth for rating filter state
+  const [selectedCategory, setSelectedCategory] = useState("");
+  const [minScore, setMinScore] = useState(null);
+  const [sortByCategory, setSortByCategory] = useState(false);
+
+  const selectCategory = useCallback((category) => {
+    if (category && !RATING_CATEGORIES.includes(category)) {
+      console.warn(`Invalid rating category: ${category}`);
+      return;
+    }
+
+    setSelectedCategory(category);
+    if (!category) {
+      setMinScore(null);
+      setSortByCategory(false);
+    }
+  }, []);
+
+  const clearRatingFilter = useCallback(() => {
+    setSelectedCategory("");
+    setMinScore(null);
+    setSortByCategory(false);
+  }, []);
+
+  // Places scoring at least minScore in the category, best first when sorting
+  const filterPlacesByRating = useCallback((places) => {
+    if (!selectedCategory) {
+      return places;
+    }
+
+    let working = places;
+    if (minScore !== null) {
+      working = working.filter(place => {
+        const score = getCategoryScore(place, selectedCategory);
+        return score !== null && score >= minScore;
+      });
+    }
+
+    if (sortByCategory) {
+      // Unrated places go last, in their original order
+      working = [...working].sort((a, b) => {
+        const scoreA = getCategoryScore(a, selectedCategory) ?? -1;
+        const scoreB = getCategoryScore(b, selectedCategory) ?? -1;
+        return scoreB - scoreA;
+      });
+    }
+
+    return working;
+  }, [selectedCategory, minScore, sortByCategory]);
+
+  const hasActiveRatingFilter = !!selectedCategory && (minScore !== null || sortByCategory);
+
+  // Context value following Interface Segregation Principle
+  const contextValue = useMemo(() => ({
+    // State
+    selectedCategory,
+    minScore,
+    sortByCategory,
+
+    // Actions
+    selectCategory,
+    setMinScore,
+    setSortByCategory,
+    clearRatingFilter,
+
+    // Utilities
+    filterPlacesByRating,
+
+    // Data
+    categories: RATING_CATEGORIES,
+    minScoreOptions: MIN_SCORE_OPTIONS,
+
+    // Computed values
+    hasActiveRatingFilter
+  }), [
+    selectedCategory,
+    minScore,
+    sortByCategory,
+    selectCategory,
+    clearRatingFilter,
+    filterPlacesByRating,
+    hasActiveRatingFilter
+  ]);
+
+  return (
+    <RatingFilterContext.Provider value={contextValue}>
+      {children}
+    </RatingFilterContext.Provider>
+  );
+};
+
+export default RatingFilterContext;
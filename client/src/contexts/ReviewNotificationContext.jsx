@@ -236,6 +236,14 @@ export function ReviewNotificationProvider({ children }) {
           return "🎯";
         case "booking_rejected":
           return "❌";
+        case "booking_rescheduled":
+          return "🔄";
+        case "booking_waitlist_available":
+          return "⏳";
+        case "booking_balance_due":
+          return "💰";
+        case "booking_balance_cancelled":
+          return "🚫";
         default:
           return "🔔";
       }
@@ -243,6 +251,10 @@ export function ReviewNotificationProvider({ children }) {
 
     // Get link for navigation
     const getLink = () => {
+      // Waitlist notifications link to the place with the freed slot pre-selected
+      if (metadata?.claimPath) {
+        return metadata.claimPath;
+      }
       // For booking notifications, link to booking details
       if (metadata?.bookingId) {
         return `/account/bookings/${metadata.bookingId}`;
@@ -11,7 +11,8 @@ export default function useReviews(placeId) {
   const [reviewStats, setReviewStats] = useState({
     totalReviews: 0,
     averageRating: 0,
-    ratingBreakdown: { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 }
+    ratingBreakdown: { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 },
+    categoryRatings: null
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -37,7 +38,7 @@ export default function useReviews(placeId) {
         }
       });
 
-      const { reviews: newReviews, totalReviews, averageRating, ratingBreakdown, pagination } = response.data;
+      const { reviews: newReviews, totalReviews, averageRating, ratingBreakdown, categoryRatings, pagination } = response.data;
 
       if (reset) {
         setReviews(newReviews);
@@ -49,7 +50,8 @@ export default function useReviews(placeId) {
       setReviewStats({
         totalReviews,
         averageRating: averageRating || 0,
-        ratingBreakdown: ratingBreakdown || { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 }
+        ratingBreakdown: ratingBreakdown || { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 },
+        categoryRatings: categoryRatings || null
       });
 
       // Use pagination info from backend for more accurate hasMore
@@ -8,6 +8,15 @@ import ReviewsFilters from "../components/ReviewsFilters";
 import api from "../utils/api";
 import StarRating from "../components/StarRating";
 import Pagination from "../components/Pagination";
+import ReviewPhotoThumbnails from "../components/ReviewPhotoThumbnails";
+import ModerationReasons from "../components/ModerationReasons";
+
+const REVIEW_STATUS_FILTERS = ["all", "pending", "approved", "rejected"];
+
+const STATUS_BADGE_CLASSES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  rejected: "bg-red-100 text-red-800"
+};
 
 /**
  * Agent Review Management Page
@@ -36,7 +45,8 @@ export default function AgentReviewsPage() {
   const [totalReviews, setTotalReviews] = useState(0);
   const [reviewsPerPage] = useState(15);
 
-  // Filter state management (removed status since all reviews are auto-approved)
+  // Filter state management - reviews the automated checks held back wait as pending
+  const [filterStatus, setFilterStatus] = useState("all");
   const [searchTerm, setSearchTerm] = useState("");
   const [debouncedSearchTerm, setDebouncedSearchTerm] = useState("");
   const [filterRating, setFilterRating] = useState("all");
@@ -71,6 +81,7 @@ export default function AgentReviewsPage() {
         page,
         limit: reviewsPerPage,
         rating: filterRating !== "all" ? filterRating : undefined,
+        status: filterStatus !== "all" ? filterStatus : undefined,
         startDate: startDate || undefined,
         endDate: endDate || undefined,
         search: debouncedSearchTerm || undefined,
@@ -104,7 +115,7 @@ export default function AgentReviewsPage() {
     if (user && user.userType === "agent") {
       fetchReviews(1);
     }
-  }, [user, filterRating, startDate, endDate, debouncedSearchTerm, sortBy]);
+  }, [user, filterStatus, filterRating, startDate, endDate, debouncedSearchTerm, sortBy]);
 
   // Handle page changes
   const handlePageChange = (page) => {
@@ -116,6 +127,7 @@ export default function AgentReviewsPage() {
   const clearAllFilters = () => {
     setSearchTerm("");
     setDebouncedSearchTerm("");
+    setFilterStatus("all");
     setFilterRating("all");
     setStartDate("");
     setEndDate("");
@@ -135,6 +147,9 @@ export default function AgentReviewsPage() {
         case "edit":
           response = await api.put(`/reviews/${reviewId}`, data);
           break;
+        case "moderateReply":
+          response = await api.put(`/reviews/${reviewId}/reply/status`, data);
+          break;
         default:
           throw new Error("Invalid action");
       }
@@ -304,6 +319,24 @@ export default function AgentReviewsPage() {
             loading={loading}
           />
 
+          {/* Moderation status tabs */}
+          <div className="flex flex-wrap gap-2 mb-4">
+            {REVIEW_STATUS_FILTERS.map(status => (
+              <button
+                key={status}
+                type="button"
+                onClick={() => setFilterStatus(status)}
+                className={`px-3 py-1.5 rounded-full border text-sm transition-colors ${
+                  filterStatus === status
+                    ? "bg-primary text-white border-primary"
+                    : "bg-white text-gray-700 border-gray-300 hover:border-gray-400"
+                }`}
+              >
+                {t(`management.filters.status.${status}`)}
+              </button>
+            ))}
+          </div>
+
           {/* Reviews table */}
           <div className="card-base overflow-hidden">
             <div className="overflow-x-auto max-w-full">
@@ -394,8 +427,45 @@ export default function AgentReviewsPage() {
                               <div className="flex items-center gap-2">
                                 <StarRating rating={review.rating} size="sm" />
                                 <span className="text-sm font-medium text-text-primary">{review.rating}/5</span>
+                                {STATUS_BADGE_CLASSES[review.status] && (
+                                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGE_CLASSES[review.status]}`}>
+                                    {t(`management.filters.status.${review.status}`)}
+                                  </span>
+                                )}
+                                {!review.isVisible && (
+                                  <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-200 text-gray-700">
+                                    {t("visibility.hidden")}
+                                  </span>
+                                )}
                               </div>
                               <p className="text-sm text-text-primary leading-relaxed">{truncateText(review.comment, 120)}</p>
+                              <ReviewPhotoThumbnails photos={review.photos} />
+                              <ModerationReasons score={review.moderationScore} reasons={review.moderationReasons} />
+                              {review.Reply && (review.Reply.status !== "approved" || !review.Reply.isVisible) && (
+                                <div className="border-l-2 border-yellow-300 pl-2 space-y-1">
+                                  <p className="text-xs font-medium text-text-secondary">
+                                    {t("moderation.reply.heldBack")}
+                                  </p>
+                                  <p className="text-sm text-text-primary">{truncateText(review.Reply.replyText, 120)}</p>
+                                  <ModerationReasons score={review.Reply.moderationScore} reasons={review.Reply.moderationReasons} />
+                                  <div className="flex gap-2">
+                                    <button
+                                      onClick={() => handleIndividualAction(review.id, "moderateReply", { status: "approved", isVisible: true })}
+                                      className="text-xs text-green-700 hover:underline"
+                                    >
+                                      {t("moderation.reply.approve")}
+                                    </button>
+                                    {review.Reply.isVisible && (
+                                      <button
+                                        onClick={() => handleIndividualAction(review.id, "moderateReply", { status: "rejected", isVisible: false })}
+                                        className="text-xs text-red-700 hover:underline"
+                                      >
+                                        {t("moderation.reply.hide")}
+                                      </button>
+                                    )}
+                                  </div>
+                                </div>
+                              )}
                               {review.adminNotes && (
                                 <p className="text-xs text-text-muted italic bg-bg-secondary p-2 rounded-md border-l-2 border-accent-primary">
                                   {t("management.table.adminNotes")}: {truncateText(review.adminNotes, 80)}
@@ -484,7 +554,23 @@ export default function AgentReviewsPage() {
                               </button>
                             </div>
                           ) : (
-                            <div className="flex gap-2">
+                            <div className="flex flex-wrap gap-2">
+                              {review.status !== "approved" && (
+                                <button
+                                  onClick={() => handleIndividualAction(review.id, "edit", { status: "approved", isVisible: true })}
+                                  className="btn-size-sm bg-status-success text-white hover:bg-green-600 transition-colors rounded-lg px-3 py-1.5 font-medium"
+                                >
+                                  {t("management.actions.approve")}
+                                </button>
+                              )}
+                              {review.status === "pending" && (
+                                <button
+                                  onClick={() => handleIndividualAction(review.id, "edit", { status: "rejected" })}
+                                  className="btn-size-sm bg-bg-secondary text-text-secondary hover:bg-border-light hover:text-text-primary transition-colors rounded-lg px-3 py-1.5 font-medium"
+                                >
+                                  {t("management.actions.reject")}
+                                </button>
+                              )}
                               <button
                                 onClick={() => handleEditStart(review)}
                                 className="btn-size-sm bg-accent-highlight text-white hover:bg-blue-600 transition-colors rounded-lg px-3 py-1.5 font-medium flex items-center"
@@ -13,6 +13,10 @@ import PaymentResponseDisplay from "../components/PaymentResponseDisplay";
 import ClickPaymentButton from "../components/ClickPaymentButton";
 import PaymentMethodsSection from "../components/PaymentMethodsSection";
 import RestrictedCategoriesCard from "../components/RestrictedCategoriesCard";
+import RescheduleBookingModal from "../components/RescheduleBookingModal";
+import BookingSeriesSection from "../components/BookingSeriesSection";
+import BookingGroupSection from "../components/BookingGroupSection";
+import PaymentEventsSection from "../components/PaymentEventsSection";
 import { 
   SectionCard, 
   InfoCard, 
@@ -26,6 +30,8 @@ import {
   PaymentStatusIndicator,
   PaymentSection,
   RefundPolicySection,
+  RefundBreakdownSection,
+  BookingDocumentsSection,
   PropertyDetailsSection,
   SupportContactSection,
   ActionButtonsSection,
@@ -43,6 +49,7 @@ import {
   getLatestContactInfo,
   shouldShowUpdatedIndicator,
   shouldShowPaymentSection,
+  isBalancePaymentDue,
   getModalConfiguration
 } from "../utils/bookingDetailsHelpers";
 import api from "../utils/api";
@@ -76,6 +83,8 @@ export default function BookingDetailsPage() {
   const [showModal, setShowModal] = useState(false);
   const [modalConfig, setModalConfig] = useState({});
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [refunds, setRefunds] = useState([]);
+  const [showRescheduleModal, setShowRescheduleModal] = useState(false);
 
   // Smart payment polling hook - runs silently in background with auto-restart
   const { startPolling, restartPolling, isPolling, hasBeenStopped } = useSmartPaymentPolling(
@@ -320,6 +329,18 @@ export default function BookingDetailsPage() {
     }
   }, [bookingId, navigate, notify, user]);
 
+  // Load refund breakdown once a paid booking has been cancelled
+  useEffect(() => {
+    if (!booking || booking.status !== 'cancelled') {
+      setRefunds([]);
+      return;
+    }
+
+    api.get(`/bookings/${booking.id}/refunds`)
+      .then(({ data }) => setRefunds(data || []))
+      .catch(error => console.error('Error loading refunds:', error));
+  }, [booking?.id, booking?.status]);
+
   // Handle status update
   const handleStatusUpdate = async (newStatus, paymentConfirmed = false) => {
     setIsUpdating(true);
@@ -423,6 +444,12 @@ export default function BookingDetailsPage() {
   const showConfirmationModal = (actionButton) => {
     const { label, action, description, requiresPaymentCheck, agentApproval } = actionButton;
     
+    // Reschedule opens its own modal with a time slot picker
+    if (action === 'reschedule') {
+      setShowRescheduleModal(true);
+      return;
+    }
+    
     // Handle paid to host action differently
     if (action === 'paid_to_host') {
       setModalConfig({
@@ -616,6 +643,41 @@ export default function BookingDetailsPage() {
               formatRefundOption={formatRefundOption}
             />
 
+            {/* Recurring series this booking belongs to */}
+            {booking.seriesId && (
+              <BookingSeriesSection
+                seriesId={booking.seriesId}
+                user={user}
+                onSeriesUpdated={refreshBooking}
+              />
+            )}
+
+            {/* Multi-room booking group this booking belongs to */}
+            {booking.groupId && (
+              <BookingGroupSection
+                groupId={booking.groupId}
+                bookingId={booking.id}
+                currency={booking.place?.currency}
+                user={user}
+                onGroupUpdated={refreshBooking}
+              />
+            )}
+
+            {/* Refund breakdown for cancelled paid bookings */}
+            <RefundBreakdownSection
+              refunds={refunds}
+              currency={booking.place?.currency}
+              formatRefundOption={formatRefundOption}
+            />
+
+            {/* Payment provider callbacks, with replay of failed ones */}
+            {user?.userType === 'agent' && (
+              <PaymentEventsSection
+                bookingId={booking.id}
+                onReplayed={refreshBooking}
+              />
+            )}
+
             {/* Restricted Categories Section */}
             <SectionCard title={t('details.sections.restrictedCategories', 'Restricted Categories')}>
               <RestrictedCategoriesCard />
@@ -630,6 +692,14 @@ export default function BookingDetailsPage() {
                 <PaymentStatusIndicator status={booking.status} userType={user?.userType} booking={booking} />
               </PricingSection>
 
+              {/* Invoice, confirmation voucher and fiscal receipt */}
+              {(booking.paidAt || !['rejected', 'cancelled'].includes(booking.status)) && (
+                <BookingDocumentsSection
+                  booking={booking}
+                  onError={(message) => notify(message, 'error')}
+                />
+              )}
+
               {/* Payment Section - Only for clients */}
               {shouldShowPaymentSection(user, booking) && (
                 <div className="card-base card-content">
@@ -665,7 +735,9 @@ export default function BookingDetailsPage() {
                           </svg>
                           <div className="text-body-sm">
                             <div className="font-medium text-success-primary mb-1">
-                              {t('details.payment.selectedMessage', 'Your booking has been selected! Payment is now available.')}
+                              {isBalancePaymentDue(booking)
+                                ? t('details.payment.balanceDueMessage', 'Your deposit is paid. Pay the balance before the due date to keep your booking.')
+                                : t('details.payment.selectedMessage', 'Your booking has been selected! Payment is now available.')}
                             </div>
                           </div>
                         </div>
@@ -730,6 +802,18 @@ export default function BookingDetailsPage() {
         </div>
       </div>
 
+      {/* Reschedule Modal */}
+      <RescheduleBookingModal
+        isOpen={showRescheduleModal}
+        onClose={() => setShowRescheduleModal(false)}
+        booking={booking}
+        onRescheduled={(updatedBooking) => {
+          setBooking(updatedBooking);
+          setShowRescheduleModal(false);
+          notify(t('details.reschedule.success'), "success");
+        }}
+      />
+
       {/* Confirmation Modal */}
       {(() => {
         const modalProps = getModalConfiguration(modalConfig, isUpdating);
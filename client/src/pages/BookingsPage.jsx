@@ -7,6 +7,7 @@ import Pagination from "../components/Pagination";
 import { useLocation, useNavigate, Link } from "react-router-dom";
 import { useNotification } from "../components/NotificationContext";
 import BookingFilters from "../components/BookingFilters";
+import { collapseBookingGroups } from "../utils/bookingUtils";
 
 export default function BookingsPage() {
   const { t, i18n } = useTranslation('booking');
@@ -64,12 +65,14 @@ export default function BookingsPage() {
     setLoading(true);
     try {
       const { data } = await api.get("/bookings");
-      setBookings(data);
-      setFilteredBookings(data);
+      // A booking group is listed once, as its primary booking
+      const bookingData = collapseBookingGroups(data);
+      setBookings(bookingData);
+      setFilteredBookings(bookingData);
       
       // Load competing bookings for pending requests (for hosts and agents)
       if (user?.userType === 'host' || user?.userType === 'agent') {
-        await loadCompetingBookings(data);
+        await loadCompetingBookings(bookingData);
       }
       
       // Calculate stats for all user types
@@ -0,0 +1,307 @@
+import { useCallback, useContext, useEffect, useState } from "react";
+import { Navigate } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import api from "../utils/api";
+import { UserContext } from "../components/UserContext";
+import { useNotification } from "../components/NotificationContext";
+
+const CURRENCIES = ["USD", "UZS", "RUB"];
+
+const EMPTY_FORM = {
+  baseCurrency: "USD",
+  quoteCurrency: "UZS",
+  rate: "",
+  date: ""
+};
+
+const formatRate = (rate) => (
+  rate === null || rate === undefined ? "—" : Number(rate).toLocaleString(undefined, { maximumFractionDigits: 6 })
+);
+
+/**
+ * ExchangeRatesPage - Exchange rates used for conversions and checkout quotes
+ * Agents look up the rates in effect, or the rates stored for a past day, and
+ * enter manual rates, which are used when the CBU and Exchange Rate API feeds
+ * are both unavailable.
+ */
+export default function ExchangeRatesPage() {
+  const { t } = useTranslation("dashboard");
+  const { user, isReady } = useContext(UserContext);
+  const { notify } = useNotification();
+  const [baseCurrency, setBaseCurrency] = useState("USD");
+  const [date, setDate] = useState("");
+  const [snapshot, setSnapshot] = useState(null);
+  const [snapshotError, setSnapshotError] = useState("");
+  const [manualRates, setManualRates] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const isAgent = user?.userType === 'agent';
+
+  const loadSnapshot = useCallback(async () => {
+    try {
+      setSnapshotError("");
+      const { data } = await api.get(`/currency/rates/${baseCurrency}`, {
+        params: date ? { date } : {}
+      });
+      setSnapshot(data);
+    } catch (err) {
+      setSnapshot(null);
+      setSnapshotError(err.response?.data?.error || t("exchangeRates.errors.loadFailed"));
+    }
+  }, [baseCurrency, date, t]);
+
+  const loadManualRates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const { data } = await api.get("/currency/rates/manual");
+      setManualRates(data);
+    } catch (err) {
+      console.error("Error fetching manual exchange rates:", err);
+      setError(err.response?.data?.error || t("exchangeRates.errors.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    if (!isAgent) return;
+    loadSnapshot();
+  }, [isAgent, loadSnapshot]);
+
+  useEffect(() => {
+    if (!isAgent) return;
+    loadManualRates();
+  }, [isAgent, loadManualRates]);
+
+  if (isReady && !user) {
+    return <Navigate to="/login" />;
+  }
+
+  if (user && !isAgent) {
+    return <Navigate to="/account" />;
+  }
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setError("");
+    setSaving(true);
+
+    try {
+      await api.post("/currency/rates/manual", {
+        ...form,
+        date: form.date || undefined
+      });
+      notify(t("exchangeRates.notifications.saved"), "success");
+      setForm(prev => ({ ...EMPTY_FORM, baseCurrency: prev.baseCurrency, quoteCurrency: prev.quoteCurrency }));
+      loadManualRates();
+      loadSnapshot();
+    } catch (err) {
+      setError(err.response?.data?.error || t("exchangeRates.errors.saveFailed"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(t("exchangeRates.manual.confirmDelete"))) return;
+
+    try {
+      await api.delete(`/currency/rates/manual/${entry.id}`);
+      notify(t("exchangeRates.notifications.deleted"), "success");
+      setManualRates(prev => prev.filter(existing => existing.id !== entry.id));
+      loadSnapshot();
+    } catch (err) {
+      notify(err.response?.data?.error || t("exchangeRates.errors.deleteFailed"), "error");
+    }
+  };
+
+  const inputClassName = "w-full border border-gray-300 rounded-lg py-2 px-3 text-sm";
+  const headerClassName = "py-3 px-4 text-left text-sm font-semibold text-text-primary";
+
+  return (
+    <div className="min-h-screen bg-bg-primary overflow-x-hidden">
+      <div className="w-full px-4 sm:px-6 lg:px-8 pt-6 max-w-full space-y-6">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">{t("exchangeRates.title")}</h1>
+          <p className="text-sm text-gray-500">{t("exchangeRates.subtitle")}</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-100 text-red-800 p-2 rounded-lg text-sm">{error}</div>
+        )}
+
+        {/* Rates in effect or stored for a day */}
+        <div className="card-base">
+          <div className="card-content space-y-4">
+            <div className="flex flex-wrap items-end gap-4">
+              <label className="text-sm text-gray-700">
+                {t("exchangeRates.lookup.baseCurrency")}
+                <select
+                  value={baseCurrency}
+                  onChange={(e) => setBaseCurrency(e.target.value)}
+                  className={`${inputClassName} mt-1`}
+                >
+                  {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                {t("exchangeRates.lookup.date")}
+                <input
+                  type="date"
+                  value={date}
+                  onChange={(e) => setDate(e.target.value)}
+                  className={`${inputClassName} mt-1`}
+                />
+              </label>
+              {date && (
+                <button type="button" onClick={() => setDate("")} className="text-blue-600 hover:underline text-sm pb-2">
+                  {t("exchangeRates.lookup.current")}
+                </button>
+              )}
+            </div>
+
+            {snapshotError && <p className="text-sm text-red-700">{snapshotError}</p>}
+
+            {snapshot && (
+              <div className="space-y-2">
+                <p className="text-sm text-gray-500">
+                  {t("exchangeRates.lookup.details", {
+                    source: snapshot.source,
+                    date: snapshot.rateDate || "—",
+                    fetchedAt: snapshot.fetchedAt ? new Date(snapshot.fetchedAt).toLocaleString() : "—"
+                  })}
+                </p>
+                {snapshot.isStale && (
+                  <p className="text-sm text-yellow-700">{t("exchangeRates.lookup.stale")}</p>
+                )}
+                <ul className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                  {CURRENCIES.filter(code => code !== snapshot.baseCurrency).map(code => (
+                    <li key={code} className="border border-border-light rounded-lg px-3 py-2 text-sm">
+                      <span className="text-gray-500">1 {snapshot.baseCurrency} =</span>{" "}
+                      <span className="font-medium text-gray-900">{formatRate(snapshot.rates[code])} {code}</span>
+                      {snapshot.sources?.[code] && (
+                        <div className="text-xs text-gray-500">{snapshot.sources[code]}</div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Enter a manual rate */}
+        <form onSubmit={handleSave} className="card-base">
+          <div className="card-content space-y-4">
+            <h2 className="text-lg font-medium text-gray-900">{t("exchangeRates.form.title")}</h2>
+            <p className="text-sm text-gray-500">{t("exchangeRates.form.description")}</p>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <label className="text-sm text-gray-700">
+                {t("exchangeRates.form.baseCurrency")}
+                <select
+                  value={form.baseCurrency}
+                  onChange={(e) => updateForm({ baseCurrency: e.target.value })}
+                  className={`${inputClassName} mt-1`}
+                >
+                  {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                {t("exchangeRates.form.quoteCurrency")}
+                <select
+                  value={form.quoteCurrency}
+                  onChange={(e) => updateForm({ quoteCurrency: e.target.value })}
+                  className={`${inputClassName} mt-1`}
+                >
+                  {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                {t("exchangeRates.form.rate")}
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  required
+                  value={form.rate}
+                  onChange={(e) => updateForm({ rate: e.target.value })}
+                  className={`${inputClassName} mt-1`}
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                {t("exchangeRates.form.date")}
+                <input
+                  type="date"
+                  value={form.date}
+                  onChange={(e) => updateForm({ date: e.target.value })}
+                  className={`${inputClassName} mt-1`}
+                />
+              </label>
+            </div>
+            <p className="text-xs text-gray-500">{t("exchangeRates.form.dateHint")}</p>
+
+            <button
+              type="submit"
+              className="primary max-w-xs"
+              disabled={saving || !form.rate || form.baseCurrency === form.quoteCurrency}
+            >
+              {t("exchangeRates.form.save")}
+            </button>
+          </div>
+        </form>
+
+        {/* Manual rates */}
+        <div className="card-base overflow-hidden">
+          <div className="card-content pb-0">
+            <h2 className="text-lg font-medium text-gray-900">{t("exchangeRates.manual.title")}</h2>
+          </div>
+          <div className="overflow-x-auto max-w-full">
+            <table className="w-full min-w-[700px]">
+              <thead className="bg-bg-secondary border-b border-border-light">
+                <tr>
+                  <th className={headerClassName}>{t("exchangeRates.manual.date")}</th>
+                  <th className={headerClassName}>{t("exchangeRates.manual.pair")}</th>
+                  <th className={headerClassName}>{t("exchangeRates.manual.rate")}</th>
+                  <th className={headerClassName}>{t("exchangeRates.manual.updatedBy")}</th>
+                  <th className={headerClassName}>{t("exchangeRates.manual.actions")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan={5} className="py-6 px-4 text-center text-sm text-gray-500">{t("common.loading")}</td>
+                  </tr>
+                ) : manualRates.length === 0 ? (
+                  <tr>
+                    <td colSpan={5} className="py-6 px-4 text-center text-sm text-gray-500">{t("exchangeRates.manual.empty")}</td>
+                  </tr>
+                ) : manualRates.map(entry => (
+                  <tr key={entry.id} className="border-b border-border-light text-sm">
+                    <td className="py-3 px-4">{entry.rateDate}</td>
+                    <td className="py-3 px-4">{entry.baseCurrency} → {entry.quoteCurrency}</td>
+                    <td className="py-3 px-4">{formatRate(entry.rate)}</td>
+                    <td className="py-3 px-4">
+                      <div>{entry.updater?.name || "—"}</div>
+                      <div className="text-xs text-gray-500">{new Date(entry.updated_at).toLocaleString()}</div>
+                    </td>
+                    <td className="py-3 px-4">
+                      <button type="button" onClick={() => handleDelete(entry)} className="text-red-600 hover:underline">
+                        {t("exchangeRates.actions.delete")}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
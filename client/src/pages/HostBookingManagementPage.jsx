@@ -5,6 +5,7 @@ import { useNotification } from "../components/NotificationContext";
 import api from "../utils/api";
 import BookingRequestCard from "../components/BookingRequestCard";
 import Pagination from "../components/Pagination";
+import { collapseBookingGroups } from "../utils/bookingUtils";
 
 /**
  * HostBookingManagementPage Component
@@ -55,8 +56,10 @@ export default function HostBookingManagementPage() {
     setLoading(true);
     try {
       const { data } = await api.get("/bookings");
-      setBookings(data);
-      calculateStats(data);
+      // A booking group is one request: its rooms are shown on the primary booking's card
+      const bookingData = collapseBookingGroups(data);
+      setBookings(bookingData);
+      calculateStats(bookingData);
     } catch (error) {
       console.error("Error loading bookings:", error);
       notify("messages.bookingLoadError", "error");
@@ -104,6 +107,7 @@ export default function HostBookingManagementPage() {
         
         return (
           booking.place?.title?.toLowerCase().includes(term) ||
+          booking.groupRooms?.some(room => room.place?.title?.toLowerCase().includes(term)) ||
           booking.place?.address?.toLowerCase().includes(term) ||
           booking.uniqueRequestId?.toLowerCase().includes(term) ||
           `req-${booking.id}`.toLowerCase().includes(term) ||
@@ -6,6 +6,7 @@ import { Navigate } from "react-router-dom";
 import { useTranslation } from "react-i18next";
 import api from "../utils/api";
 import { formatPriceWithSymbol, convertCurrency } from "../utils/currencyUtils";
+import { formatResponseTime } from "../utils/placeUtils";
 import {
   HomeIcon,
   CalendarIcon,
@@ -40,7 +41,7 @@ const ReviewSummaryCard = ({ icon: Icon, iconBgColor, iconColor, value, label })
 const HostDashboardPage = () => {
   const { user, isReady } = useContext(UserContext);
   const { selectedCurrency, convertToSelectedCurrency } = useCurrency();
-  const { t } = useTranslation("dashboard");
+  const { t } = useTranslation(["dashboard", "places"]);
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -173,6 +174,72 @@ const HostDashboardPage = () => {
           </div>
         </div>
 
+        {/* Earnings: gross booking amounts, platform commission and net payout per currency */}
+        {stats?.earnings?.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 mb-8">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-xl font-semibold text-gray-900">{t("host.earnings.title")}</h2>
+              <p className="text-sm text-gray-600 mt-1">{t("host.earnings.subtitle")}</p>
+            </div>
+            <div className="p-6 space-y-6">
+              {stats.earnings.map((earning) => (
+                <div key={earning.currency?.id || "none"} className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                  <div>
+                    <p className="text-sm text-gray-500">{t("host.earnings.gross")}</p>
+                    <p className="text-xl font-semibold text-gray-900">{formatPriceWithSymbol(earning.grossAmount, earning.currency)}</p>
+                    <p className="text-xs text-gray-500">{t("host.earnings.bookings", { count: earning.bookingCount })}</p>
+                  </div>
+                  <div>
+                    <p className="text-sm text-gray-500">{t("host.earnings.commission")}</p>
+                    <p className="text-xl font-semibold text-red-600">−{formatPriceWithSymbol(earning.commissionAmount, earning.currency)}</p>
+                  </div>
+                  <div>
+                    <p className="text-sm text-gray-500">{t("host.earnings.net")}</p>
+                    <p className="text-xl font-semibold text-green-700">{formatPriceWithSymbol(earning.netAmount, earning.currency)}</p>
+                  </div>
+                  <div>
+                    <p className="text-sm text-gray-500">{t("host.earnings.paidOut")}</p>
+                    <p className="text-xl font-semibold text-gray-900">{formatPriceWithSymbol(earning.paidOutAmount, earning.currency)}</p>
+                  </div>
+                  <div>
+                    <p className="text-sm text-gray-500">{t("host.earnings.outstanding")}</p>
+                    <p className="text-xl font-semibold text-gray-900">{formatPriceWithSymbol(earning.outstandingAmount, earning.currency)}</p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Host reputation: figures clients see as badges, refreshed on a schedule */}
+        {stats?.reputation && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 mb-8">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-xl font-semibold text-gray-900">{t("host.reputation.title")}</h2>
+              <p className="text-sm text-gray-600 mt-1">{t("host.reputation.subtitle")}</p>
+            </div>
+            <div className="p-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+              {[
+                { key: "medianResponseMinutes", format: value => formatResponseTime(value, t) },
+                { key: "acceptanceRate", format: value => `${Math.round(value)}%` },
+                { key: "hostCancellationRate", format: value => `${Math.round(value)}%` },
+                { key: "reviewReplyRate", format: value => `${Math.round(value)}%` }
+              ].map(({ key, format }) => {
+                const value = stats.reputation.metrics[key];
+                return (
+                  <div key={key} className="space-y-2">
+                    <p className="text-sm text-gray-500">{t(`host.reputation.metrics.${key}`)}</p>
+                    <p className="text-xl font-semibold text-gray-900">
+                      {value != null ? format(value) : t("host.reputation.notEnoughData")}
+                    </p>
+                    <PerformanceBadge level={stats.reputation.levels[key]} />
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
         {/* Booking Status Overview */}
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 mb-8">
           <div className="p-6 border-b border-gray-200">
@@ -16,6 +16,7 @@ import { useAttendeesFilter } from "../contexts/AttendeesFilterContext";
 import { useSizeFilter } from "../contexts/SizeFilterContext";
 import { usePerksFilter } from "../contexts/PerksFilterContext";
 import { usePoliciesFilter } from "../contexts/PoliciesFilterContext";
+import { useRatingFilter } from "../contexts/RatingFilterContext";
 import { convertCurrency } from "../utils/currencyUtils";
 import { createRegionService } from "../services/RegionService.js";
 import { useTranslation as useI18n } from "react-i18next";
@@ -73,6 +74,9 @@ function IndexPageBase() {
   
   // Policies filter context
   const { filterPlacesByPolicies, hasSelectedPolicies } = usePoliciesFilter();
+
+  // Rating category filter context (filters and sorts the whole list, so it paginates client-side)
+  const { filterPlacesByRating, hasActiveRatingFilter } = useRatingFilter();
   
   // Region service for filtering
   const { i18n } = useI18n();
@@ -261,7 +265,7 @@ function IndexPageBase() {
     }
 
     // Decide whether to use server or client pagination based on active non-availability filters
-    const nonAvailabilityFiltersActive = hasActivePriceFilter || hasActiveAttendeesFilter || hasActiveSizeFilter || hasSelectedPerks || hasSelectedPolicies || !!selectedRegionId;
+    const nonAvailabilityFiltersActive = hasActivePriceFilter || hasActiveAttendeesFilter || hasActiveSizeFilter || hasSelectedPerks || hasSelectedPolicies || hasActiveRatingFilter || !!selectedRegionId;
 
     // Apply pagination parameters only when using server pagination
     if (!nonAvailabilityFiltersActive) {
@@ -292,7 +296,7 @@ function IndexPageBase() {
       }
       setIsLoading(false);
     });
-  }, [location.search, currentPage, itemsPerPage, setFromSerializedValues, setAttendeesFromSerializedValues, setSizeFromSerializedValues, hasActivePriceFilter, hasActiveAttendeesFilter, hasActiveSizeFilter, hasSelectedPerks, hasSelectedPolicies, selectedRegionId]);
+  }, [location.search, currentPage, itemsPerPage, setFromSerializedValues, setAttendeesFromSerializedValues, setSizeFromSerializedValues, hasActivePriceFilter, hasActiveAttendeesFilter, hasActiveSizeFilter, hasSelectedPerks, hasSelectedPolicies, hasActiveRatingFilter, selectedRegionId]);
 
   // Helper function to check if a place belongs to a region (address match or proximity)
   const placeMatchesRegion = useCallback((place, regionId) => {
@@ -351,7 +355,7 @@ function IndexPageBase() {
     return false;
   }, [regionService]);
 
-  // Apply all client-side filters (perks, policies, attendees, size, price, region, map bounds) and handle pagination
+  // Apply all client-side filters (perks, policies, rating, attendees, size, price, region, map bounds) and handle pagination
   useEffect(() => {
     let cancelled = false;
 
@@ -361,6 +365,7 @@ function IndexPageBase() {
       // Apply perks and policies first (fast, synchronous)
       working = filterPlacesByPerks(working);
       working = filterPlacesByPolicies(working);
+      working = filterPlacesByRating(working);
 
       // Apply attendees and size filters
       working = filterPlacesByAttendees(working);
@@ -441,7 +446,7 @@ function IndexPageBase() {
     runFiltering();
 
     return () => { cancelled = true; };
-  }, [places, filterPlacesByPerks, filterPlacesByPolicies, filterPlacesByAttendees, filterPlacesBySize, hasActivePriceFilter, minPrice, maxPrice, priceFilterCurrency, selectedCurrency, mapVisible, selectedRegionId, mapBounds, placeMatchesRegion, isClientPaginated, currentPage, itemsPerPage]);
+  }, [places, filterPlacesByPerks, filterPlacesByPolicies, filterPlacesByRating, filterPlacesByAttendees, filterPlacesBySize, hasActivePriceFilter, minPrice, maxPrice, priceFilterCurrency, selectedCurrency, mapVisible, selectedRegionId, mapBounds, placeMatchesRegion, isClientPaginated, currentPage, itemsPerPage]);
 
   // Performance optimization: Memoize region change handler to prevent unnecessary map focus calls
   const lastRegionRef = useRef(null);
@@ -17,6 +17,7 @@ import { UserContext } from "../components/UserContext";
 import { useReviewNotifications } from "../contexts/ReviewNotificationContext";
 import { useNotification } from "../components/NotificationContext";
 import Pagination from "../components/Pagination";
+import { downloadFile } from "../utils/fileDownload";
 
 export default function NotificationsPage() {
   const { user } = useContext(UserContext);
@@ -475,6 +476,8 @@ export default function NotificationsPage() {
  */
 function NotificationItem({ notification, onClick }) {
   const { id, icon, title, message, excerpt, relativeTime, isRead, link, metadata } = notification;
+  const { t } = useTranslation("notifications");
+  const [documentError, setDocumentError] = useState("");
 
   // Check if this is a booking notification
   const isBookingNotification = notification.type && notification.type.startsWith('booking_');
@@ -484,6 +487,22 @@ function NotificationItem({ notification, onClick }) {
     ? `Booking #${metadata.bookingReference}`
     : excerpt;
 
+  const handleDocumentDownload = async (e, type) => {
+    // Download without following the notification link
+    e.preventDefault();
+    e.stopPropagation();
+    setDocumentError("");
+    try {
+      await downloadFile(
+        `/bookings/${metadata.bookingId}/documents/${type}`,
+        `${type}-${metadata.bookingReference || metadata.bookingId}.pdf`
+      );
+    } catch (error) {
+      console.error(`Error downloading ${type}:`, error);
+      setDocumentError(t("documents.downloadFailed"));
+    }
+  };
+
   const content = (
     <div
       className={`p-4 border rounded-lg transition-colors duration-200 cursor-pointer ${
@@ -538,6 +557,23 @@ function NotificationItem({ notification, onClick }) {
             </div>
           )}
           
+          {/* Booking documents (invoice, confirmation voucher) */}
+          {isBookingNotification && metadata?.bookingId && metadata.documents?.length > 0 && (
+            <div className="flex flex-wrap items-center gap-3 mt-2 text-xs">
+              {metadata.documents.map(type => (
+                <button
+                  key={type}
+                  type="button"
+                  onClick={(e) => handleDocumentDownload(e, type)}
+                  className="text-primary hover:underline"
+                >
+                  {t(`documents.${type}`)}
+                </button>
+              ))}
+              {documentError && <span className="text-red-600">{documentError}</span>}
+            </div>
+          )}
+
           {/* Non-booking metadata (for review notifications) */}
           {!isBookingNotification && (metadata?.bookingReference || metadata?.dateTimeWindow) && (
             <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 break-words">
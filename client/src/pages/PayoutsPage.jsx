@@ -0,0 +1,402 @@
+import { useCallback, useContext, useEffect, useState } from "react";
+import { Navigate } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import api from "../utils/api";
+import { UserContext } from "../components/UserContext";
+import { useNotification } from "../components/NotificationContext";
+import CommissionSettings from "../components/CommissionSettings";
+
+const EMPTY_FORM = {
+  periodStart: "",
+  periodEnd: "",
+  hostId: "",
+  note: ""
+};
+
+const formatAmount = (amount, currency) => (
+  `${Number(amount || 0).toLocaleString()} ${currency?.charCode || ""}`.trim()
+);
+
+/**
+ * PayoutsPage - Host payout ledger
+ * Agents see what is owed to every host and settle it in batches per period;
+ * hosts see their own outstanding balance, batches and payout statements.
+ */
+export default function PayoutsPage() {
+  const { t } = useTranslation("dashboard");
+  const { user, isReady } = useContext(UserContext);
+  const { notify } = useNotification();
+  const [balances, setBalances] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [selectedBatch, setSelectedBatch] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const isAgent = user?.userType === 'agent';
+  const canView = isAgent || user?.userType === 'host';
+
+  const loadLedger = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [balancesResponse, batchesResponse] = await Promise.all([
+        api.get("/payouts/balances"),
+        api.get("/payouts/batches")
+      ]);
+      setBalances(balancesResponse.data);
+      setBatches(batchesResponse.data);
+    } catch (err) {
+      console.error("Error fetching payouts:", err);
+      setError(err.response?.data?.error || t("payouts.errors.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    if (!canView) return;
+    loadLedger();
+  }, [canView, loadLedger]);
+
+  if (isReady && !user) {
+    return <Navigate to="/login" />;
+  }
+
+  if (user && !canView) {
+    return <Navigate to="/account" />;
+  }
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  // One balance row per host and currency; the host filter lists each host once
+  const hosts = balances
+    .map(balance => balance.host)
+    .filter((host, index, all) => host && all.findIndex(other => other?.id === host.id) === index);
+
+  const openBatch = async (batchId) => {
+    try {
+      const { data } = await api.get(`/payouts/batches/${batchId}`);
+      setSelectedBatch(data);
+    } catch (err) {
+      notify(err.response?.data?.error || t("payouts.errors.loadFailed"), "error");
+    }
+  };
+
+  const handleCreateBatch = async (event) => {
+    event.preventDefault();
+    setError("");
+    setSaving(true);
+
+    try {
+      const { data } = await api.post("/payouts/batches", {
+        ...form,
+        hostId: form.hostId || null
+      });
+      notify(t("payouts.notifications.created"), "success");
+      setForm(EMPTY_FORM);
+      setSelectedBatch(data);
+      loadLedger();
+    } catch (err) {
+      setError(err.response?.data?.error || t("payouts.errors.createFailed"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateBatchStatus = async (batch, action) => {
+    const confirmKey = action === 'settle' ? "payouts.confirmSettle" : "payouts.confirmCancel";
+    if (!window.confirm(t(confirmKey, { id: batch.id }))) {
+      return;
+    }
+
+    try {
+      const { data } = await api.post(`/payouts/batches/${batch.id}/${action}`);
+      notify(t(action === 'settle' ? "payouts.notifications.settled" : "payouts.notifications.cancelled"), "success");
+      if (selectedBatch?.id === batch.id) {
+        setSelectedBatch(data);
+      }
+      loadLedger();
+    } catch (err) {
+      notify(err.response?.data?.error || t("payouts.errors.updateFailed"), "error");
+    }
+  };
+
+  const downloadStatement = async (batchId, hostId) => {
+    try {
+      const response = await api.get(`/payouts/batches/${batchId}/statements/${hostId}`, { responseType: "blob" });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `payout-statement-${batchId}-host-${hostId}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Error downloading payout statement:", err);
+      notify(t("payouts.errors.downloadFailed"), "error");
+    }
+  };
+
+  // Hosts with items in the selected batch, for per-host statement downloads
+  const selectedBatchHosts = (selectedBatch?.items || [])
+    .map(item => item.host)
+    .filter((host, index, all) => host && all.findIndex(other => other?.id === host.id) === index);
+
+  const inputClassName = "w-full border border-gray-300 rounded-lg py-2 px-3 text-sm";
+  const headerClassName = "py-3 px-4 text-left text-sm font-semibold text-text-primary";
+
+  const renderTotals = (totals) => totals.map(total => (
+    <div key={total.currency?.id || "none"}>{formatAmount(total.netAmount, total.currency)}</div>
+  ));
+
+  return (
+    <div className="min-h-screen bg-bg-primary overflow-x-hidden">
+      <div className="w-full px-4 sm:px-6 lg:px-8 pt-6 max-w-full space-y-6">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">{t("payouts.title")}</h1>
+          <p className="text-sm text-gray-500">{isAgent ? t("payouts.subtitleAgent") : t("payouts.subtitleHost")}</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-100 text-red-800 p-2 rounded-lg text-sm">{error}</div>
+        )}
+
+        {/* Outstanding balances */}
+        <div className="card-base overflow-hidden">
+          <div className="card-content pb-0">
+            <h2 className="text-lg font-medium text-gray-900">{t("payouts.balances.title")}</h2>
+          </div>
+          <div className="overflow-x-auto max-w-full">
+            <table className="w-full min-w-[800px]">
+              <thead className="bg-bg-secondary border-b border-border-light">
+                <tr>
+                  {isAgent && <th className={headerClassName}>{t("payouts.balances.host")}</th>}
+                  <th className={headerClassName}>{t("payouts.balances.bookings")}</th>
+                  <th className={headerClassName}>{t("payouts.balances.gross")}</th>
+                  <th className={headerClassName}>{t("payouts.balances.commission")}</th>
+                  <th className={headerClassName}>{t("payouts.balances.net")}</th>
+                  <th className={headerClassName}>{t("payouts.balances.inPendingBatch")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan={6} className="py-6 px-4 text-center text-sm text-gray-500">{t("common.loading")}</td>
+                  </tr>
+                ) : balances.length === 0 ? (
+                  <tr>
+                    <td colSpan={6} className="py-6 px-4 text-center text-sm text-gray-500">{t("payouts.balances.empty")}</td>
+                  </tr>
+                ) : balances.map(balance => (
+                  <tr key={`${balance.host?.id}-${balance.currency?.id}`} className="border-b border-border-light text-sm">
+                    {isAgent && (
+                      <td className="py-3 px-4">
+                        <div className="font-medium text-gray-900">{balance.host?.name}</div>
+                        <div className="text-xs text-gray-500">{balance.host?.phoneNumber || balance.host?.email}</div>
+                      </td>
+                    )}
+                    <td className="py-3 px-4">{balance.bookingCount}</td>
+                    <td className="py-3 px-4">{formatAmount(balance.grossAmount, balance.currency)}</td>
+                    <td className="py-3 px-4">{formatAmount(balance.commissionAmount, balance.currency)}</td>
+                    <td className="py-3 px-4 font-medium">{formatAmount(balance.netAmount, balance.currency)}</td>
+                    <td className="py-3 px-4">{formatAmount(balance.pendingBatchAmount, balance.currency)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {isAgent && <CommissionSettings />}
+
+        {/* Create settlement batch */}
+        {isAgent && (
+          <form onSubmit={handleCreateBatch} className="card-base">
+            <div className="card-content space-y-4">
+              <h2 className="text-lg font-medium text-gray-900">{t("payouts.form.title")}</h2>
+              <p className="text-sm text-gray-500">{t("payouts.form.description")}</p>
+
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <label className="text-sm text-gray-700">
+                  {t("payouts.form.periodStart")}
+                  <input
+                    type="date"
+                    required
+                    value={form.periodStart}
+                    onChange={(e) => updateForm({ periodStart: e.target.value })}
+                    className={`${inputClassName} mt-1`}
+                  />
+                </label>
+                <label className="text-sm text-gray-700">
+                  {t("payouts.form.periodEnd")}
+                  <input
+                    type="date"
+                    required
+                    value={form.periodEnd}
+                    min={form.periodStart || undefined}
+                    onChange={(e) => updateForm({ periodEnd: e.target.value })}
+                    className={`${inputClassName} mt-1`}
+                  />
+                </label>
+                <label className="text-sm text-gray-700">
+                  {t("payouts.form.host")}
+                  <select
+                    value={form.hostId}
+                    onChange={(e) => updateForm({ hostId: e.target.value })}
+                    className={`${inputClassName} mt-1`}
+                  >
+                    <option value="">{t("payouts.form.allHosts")}</option>
+                    {hosts.map(host => (
+                      <option key={host.id} value={host.id}>{host.name}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-sm text-gray-700">
+                  {t("payouts.form.note")}
+                  <input
+                    type="text"
+                    maxLength={255}
+                    value={form.note}
+                    onChange={(e) => updateForm({ note: e.target.value })}
+                    className={`${inputClassName} mt-1`}
+                  />
+                </label>
+              </div>
+
+              <button type="submit" className="primary max-w-xs" disabled={saving}>
+                {t("payouts.form.create")}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Batch list */}
+        <div className="card-base overflow-hidden">
+          <div className="card-content pb-0">
+            <h2 className="text-lg font-medium text-gray-900">{t("payouts.batches.title")}</h2>
+          </div>
+          <div className="overflow-x-auto max-w-full">
+            <table className="w-full min-w-[800px]">
+              <thead className="bg-bg-secondary border-b border-border-light">
+                <tr>
+                  <th className={headerClassName}>{t("payouts.batches.batch")}</th>
+                  <th className={headerClassName}>{t("payouts.batches.period")}</th>
+                  <th className={headerClassName}>{t("payouts.batches.bookings")}</th>
+                  <th className={headerClassName}>{t("payouts.batches.net")}</th>
+                  <th className={headerClassName}>{t("payouts.batches.status")}</th>
+                  <th className={headerClassName}>{t("payouts.batches.actions")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan={6} className="py-6 px-4 text-center text-sm text-gray-500">{t("common.loading")}</td>
+                  </tr>
+                ) : batches.length === 0 ? (
+                  <tr>
+                    <td colSpan={6} className="py-6 px-4 text-center text-sm text-gray-500">{t("payouts.batches.empty")}</td>
+                  </tr>
+                ) : batches.map(batch => (
+                  <tr key={batch.id} className="border-b border-border-light text-sm">
+                    <td className="py-3 px-4">
+                      <div className="font-medium text-gray-900">#{batch.id}</div>
+                      {batch.note && <div className="text-xs text-gray-500">{batch.note}</div>}
+                    </td>
+                    <td className="py-3 px-4">{batch.periodStart} — {batch.periodEnd}</td>
+                    <td className="py-3 px-4">
+                      {batch.bookingCount}
+                      {isAgent && <div className="text-xs text-gray-500">{t("payouts.batches.hostCount", { count: batch.hostCount })}</div>}
+                    </td>
+                    <td className="py-3 px-4">{renderTotals(batch.totals)}</td>
+                    <td className="py-3 px-4">
+                      <span className={batch.status === 'settled' ? "text-green-700" : batch.status === 'pending' ? "text-yellow-700" : "text-gray-500"}>
+                        {t(`payouts.status.${batch.status}`)}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 space-x-3 whitespace-nowrap">
+                      <button type="button" onClick={() => openBatch(batch.id)} className="text-blue-600 hover:underline">
+                        {t("payouts.actions.view")}
+                      </button>
+                      {!isAgent && (
+                        <button type="button" onClick={() => downloadStatement(batch.id, user.id)} className="text-gray-700 hover:underline">
+                          {t("payouts.actions.statement")}
+                        </button>
+                      )}
+                      {isAgent && batch.status === 'pending' && (
+                        <>
+                          <button type="button" onClick={() => updateBatchStatus(batch, 'settle')} className="text-green-700 hover:underline">
+                            {t("payouts.actions.settle")}
+                          </button>
+                          <button type="button" onClick={() => updateBatchStatus(batch, 'cancel')} className="text-red-600 hover:underline">
+                            {t("payouts.actions.cancel")}
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Selected batch details */}
+        {selectedBatch && (
+          <div className="card-base overflow-hidden">
+            <div className="card-content pb-0 flex flex-wrap items-center justify-between gap-3">
+              <h2 className="text-lg font-medium text-gray-900">
+                {t("payouts.details.title", { id: selectedBatch.id })} · {t(`payouts.status.${selectedBatch.status}`)}
+              </h2>
+              <button type="button" onClick={() => setSelectedBatch(null)} className="text-sm text-gray-600 hover:underline">
+                {t("payouts.actions.close")}
+              </button>
+            </div>
+            {isAgent && selectedBatchHosts.length > 0 && (
+              <div className="card-content pb-0 flex flex-wrap gap-3 text-sm">
+                <span className="text-gray-500">{t("payouts.details.statements")}</span>
+                {selectedBatchHosts.map(host => (
+                  <button
+                    key={host.id}
+                    type="button"
+                    onClick={() => downloadStatement(selectedBatch.id, host.id)}
+                    className="text-blue-600 hover:underline"
+                  >
+                    {host.name}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="overflow-x-auto max-w-full">
+              <table className="w-full min-w-[800px]">
+                <thead className="bg-bg-secondary border-b border-border-light">
+                  <tr>
+                    <th className={headerClassName}>{t("payouts.details.booking")}</th>
+                    {isAgent && <th className={headerClassName}>{t("payouts.balances.host")}</th>}
+                    <th className={headerClassName}>{t("payouts.details.place")}</th>
+                    <th className={headerClassName}>{t("payouts.balances.gross")}</th>
+                    <th className={headerClassName}>{t("payouts.balances.commission")}</th>
+                    <th className={headerClassName}>{t("payouts.balances.net")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedBatch.items.map(item => (
+                    <tr key={item.id} className="border-b border-border-light text-sm">
+                      <td className="py-3 px-4">{item.booking?.uniqueRequestId || `#${item.bookingId}`}</td>
+                      {isAgent && <td className="py-3 px-4">{item.host?.name}</td>}
+                      <td className="py-3 px-4">{item.place?.title}</td>
+                      <td className="py-3 px-4">{formatAmount(item.grossAmount, item.currency)}</td>
+                      <td className="py-3 px-4">{formatAmount(item.commissionAmount, item.currency)}</td>
+                      <td className="py-3 px-4 font-medium">{formatAmount(item.netAmount, item.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
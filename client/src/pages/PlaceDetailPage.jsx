@@ -15,7 +15,9 @@ import PlaceAvailabilityCalendar from "../components/PlaceAvailabilityCalendar";
 import PlacePerks from "../components/PlacePerks";
 import RefundPolicyDisplay from "../components/RefundPolicyDisplay";
 import PlaceReviews from "../components/PlaceReviews";
-import { parseISO, isValid } from "date-fns";
+import GuestPhotosStrip from "../components/GuestPhotosStrip";
+import HostReputationBadges from "../components/HostReputationBadges";
+import { parseISO, isValid, format } from "date-fns";
 
 export default function PlaceDetailPage() {
   const { t } = useTranslation('places');
@@ -45,6 +47,7 @@ export default function PlaceDetailPage() {
     const dates = urlParams.get('dates');
     const startTime = urlParams.get('startTime');
     const endTime = urlParams.get('endTime');
+    const waitlistClaim = urlParams.get('waitlistClaim');
 
     // If we have filter parameters, pre-populate the calendar selection
     if (dates || startTime || endTime) {
@@ -74,12 +77,27 @@ export default function PlaceDetailPage() {
       // If we successfully parsed dates, set them
       if (preSelectedDates.length > 0) {
         setSelectedCalendarDates(preSelectedDates);
-        // Notify user that dates were pre-selected from filter
-        notify(t('placeDetail.filterDatesPreSelected'), "info");
+        if (waitlistClaim) {
+          checkWaitlistClaim(waitlistClaim);
+        } else {
+          // Notify user that dates were pre-selected from filter
+          notify(t('placeDetail.filterDatesPreSelected'), "info");
+        }
       }
     }
   };
 
+  // Claim links from waitlist notifications pre-select the freed slot; tell the client until when it is theirs
+  const checkWaitlistClaim = (token) => {
+    api.get(`/waitlist/claims/${token}`)
+      .then(({ data }) => {
+        notify(t('placeDetail.waitlistClaim.open', { time: format(new Date(data.claimExpiresAt), "HH:mm") }), "info");
+      })
+      .catch(error => {
+        notify(error.response?.data?.error || t('placeDetail.waitlistClaim.invalid'), "error");
+      });
+  };
+
   useEffect(() => {
     if (!placeId) {
       return;
@@ -195,6 +213,14 @@ export default function PlaceDetailPage() {
             </svg>
             {placeDetail.address}
           </a>
+          {placeDetail.owner && (
+            <div className="mt-3 space-y-2">
+              <p className="text-body text-text-secondary">
+                {t('card.hosted_by')} <span className="font-medium text-text-primary">{placeDetail.owner.name}</span>
+              </p>
+              <HostReputationBadges hostMetrics={placeDetail.owner.hostMetrics} showFigures />
+            </div>
+          )}
         </div>
 
         {/* Error notification */}
@@ -215,6 +241,9 @@ export default function PlaceDetailPage() {
             <div className="card-base overflow-hidden">
               <PhotoGallery placeDetail={placeDetail} />
             </div>
+
+            {/* Guest Photos from approved reviews */}
+            <GuestPhotosStrip placeId={placeDetail.id} />
             
             {/* Place Details Info Section */}
             <div className="card-base">
@@ -9,6 +9,9 @@ import { geocodeAddress } from "../utils/formUtils";
 import { validateFormWithScrolling, scrollToAndHighlightField } from "../utils/formValidationUtils";
 import AddressSection from "../components/AddressSection";
 import AvailabilitySection from "../components/AvailabilitySection";
+import PricingRulesEditor from "../components/PricingRulesEditor";
+import AddOnsEditor from "../components/AddOnsEditor";
+import { EMPTY_PRICING_RULES } from "../utils/pricingCalculator";
 import YouTubeSection, { extractYouTubeVideoId } from "../components/YouTubeSection";
 import MatterportSection from "../components/MatterportSection";
 import HostSelector from "../components/HostSelector";
@@ -70,6 +73,16 @@ export default function PlacesFormPage() {
 
   // Refund options state
   const [refundOptions, setRefundOptions] = useState([]);
+  
+  // Dynamic pricing rules (peak hours, weekdays, seasons, last-minute)
+  const [pricingRules, setPricingRules] = useState(EMPTY_PRICING_RULES);
+
+  // Priced add-ons (projector, catering, interpreter booths...)
+  const [addOns, setAddOns] = useState([]);
+
+  // Deposit taken upfront (empty = full payment) and balance cutoff before the booking
+  const [depositPercentage, setDepositPercentage] = useState("");
+  const [balanceDueHours, setBalanceDueHours] = useState(48);
 
   // Track the source of coordinate updates to prevent circular geocoding
   const coordinateUpdateSource = useRef('address'); // 'address' or 'map'
@@ -234,6 +247,16 @@ export default function PlacesFormPage() {
         // Load refund options if available
         setRefundOptions(data.refundOptions || []);
         
+        // Load dynamic pricing rules if available
+        setPricingRules({ ...EMPTY_PRICING_RULES, ...(data.pricingRules || {}) });
+        
+        // Load add-on catalog if available
+        setAddOns(data.addOns || []);
+        
+        // Load deposit terms
+        setDepositPercentage(data.depositPercentage ?? "");
+        setBalanceDueHours(data.balanceDueHours || 48);
+        
         // Set the selected host for agents when editing a place
         if (user?.userType === 'agent' && data.owner) {
           setSelectedHost(data.owner);
@@ -564,6 +587,10 @@ export default function PlacesFormPage() {
       squareMeters, // Include square meters
       isHotel, // Include is hotel flag
       refundOptions, // Include refund options
+      pricingRules, // Include dynamic pricing rules
+      addOns, // Include add-on catalog
+      depositPercentage: depositPercentage === "" ? null : depositPercentage,
+      balanceDueHours,
       // Include hostId for agents creating places on behalf of hosts
       ...(user?.userType === 'agent' && selectedHost ? { hostId: selectedHost.id } : {})
     };
@@ -835,6 +862,72 @@ export default function PlacesFormPage() {
             </div>
           </div>
           
+          {/* Dynamic Pricing Rules Section */}
+          <div className="card-base mb-6">
+            <div className="card-content">
+              {preInput(
+                "placeCreate.pricingRules",
+                "placeCreate.pricingRulesDescription"
+              )}
+              <PricingRulesEditor
+                pricingRules={pricingRules}
+                setPricingRules={setPricingRules}
+                currency={currency}
+              />
+            </div>
+          </div>
+          
+          {/* Add-Ons Section */}
+          <div className="card-base mb-6">
+            <div className="card-content">
+              {preInput(
+                "placeCreate.addOns",
+                "placeCreate.addOnsDescription"
+              )}
+              <AddOnsEditor
+                addOns={addOns}
+                setAddOns={setAddOns}
+                currency={currency}
+              />
+            </div>
+          </div>
+          
+          {/* Deposit Section */}
+          <div className="card-base mb-6">
+            <div className="card-content">
+              {preInput(
+                "placeCreate.deposit",
+                "placeCreate.depositDescription"
+              )}
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <label className="text-sm text-gray-600">
+                  {t("places:placeCreate.depositEditor.percentage")}
+                  <input
+                    type="number"
+                    min="1"
+                    max="99"
+                    value={depositPercentage}
+                    placeholder={t("places:placeCreate.depositEditor.fullPayment")}
+                    onChange={(e) => setDepositPercentage(e.target.value === "" ? "" : parseInt(e.target.value, 10))}
+                    className="mt-1 w-full border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+                  />
+                </label>
+                <label className="text-sm text-gray-600">
+                  {t("places:placeCreate.depositEditor.balanceDueHours")}
+                  <input
+                    type="number"
+                    min="1"
+                    max="720"
+                    value={balanceDueHours}
+                    disabled={depositPercentage === ""}
+                    onChange={(e) => setBalanceDueHours(parseInt(e.target.value, 10) || 48)}
+                    className="mt-1 w-full border border-gray-300 rounded-lg py-1.5 px-2 text-sm disabled:bg-gray-100"
+                  />
+                </label>
+              </div>
+            </div>
+          </div>
+          
           {/* Refund Options Section */}
           <div className="card-base mb-6">
             <div className="card-content">
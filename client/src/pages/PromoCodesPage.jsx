@@ -0,0 +1,409 @@
+import { useCallback, useContext, useEffect, useState } from "react";
+import { Navigate } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import api from "../utils/api";
+import { UserContext } from "../components/UserContext";
+import { useNotification } from "../components/NotificationContext";
+
+const EMPTY_FORM = {
+  code: "",
+  description: "",
+  discountType: "percentage",
+  discountValue: "",
+  currency: "UZS",
+  placeId: "",
+  maxUses: "",
+  maxUsesPerUser: "",
+  validFrom: "",
+  validUntil: "",
+  firstBookingOnly: false,
+  isActive: true
+};
+
+// Currencies a fixed discount can be set in (converted to the place currency when applied)
+const FIXED_DISCOUNT_CURRENCIES = ["UZS", "USD", "RUB"];
+
+// Validity dates are whole days in Uzbekistan time
+const UZBEKISTAN_OFFSET = "+05:00";
+const toDateInput = (value) => (
+  value ? new Date(value).toLocaleDateString("en-CA", { timeZone: "Asia/Tashkent" }) : ""
+);
+
+/**
+ * PromoCodesPage - Agent management of promo codes
+ * Codes are applied by clients in BookingWidget and re-validated by the server quote.
+ */
+export default function PromoCodesPage() {
+  const { t } = useTranslation("dashboard");
+  const { user, isReady } = useContext(UserContext);
+  const { notify } = useNotification();
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [places, setPlaces] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadPromoCodes = useCallback(async () => {
+    try {
+      setLoading(true);
+      const { data } = await api.get("/promo-codes");
+      setPromoCodes(data);
+    } catch (err) {
+      console.error("Error fetching promo codes:", err);
+      setError(err.response?.data?.error || t("promoCodes.errors.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    if (user?.userType !== 'agent') return;
+
+    loadPromoCodes();
+    api.get("/places")
+      .then(({ data }) => setPlaces(data.places || data || []))
+      .catch(err => console.error("Error fetching places:", err));
+  }, [user, loadPromoCodes]);
+
+  if (isReady && !user) {
+    return <Navigate to="/login" />;
+  }
+
+  if (user && user.userType !== 'agent') {
+    return <Navigate to="/account" />;
+  }
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    setError("");
+  };
+
+  const startEditing = (promoCode) => {
+    setEditingId(promoCode.id);
+    setError("");
+    setForm({
+      code: promoCode.code,
+      description: promoCode.description || "",
+      discountType: promoCode.discountType,
+      discountValue: promoCode.discountValue,
+      currency: promoCode.currency || "UZS",
+      placeId: promoCode.placeId || "",
+      maxUses: promoCode.maxUses || "",
+      maxUsesPerUser: promoCode.maxUsesPerUser || "",
+      validFrom: toDateInput(promoCode.validFrom),
+      validUntil: toDateInput(promoCode.validUntil),
+      firstBookingOnly: promoCode.firstBookingOnly,
+      isActive: promoCode.isActive
+    });
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError("");
+    setSaving(true);
+
+    const payload = {
+      ...form,
+      placeId: form.placeId || null,
+      validFrom: form.validFrom ? `${form.validFrom}T00:00:00${UZBEKISTAN_OFFSET}` : null,
+      validUntil: form.validUntil ? `${form.validUntil}T23:59:59${UZBEKISTAN_OFFSET}` : null
+    };
+
+    try {
+      if (editingId) {
+        await api.put(`/promo-codes/${editingId}`, payload);
+        notify(t("promoCodes.notifications.updated"), "success");
+      } else {
+        await api.post("/promo-codes", payload);
+        notify(t("promoCodes.notifications.created"), "success");
+      }
+      resetForm();
+      loadPromoCodes();
+    } catch (err) {
+      setError(err.response?.data?.error || t("promoCodes.errors.saveFailed"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (promoCode) => {
+    try {
+      await api.put(`/promo-codes/${promoCode.id}`, { isActive: !promoCode.isActive });
+      loadPromoCodes();
+    } catch (err) {
+      notify(err.response?.data?.error || t("promoCodes.errors.saveFailed"), "error");
+    }
+  };
+
+  const deletePromoCode = async (promoCode) => {
+    if (!window.confirm(t("promoCodes.confirmDelete", { code: promoCode.code }))) {
+      return;
+    }
+    try {
+      await api.delete(`/promo-codes/${promoCode.id}`);
+      notify(t("promoCodes.notifications.deleted"), "success");
+      if (editingId === promoCode.id) {
+        resetForm();
+      }
+      loadPromoCodes();
+    } catch (err) {
+      notify(err.response?.data?.error || t("promoCodes.errors.deleteFailed"), "error");
+    }
+  };
+
+  const formatDiscount = (promoCode) => (
+    promoCode.discountType === 'percentage'
+      ? `${promoCode.discountValue}%`
+      : `${promoCode.discountValue.toLocaleString()} ${promoCode.currency}`
+  );
+
+  const formatValidity = (promoCode) => {
+    if (!promoCode.validFrom && !promoCode.validUntil) {
+      return t("promoCodes.table.always");
+    }
+    return `${toDateInput(promoCode.validFrom) || "…"} — ${toDateInput(promoCode.validUntil) || "…"}`;
+  };
+
+  const inputClassName = "w-full border border-gray-300 rounded-lg py-2 px-3 text-sm";
+
+  return (
+    <div className="min-h-screen bg-bg-primary overflow-x-hidden">
+      <div className="w-full px-4 sm:px-6 lg:px-8 pt-6 max-w-full space-y-6">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">{t("promoCodes.title")}</h1>
+          <p className="text-sm text-gray-500">{t("promoCodes.subtitle")}</p>
+        </div>
+
+        {/* Create / edit form */}
+        <form onSubmit={handleSubmit} className="card-base">
+          <div className="card-content space-y-4">
+            <h2 className="text-lg font-medium text-gray-900">
+              {editingId ? t("promoCodes.form.editTitle") : t("promoCodes.form.createTitle")}
+            </h2>
+
+            {error && (
+              <div className="bg-red-100 text-red-800 p-2 rounded-lg text-sm">{error}</div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <label className="text-sm text-gray-700">
+                {t("promoCodes.form.code")}
+                <input
+                  type="text"
+                  required
+                  maxLength={50}
+                  value={form.code}
+                  onChange={(e) => updateForm({ code: e.target.value.toUpperCase() })}
+                  className={`${inputClassName} mt-1 uppercase`}
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                {t("promoCodes.form.discountType")}
+                <select
+                  value={form.discountType}
+                  onChange={(e) => updateForm({ discountType: e.target.value })}
+                  className={`${inputClassName} mt-1`}
+                >
+                  <option value="percentage">{t("promoCodes.form.percentage")}</option>
+                  <option value="fixed">{t("promoCodes.form.fixed")}</option>
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                {t("promoCodes.form.discountValue")}
+                <input
+                  type="number"
+                  required
+                  min="0"
+                  step="any"
+                  max={form.discountType === 'percentage' ? 100 : undefined}
+                  value={form.discountValue}
+                  onChange={(e) => updateForm({ discountValue: e.target.value })}
+                  className={`${inputClassName} mt-1`}
+                />
+              </label>
+              {form.discountType === 'fixed' && (
+                <label className="text-sm text-gray-700">
+                  {t("promoCodes.form.currency")}
+                  <select
+                    value={form.currency}
+                    onChange={(e) => updateForm({ currency: e.target.value })}
+                    className={`${inputClassName} mt-1`}
+                  >
+                    {FIXED_DISCOUNT_CURRENCIES.map(currency => (
+                      <option key={currency} value={currency}>{currency}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <label className="text-sm text-gray-700 md:col-span-2">
+                {t("promoCodes.form.description")}
+                <input
+                  type="text"
+                  maxLength={255}
+                  value={form.description}
+                  onChange={(e) => updateForm({ description: e.target.value })}
+                  className={`${inputClassName} mt-1`}
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                {t("promoCodes.form.place")}
+                <select
+                  value={form.placeId}
+                  onChange={(e) => updateForm({ placeId: e.target.value })}
+                  className={`${inputClassName} mt-1`}
+                >
+                  <option value="">{t("promoCodes.form.allPlaces")}</option>
+                  {places.map(place => (
+                    <option key={place.id} value={place.id}>{place.title}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                {t("promoCodes.form.maxUses")}
+                <input
+                  type="number"
+                  min="1"
+                  value={form.maxUses}
+                  placeholder={t("promoCodes.form.unlimited")}
+                  onChange={(e) => updateForm({ maxUses: e.target.value })}
+                  className={`${inputClassName} mt-1`}
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                {t("promoCodes.form.maxUsesPerUser")}
+                <input
+                  type="number"
+                  min="1"
+                  value={form.maxUsesPerUser}
+                  placeholder={t("promoCodes.form.unlimited")}
+                  onChange={(e) => updateForm({ maxUsesPerUser: e.target.value })}
+                  className={`${inputClassName} mt-1`}
+                />
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                <label className="text-sm text-gray-700">
+                  {t("promoCodes.form.validFrom")}
+                  <input
+                    type="date"
+                    value={form.validFrom}
+                    onChange={(e) => updateForm({ validFrom: e.target.value })}
+                    className={`${inputClassName} mt-1`}
+                  />
+                </label>
+                <label className="text-sm text-gray-700">
+                  {t("promoCodes.form.validUntil")}
+                  <input
+                    type="date"
+                    value={form.validUntil}
+                    min={form.validFrom || undefined}
+                    onChange={(e) => updateForm({ validUntil: e.target.value })}
+                    className={`${inputClassName} mt-1`}
+                  />
+                </label>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-6 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={form.firstBookingOnly}
+                  onChange={(e) => updateForm({ firstBookingOnly: e.target.checked })}
+                />
+                {t("promoCodes.form.firstBookingOnly")}
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={form.isActive}
+                  onChange={(e) => updateForm({ isActive: e.target.checked })}
+                />
+                {t("promoCodes.form.isActive")}
+              </label>
+            </div>
+
+            <div className="flex gap-3">
+              <button type="submit" className="primary max-w-xs" disabled={saving}>
+                {editingId ? t("promoCodes.form.save") : t("promoCodes.form.create")}
+              </button>
+              {editingId && (
+                <button type="button" onClick={resetForm} className="text-sm text-gray-600 hover:underline">
+                  {t("promoCodes.form.cancel")}
+                </button>
+              )}
+            </div>
+          </div>
+        </form>
+
+        {/* Promo code list */}
+        <div className="card-base overflow-hidden">
+          <div className="overflow-x-auto max-w-full">
+            <table className="w-full min-w-[800px]">
+              <thead className="bg-bg-secondary border-b border-border-light">
+                <tr>
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-text-primary">{t("promoCodes.table.code")}</th>
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-text-primary">{t("promoCodes.table.discount")}</th>
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-text-primary">{t("promoCodes.table.scope")}</th>
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-text-primary">{t("promoCodes.table.usage")}</th>
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-text-primary">{t("promoCodes.table.validity")}</th>
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-text-primary">{t("promoCodes.table.status")}</th>
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-text-primary">{t("promoCodes.table.actions")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan={7} className="py-6 px-4 text-center text-sm text-gray-500">{t("common.loading")}</td>
+                  </tr>
+                ) : promoCodes.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="py-6 px-4 text-center text-sm text-gray-500">{t("promoCodes.table.empty")}</td>
+                  </tr>
+                ) : promoCodes.map(promoCode => (
+                  <tr key={promoCode.id} className="border-b border-border-light text-sm">
+                    <td className="py-3 px-4">
+                      <div className="font-medium text-gray-900">{promoCode.code}</div>
+                      {promoCode.description && (
+                        <div className="text-xs text-gray-500">{promoCode.description}</div>
+                      )}
+                      {promoCode.firstBookingOnly && (
+                        <div className="text-xs text-blue-600">{t("promoCodes.form.firstBookingOnly")}</div>
+                      )}
+                    </td>
+                    <td className="py-3 px-4">{formatDiscount(promoCode)}</td>
+                    <td className="py-3 px-4">{promoCode.place?.title || t("promoCodes.form.allPlaces")}</td>
+                    <td className="py-3 px-4">
+                      {promoCode.usedCount}{promoCode.maxUses ? ` / ${promoCode.maxUses}` : ""}
+                    </td>
+                    <td className="py-3 px-4">{formatValidity(promoCode)}</td>
+                    <td className="py-3 px-4">
+                      <span className={promoCode.isActive ? "text-green-700" : "text-gray-500"}>
+                        {promoCode.isActive ? t("promoCodes.table.active") : t("promoCodes.table.inactive")}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 space-x-3 whitespace-nowrap">
+                      <button type="button" onClick={() => startEditing(promoCode)} className="text-blue-600 hover:underline">
+                        {t("promoCodes.actions.edit")}
+                      </button>
+                      <button type="button" onClick={() => toggleActive(promoCode)} className="text-gray-700 hover:underline">
+                        {promoCode.isActive ? t("promoCodes.actions.deactivate") : t("promoCodes.actions.activate")}
+                      </button>
+                      <button type="button" onClick={() => deletePromoCode(promoCode)} className="text-red-600 hover:underline">
+                        {t("promoCodes.actions.delete")}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,385 @@
+import { useCallback, useContext, useEffect, useState } from "react";
+import { Navigate } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import api from "../utils/api";
+import { UserContext } from "../components/UserContext";
+import { useNotification } from "../components/NotificationContext";
+
+const PROVIDERS = ["payme", "click", "octo"];
+
+const EMPTY_FORM = {
+  provider: "payme",
+  file: null,
+  periodStart: "",
+  periodEnd: "",
+  amountsInTiyin: false
+};
+
+const RESULT_CLASSNAMES = {
+  matched: "text-green-700",
+  missing_transaction: "text-red-700",
+  missing_from_statement: "text-red-700",
+  duplicate: "text-yellow-700",
+  amount_mismatch: "text-yellow-700"
+};
+
+const formatAmount = (amount) => (
+  amount === null || amount === undefined ? "—" : `${Number(amount).toLocaleString()} UZS`
+);
+
+/**
+ * ReconciliationPage - Payment reconciliation against provider statements
+ * Agents import the CSV statement of a Payme, Click or Octo cabinet; every line is
+ * matched to our transactions and missing, duplicate and amount-mismatched entries
+ * are resolved one by one with an audit note.
+ */
+export default function ReconciliationPage() {
+  const { t } = useTranslation("dashboard");
+  const { user, isReady } = useContext(UserContext);
+  const { notify } = useNotification();
+  const [runs, setRuns] = useState([]);
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [itemFilter, setItemFilter] = useState("open");
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const isAgent = user?.userType === 'agent';
+
+  const loadRuns = useCallback(async () => {
+    try {
+      setLoading(true);
+      const { data } = await api.get("/reconciliation/runs");
+      setRuns(data);
+    } catch (err) {
+      console.error("Error fetching reconciliation runs:", err);
+      setError(err.response?.data?.error || t("reconciliation.errors.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    if (!isAgent) return;
+    loadRuns();
+  }, [isAgent, loadRuns]);
+
+  if (isReady && !user) {
+    return <Navigate to="/login" />;
+  }
+
+  if (user && !isAgent) {
+    return <Navigate to="/account" />;
+  }
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const openRun = async (runId) => {
+    try {
+      const { data } = await api.get(`/reconciliation/runs/${runId}`);
+      setSelectedRun(data);
+      setItemFilter(data.openIssueCount > 0 ? "open" : "all");
+    } catch (err) {
+      notify(err.response?.data?.error || t("reconciliation.errors.loadFailed"), "error");
+    }
+  };
+
+  const handleImport = async (event) => {
+    event.preventDefault();
+    setError("");
+    setSaving(true);
+
+    const data = new FormData();
+    data.append("statement", form.file);
+    data.append("provider", form.provider);
+    data.append("amountsInTiyin", form.amountsInTiyin ? "true" : "false");
+    if (form.periodStart) data.append("periodStart", form.periodStart);
+    if (form.periodEnd) data.append("periodEnd", form.periodEnd);
+
+    try {
+      const { data: run } = await api.post("/reconciliation/runs", data, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+      notify(t("reconciliation.notifications.imported", { issues: run.issueCount }), "success");
+      setForm(EMPTY_FORM);
+      setFileInputKey(key => key + 1);
+      setSelectedRun(run);
+      setItemFilter(run.openIssueCount > 0 ? "open" : "all");
+      loadRuns();
+    } catch (err) {
+      setError(err.response?.data?.error || t("reconciliation.errors.importFailed"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resolveItem = async (item) => {
+    const note = (notes[item.id] || "").trim();
+    if (!note) {
+      notify(t("reconciliation.errors.noteRequired"), "error");
+      return;
+    }
+
+    try {
+      const { data } = await api.post(`/reconciliation/items/${item.id}/resolve`, { note });
+      setSelectedRun(prev => ({
+        ...prev,
+        status: data.runStatus,
+        openIssueCount: data.openIssueCount,
+        items: prev.items.map(existing => (
+          existing.id === item.id ? { ...existing, ...data.item } : existing
+        ))
+      }));
+      setNotes(prev => ({ ...prev, [item.id]: "" }));
+      notify(t("reconciliation.notifications.resolved"), "success");
+      loadRuns();
+    } catch (err) {
+      notify(err.response?.data?.error || t("reconciliation.errors.resolveFailed"), "error");
+    }
+  };
+
+  const visibleItems = (selectedRun?.items || []).filter(item => {
+    if (itemFilter === "open") return item.resolutionStatus === "open";
+    if (itemFilter === "issues") return item.result !== "matched";
+    return true;
+  });
+
+  const inputClassName = "w-full border border-gray-300 rounded-lg py-2 px-3 text-sm";
+  const headerClassName = "py-3 px-4 text-left text-sm font-semibold text-text-primary";
+
+  return (
+    <div className="min-h-screen bg-bg-primary overflow-x-hidden">
+      <div className="w-full px-4 sm:px-6 lg:px-8 pt-6 max-w-full space-y-6">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">{t("reconciliation.title")}</h1>
+          <p className="text-sm text-gray-500">{t("reconciliation.subtitle")}</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-100 text-red-800 p-2 rounded-lg text-sm">{error}</div>
+        )}
+
+        {/* Import statement */}
+        <form onSubmit={handleImport} className="card-base">
+          <div className="card-content space-y-4">
+            <h2 className="text-lg font-medium text-gray-900">{t("reconciliation.form.title")}</h2>
+            <p className="text-sm text-gray-500">{t("reconciliation.form.description")}</p>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <label className="text-sm text-gray-700">
+                {t("reconciliation.form.provider")}
+                <select
+                  value={form.provider}
+                  onChange={(e) => updateForm({ provider: e.target.value })}
+                  className={`${inputClassName} mt-1`}
+                >
+                  {PROVIDERS.map(provider => (
+                    <option key={provider} value={provider}>{t(`reconciliation.providers.${provider}`)}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                {t("reconciliation.form.file")}
+                <input
+                  key={fileInputKey}
+                  type="file"
+                  accept=".csv,text/csv"
+                  required
+                  onChange={(e) => updateForm({ file: e.target.files[0] || null })}
+                  className={`${inputClassName} mt-1`}
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                {t("reconciliation.form.periodStart")}
+                <input
+                  type="date"
+                  value={form.periodStart}
+                  onChange={(e) => updateForm({ periodStart: e.target.value })}
+                  className={`${inputClassName} mt-1`}
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                {t("reconciliation.form.periodEnd")}
+                <input
+                  type="date"
+                  value={form.periodEnd}
+                  min={form.periodStart || undefined}
+                  onChange={(e) => updateForm({ periodEnd: e.target.value })}
+                  className={`${inputClassName} mt-1`}
+                />
+              </label>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.amountsInTiyin}
+                onChange={(e) => updateForm({ amountsInTiyin: e.target.checked })}
+              />
+              {t("reconciliation.form.amountsInTiyin")}
+            </label>
+            <p className="text-xs text-gray-500">{t("reconciliation.form.periodHint")}</p>
+
+            <button type="submit" className="primary max-w-xs" disabled={saving || !form.file}>
+              {t("reconciliation.form.import")}
+            </button>
+          </div>
+        </form>
+
+        {/* Runs */}
+        <div className="card-base overflow-hidden">
+          <div className="card-content pb-0">
+            <h2 className="text-lg font-medium text-gray-900">{t("reconciliation.runs.title")}</h2>
+          </div>
+          <div className="overflow-x-auto max-w-full">
+            <table className="w-full min-w-[800px]">
+              <thead className="bg-bg-secondary border-b border-border-light">
+                <tr>
+                  <th className={headerClassName}>{t("reconciliation.runs.run")}</th>
+                  <th className={headerClassName}>{t("reconciliation.runs.period")}</th>
+                  <th className={headerClassName}>{t("reconciliation.runs.lines")}</th>
+                  <th className={headerClassName}>{t("reconciliation.runs.matched")}</th>
+                  <th className={headerClassName}>{t("reconciliation.runs.issues")}</th>
+                  <th className={headerClassName}>{t("reconciliation.runs.status")}</th>
+                  <th className={headerClassName}>{t("reconciliation.runs.actions")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan={7} className="py-6 px-4 text-center text-sm text-gray-500">{t("common.loading")}</td>
+                  </tr>
+                ) : runs.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="py-6 px-4 text-center text-sm text-gray-500">{t("reconciliation.runs.empty")}</td>
+                  </tr>
+                ) : runs.map(run => (
+                  <tr key={run.id} className="border-b border-border-light text-sm">
+                    <td className="py-3 px-4">
+                      <div className="font-medium text-gray-900">#{run.id} · {t(`reconciliation.providers.${run.provider}`)}</div>
+                      <div className="text-xs text-gray-500">{run.filename}</div>
+                    </td>
+                    <td className="py-3 px-4">
+                      {run.periodStart ? `${run.periodStart} — ${run.periodEnd}` : "—"}
+                    </td>
+                    <td className="py-3 px-4">{run.lineCount}</td>
+                    <td className="py-3 px-4">{run.matchedCount}</td>
+                    <td className="py-3 px-4">
+                      {run.issueCount}
+                      {run.openIssueCount > 0 && (
+                        <div className="text-xs text-red-600">{t("reconciliation.runs.openCount", { count: run.openIssueCount })}</div>
+                      )}
+                    </td>
+                    <td className="py-3 px-4">
+                      <span className={run.status === 'resolved' ? "text-green-700" : "text-yellow-700"}>
+                        {t(`reconciliation.status.${run.status}`)}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4">
+                      <button type="button" onClick={() => openRun(run.id)} className="text-blue-600 hover:underline">
+                        {t("reconciliation.actions.view")}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Selected run items */}
+        {selectedRun && (
+          <div className="card-base overflow-hidden">
+            <div className="card-content pb-0 flex flex-wrap items-center justify-between gap-3">
+              <h2 className="text-lg font-medium text-gray-900">
+                {t("reconciliation.details.title", { id: selectedRun.id })} · {t(`reconciliation.status.${selectedRun.status}`)}
+              </h2>
+              <div className="flex items-center gap-3 text-sm">
+                <select
+                  value={itemFilter}
+                  onChange={(e) => setItemFilter(e.target.value)}
+                  className="border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+                >
+                  <option value="open">{t("reconciliation.details.filters.open")}</option>
+                  <option value="issues">{t("reconciliation.details.filters.issues")}</option>
+                  <option value="all">{t("reconciliation.details.filters.all")}</option>
+                </select>
+                <button type="button" onClick={() => setSelectedRun(null)} className="text-gray-600 hover:underline">
+                  {t("reconciliation.actions.close")}
+                </button>
+              </div>
+            </div>
+            <div className="overflow-x-auto max-w-full">
+              <table className="w-full min-w-[1000px]">
+                <thead className="bg-bg-secondary border-b border-border-light">
+                  <tr>
+                    <th className={headerClassName}>{t("reconciliation.details.line")}</th>
+                    <th className={headerClassName}>{t("reconciliation.details.providerTransactionId")}</th>
+                    <th className={headerClassName}>{t("reconciliation.details.statementAmount")}</th>
+                    <th className={headerClassName}>{t("reconciliation.details.transactionAmount")}</th>
+                    <th className={headerClassName}>{t("reconciliation.details.booking")}</th>
+                    <th className={headerClassName}>{t("reconciliation.details.result")}</th>
+                    <th className={headerClassName}>{t("reconciliation.details.resolution")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleItems.length === 0 ? (
+                    <tr>
+                      <td colSpan={7} className="py-6 px-4 text-center text-sm text-gray-500">{t("reconciliation.details.empty")}</td>
+                    </tr>
+                  ) : visibleItems.map(item => (
+                    <tr key={item.id} className="border-b border-border-light text-sm align-top">
+                      <td className="py-3 px-4">{item.lineNumber || "—"}</td>
+                      <td className="py-3 px-4 font-mono text-xs break-all">{item.providerTransactionId || "—"}</td>
+                      <td className="py-3 px-4">{formatAmount(item.statementAmount)}</td>
+                      <td className="py-3 px-4">{formatAmount(item.transactionAmount)}</td>
+                      <td className="py-3 px-4">
+                        {item.transaction?.booking
+                          ? item.transaction.booking.uniqueRequestId || `#${item.transaction.booking.id}`
+                          : "—"}
+                      </td>
+                      <td className="py-3 px-4">
+                        <span className={RESULT_CLASSNAMES[item.result]}>{t(`reconciliation.results.${item.result}`)}</span>
+                      </td>
+                      <td className="py-3 px-4 min-w-[260px]">
+                        {item.resolutionStatus === 'resolved' && (
+                          <div>
+                            <div className="text-gray-900 whitespace-pre-line">{item.resolutionNote}</div>
+                            <div className="text-xs text-gray-500">
+                              {t("reconciliation.details.resolvedBy", {
+                                name: item.resolver?.name || "—",
+                                date: new Date(item.resolvedAt).toLocaleString()
+                              })}
+                            </div>
+                          </div>
+                        )}
+                        {item.resolutionStatus === 'open' && (
+                          <div className="flex gap-2">
+                            <input
+                              type="text"
+                              maxLength={2000}
+                              value={notes[item.id] || ""}
+                              placeholder={t("reconciliation.details.notePlaceholder")}
+                              onChange={(e) => setNotes(prev => ({ ...prev, [item.id]: e.target.value }))}
+                              className="flex-1 border border-gray-300 rounded-lg py-1.5 px-2 text-sm"
+                            />
+                            <button type="button" onClick={() => resolveItem(item)} className="text-green-700 hover:underline whitespace-nowrap">
+                              {t("reconciliation.actions.resolve")}
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
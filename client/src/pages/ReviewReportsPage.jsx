@@ -0,0 +1,271 @@
+import { useCallback, useContext, useEffect, useState } from "react";
+import { Navigate, Link } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import api from "../utils/api";
+import { UserContext } from "../components/UserContext";
+import { useNotification } from "../components/NotificationContext";
+import { useDateLocalization } from "../hooks/useDateLocalization";
+import StarRating from "../components/StarRating";
+import Pagination from "../components/Pagination";
+import ReviewPhotoThumbnails from "../components/ReviewPhotoThumbnails";
+import ModerationReasons from "../components/ModerationReasons";
+
+const REPORT_STATUS_FILTERS = ["pending", "resolved", "dismissed"];
+const DECISION_ACTIONS = ["dismiss", "hide_review", "warn_author", "suspend_author"];
+const DEFAULT_SUSPENSION_DAYS = 30;
+const REPORTS_PER_PAGE = 10;
+
+const ACTION_BUTTON_CLASSES = {
+  dismiss: "btn-outline",
+  hide_review: "btn-ghost border border-red-300 text-red-700",
+  warn_author: "btn-ghost border border-orange-300 text-orange-700",
+  suspend_author: "btn-base bg-red-600 text-white hover:bg-red-700 focus:ring-red-600"
+};
+
+/**
+ * ReviewReportsPage - Queue of reported reviews for agents
+ * Open reports are grouped by review and closed with one decision: dismiss them,
+ * hide the review, or hide it and warn or suspend its author. Past decisions are
+ * listed with the agent who made them.
+ */
+export default function ReviewReportsPage() {
+  const { t } = useTranslation("reviews");
+  const { user, isReady } = useContext(UserContext);
+  const { notify } = useNotification();
+  const { formatLocalizedDateTime } = useDateLocalization();
+  const [reviews, setReviews] = useState([]);
+  const [statusFilter, setStatusFilter] = useState("pending");
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState({ totalPages: 1, totalItems: 0 });
+  const [notes, setNotes] = useState({});
+  const [suspensionDays, setSuspensionDays] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState("");
+
+  const isAgent = user?.userType === "agent";
+
+  const loadQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError("");
+      const { data } = await api.get("/reviews/reports", {
+        params: { status: statusFilter, page: currentPage, limit: REPORTS_PER_PAGE }
+      });
+      setReviews(data.reviews);
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error("Error fetching review reports:", err);
+      setError(err.response?.data?.error || t("reportQueue.errors.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, currentPage, t]);
+
+  useEffect(() => {
+    if (!isAgent) return;
+    loadQueue();
+  }, [isAgent, loadQueue]);
+
+  if (isReady && !user) {
+    return <Navigate to="/login" />;
+  }
+
+  if (user && !isAgent) {
+    return <Navigate to="/account" />;
+  }
+
+  const changeStatusFilter = (status) => {
+    setStatusFilter(status);
+    setCurrentPage(1);
+  };
+
+  const resolveReports = async (review, action) => {
+    setSavingId(review.id);
+    try {
+      await api.post(`/reviews/${review.id}/reports/resolve`, {
+        action,
+        note: notes[review.id] || "",
+        suspensionDays: suspensionDays[review.id] || DEFAULT_SUSPENSION_DAYS
+      });
+      notify(t(`reportQueue.messages.${action}`), "success");
+      setNotes(prev => ({ ...prev, [review.id]: "" }));
+      loadQueue();
+    } catch (err) {
+      notify(err.response?.data?.error || t("reportQueue.errors.resolveFailed"), "error");
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-bg-primary overflow-x-hidden">
+      <div className="w-full px-4 sm:px-6 lg:px-8 pt-6 max-w-full space-y-6">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">{t("reportQueue.title")}</h1>
+          <p className="text-sm text-gray-500">{t("reportQueue.subtitle")}</p>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {REPORT_STATUS_FILTERS.map(status => (
+            <button
+              key={status}
+              type="button"
+              onClick={() => changeStatusFilter(status)}
+              className={`px-3 py-1.5 rounded-full border text-sm transition-colors ${
+                statusFilter === status
+                  ? "bg-primary text-white border-primary"
+                  : "bg-white text-gray-700 border-gray-300 hover:border-gray-400"
+              }`}
+            >
+              {t(`reportQueue.filters.${status}`)}
+            </button>
+          ))}
+        </div>
+
+        {error && (
+          <div className="bg-red-100 text-red-800 p-2 rounded-lg text-sm">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="text-center text-sm text-gray-500 py-6">{t("loading.reviews")}</div>
+        ) : reviews.length === 0 ? (
+          <div className="text-center text-sm text-gray-500 py-6">{t(`reportQueue.empty.${statusFilter}`)}</div>
+        ) : reviews.map(review => (
+          <div key={review.id} className="card-base">
+            <div className="card-content space-y-4">
+              {/* Reported review */}
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div className="space-y-1">
+                  <div className="font-medium text-gray-900">
+                    {review.Place ? (
+                      <Link to={`/place/${review.Place.id}`} className="hover:underline">{review.Place.title}</Link>
+                    ) : t("unknownPlace")}
+                  </div>
+                  <div className="text-sm text-gray-600">
+                    {t("byUser", { name: review.User?.name || "—" })} · {formatLocalizedDateTime(review.created_at)}
+                  </div>
+                  {review.User?.reviewsSuspendedUntil && new Date(review.User.reviewsSuspendedUntil) > new Date() && (
+                    <span className="inline-block px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-800">
+                      {t("reportQueue.suspendedUntil", { date: formatLocalizedDateTime(review.User.reviewsSuspendedUntil) })}
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <StarRating rating={review.rating} size="sm" />
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${review.isVisible ? "bg-green-100 text-green-800" : "bg-gray-200 text-gray-700"}`}>
+                    {review.isVisible ? t("visibility.public") : t("visibility.hidden")}
+                  </span>
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">
+                    {t(`management.filters.status.${review.status}`)}
+                  </span>
+                </div>
+              </div>
+
+              {review.comment && (
+                <p className="text-sm text-gray-800 whitespace-pre-line">{review.comment}</p>
+              )}
+              <ReviewPhotoThumbnails photos={review.photos} />
+              <ModerationReasons score={review.moderationScore} reasons={review.moderationReasons} />
+
+              {/* Reports on it */}
+              <div>
+                <h3 className="text-sm font-medium text-gray-900 mb-2">
+                  {t("reports.count", { count: review.Reports.length })}
+                </h3>
+                <ul className="space-y-2">
+                  {review.Reports.map(report => (
+                    <li key={report.id} className="text-sm border-l-2 border-red-200 pl-3">
+                      <div className="text-gray-900">
+                        <span className="font-medium">{t(`reportModal.reasons.${report.reason}`)}</span>
+                        {" · "}
+                        {report.Reporter?.name || "—"}
+                        <span className="text-xs text-gray-500"> · {formatLocalizedDateTime(report.created_at)}</span>
+                      </div>
+                      {report.description && (
+                        <div className="text-gray-600 whitespace-pre-line">{report.description}</div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              {/* Decision */}
+              {statusFilter === "pending" && (
+                <div className="space-y-3 border-t border-border-light pt-4">
+                  <textarea
+                    rows={2}
+                    maxLength={1000}
+                    value={notes[review.id] || ""}
+                    placeholder={t("reportQueue.notePlaceholder")}
+                    onChange={(e) => setNotes(prev => ({ ...prev, [review.id]: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-lg py-2 px-3 text-sm"
+                  />
+                  <div className="flex flex-wrap items-center gap-2">
+                    {DECISION_ACTIONS.map(action => (
+                      <button
+                        key={action}
+                        type="button"
+                        disabled={savingId === review.id}
+                        onClick={() => resolveReports(review, action)}
+                        className={`${ACTION_BUTTON_CLASSES[action]} btn-size-sm`}
+                      >
+                        {t(`reportQueue.actions.${action}`)}
+                      </button>
+                    ))}
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      {t("reportQueue.suspensionDays")}
+                      <input
+                        type="number"
+                        min={1}
+                        max={365}
+                        value={suspensionDays[review.id] || DEFAULT_SUSPENSION_DAYS}
+                        onChange={(e) => setSuspensionDays(prev => ({ ...prev, [review.id]: e.target.value }))}
+                        className="w-20 border border-gray-300 rounded-lg py-1 px-2 text-sm"
+                      />
+                    </label>
+                  </div>
+                </div>
+              )}
+
+              {review.decisions?.length > 0 && (
+                <div className="border-t border-border-light pt-4">
+                  <h3 className="text-sm font-medium text-gray-900 mb-2">{t("reportQueue.history")}</h3>
+                  <ul className="space-y-2">
+                    {review.decisions.map(decision => (
+                      <li key={decision.id} className="text-sm">
+                        <div className="text-gray-900">
+                          <span className="font-medium">{t(`reportQueue.decisions.${decision.action}`)}</span>
+                          {decision.suspendedUntil && (
+                            <span> · {t("reportQueue.suspendedUntil", { date: formatLocalizedDateTime(decision.suspendedUntil) })}</span>
+                          )}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {t("reportQueue.decidedBy", {
+                            name: decision.agent?.name || "—",
+                            date: formatLocalizedDateTime(decision.created_at)
+                          })}
+                        </div>
+                        {decision.note && (
+                          <div className="text-gray-600 whitespace-pre-line">{decision.note}</div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+
+        <Pagination
+          currentPage={currentPage}
+          totalPages={pagination.totalPages}
+          onPageChange={setCurrentPage}
+          totalItems={pagination.totalItems}
+          itemName="reviews"
+        />
+      </div>
+    </div>
+  );
+}
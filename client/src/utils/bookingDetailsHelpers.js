@@ -203,6 +203,50 @@ export const calculateTotalPrice = (booking) => {
   return booking.finalTotal || total;
 };
 
+/**
+ * Whether the deposit of a booking is paid and the balance is still owed
+ * Mirrors BookingPaymentService.isBalanceDue on the server
+ */
+export const isBalancePaymentDue = (booking) => (
+  booking?.status === 'approved' &&
+  !booking.paidAt &&
+  !!booking.depositPaidAt &&
+  Number(booking.amountDue || 0) > 0
+);
+
+/**
+ * Amount the client pays with the next payment: the deposit, the balance or the full total
+ * Mirrors BookingPaymentService.getAmountToPay on the server (Payme and Octo take deposits)
+ */
+export const getAmountToPay = (booking) => {
+  const total = Number(booking?.finalTotal || booking?.totalPrice || 0);
+  const amountPaid = Number(booking?.amountPaid || 0);
+  const isDepositOpen = !!booking?.depositAmount &&
+    !!booking?.balanceDueAt &&
+    new Date(booking.balanceDueAt) > new Date();
+
+  if (amountPaid === 0 && isDepositOpen) {
+    return { amount: Number(booking.depositAmount), paymentType: 'deposit' };
+  }
+
+  return {
+    amount: Math.round(Math.max(0, total - amountPaid) * 100) / 100,
+    paymentType: amountPaid > 0 ? 'balance' : 'full'
+  };
+};
+
+/**
+ * Amount charged in UZS for an amount in the booking currency, at the quoted rate
+ * Mirrors ExchangeRateLockService.toChargeAmount on the server
+ */
+export const toChargeAmount = (amount, quote) => {
+  const rate = Number(quote?.rate);
+  if (!rate || rate === 1) {
+    return Number(amount || 0);
+  }
+  return Math.round(Number(amount || 0) * rate);
+};
+
 /**
  * Get payment section visibility
  */
@@ -210,6 +254,9 @@ export const shouldShowPaymentSection = (user, booking) => {
   // Only show to clients
   if (user?.userType !== 'client') return false;
   
+  // Approved bookings only need the payment section while their balance is due
+  if (isBalancePaymentDue(booking)) return true;
+
   // Don't show payment section for confirmed/approved bookings
   if (booking?.status === 'approved' || booking?.status === 'confirmed') return false;
   
@@ -483,6 +530,9 @@ export default {
   canViewActionsSection,
   getPropertyDetails,
   calculateTotalPrice,
+  isBalancePaymentDue,
+  getAmountToPay,
+  toChargeAmount,
   shouldShowPaymentSection,
   shouldShowPaymentStatus,
   getRefundPolicyData,
@@ -1,3 +1,5 @@
+import { isBalancePaymentDue } from "./bookingDetailsHelpers";
+
 /**
  * Get CSS classes for booking status badge
  * @param {string} status - Booking status
@@ -36,7 +38,7 @@ export const getStatusDisplayText = (status) => {
  * Check if user can perform action on booking
  * @param {Object} user - Current user
  * @param {Object} booking - Booking object
- * @param {string} action - Action type ('approve', 'reject', 'cancel', 'select')
+ * @param {string} action - Action type ('approve', 'reject', 'cancel', 'select', 'reschedule')
  * @param {Array} competingBookings - Array of competing bookings (optional)
  * @returns {boolean} True if action is allowed
  */
@@ -51,13 +53,22 @@ export const canPerformBookingAction = (user, booking, action, competingBookings
     "approve": ["pending", "selected"], // Can approve pending or selected bookings
     "reject": ["pending", "selected", "approved"],  // Can reject pending, selected, or approved bookings (agents can reject approved)
     "select": ["pending"],              // Can only select pending bookings
-    "cancel": ["pending", "selected"],  // Clients can cancel pending or selected bookings
+    "cancel": ["pending", "selected", "approved"],  // Clients can cancel; paid bookings are refunded per policy
+    "reschedule": ["pending", "selected", "approved"], // Clients can reschedule under the reschedule_only policy
     "view": ["pending", "selected", "approved", "rejected", "cancelled"], // Can view any status
-    "pay": ["selected"]                 // Clients can only pay for selected bookings
+    "pay": ["selected", "approved"]     // Clients pay for selected bookings, and the balance of approved ones with a deposit
   };
   
   // Check if action is allowed for current status
   if (!allowedStatusesForAction[action]?.includes(status)) return false;
+
+  // Rooms of a booking group are selected, rejected and cancelled together from the
+  // group section; only the primary booking is paid, and cancelled on its own once paid
+  if (booking.groupId && action !== "view") {
+    const isPayment = ["pay", "approve"].includes(action) && status === "selected";
+    const isPaidCancellation = ["reject", "cancel"].includes(action) && status === "approved";
+    if (!isGroupPrimaryBooking(booking) || !(isPayment || isPaidCancellation)) return false;
+  }
   
   switch (action) {
     case "approve":
@@ -110,12 +121,21 @@ export const canPerformBookingAction = (user, booking, action, competingBookings
         bookingUserId === userId
       );
     
+    case "reschedule":
+      // Only the booking client, and only if the captured policy allows rescheduling
+      return (
+        userType === "client" &&
+        bookingUserId === userId &&
+        Array.isArray(booking.refundPolicySnapshot) &&
+        booking.refundPolicySnapshot.includes("reschedule_only")
+      );
+    
     case "pay":
-      // Only clients can pay for their own selected bookings
+      // Only clients can pay for their own selected bookings, or the balance after a deposit
       return (
         userType === "client" && 
         bookingUserId === userId &&
-        status === "selected"
+        (status === "selected" || isBalancePaymentDue(booking))
       );
     
     case "view":
@@ -130,6 +150,37 @@ export const canPerformBookingAction = (user, booking, action, competingBookings
   }
 };
 
+/**
+ * Check if a booking is the primary booking of its group (the one carrying the group invoice)
+ * @param {Object} booking - Booking object with its group summary
+ * @returns {boolean} True for the primary booking of a group
+ */
+export const isGroupPrimaryBooking = (booking) => {
+  return !!booking?.group && booking.group.primaryBookingId === booking.id;
+};
+
+/**
+ * Show each booking group as one request: keep the primary booking and attach
+ * the group's rooms to it as groupRooms
+ * @param {Array} bookings - Bookings with their group summary
+ * @returns {Array} Bookings with the other rooms of each group folded into its primary booking
+ */
+export const collapseBookingGroups = (bookings) => {
+  const roomsByGroup = bookings.reduce((acc, booking) => {
+    if (booking.groupId) {
+      (acc[booking.groupId] = acc[booking.groupId] || []).push(booking);
+    }
+    return acc;
+  }, {});
+
+  return bookings
+    .filter(booking => !booking.groupId || isGroupPrimaryBooking(booking) || !booking.group)
+    .map(booking => (isGroupPrimaryBooking(booking)
+      ? { ...booking, groupRooms: roomsByGroup[booking.groupId] }
+      : booking
+    ));
+};
+
 /**
  * Get booking priority based on status and creation time
  * @param {Object} booking - Booking object
@@ -278,6 +329,17 @@ export const getBookingActionButtons = (booking, user, competingBookings = [], t
     });
   }
   
+  // Reschedule button for clients under the reschedule_only policy
+  if (canPerformBookingAction(user, booking, "reschedule", competingBookings)) {
+    buttons.push({
+      label: t('details.actions.buttons.reschedule'),
+      action: "reschedule",
+      variant: "primary",
+      icon: "calendar",
+      description: t('details.actions.confirmations.reschedule')
+    });
+  }
+  
   // Cancel button for clients
   if (canPerformBookingAction(user, booking, "cancel", competingBookings)) {
     buttons.push({
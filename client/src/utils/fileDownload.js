@@ -0,0 +1,19 @@
+import api from "./api";
+
+/**
+ * Download a file served by the API (documents, statements) and save it under
+ * the given name
+ * @param {string} url - API path
+ * @param {string} filename - Name of the saved file
+ */
+export const downloadFile = async (url, filename) => {
+  const response = await api.get(url, { responseType: 'blob' });
+  const objectUrl = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(objectUrl);
+};
@@ -46,4 +46,39 @@ export const getPlaceRatingDisplay = (place, t) => {
   }
   
   return place.averageRating || t("places:card.no_rating", "No rating");
-};
\ No newline at end of file
+};
+/**
+ * Review rating categories, rated 1-5 next to the overall stars
+ * Labels are under "reviews:categories"
+ */
+export const RATING_CATEGORIES = ["cleanliness", "equipment", "location", "value", "host"];
+
+/**
+ * Gets a place's average score for a rating category
+ * 
+ * @param {Object} place - Place object containing categoryRatings
+ * @param {string} category - One of RATING_CATEGORIES
+ * @returns {number|null} Average score, or null when no review rated the category
+ */
+export const getCategoryScore = (place, category) => {
+  const average = place?.categoryRatings?.[category]?.average;
+  return average === undefined || average === null ? null : Number(average);
+};
+
+/**
+ * Formats a host's median response time for display
+ * Rounds to minutes under an hour, hours under a day and whole days above.
+ *
+ * @param {number} minutes - Median response time in minutes
+ * @param {Function} t - Translation function with the places namespace loaded
+ * @returns {string} Localized duration, e.g. "45 min" or "3 h"
+ */
+export const formatResponseTime = (minutes, t) => {
+  if (minutes < 60) {
+    return t("places:hostReputation.duration.minutes", { count: Math.max(1, minutes) });
+  }
+  if (minutes < 24 * 60) {
+    return t("places:hostReputation.duration.hours", { count: Math.round(minutes / 60) });
+  }
+  return t("places:hostReputation.duration.days", { count: Math.round(minutes / (24 * 60)) });
+};
@@ -1,3 +1,5 @@
+import { getCurrentDateObjectInUzbekistan } from './uzbekistanTimezoneUtils';
+
 // Centralized pricing configuration for conference room bookings
 export const PRICING_CONFIG = {
   DEFAULT_CURRENCY: 'UZS',
@@ -13,8 +15,122 @@ const formatHourTo12 = (hour24) => {
   return `${displayHour}:00 ${amPm}`;
 };
 
+// Place without any dynamic pricing rules
+export const EMPTY_PRICING_RULES = {
+  timeOfDay: [],
+  weekdays: {},
+  seasons: [],
+  lastMinute: null
+};
+
+const parseHour = (time) => parseInt(time.split(':')[0], 10);
+
+// Weekday of a YYYY-MM-DD date independent of the browser timezone (0 = Sunday)
+const getWeekday = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// Hours from now (Uzbekistan time) until the slot starts
+const getHoursUntilSlotStart = (dateString, startTime) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const slotStart = new Date(year, month - 1, day, parseHour(startTime));
+  return (slotStart - getCurrentDateObjectInUzbekistan()) / (60 * 60 * 1000);
+};
+
+// Apply host-defined dynamic pricing rules to one slot
+// Mirrors applyPricingRules in api/services/pricingRulesService.js - keep both in sync
+export const applyPricingRules = (placeDetail, slot, { fullDays, fullDayHours, regularHours, basePrice }) => {
+  const rules = placeDetail.pricingRules || EMPTY_PRICING_RULES;
+  const baseRate = Number(placeDetail.price) || 0;
+  const adjustments = [];
+
+  // Hourly rate for the date: season > weekday > place price
+  const season = (rules.seasons || []).find(item => slot.date >= item.startDate && slot.date <= item.endDate);
+  const weekdayPrice = (rules.weekdays || {})[getWeekday(slot.date)];
+  const rate = season ? season.price : (weekdayPrice || baseRate);
+
+  if (rate !== baseRate && regularHours > 0) {
+    adjustments.push(season
+      ? { type: 'season', name: season.name, hours: regularHours, amount: (rate - baseRate) * regularHours }
+      : { type: 'weekday', weekday: getWeekday(slot.date), hours: regularHours, amount: (rate - baseRate) * regularHours });
+  }
+
+  // Time-of-day multipliers for the hourly (non full-day) part of the slot
+  const firstRegularHour = parseHour(slot.startTime) + fullDays * fullDayHours;
+  const endHour = parseHour(slot.endTime);
+  (rules.timeOfDay || []).forEach(rule => {
+    let hours = 0;
+    for (let hour = firstRegularHour; hour < endHour; hour++) {
+      if (hour >= parseHour(rule.startTime) && hour < parseHour(rule.endTime)) {
+        hours++;
+      }
+    }
+    if (hours > 0 && rule.multiplier !== 1) {
+      adjustments.push({
+        type: 'timeOfDay',
+        startTime: rule.startTime,
+        endTime: rule.endTime,
+        multiplier: rule.multiplier,
+        hours,
+        amount: rate * (rule.multiplier - 1) * hours
+      });
+    }
+  });
+
+  let price = adjustments.reduce((sum, adjustment) => sum + adjustment.amount, basePrice);
+
+  // Last-minute discount on the whole slot
+  if (rules.lastMinute) {
+    const hoursUntilStart = getHoursUntilSlotStart(slot.date, slot.startTime);
+    if (hoursUntilStart >= 0 && hoursUntilStart < rules.lastMinute.hoursBefore) {
+      const amount = -(price * rules.lastMinute.discountPercent / 100);
+      adjustments.push({ type: 'lastMinute', percent: rules.lastMinute.discountPercent, amount });
+      price += amount;
+    }
+  }
+
+  return { price, adjustments };
+};
+
+// Units a host can price an add-on by
+export const ADD_ON_UNITS = ['per_booking', 'per_hour', 'per_guest'];
+
+// Price selected add-ons against the place catalog
+// Mirrors api/services/addOnsService.js (calculateAddOns); unknown or out-of-stock
+// selections are left out here and rejected by the server
+export const calculateAddOnsPricing = (placeDetail, selectedAddOns = [], { totalHours = 0, numOfGuests = 0 } = {}) => {
+  const catalog = placeDetail.addOns || [];
+  const items = [];
+
+  selectedAddOns.forEach(selection => {
+    const addOn = catalog.find(item => item.id === selection.id);
+    if (!addOn) return;
+
+    const quantity = addOn.unit === 'per_guest' ? Number(numOfGuests) || 0 : Number(selection.quantity) || 0;
+    if (quantity < 1 || (addOn.stock && quantity > addOn.stock)) return;
+
+    const hours = addOn.unit === 'per_hour' ? totalHours : null;
+    items.push({
+      id: addOn.id,
+      name: addOn.name,
+      unit: addOn.unit,
+      unitPrice: addOn.price,
+      quantity,
+      hours,
+      price: addOn.price * quantity * (hours === null ? 1 : hours)
+    });
+  });
+
+  return {
+    items,
+    addOnsTotal: items.reduce((sum, item) => sum + item.price, 0)
+  };
+};
+
 // Calculate total hours and pricing from selected calendar dates
-export const calculateBookingPricing = (selectedCalendarDates, placeDetail) => {
+// Display-only estimate: the server recomputes the price in api/services/bookingPricingService.js
+export const calculateBookingPricing = (selectedCalendarDates, placeDetail, { addOns = [], numOfGuests = 0 } = {}) => {
   if (!selectedCalendarDates || selectedCalendarDates.length === 0) {
     return {
       totalHours: 0,
@@ -23,6 +139,8 @@ export const calculateBookingPricing = (selectedCalendarDates, placeDetail) => {
       regularPrice: 0,
       fullDayPrice: 0,
       totalPrice: 0,
+      addOns: [],
+      addOnsTotal: 0,
       finalTotal: 0,
       breakdown: []
     };
@@ -50,21 +168,31 @@ export const calculateBookingPricing = (selectedCalendarDates, placeDetail) => {
     totalHours += hoursForThisSlot;
     
     // Determine pricing for this slot
-    let slotPrice = 0;
+    let basePrice = 0;
     let priceType = '';
+    let fullDaysUsed = 0;
+    let remainingHours = hoursForThisSlot;
     
     if (hoursForThisSlot >= fullDayHours && fullDayDiscountPrice > 0) {
       // Full day pricing
-      const fullDaysUsed = Math.floor(hoursForThisSlot / fullDayHours);
-      const remainingHours = hoursForThisSlot % fullDayHours;
+      fullDaysUsed = Math.floor(hoursForThisSlot / fullDayHours);
+      remainingHours = hoursForThisSlot % fullDayHours;
       
-      slotPrice = (fullDaysUsed * fullDayDiscountPrice) + (remainingHours * hourlyRate);
+      basePrice = (fullDaysUsed * fullDayDiscountPrice) + (remainingHours * hourlyRate);
       priceType = fullDaysUsed > 0 ? `${fullDaysUsed} full day${fullDaysUsed > 1 ? 's' : ''} + ${remainingHours}h` : `${hoursForThisSlot}h`;
     } else {
       // Regular hourly pricing
-      slotPrice = hoursForThisSlot * hourlyRate;
+      basePrice = hoursForThisSlot * hourlyRate;
       priceType = `${hoursForThisSlot}h`;
     }
+
+    // Dynamic pricing rules (peak hours, weekdays, seasons, last-minute)
+    const { price: slotPrice, adjustments } = applyPricingRules(placeDetail, dateSlot, {
+      fullDays: fullDaysUsed,
+      fullDayHours,
+      regularHours: remainingHours,
+      basePrice
+    });
     
     totalPrice += slotPrice;
     
@@ -72,17 +200,22 @@ export const calculateBookingPricing = (selectedCalendarDates, placeDetail) => {
       date: dateSlot.formattedDate,
       timeSlot: `${formatHourTo12(startTime)} - ${formatHourTo12(endTime)}`,
       hours: hoursForThisSlot,
+      basePrice,
+      adjustments,
       price: slotPrice,
       priceType
     });
   });
 
-  // Calculate final total
-  const finalTotal = totalPrice;
+  // Add-ons are paid on top of the room price
+  const { items: addOnItems, addOnsTotal } = calculateAddOnsPricing(placeDetail, addOns, { totalHours, numOfGuests });
+  const finalTotal = totalPrice + addOnsTotal;
 
   return {
     totalHours,
     totalPrice,
+    addOns: addOnItems,
+    addOnsTotal,
     finalTotal,
     breakdown
   };